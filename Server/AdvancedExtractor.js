@@ -9,6 +9,16 @@
 
 const ADVANCED_EMU_PER_PT = 12700; // EMUs per point
 
+/**
+ * Points of an API Dimension ({ magnitude, unit }), which is EMU unless unit is PT
+ * @param {Object} dimension
+ * @returns {number} 0 when missing
+ */
+function dimensionToPt(dimension) {
+    if (!dimension || !dimension.magnitude) return 0;
+    return dimension.unit === 'PT' ? dimension.magnitude : dimension.magnitude / ADVANCED_EMU_PER_PT;
+}
+
 // Verbose logging flag - set to true for detailed extraction logs
 const VERBOSE_LOGGING = true;
 
@@ -614,13 +624,7 @@ function extractPresentationAdvanced(presentationIdOrUrl, options) {
     log('Input: ' + presentationIdOrUrl);
     log('Raw Mode: ' + rawMode);
 
-    let presentationId = presentationIdOrUrl;
-    if (presentationIdOrUrl.includes('docs.google.com')) {
-        const match = presentationIdOrUrl.match(/\/d\/([a-zA-Z0-9-_]+)/);
-        if (match && match[1]) {
-            presentationId = match[1];
-        }
-    }
+    const presentationId = getPresentationIdFromInput(presentationIdOrUrl);
     log('Presentation ID: ' + presentationId);
 
     // Build resolved color cache using SlidesApp (gets actual rendered colors)
@@ -647,20 +651,8 @@ function extractPresentationAdvanced(presentationIdOrUrl, options) {
     log('Theme colors extracted: ' + Object.keys(_themeColorMap).join(', '));
     log('Active theme colors: ' + Object.keys(_activeThemeColors).join(', '));
 
-    const themeColors = {
-        text: _themeColorMap['DARK1'] || '#000000',
-        textLight: _themeColorMap['DARK2'] || '#595959',
-        background: _themeColorMap['LIGHT1'] || '#ffffff',
-        surface: _themeColorMap['LIGHT2'] || '#eeeeee',
-        primary: _themeColorMap['ACCENT1'] || '#4285f4',
-        secondary: _themeColorMap['ACCENT2'] || '#34a853',
-        accent: _themeColorMap['ACCENT3'] || '#fbbc05',
-        error: _themeColorMap['ACCENT4'] || '#ea4335',
-        accent5: _themeColorMap['ACCENT5'] || '#46bdc6',
-        accent6: _themeColorMap['ACCENT6'] || '#7baaf7',
-        hyperlink: _themeColorMap['HYPERLINK'] || '#1a73e8',
-        followedHyperlink: _themeColorMap['FOLLOWED_HYPERLINK'] || '#681da8'
-    };
+    const themeColors = getExtractedThemeColors();
+    const themeFonts = extractThemeFonts(extractThemeTextStyles(presentation));
 
     // Store rawMode flag globally for use in sub-functions
     _extractionRawMode = rawMode;
@@ -678,10 +670,7 @@ function extractPresentationAdvanced(presentationIdOrUrl, options) {
             sourcePresentationId: presentationId, // For Phase 2 copy operations
             theme: {
                 colors: themeColors,
-                fonts: {
-                    heading: 'Montserrat',
-                    body: 'Open Sans'
-                }
+                fonts: themeFonts
             }
         },
         slides: slides
@@ -693,6 +682,21 @@ function extractPresentationAdvanced(presentationIdOrUrl, options) {
 // Global flag for raw mode during extraction
 let _extractionRawMode = false;
 
+/**
+ * Presentation ID from an ID or a docs.google.com URL
+ * @param {string} presentationIdOrUrl
+ * @returns {string}
+ */
+function getPresentationIdFromInput(presentationIdOrUrl) {
+    if (presentationIdOrUrl.includes('docs.google.com')) {
+        const match = presentationIdOrUrl.match(/\/d\/([a-zA-Z0-9-_]+)/);
+        if (match && match[1]) {
+            return match[1];
+        }
+    }
+    return presentationIdOrUrl;
+}
+
 // ============================================================================
 // THEME EXTRACTION
 // ============================================================================
@@ -716,13 +720,14 @@ function extractThemeColorMap(presentation) {
                 Logger.log('[THEME] Theme name: ' + themeName);
             }
 
-            // Try standard colorScheme location first
-            let colorScheme = master.masterProperties?.colorScheme?.colors;
+            // The API returns the scheme in pageProperties; older responses had it in masterProperties
+            let colorScheme = master.pageProperties?.colorScheme?.colors || master.masterProperties?.colorScheme?.colors;
             if (colorScheme && colorScheme.length > 0) {
                 Logger.log('[THEME] Found explicit colorScheme in master ' + i + ': ' + colorScheme.length + ' colors');
                 colorScheme.forEach(c => {
-                    if (c.type && c.color?.rgbColor) {
-                        colorMap[c.type] = rgbToHexAdvanced(c.color.rgbColor);
+                    // ThemeColorPair.color is an RgbColor itself
+                    if (c.type && c.color) {
+                        colorMap[c.type] = rgbToHexAdvanced(c.color.rgbColor || c.color);
                     }
                 });
             }
@@ -869,12 +874,147 @@ function detectProminentLayoutColors(layouts) {
     return result;
 }
 
+// ============================================================================
+// THEME LIBRARY (extractTheme)
+// ============================================================================
+
+/**
+ * Placeholder types whose font is the theme heading or body font, in order of preference
+ * @constant
+ */
+const EXTRACTED_THEME_FONT_TYPES = {
+    heading: ['TITLE', 'CENTERED_TITLE'],
+    body: ['BODY', 'SUBTITLE']
+};
+
+/**
+ * Theme colors under their config.theme names (see THEME_COLOR_TYPES).
+ * Call after extractThemeColorMap.
+ * @returns {Object} e.g. { text: '#000000', primary: '#4285f4', ... }
+ */
+function getExtractedThemeColors() {
+    const colors = {};
+    Object.keys(THEME_COLOR_TYPES).forEach(type => {
+        colors[THEME_COLOR_TYPES[type][0]] = _themeColorMap[type] || _activeThemeColors[type] || DEFAULT_THEME_COLORS[type];
+    });
+    return colors;
+}
+
+/**
+ * Text color of a placeholder style: a config.theme color name for theme colors, hex otherwise
+ * @param {Object} optionalColor - TextStyle.foregroundColor
+ * @returns {string|undefined}
+ */
+function extractThemeTextColor(optionalColor) {
+    const color = optionalColor?.opaqueColor;
+    if (color?.themeColor) {
+        return THEME_COLOR_TYPES[color.themeColor] ? THEME_COLOR_TYPES[color.themeColor][0] : undefined;
+    }
+    return color?.rgbColor ? rgbToHexAdvanced(color.rgbColor) : undefined;
+}
+
+/**
+ * Text style of each placeholder type, from the masters and then the layouts
+ * (a layout only adds types the masters do not have)
+ * @param {Object} presentation - Slides API presentation
+ * @returns {Object} e.g. { TITLE: { fontFamily, fontSize, color, bold, italic }, BODY: {...} }
+ */
+function extractThemeTextStyles(presentation) {
+    const styles = {};
+    const pages = [].concat(presentation.masters || [], presentation.layouts || []);
+    pages.forEach(page => {
+        (page.pageElements || []).forEach(el => {
+            const type = el.shape?.placeholder?.type;
+            if (!type || styles[type]) return;
+            const run = (el.shape.text?.textElements || []).find(e => e.textRun)?.textRun?.style;
+            if (!run) return;
+
+            const style = {};
+            if (run.fontFamily) style.fontFamily = run.fontFamily;
+            if (run.fontSize?.magnitude) style.fontSize = run.fontSize.magnitude;
+            const color = extractThemeTextColor(run.foregroundColor);
+            if (color) style.color = color;
+            if (run.bold !== undefined) style.bold = run.bold;
+            if (run.italic !== undefined) style.italic = run.italic;
+            if (Object.keys(style).length > 0) styles[type] = style;
+        });
+    });
+    return styles;
+}
+
+/**
+ * Theme heading and body fonts from placeholder text styles
+ * @param {Object} textStyles - From extractThemeTextStyles
+ * @returns {Object} { heading, body }, without fonts the presentation does not set
+ */
+function extractThemeFonts(textStyles) {
+    const fonts = {};
+    Object.keys(EXTRACTED_THEME_FONT_TYPES).forEach(role => {
+        const type = EXTRACTED_THEME_FONT_TYPES[role].find(t => textStyles[t]?.fontFamily);
+        if (type) fonts[role] = textStyles[type].fontFamily;
+    });
+    return fonts;
+}
+
+/**
+ * Placeholder geometry of each layout, in points
+ * @param {Object} presentation - Slides API presentation
+ * @returns {Array<Object>} [{ name, displayName, placeholders: [{ type, index, x, y, w, h }] }]
+ */
+function extractThemeLayouts(presentation) {
+    return (presentation.layouts || []).map(layout => ({
+        name: layout.layoutProperties?.name || '',
+        displayName: layout.layoutProperties?.displayName || '',
+        placeholders: (layout.pageElements || [])
+            .filter(el => el.shape?.placeholder)
+            .map(el => {
+                const transform = el.transform || {};
+                const scaleX = transform.scaleX !== undefined ? transform.scaleX : 1;
+                const scaleY = transform.scaleY !== undefined ? transform.scaleY : 1;
+                return {
+                    type: el.shape.placeholder.type,
+                    index: el.shape.placeholder.index || 0,
+                    x: emuToPt(transform.translateX || 0),
+                    y: emuToPt(transform.translateY || 0),
+                    w: emuToPt((el.size?.width?.magnitude || 0) * scaleX),
+                    h: emuToPt((el.size?.height?.magnitude || 0) * scaleY)
+                };
+            })
+    }));
+}
+
+/**
+ * Extract a presentation's theme as a standalone file that other decks can use as config.theme:
+ * color scheme, heading/body fonts, text styles per placeholder type and layout placeholder geometry
+ * @param {string} presentationIdOrUrl
+ * @returns {Object} { name, colors, fonts, textStyles, layouts }
+ */
+function extractThemeAdvanced(presentationIdOrUrl) {
+    const presentationId = getPresentationIdFromInput(presentationIdOrUrl);
+    const presentation = Slides.Presentations.get(presentationId);
+    log('=== THEME EXTRACTION: ' + presentationId + ' ===');
+
+    _activeThemeColors = DEFAULT_THEME_COLORS;
+    _themeColorMap = extractThemeColorMap(presentation);
+    const textStyles = extractThemeTextStyles(presentation);
+
+    const master = (presentation.masters || [])[0];
+    return {
+        name: master?.masterProperties?.displayName || presentation.title || '',
+        colors: getExtractedThemeColors(),
+        fonts: extractThemeFonts(textStyles),
+        textStyles: textStyles,
+        layouts: extractThemeLayouts(presentation)
+    };
+}
+
 // ============================================================================
 // SLIDE EXTRACTION
 // ============================================================================
 
 function extractSlideAdvanced(slide, slideIndex) {
     const slideData = {
+        objectId: slide.objectId, // Lets targetPresentationId updates match slides
         elements: [],
         background: resolveSlideBackground(slide)
     };
@@ -940,6 +1080,9 @@ function extractSlideAdvanced(slide, slideIndex) {
         }
     });
 
+    // Gradient bands drawn by the builders become their element's gradient again
+    slideData.elements = collapseGradientBands(slideData.elements);
+
     log('  Total extracted: ' + slideData.elements.length + ' elements');
     return slideData;
 }
@@ -1398,11 +1541,15 @@ function extractShapeAdvanced(element, base, layoutId, slideIndex) {
             result.fillColor = 'transparent';
             result._originalFillColor = 'transparent';
         }
+        const textBoxFillAlpha = fill?.solidFill?.alpha;
+        if (typeof textBoxFillAlpha === 'number' && textBoxFillAlpha < 1 && result.fillColor && result.fillColor !== 'transparent') {
+            result.fillAlpha = Math.round(textBoxFillAlpha * 1000) / 1000;
+        }
 
         // Extract border/outline for text boxes (same logic as shapes)
         if (outline) {
             const extractedBorderColor = extractOutlineColorAdvanced(outline);
-            const extractedBorderWidth = outline.weight?.magnitude ? outline.weight.magnitude / ADVANCED_EMU_PER_PT : 0;
+            const extractedBorderWidth = dimensionToPt(outline.weight);
             const extractedBorderDash = extractOutlineDashStyle(outline);
             if (extractedBorderColor && extractedBorderColor !== 'none') {
                 result.borderColor = resolveThemeColor(extractedBorderColor);
@@ -1472,7 +1619,7 @@ function extractShapeAdvanced(element, base, layoutId, slideIndex) {
         }
 
         const extractedBorderColor = outline ? extractOutlineColorAdvanced(outline) : 'none';
-        const extractedBorderWidth = outline?.weight?.magnitude ? outline.weight.magnitude / ADVANCED_EMU_PER_PT : 0;
+        const extractedBorderWidth = dimensionToPt(outline?.weight);
         const extractedBorderDash = extractOutlineDashStyle(outline);
 
         Logger.log('[OUTLINE_DEBUG] Shape ' + element.objectId + ' borderColor=' + extractedBorderColor +
@@ -1490,6 +1637,17 @@ function extractShapeAdvanced(element, base, layoutId, slideIndex) {
             flipV: base.flipV
         };
 
+        // Translucent fills (fake shadows, gradient bands)
+        const fillAlpha = fill?.solidFill?.alpha;
+        if (typeof fillAlpha === 'number' && fillAlpha < 1 && result.fillColor !== 'transparent') {
+            result.fillAlpha = Math.round(fillAlpha * 1000) / 1000;
+        }
+
+        const shapeLink = extractLinkAdvanced(shape.shapeProperties?.link);
+        if (shapeLink) {
+            result.link = shapeLink;
+        }
+
         if (textContent.length > 0) {
             result.text = textContent;
             // Also apply resolved styles to shape text
@@ -1836,6 +1994,11 @@ function extractImageAdvanced(element, base) {
         originalHeight: base.h
     };
 
+    const imageLink = extractLinkAdvanced(image.imageProperties?.link);
+    if (imageLink) {
+        result.link = imageLink;
+    }
+
     // Extract crop properties if present
     const crop = image.imageProperties?.cropProperties;
     if (crop) {
@@ -1864,7 +2027,7 @@ function extractImageAdvanced(element, base) {
     const outline = props.outline;
     if (outline && outline.propertyState !== 'NOT_RENDERED') {
         const extractedBorderColor = extractOutlineColorAdvanced(outline);
-        const extractedBorderWidth = outline.weight?.magnitude ? outline.weight.magnitude / ADVANCED_EMU_PER_PT : 0;
+        const extractedBorderWidth = dimensionToPt(outline.weight);
         if (extractedBorderColor && extractedBorderColor !== 'none' && extractedBorderWidth > 0) {
             result.borderColor = resolveThemeColor(extractedBorderColor);
             result.borderWidth = extractedBorderWidth;
@@ -1890,7 +2053,7 @@ function extractTableBorder(border) {
     if (border.dashStyle === 'INVISIBLE' || !border.weight) return null;
 
     const result = {
-        weight: border.weight?.magnitude ? border.weight.magnitude / ADVANCED_EMU_PER_PT : 1,
+        weight: dimensionToPt(border.weight) || 1,
         dashStyle: border.dashStyle || 'SOLID'
     };
 
@@ -1910,6 +2073,7 @@ function extractTableBorder(border) {
 function extractTableAdvanced(element, base, slideIndex) {
     const table = element.table;
     const data = [];
+    const merges = [];
     const rowHeights = [];
     const columnWidths = [];
 
@@ -1960,6 +2124,15 @@ function extractTableAdvanced(element, base, slideIndex) {
         }
 
         for (const cell of cells) {
+            // Keep cells in their grid column, even if covered cells are left out of tableCells
+            const gridColumn = cell.location?.columnIndex;
+            while (gridColumn !== undefined && rowData.length < gridColumn) rowData.push({ text: '' });
+
+            // Merged cells: the first cell carries the span
+            if ((cell.rowSpan || 1) > 1 || (cell.columnSpan || 1) > 1) {
+                merges.push({ row: rowIndex, col: rowData.length, rowSpan: cell.rowSpan || 1, colSpan: cell.columnSpan || 1 });
+            }
+
             let cellData = { text: '' };
 
             if (cell.text?.textElements) {
@@ -2084,6 +2257,19 @@ function extractTableAdvanced(element, base, slideIndex) {
         data.push(rowData);
     }
 
+    // Cells covered by a merge are empty; the builder only writes the first cell of a merge
+    const columnCount = Math.max(tableColumns.length, ...data.map(row => row.length));
+    data.forEach(row => {
+        while (row.length < columnCount) row.push({ text: '' });
+    });
+    merges.forEach(merge => {
+        for (let r = merge.row; r < merge.row + merge.rowSpan && r < data.length; r++) {
+            for (let c = merge.col; c < merge.col + merge.colSpan && c < columnCount; c++) {
+                if (r !== merge.row || c !== merge.col) data[r][c] = { text: '' };
+            }
+        }
+    });
+
     // Use API minRowHeight values directly - these are the actual stored row heights
     const tableHeight = base.h || 0;
     const numRows = data.length;
@@ -2109,6 +2295,7 @@ function extractTableAdvanced(element, base, slideIndex) {
         type: 'table',
         ...base,
         data: data,
+        ...(merges.length > 0 && { merges: merges }),
         ...(hasRowHeights && { rowHeights: rowHeights }),
         ...(hasColumnWidths && { columnWidths: columnWidths })
     };
@@ -2142,9 +2329,7 @@ function extractLineAdvanced(element, base) {
         color: lineColor,
         startArrow: line.lineProperties?.startArrow || 'NONE',
         endArrow: line.lineProperties?.endArrow || 'NONE',
-        weight: line.lineProperties?.weight?.magnitude
-            ? line.lineProperties.weight.magnitude / ADVANCED_EMU_PER_PT
-            : 1,
+        weight: dimensionToPt(line.lineProperties?.weight) || 1,
         dashStyle: line.lineProperties?.dashStyle || 'SOLID',
         startConnect: null,
         endConnect: null
@@ -2169,7 +2354,7 @@ function extractVideoAdvanced(element, base) {
     const outline = video.videoProperties?.outline;
     if (outline && outline.propertyState !== 'NOT_RENDERED') {
         const extractedBorderColor = extractOutlineColorAdvanced(outline);
-        const extractedBorderWidth = outline.weight?.magnitude ? outline.weight.magnitude / ADVANCED_EMU_PER_PT : 0;
+        const extractedBorderWidth = dimensionToPt(outline.weight);
         if (extractedBorderColor && extractedBorderColor !== 'none' && extractedBorderWidth > 0) {
             result.borderColor = resolveThemeColor(extractedBorderColor);
             result.borderWidth = extractedBorderWidth;
@@ -2209,6 +2394,14 @@ function extractChartAdvanced(element, base) {
     // If we have a spreadsheet ID, try to return as sheetsChart
     // The generation side will handle access errors gracefully
     if (spreadsheetId) {
+        // Type, data and options read back from the spreadsheet (see ChartOptions.js),
+        // so the chart can be turned into a chart element
+        let details = null;
+        try {
+            details = readSheetsChart(spreadsheetId, chartId);
+        } catch (e) {
+            log('Chart ' + chartId + ' options not readable from ' + spreadsheetId + ': ' + e.message, 'WARN');
+        }
         return {
             type: 'sheetsChart',
             ...base,
@@ -2216,7 +2409,8 @@ function extractChartAdvanced(element, base) {
             chartId: chartId,
             embedType: 'IMAGE',
             // Include contentUrl as fallback for generation
-            contentUrl: contentUrl || null
+            contentUrl: contentUrl || null,
+            ...(details || {})
         };
     }
 
@@ -2319,6 +2513,20 @@ function extractOutlineDashStyle(outline) {
     return dashMap[dashStyle] || 'solid';
 }
 
+/**
+ * Map an API Link to the deck's link value (see buildLinkRequest)
+ * @param {Object} link - { url | relativeLink | slideIndex | pageObjectId }
+ * @returns {string|Object|null} URL string, { relativeLink }, { slideIndex } or { pageObjectId }
+ */
+function extractLinkAdvanced(link) {
+    if (!link) return null;
+    if (link.url) return link.url;
+    if (link.relativeLink) return { relativeLink: link.relativeLink };
+    if (link.slideIndex !== undefined) return { slideIndex: link.slideIndex };
+    if (link.pageObjectId) return { pageObjectId: link.pageObjectId };
+    return null;
+}
+
 function rgbToHexAdvanced(rgb) {
     if (!rgb) return '#000000';
     const r = Math.round((rgb.red || 0) * 255);
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Batch (mail-merge) generation.
+ *
+ * Generates one presentation per data row from a single deck template.
+ * Rows come from a Google Sheet range or an inline CSV payload; the first
+ * row holds the column names. Each row is passed to the template stage
+ * (Templating.js) as `row`, alongside `rowIndex` and any shared `data`:
+ *
+ *   "text": "QBR for {{row.Account}}"
+ */
+
+// ============================================================================
+// ROW SOURCES
+// ============================================================================
+
+/**
+ * Turn a 2D array (header row first) into row objects
+ * @param {Array<Array>} values
+ * @returns {Array<Object>} Rows keyed by column name (blank rows dropped)
+ */
+function valuesToRows(values) {
+  if (!values || values.length === 0) return [];
+  const headers = values[0].map(header => String(header).trim());
+
+  return values.slice(1)
+    .filter(cells => cells.some(cell => cell !== '' && cell !== null && cell !== undefined))
+    .map(cells => {
+      const row = {};
+      headers.forEach((header, i) => {
+        if (header) row[header] = cells[i] !== undefined ? cells[i] : '';
+      });
+      return row;
+    });
+}
+
+/**
+ * Read batch rows from a sheet or CSV
+ * @param {Object} source - { csv } or { spreadsheetId, range?, sheetName? }
+ * @returns {Array<Object>}
+ */
+function readBatchRows(source) {
+  if (source.csv) {
+    return valuesToRows(Utilities.parseCsv(source.csv));
+  }
+  if (!source.spreadsheetId) {
+    throw new Error('batchGenerate needs either csv or spreadsheetId');
+  }
+
+  const spreadsheet = SpreadsheetApp.openById(source.spreadsheetId);
+  let range;
+  if (source.range) {
+    range = spreadsheet.getRange(source.range);
+  } else {
+    const sheet = source.sheetName ? spreadsheet.getSheetByName(source.sheetName) : spreadsheet.getSheets()[0];
+    if (!sheet) throw new Error('Sheet not found: ' + source.sheetName);
+    range = sheet.getDataRange();
+  }
+
+  // Dates are passed as they are displayed in the sheet; everything else keeps its type
+  const values = range.getValues();
+  const display = range.getDisplayValues();
+  return valuesToRows(values.map((cells, r) =>
+    cells.map((cell, c) => (cell instanceof Date) ? display[r][c] : cell)
+  ));
+}
+
+// ============================================================================
+// BATCH GENERATION
+// ============================================================================
+
+/**
+ * Generate one presentation per row
+ * @param {string} jsonString - Deck template
+ * @param {Object} source - Row source (see readBatchRows)
+ * @param {Object} [options] - { data: shared template data, startRow: first row index to generate }
+ * @returns {Object} { status, total, succeeded, failed, skipped, nextRow, manifest }
+ */
+function batchGeneratePresentations(jsonString, source, options) {
+  options = options || {};
+  const startTime = Date.now();
+
+  try {
+    if (!jsonString) {
+      throw new Error('No template JSON provided');
+    }
+    // Fail fast on a malformed template instead of once per row
+    JSON.parse(jsonString);
+
+    const rows = readBatchRows(source || {});
+    if (rows.length > CONFIG.BATCH.MAX_ROWS) {
+      throw new Error('Too many rows: ' + rows.length + ' (max ' + CONFIG.BATCH.MAX_ROWS + ')');
+    }
+
+    const startRow = options.startRow || 0;
+    const manifest = [];
+    let nextRow = null;
+
+    for (let rowIndex = startRow; rowIndex < rows.length; rowIndex++) {
+      if (Date.now() - startTime > CONFIG.BATCH.TIME_BUDGET_MS) {
+        nextRow = rowIndex;
+        Logger.log('[BATCH] Time budget reached, stopping before row ' + rowIndex);
+        break;
+      }
+
+      const data = Object.assign({}, options.data || {}, { row: rows[rowIndex], rowIndex: rowIndex });
+      const result = generatePresentation(jsonString, { data: data });
+
+      manifest.push({
+        rowIndex: rowIndex,
+        status: result.status,
+        presentationId: result.presentationId || null,
+        url: result.url || null,
+        message: result.message || null
+      });
+      Logger.log('[BATCH] Row ' + rowIndex + ': ' + result.status + (result.message ? ' - ' + result.message : ''));
+    }
+
+    const succeeded = manifest.filter(entry => entry.status === 'success').length;
+    return {
+      status: 'success',
+      total: rows.length,
+      succeeded: succeeded,
+      failed: manifest.length - succeeded,
+      skipped: nextRow === null ? 0 : rows.length - nextRow,
+      nextRow: nextRow,
+      manifest: manifest
+    };
+  } catch (e) {
+    Logger.log('BATCH ERROR: ' + e.message + '\n' + e.stack);
+    return {
+      status: 'error',
+      message: e.message
+    };
+  }
+}
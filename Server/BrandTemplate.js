@@ -0,0 +1,327 @@
+/**
+ * @fileoverview Brand template presentations, their layouts and placeholders.
+ *
+ * With config.templatePresentationId, generation copies the template deck with
+ * Drive instead of creating a blank one, so its masters, layouts and fonts come
+ * along. The template's own slides are deleted unless config.keepTemplateSlides
+ * is true, in which case they stay after the generated slides.
+ *
+ * A slide can be created from a layout and fill its placeholders by role,
+ * instead of drawing free-floating text boxes:
+ *
+ *   { "layout": "Title and body",
+ *     "placeholders": { "title": "Q3 results", "body": ["Revenue up 12%", "Churn down"] },
+ *     "elements": [ ... ] }
+ *
+ * - layout: a layout's display name ("Title and body"), its name (TITLE_AND_BODY)
+ *   or an alias from ENUMS.LAYOUT_MAP (titleAndBody). Without a template, the
+ *   predefined layouts of a new presentation are used.
+ * - placeholders: title, subtitle and body; body2, body3... fill the second and
+ *   third body placeholders. A value is a string, an array of lines, or
+ *   { text | items, fontSize, fontFamily, color, bold, italic, underline, align }.
+ *   The text keeps the placeholder's own style except for what the object sets.
+ *
+ * Placeholders a slide does not fill are deleted, except slide numbers,
+ * headers, footers and dates. Slides of a template deck without a layout use
+ * the template's BLANK layout (or the one with the fewest placeholders).
+ * In-place updates (Reconciler.js) keep the placeholders a slide fills and
+ * replace slides whose layout changed.
+ */
+
+// ============================================================================
+// LAYOUT TABLES
+// ============================================================================
+
+/**
+ * Placeholder roles and the placeholder types they fill, in order of preference
+ * @constant
+ */
+const TEMPLATE_PLACEHOLDER_ROLES = {
+  title: ['TITLE', 'CENTERED_TITLE'],
+  subtitle: ['SUBTITLE'],
+  body: ['BODY', 'OBJECT']
+};
+
+/**
+ * Placeholder types kept on a slide when it does not fill them
+ * @constant
+ */
+const TEMPLATE_KEPT_PLACEHOLDERS = ['SLIDE_NUMBER', 'HEADER', 'FOOTER', 'DATE_AND_TIME'];
+
+/**
+ * Placeholders of the predefined layouts, used when the presentation's own
+ * layouts are not known (compile)
+ * @constant
+ */
+const PREDEFINED_LAYOUT_PLACEHOLDERS = {
+  BLANK: [],
+  CAPTION_ONLY: ['BODY'],
+  TITLE: ['CENTERED_TITLE', 'SUBTITLE'],
+  TITLE_AND_BODY: ['TITLE', 'BODY'],
+  TITLE_AND_TWO_COLUMNS: ['TITLE', 'BODY', 'BODY'],
+  TITLE_ONLY: ['TITLE'],
+  SECTION_HEADER: ['TITLE'],
+  SECTION_TITLE_AND_DESCRIPTION: ['TITLE', 'SUBTITLE', 'BODY'],
+  ONE_COLUMN_TEXT: ['TITLE', 'BODY'],
+  MAIN_POINT: ['TITLE'],
+  BIG_NUMBER: ['TITLE', 'BODY']
+};
+
+// ============================================================================
+// LAYOUTS
+// ============================================================================
+
+/**
+ * @param {Object} slide
+ * @returns {boolean} Whether a slide is created from a layout
+ */
+function usesTemplateLayout(slide) {
+  return !!(slide && (slide.layout || slide.placeholders));
+}
+
+/**
+ * Layouts of a presentation
+ * @param {Object} presentation - Slides API presentation (with layouts)
+ * @returns {Array<Object>} [{ objectId, name, displayName, placeholders: [{ type, index, objectId }] }]
+ */
+function summarizeTemplateLayouts(presentation) {
+  return (presentation.layouts || []).map(layout => {
+    const properties = layout.layoutProperties || {};
+    return {
+      objectId: layout.objectId,
+      name: properties.name || '',
+      displayName: properties.displayName || '',
+      placeholders: (layout.pageElements || [])
+        .filter(element => element.shape && element.shape.placeholder)
+        .map(element => ({
+          type: element.shape.placeholder.type,
+          index: element.shape.placeholder.index || 0,
+          objectId: element.objectId
+        }))
+    };
+  });
+}
+
+/**
+ * Predefined layouts, in the form of summarizeTemplateLayouts
+ * @returns {Array<Object>}
+ */
+function getPredefinedLayouts() {
+  return Object.keys(PREDEFINED_LAYOUT_PLACEHOLDERS).map(name => {
+    const seen = {};
+    return {
+      objectId: null,
+      name: name,
+      displayName: name,
+      placeholders: PREDEFINED_LAYOUT_PLACEHOLDERS[name].map(type => {
+        seen[type] = (seen[type] || 0) + 1;
+        return { type: type, index: seen[type] - 1, objectId: null };
+      })
+    };
+  });
+}
+
+/**
+ * Find a layout by display name, name or ENUMS.LAYOUT_MAP alias
+ * @param {Array<Object>} layouts - From summarizeTemplateLayouts
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function findTemplateLayout(layouts, name) {
+  const wanted = String(name).trim();
+  const lower = wanted.toLowerCase();
+  const predefined = ENUMS.LAYOUT_MAP[wanted];
+  return layouts.find(layout => layout.displayName.toLowerCase() === lower) ||
+    layouts.find(layout => layout.name.toLowerCase() === lower) ||
+    (predefined ? layouts.find(layout => layout.name === predefined) : null) ||
+    null;
+}
+
+/**
+ * Layout for template slides that do not name one: BLANK, or the layout with
+ * the fewest placeholders to delete
+ * @param {Array<Object>} layouts
+ * @returns {Object|null}
+ */
+function getDefaultTemplateLayout(layouts) {
+  const blank = layouts.find(layout => layout.name === 'BLANK');
+  if (blank) return blank;
+  const removable = layout => layout.placeholders
+    .filter(placeholder => TEMPLATE_KEPT_PLACEHOLDERS.indexOf(placeholder.type) === -1).length;
+  return layouts.reduce((best, layout) => (!best || removable(layout) < removable(best) ? layout : best), null);
+}
+
+// ============================================================================
+// PLACEHOLDERS
+// ============================================================================
+
+/**
+ * Layout placeholder a role fills
+ * @param {Object} layout
+ * @param {string} role - e.g. 'title', 'body2'
+ * @returns {Object|null} Placeholder, or null if the role is unknown or the layout has none
+ */
+function findRolePlaceholder(layout, role) {
+  const match = /^([a-z]+)(\d*)$/.exec(role);
+  const types = match ? TEMPLATE_PLACEHOLDER_ROLES[match[1]] : null;
+  if (!types) return null;
+  const position = match[2] ? parseInt(match[2], 10) - 1 : 0;
+  // Preferred types first, then layout order
+  const candidates = [];
+  types.forEach(type => {
+    layout.placeholders.forEach(placeholder => {
+      if (placeholder.type === type) candidates.push(placeholder);
+    });
+  });
+  return candidates[position] || null;
+}
+
+/**
+ * Placeholder value as an object
+ * @param {string|Array|Object} value - See the file overview
+ * @returns {Object} { text | items, ...style }
+ */
+function normalizePlaceholderContent(value) {
+  if (Array.isArray(value)) return { items: value };
+  if (!value || typeof value !== 'object') return { text: value };
+  return value;
+}
+
+/**
+ * Text a placeholder value writes, one line per item
+ * @param {Object} content - From normalizePlaceholderContent
+ * @returns {string}
+ */
+function getPlaceholderText(content) {
+  const lines = Array.isArray(content.items)
+    ? content.items.map(item => (item && typeof item === 'object' ? item.text : item))
+    : [content.text];
+  return lines.map(line => (line === undefined || line === null ? '' : String(line))).join('\n');
+}
+
+/**
+ * Requests that fill a placeholder on a slide with text
+ * @param {string|Array|Object} value - See the file overview
+ * @param {string} objectId - Placeholder shape on the slide
+ * @returns {Array} Requests
+ */
+function buildPlaceholderTextRequests(value, objectId) {
+  const content = normalizePlaceholderContent(value);
+  const text = getPlaceholderText(content);
+  if (!text) return [];
+
+  const requests = [{ insertText: { objectId: objectId, text: text, insertionIndex: 0 } }];
+
+  const style = {};
+  const fields = [];
+  if (content.fontSize) {
+    style.fontSize = { magnitude: content.fontSize * SCALE, unit: 'PT' };
+    fields.push('fontSize');
+  }
+  if (content.fontFamily) {
+    style.fontFamily = themeService.resolveThemeFont(content.fontFamily);
+    fields.push('fontFamily');
+  }
+  if (content.color) {
+    const rgb = themeService.hexToRgbApi(themeService.resolveThemeColor(content.color));
+    if (rgb) {
+      style.foregroundColor = { opaqueColor: { rgbColor: rgb } };
+      fields.push('foregroundColor');
+    }
+  }
+  ['bold', 'italic', 'underline'].forEach(key => {
+    if (typeof content[key] === 'boolean') {
+      style[key] = content[key];
+      fields.push(key);
+    }
+  });
+  if (fields.length > 0) {
+    requests.push({
+      updateTextStyle: { objectId: objectId, style: style, textRange: { type: 'ALL' }, fields: fields.join(',') }
+    });
+  }
+
+  if (content.align) {
+    requests.push({
+      updateParagraphStyle: {
+        objectId: objectId,
+        style: { alignment: ENUMS.ALIGNMENT_MAP[content.align] || 'START' },
+        textRange: { type: 'ALL' },
+        fields: 'alignment'
+      }
+    });
+  }
+  return requests;
+}
+
+// ============================================================================
+// SLIDES
+// ============================================================================
+
+/**
+ * Create a slide from a layout and fill its placeholders
+ * @param {Object} slide
+ * @param {string} slideId
+ * @param {number} slideIndex - Also the insertion index
+ * @param {Array<Object>} layouts - From summarizeTemplateLayouts or getPredefinedLayouts
+ * @returns {Array} createSlide, placeholder text and deleteObject requests
+ */
+function buildTemplateSlideRequests(slide, slideId, slideIndex, layouts) {
+  const slidePath = joinSchemaPath('slides', slideIndex);
+  let layout = null;
+  if (slide.layout) {
+    layout = findTemplateLayout(layouts, slide.layout);
+    if (!layout) {
+      generationReport.warning('LAYOUT_NOT_FOUND', joinSchemaPath(slidePath, 'layout'),
+        'No layout named "' + slide.layout + '" (available: ' +
+        layouts.map(l => l.displayName || l.name).join(', ') + '); using a blank layout',
+        { slideIndex: slideIndex, objectId: slideId });
+    }
+  }
+  layout = layout || getDefaultTemplateLayout(layouts);
+
+  // Without any layouts to choose from, this is a plain blank slide
+  const createSlide = { objectId: slideId, insertionIndex: slideIndex };
+  if (!layout) {
+    createSlide.slideLayoutReference = { predefinedLayout: 'BLANK' };
+    return [{ createSlide: createSlide }];
+  }
+  createSlide.slideLayoutReference = layout.objectId ? { layoutId: layout.objectId } : { predefinedLayout: layout.name };
+
+  // Every placeholder gets a known ID, so unfilled ones can be deleted
+  const placeholderIds = layout.placeholders.map((placeholder, i) => deriveObjectId(slideId, 'ph' + i));
+  createSlide.placeholderIdMappings = layout.placeholders.map((placeholder, i) => {
+    const mapping = { objectId: placeholderIds[i] };
+    if (placeholder.objectId) {
+      mapping.layoutPlaceholderObjectId = placeholder.objectId;
+    } else {
+      mapping.layoutPlaceholder = { type: placeholder.type, index: placeholder.index };
+    }
+    return mapping;
+  });
+
+  const requests = [{ createSlide: createSlide }];
+  const filled = {};
+  const placeholders = slide.placeholders || {};
+  Object.keys(placeholders).forEach(role => {
+    const value = placeholders[role];
+    if (value === undefined || value === null) return;
+    const placeholder = findRolePlaceholder(layout, role);
+    if (!placeholder) {
+      generationReport.warning('PLACEHOLDER_NOT_FOUND', joinSchemaPath(joinSchemaPath(slidePath, 'placeholders'), role),
+        'Layout "' + (layout.displayName || layout.name) + '" has no ' + role + ' placeholder; text not placed',
+        { slideIndex: slideIndex, objectId: slideId });
+      return;
+    }
+    const i = layout.placeholders.indexOf(placeholder);
+    filled[i] = true;
+    requests.push(...buildPlaceholderTextRequests(value, placeholderIds[i]));
+  });
+
+  layout.placeholders.forEach((placeholder, i) => {
+    if (!filled[i] && TEMPLATE_KEPT_PLACEHOLDERS.indexOf(placeholder.type) === -1) {
+      requests.push({ deleteObject: { objectId: placeholderIds[i] } });
+    }
+  });
+  return requests;
+}
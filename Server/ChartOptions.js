@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Chart element options <-> Sheets embedded chart options.
+ *
+ * Chart elements describe axes, series, data labels and legends with their
+ * own properties (see chartOptionProps in Schema.js). Phase 2 turns them into
+ * the option paths EmbeddedChartBuilder.setOption takes, and extraction reads
+ * the same paths back from the chart in its spreadsheet.
+ *
+ * Axes are named by direction: xAxis is the horizontal axis (hAxis) and yAxis
+ * the vertical one (vAxis), also for BAR charts.
+ */
+
+// ============================================================================
+// OPTION TABLES
+// ============================================================================
+
+/**
+ * Axis properties and their option paths under hAxis / vAxis
+ * @constant
+ */
+const CHART_AXIS_OPTIONS = {
+  title: 'title',
+  min: 'viewWindow.min',
+  max: 'viewWindow.max',
+  format: 'format',
+  gridlines: 'gridlines.count'
+};
+
+/**
+ * Chart axis properties and the option object they map to
+ * @constant
+ */
+const CHART_AXES = [['xAxis', 'hAxis'], ['yAxis', 'vAxis']];
+
+/**
+ * Series properties and their option paths under series.<index>
+ * @constant
+ */
+const CHART_SERIES_OPTIONS = {
+  type: 'type',
+  lineWidth: 'lineWidth',
+  pointSize: 'pointSize',
+  targetAxis: 'targetAxisIndex'
+};
+
+/**
+ * Sheets chart types by chart element type
+ * @constant
+ */
+const SHEETS_CHART_TYPES = ['BAR', 'COLUMN', 'LINE', 'AREA', 'PIE', 'SCATTER', 'COMBO'];
+
+/**
+ * Sheets legend positions and the legend value they read back as. Sheets also
+ * has 'in' (inside the plot area, at the top) and 'labeled' (pie slices
+ * labeled with lines), which have no legend value of their own; any other
+ * position is not read back.
+ * @constant
+ */
+const SHEETS_LEGEND_POSITIONS = {
+  top: 'top',
+  bottom: 'bottom',
+  left: 'left',
+  right: 'right',
+  none: 'none',
+  in: 'top',
+  labeled: 'right'
+};
+
+/**
+ * Number of data series in a chart element (data columns after the first)
+ * @param {Object} element
+ * @returns {number}
+ */
+function getChartSeriesCount(element) {
+  const header = Array.isArray(element.data) && element.data[0];
+  return Array.isArray(header) ? Math.max(0, header.length - 1) : 0;
+}
+
+// ============================================================================
+// ELEMENT -> SHEETS OPTIONS
+// ============================================================================
+
+/**
+ * Option paths and values for EmbeddedChartBuilder.setOption
+ * @param {Object} element - chart element
+ * @returns {Object} { 'hAxis.title': 'Quarter', 'series.0.color': '#3b82f6', ... }
+ */
+function buildSheetsChartOptions(element) {
+  const options = {};
+  const type = (element.chartType || 'COLUMN').toUpperCase();
+  const isPie = type === 'PIE' || type === 'DONUT';
+  const resolveColor = color => themeService.resolveThemeColor(color);
+
+  if (element.title) options.title = element.title;
+  if (element.colors) options.colors = element.colors.map(resolveColor);
+  if (element.isStacked) options.isStacked = 'absolute';
+  if (type === 'DONUT') options.pieHole = CONFIG.CHARTS.DONUT_HOLE;
+  if (type === 'COMBO') options.seriesType = 'bars';
+
+  CHART_AXES.forEach(([property, optionName]) => {
+    const axis = element[property] || {};
+    Object.keys(CHART_AXIS_OPTIONS).forEach(name => {
+      if (axis[name] === undefined || axis[name] === null) return;
+      let value = axis[name];
+      // true = automatic gridlines, false = none
+      if (name === 'gridlines' && typeof value === 'boolean') value = value ? -1 : 0;
+      options[optionName + '.' + CHART_AXIS_OPTIONS[name]] = value;
+    });
+  });
+
+  // numberFormat applies to the value axis unless that axis has its own format
+  const valueAxis = type === 'BAR' ? 'hAxis' : 'vAxis';
+  if (element.numberFormat && !isPie && options[valueAxis + '.format'] === undefined) {
+    options[valueAxis + '.format'] = element.numberFormat;
+  }
+
+  if (element.legend !== undefined && element.legend !== null) {
+    options['legend.position'] = element.legend === true ? 'right' : element.legend === false ? 'none' : element.legend;
+  }
+
+  if (isPie) {
+    if (element.dataLabels !== undefined && element.dataLabels !== null) {
+      options.pieSliceText = element.dataLabels === 'percent' ? 'percentage' : element.dataLabels ? 'value' : 'none';
+    }
+    return options;
+  }
+
+  const series = element.series || [];
+  for (let i = 0; i < Math.max(series.length, getChartSeriesCount(element)); i++) {
+    const spec = series[i] || {};
+    const prefix = 'series.' + i + '.';
+    if (spec.color) options[prefix + 'color'] = resolveColor(spec.color);
+    Object.keys(CHART_SERIES_OPTIONS).forEach(name => {
+      if (spec[name] !== undefined && spec[name] !== null) options[prefix + CHART_SERIES_OPTIONS[name]] = spec[name];
+    });
+    const labels = spec.dataLabels !== undefined ? spec.dataLabels : element.dataLabels;
+    if (labels !== undefined && labels !== null) options[prefix + 'dataLabel'] = labels ? 'value' : 'none';
+    if (spec.trendline) options['trendlines.' + i + '.type'] = spec.trendline;
+  }
+  return options;
+}
+
+// ============================================================================
+// SHEETS CHART -> ELEMENT OPTIONS
+// ============================================================================
+
+/**
+ * Read a chart's type, data and options back from its spreadsheet
+ * @param {string} spreadsheetId
+ * @param {number} chartId
+ * @returns {Object|null} { chartType, data, title, xAxis, yAxis, legend, series, dataLabels, isStacked }
+ *   with only the properties that are set, or null if the chart is not found
+ */
+function readSheetsChart(spreadsheetId, chartId) {
+  let chart = null;
+  SpreadsheetApp.openById(spreadsheetId).getSheets().some(sheet => {
+    chart = sheet.getCharts().find(c => c.getChartId() === chartId) || null;
+    return !!chart;
+  });
+  if (!chart) return null;
+
+  const chartOptions = chart.getOptions();
+  const read = path => {
+    try {
+      const value = chartOptions.get(path);
+      return value === null || value === '' ? undefined : value;
+    } catch (e) {
+      return undefined;
+    }
+  };
+  const result = {};
+
+  const ranges = chart.getRanges();
+  if (ranges.length > 0) result.data = ranges[0].getValues();
+
+  const sheetsType = String(chart.modify().getChartType());
+  if (SHEETS_CHART_TYPES.indexOf(sheetsType) !== -1) {
+    result.chartType = sheetsType === 'PIE' && read('pieHole') ? 'DONUT' : sheetsType;
+  }
+  const isPie = sheetsType === 'PIE';
+
+  if (read('title') !== undefined) result.title = read('title');
+  const stacked = read('isStacked');
+  if (stacked !== undefined && stacked !== false && stacked !== 'false' && stacked !== 'none') result.isStacked = true;
+
+  CHART_AXES.forEach(([property, optionName]) => {
+    const axis = {};
+    Object.keys(CHART_AXIS_OPTIONS).forEach(name => {
+      const value = read(optionName + '.' + CHART_AXIS_OPTIONS[name]);
+      if (value === undefined) return;
+      if (name === 'gridlines') {
+        // -1 (automatic) is the default
+        if (value !== -1) axis.gridlines = value === 0 ? false : value;
+      } else {
+        axis[name] = value;
+      }
+    });
+    if (Object.keys(axis).length > 0) result[property] = axis;
+  });
+
+  const legend = read('legend.position');
+  if (Object.prototype.hasOwnProperty.call(SHEETS_LEGEND_POSITIONS, legend)) result.legend = SHEETS_LEGEND_POSITIONS[legend];
+
+  if (isPie) {
+    const sliceText = read('pieSliceText');
+    if (sliceText !== undefined) result.dataLabels = sliceText === 'percentage' ? 'percent' : sliceText !== 'none';
+    return result;
+  }
+
+  const seriesCount = result.data && result.data[0] ? result.data[0].length - 1 : 0;
+  const series = [];
+  for (let i = 0; i < seriesCount; i++) {
+    const spec = {};
+    const prefix = 'series.' + i + '.';
+    if (read(prefix + 'color') !== undefined) spec.color = read(prefix + 'color');
+    Object.keys(CHART_SERIES_OPTIONS).forEach(name => {
+      const value = read(prefix + CHART_SERIES_OPTIONS[name]);
+      if (value !== undefined) spec[name] = value;
+    });
+    const label = read(prefix + 'dataLabel');
+    if (label !== undefined) spec.dataLabels = label !== 'none';
+    const trendline = read('trendlines.' + i + '.type');
+    if (trendline !== undefined) spec.trendline = trendline;
+    series.push(spec);
+  }
+  if (series.some(spec => Object.keys(spec).length > 0)) result.series = series;
+  return result;
+}
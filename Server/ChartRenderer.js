@@ -0,0 +1,649 @@
+/**
+ * @fileoverview Native chart rendering (chart elements with mode: 'native').
+ *
+ * Draws a chart from its inline `data` as ordinary Slides shapes, lines and
+ * text boxes, collected in one group that takes the chart's objectId. The
+ * result is fully editable and needs no spreadsheet.
+ *
+ * `data` has the same layout as for Sheets charts: a header row with the
+ * category label and the series names, then one row per category.
+ *
+ * Supported types: COLUMN, BAR, LINE, COMBO, PIE, DONUT (isStacked for bars).
+ * Series with type 'line' or 'area' are drawn as lines, and linear trendlines
+ * as dashed lines. Legends go at the top or the bottom. Other chart types,
+ * other trendlines and secondary axes fall back to the Sheets chart path.
+ *
+ * PIE and DONUT charts are approximated. The API cannot set shape adjustments,
+ * so the PIE shape cannot be cut to a slice's angle; each slice is instead a
+ * fan of thin triangles around the center (at most CONFIG.CHARTS.PIE_WEDGE_ANGLE
+ * degrees each, about 60 shapes for a full circle). Editing a slice means
+ * editing its triangles; use mode: 'sheets' for a pie that is one chart.
+ */
+
+// ============================================================================
+// DATA AND SCALES
+// ============================================================================
+
+/**
+ * Chart types the native renderer can draw
+ * @constant
+ */
+const NATIVE_CHART_TYPES = ['COLUMN', 'BAR', 'LINE', 'COMBO', 'PIE', 'DONUT'];
+
+/**
+ * Rendering mode of a chart element
+ * @param {Object} element
+ * @returns {string} native|sheets
+ */
+function getChartMode(element) {
+  return element.mode || CONFIG.CHARTS.DEFAULT_MODE;
+}
+
+/**
+ * Whether the native renderer can draw the chart's type and series options
+ * @param {Object} element
+ * @returns {boolean}
+ */
+function canRenderNatively(element) {
+  if (NATIVE_CHART_TYPES.indexOf((element.chartType || 'COLUMN').toUpperCase()) === -1) return false;
+  return (element.series || []).every(series => !series ||
+    ((!series.trendline || series.trendline === 'linear') && !series.targetAxis));
+}
+
+/**
+ * Split chart data into categories and series
+ * @param {Array<Array>} data - Header row, then one row per category
+ * @returns {Object|null} { categories, series: [{ name, values }] } - null when there is nothing to draw
+ */
+function parseNativeChartData(data) {
+  if (!Array.isArray(data) || data.length < 2 || !Array.isArray(data[0]) || data[0].length < 2) return null;
+
+  const header = data[0];
+  const rows = data.slice(1).filter(row => Array.isArray(row));
+  const series = header.slice(1).map((name, s) => ({
+    name: String(name),
+    values: rows.map(row => {
+      const value = parseFloat(row[s + 1]);
+      return isNaN(value) ? null : value;
+    })
+  }));
+  return { categories: rows.map(row => String(row[0])), series: series };
+}
+
+/**
+ * Round axis bounds out to a step of 1, 2, 2.5 or 5 times a power of ten
+ * @param {number} min
+ * @param {number} max
+ * @param {number} tickCount - Approximate number of intervals
+ * @returns {Object} { min, max, step }
+ */
+function getNiceScale(min, max, tickCount) {
+  if (min === max) {
+    if (max > 0) min = 0;
+    else if (min < 0) max = 0;
+    else max = 1;
+  }
+  const rough = (max - min) / tickCount;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const normalized = rough / magnitude;
+  const step = (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 2.5 ? 2.5 : normalized <= 5 ? 5 : 10) * magnitude;
+  return {
+    min: Math.floor(min / step) * step,
+    max: Math.ceil(max / step) * step,
+    step: step
+  };
+}
+
+// ============================================================================
+// RENDERER
+// ============================================================================
+
+/**
+ * Builds the parts of one native chart
+ */
+class NativeChartRenderer {
+  /**
+   * @param {Object} element - chart element
+   */
+  constructor(element) {
+    this.element = element;
+    this.id = element.objectId || generateObjectId();
+    this.parts = [];
+    this.counter = 0;
+    this.options = CONFIG.CHARTS;
+    this.type = (element.chartType || 'COLUMN').toUpperCase();
+  }
+
+  /**
+   * Next child objectId
+   * @param {string} kind
+   * @returns {string}
+   */
+  nextId(kind) {
+    return this.id + '_' + kind + (this.counter++);
+  }
+
+  /**
+   * Theme color for a series or pie slice
+   * @param {number} index
+   * @returns {string}
+   */
+  color(index) {
+    const series = this.element.series && this.element.series[index];
+    if (series && series.color) return series.color;
+    const colors = this.element.colors && this.element.colors.length > 0 ? this.element.colors : this.options.SERIES_COLORS;
+    return colors[index % colors.length];
+  }
+
+  /**
+   * Filled rectangle (bars, legend swatches)
+   */
+  rect(x, y, w, h, color) {
+    this.parts.push({ type: 'shape', shape: 'RECTANGLE', objectId: this.nextId('rect'), x: x, y: y, w: w, h: h, fillColor: color });
+  }
+
+  /**
+   * Straight line between two points (gridlines, line series)
+   */
+  line(x1, y1, x2, y2, color, weight, dashStyle) {
+    const line = { type: 'line', objectId: this.nextId('line'), x1: x1, y1: y1, x2: x2, y2: y2, color: color, weight: weight };
+    if (dashStyle) line.dashStyle = dashStyle;
+    this.parts.push(line);
+  }
+
+  /**
+   * Text box whose text is anchored at (x, y)
+   * @param {string} text
+   * @param {number} x - Left edge, center or right edge of the text, depending on align
+   * @param {number} y - Vertical center of the text
+   * @param {Object} style - { fontSize, color, align, bold, rotation }
+   */
+  label(text, x, y, style) {
+    const defaults = CONFIG.DEFAULTS;
+    const textStyle = { fontSize: style.fontSize, fontFamily: this.element.fontFamily, bold: !!style.bold };
+    // A little slack so the estimate never wraps a label
+    const w = Math.ceil(textMetrics.measureWidth(text, textStyle) * 1.1) + 2 + defaults.PADDING_LEFT + defaults.PADDING_RIGHT;
+    const h = Math.ceil(style.fontSize * textMetrics.getFontMetrics(this.element.fontFamily).lineHeight) +
+      defaults.PADDING_TOP + defaults.PADDING_BOTTOM;
+    const align = style.align || 'center';
+    const left = align === 'right' ? x - w + defaults.PADDING_RIGHT : align === 'left' ? x - defaults.PADDING_LEFT : x - w / 2;
+
+    this.parts.push({
+      type: 'text',
+      objectId: this.nextId('text'),
+      text: text,
+      x: left, y: y - h / 2, w: w, h: h,
+      fontSize: style.fontSize,
+      fontFamily: this.element.fontFamily,
+      bold: !!style.bold,
+      color: style.color || 'textLight',
+      align: align,
+      verticalAlign: 'middle',
+      autoFit: null
+    });
+    if (style.rotation) this.parts[this.parts.length - 1].rotation = style.rotation;
+  }
+
+  /**
+   * Options of the value axis (yAxis, or xAxis for BAR charts) or of the category axis
+   * @param {string} which - value|category
+   * @returns {Object}
+   */
+  getAxis(which) {
+    const horizontal = this.type === 'BAR';
+    const name = (which === 'value') === horizontal ? 'xAxis' : 'yAxis';
+    return this.element[name] || {};
+  }
+
+  /**
+   * Label of a data value, in the value axis format or the chart's numberFormat
+   * @param {number} value
+   * @returns {string}
+   */
+  formatValue(value) {
+    return formatNumber(value, this.getAxis('value').format || this.element.numberFormat);
+  }
+
+  /**
+   * Whether a series shows data labels (series.dataLabels, dataLabels or showValues)
+   * @param {number} index
+   * @returns {boolean}
+   */
+  showsLabels(index) {
+    const series = this.element.series && this.element.series[index];
+    if (series && series.dataLabels !== undefined && series.dataLabels !== null) return !!series.dataLabels;
+    const labels = this.element.dataLabels !== undefined && this.element.dataLabels !== null
+      ? this.element.dataLabels : this.element.showValues;
+    return !!labels;
+  }
+
+  /**
+   * Draw the chart
+   * @param {Object} data - from parseNativeChartData
+   * @returns {Object} group element
+   */
+  render(data) {
+    const el = this.element;
+    const box = { x: el.x || 0, y: el.y || 0, w: el.w || 400, h: el.h || 300 };
+    const type = this.type;
+    const isPie = type === 'PIE' || type === 'DONUT';
+    let top = box.y;
+    let bottom = box.y + box.h;
+
+    if (el.title) {
+      const titleHeight = this.options.TITLE_FONT_SIZE * 2;
+      this.label(el.title, box.x + box.w / 2, top + titleHeight / 2,
+        { fontSize: this.options.TITLE_FONT_SIZE, color: 'text', bold: true });
+      top += titleHeight;
+    }
+
+    const showLegend = el.legend !== undefined && el.legend !== null
+      ? el.legend !== false && el.legend !== 'none'
+      : (isPie || data.series.length > 1);
+    if (showLegend) {
+      const names = isPie ? data.categories : data.series.map(series => series.name);
+      if (el.legend === 'top') top += this.renderLegend(names, box, top);
+      else bottom -= this.renderLegend(names, box, bottom - this.getLegendHeight(names, box));
+    }
+
+    const area = { x: box.x, y: top, w: box.w, h: Math.max(0, bottom - top) };
+    if (isPie) {
+      this.renderPie(data, area, type === 'DONUT');
+    } else {
+      this.renderAxisChart(data, area);
+    }
+
+    return {
+      type: 'group',
+      objectId: this.id,
+      elements: this.parts.map(part => Object.assign(part, { _layoutPath: el._reportPath })),
+      _reportPath: el._reportPath
+    };
+  }
+
+  /**
+   * Legend items wrapped into rows that fit the chart width
+   * @param {Array<string>} names
+   * @param {Object} box
+   * @returns {Array<Array<Object>>} Rows of { name, color, width }
+   */
+  getLegendRows(names, box) {
+    const fontSize = this.options.LEGEND_FONT_SIZE;
+    const itemGap = fontSize;
+    const items = names.map((name, i) => ({
+      name: name,
+      color: this.color(i),
+      width: this.options.LEGEND_SWATCH + 4 +
+        textMetrics.measureWidth(name, { fontSize: fontSize, fontFamily: this.element.fontFamily }) * 1.1
+    }));
+
+    const rows = [[]];
+    let rowWidth = 0;
+    items.forEach(item => {
+      if (rows[rows.length - 1].length > 0 && rowWidth + itemGap + item.width > box.w) {
+        rows.push([]);
+        rowWidth = 0;
+      }
+      rowWidth += (rows[rows.length - 1].length > 0 ? itemGap : 0) + item.width;
+      rows[rows.length - 1].push(item);
+    });
+    return rows;
+  }
+
+  /**
+   * Height of the legend
+   * @param {Array<string>} names
+   * @param {Object} box
+   * @returns {number}
+   */
+  getLegendHeight(names, box) {
+    return this.getLegendRows(names, box).length * this.options.LEGEND_FONT_SIZE * 2;
+  }
+
+  /**
+   * Legend rows, centered in the chart box
+   * @param {Array<string>} names
+   * @param {Object} box
+   * @param {number} legendTop
+   * @returns {number} Height taken by the legend
+   */
+  renderLegend(names, box, legendTop) {
+    const fontSize = this.options.LEGEND_FONT_SIZE;
+    const swatch = this.options.LEGEND_SWATCH;
+    const itemGap = fontSize;
+    const rowHeight = fontSize * 2;
+    const rows = this.getLegendRows(names, box);
+
+    rows.forEach((row, r) => {
+      const width = row.reduce((sum, item) => sum + item.width, 0) + itemGap * (row.length - 1);
+      const centerY = legendTop + r * rowHeight + rowHeight / 2;
+      let x = box.x + (box.w - width) / 2;
+      row.forEach(item => {
+        this.rect(x, centerY - swatch / 2, swatch, swatch, item.color);
+        this.label(item.name, x + swatch + 4, centerY, { fontSize: fontSize, color: 'text', align: 'left' });
+        x += item.width + itemGap;
+      });
+    });
+    return rows.length * rowHeight;
+  }
+
+  /**
+   * How each series is drawn: all lines for LINE, series.type for COMBO, bars otherwise
+   * @param {Object} data
+   * @returns {Array<string>} 'bars' or 'line' per series
+   */
+  getSeriesKinds(data) {
+    return data.series.map((series, s) => {
+      if (this.type === 'LINE') return 'line';
+      const spec = this.type === 'COMBO' && this.element.series && this.element.series[s];
+      return spec && (spec.type === 'line' || spec.type === 'area') ? 'line' : 'bars';
+    });
+  }
+
+  /**
+   * Value range of the chart, stacked series summed per category
+   * @param {Object} data
+   * @param {Array<boolean>} stacked - Per series, whether it is stacked
+   * @returns {Object} { min, max }
+   */
+  getValueRange(data, stacked) {
+    let min = 0;
+    let max = 0;
+    data.categories.forEach((category, c) => {
+      let positive = 0;
+      let negative = 0;
+      data.series.forEach((series, s) => {
+        const value = series.values[c];
+        if (value === null) return;
+        if (stacked[s]) {
+          if (value >= 0) positive += value;
+          else negative += value;
+        } else {
+          max = Math.max(max, value);
+          min = Math.min(min, value);
+        }
+      });
+      max = Math.max(max, positive);
+      min = Math.min(min, negative);
+    });
+    return { min: min, max: max };
+  }
+
+  /**
+   * Value axis bounds: the nice scale of the data, or the axis min and max
+   * @param {Object} range - { min, max } of the data
+   * @returns {Object} { min, max, step, ticks }
+   */
+  getValueScale(range) {
+    const axis = this.getAxis('value');
+    const hasMin = typeof axis.min === 'number';
+    const hasMax = typeof axis.max === 'number';
+    // gridlines.count counts lines, the scale counts intervals
+    const tickCount = typeof axis.gridlines === 'number' && axis.gridlines > 1 ? axis.gridlines - 1 : this.options.TICK_COUNT;
+    const scale = getNiceScale(hasMin ? axis.min : range.min, hasMax ? axis.max : range.max, tickCount);
+    if (hasMin && hasMax && axis.max <= axis.min) {
+      Logger.log('WARN: chart ' + this.id + ' axis max is not above min, using the data range');
+    } else {
+      if (hasMin) scale.min = axis.min;
+      if (hasMax) scale.max = axis.max;
+    }
+
+    scale.ticks = [];
+    for (let value = Math.ceil(scale.min / scale.step - 1e-9) * scale.step; value <= scale.max + scale.step * 1e-9; value += scale.step) {
+      scale.ticks.push(parseFloat(value.toPrecision(12)));
+    }
+    return scale;
+  }
+
+  /**
+   * COLUMN, BAR, LINE and COMBO charts: axis titles, gridlines, axis labels and the data
+   * @param {Object} data
+   * @param {Object} area - Box left for the plot and its axis labels
+   */
+  renderAxisChart(data, area) {
+    const horizontal = this.type === 'BAR';
+    const kinds = this.getSeriesKinds(data);
+    const stacked = kinds.map(kind => !!this.element.isStacked && kind === 'bars');
+    const axisFont = this.options.AXIS_FONT_SIZE;
+    const scale = this.getValueScale(this.getValueRange(data, stacked));
+    const ticks = scale.ticks;
+
+    // Axis titles: yAxis along the left edge, xAxis under the axis labels
+    const xTitle = (this.element.xAxis || {}).title;
+    const yTitle = (this.element.yAxis || {}).title;
+    if (yTitle) {
+      this.label(yTitle, area.x + axisFont, area.y + area.h / 2, { fontSize: axisFont, color: 'text', rotation: -90 });
+      area = { x: area.x + axisFont * 2, y: area.y, w: Math.max(0, area.w - axisFont * 2), h: area.h };
+    }
+    if (xTitle) {
+      area = { x: area.x, y: area.y, w: area.w, h: Math.max(0, area.h - axisFont * 2) };
+      this.label(xTitle, area.x + area.w / 2, area.y + area.h + axisFont, { fontSize: axisFont, color: 'text' });
+    }
+
+    const measure = text => textMetrics.measureWidth(text, { fontSize: axisFont, fontFamily: this.element.fontFamily });
+    const sideLabels = horizontal ? data.categories : ticks.map(value => this.formatValue(value));
+    const sideWidth = Math.min(area.w * 0.3, Math.max(...sideLabels.map(measure)) * 1.1) + 6;
+    const plot = {
+      x: area.x + sideWidth,
+      y: area.y + axisFont,
+      w: Math.max(1, area.w - sideWidth - axisFont),
+      h: Math.max(1, area.h - axisFont * 3)
+    };
+    const plotBottom = plot.y + plot.h;
+    // Position of a value along the value axis, clamped to the axis
+    const valueAt = value => {
+      const ratio = (Math.max(scale.min, Math.min(value, scale.max)) - scale.min) / (scale.max - scale.min);
+      return horizontal ? plot.x + ratio * plot.w : plotBottom - ratio * plot.h;
+    };
+    const zero = valueAt(0);
+    const gridlines = this.getAxis('value').gridlines !== false;
+
+    // Gridlines and value labels; the zero line is kept without gridlines
+    ticks.forEach(value => {
+      const at = valueAt(value);
+      const color = value === 0 ? 'textLight' : this.options.GRID_COLOR;
+      if (horizontal) {
+        if (gridlines || value === 0) this.line(at, plot.y, at, plotBottom, color, value === 0 ? 1 : 0.75);
+        this.label(this.formatValue(value), at, plotBottom + axisFont, { fontSize: axisFont });
+      } else {
+        if (gridlines || value === 0) this.line(plot.x, at, plot.x + plot.w, at, color, value === 0 ? 1 : 0.75);
+        this.label(this.formatValue(value), plot.x - 6, at, { fontSize: axisFont, align: 'right' });
+      }
+    });
+
+    // Category labels
+    const band = (horizontal ? plot.h : plot.w) / data.categories.length;
+    data.categories.forEach((category, c) => {
+      const center = (horizontal ? plot.y : plot.x) + band * (c + 0.5);
+      if (horizontal) this.label(category, plot.x - 6, center, { fontSize: axisFont, align: 'right' });
+      else this.label(category, center, plotBottom + axisFont, { fontSize: axisFont });
+    });
+
+    const barSeries = kinds.map((kind, s) => kind === 'bars' ? s : -1).filter(s => s !== -1);
+    const lineSeries = kinds.map((kind, s) => kind === 'line' ? s : -1).filter(s => s !== -1);
+    if (barSeries.length > 0) this.renderBars(data, barSeries, plot, band, valueAt, zero, horizontal, stacked);
+    if (lineSeries.length > 0) this.renderLines(data, lineSeries, plot, band, valueAt);
+    this.renderTrendlines(data, plot, band, valueAt, horizontal);
+  }
+
+  /**
+   * Bars or columns, side by side or stacked
+   */
+  renderBars(data, barSeries, plot, band, valueAt, zero, horizontal, stacked) {
+    const isStacked = stacked[barSeries[0]];
+    const groupSize = band * (1 - this.options.CATEGORY_GAP);
+    const barSize = isStacked ? groupSize : groupSize / barSeries.length;
+    const labelFont = this.options.LABEL_FONT_SIZE;
+
+    data.categories.forEach((category, c) => {
+      const groupStart = (horizontal ? plot.y : plot.x) + band * c + (band - groupSize) / 2;
+      let positive = 0;
+      let negative = 0;
+
+      barSeries.forEach((s, b) => {
+        const value = data.series[s].values[c];
+        if (value === null || value === 0) return;
+        let from = 0;
+        if (isStacked) {
+          from = value >= 0 ? positive : negative;
+          if (value >= 0) positive += value;
+          else negative += value;
+        }
+        const start = valueAt(from);
+        const end = valueAt(from + value);
+        const offset = groupStart + (isStacked ? 0 : barSize * b);
+        const length = Math.abs(end - start);
+        if (length === 0) return;
+
+        if (horizontal) {
+          this.rect(Math.min(start, end), offset, length, barSize, this.color(s));
+        } else {
+          this.rect(offset, Math.min(start, end), barSize, length, this.color(s));
+        }
+
+        if (this.showsLabels(s)) {
+          const text = this.formatValue(value);
+          const middle = offset + barSize / 2;
+          if (isStacked) {
+            const inside = (start + end) / 2;
+            if (horizontal) this.label(text, inside, middle, { fontSize: labelFont, color: 'background' });
+            else this.label(text, middle, inside, { fontSize: labelFont, color: 'background' });
+          } else if (horizontal) {
+            this.label(text, value >= 0 ? end + 3 : end - 3, middle, { fontSize: labelFont, align: value >= 0 ? 'left' : 'right' });
+          } else {
+            this.label(text, middle, value >= 0 ? end - labelFont * 0.8 : end + labelFont * 0.8, { fontSize: labelFont });
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * One polyline per series, with point markers
+   */
+  renderLines(data, lineSeries, plot, band, valueAt) {
+    const labelFont = this.options.LABEL_FONT_SIZE;
+
+    lineSeries.forEach(s => {
+      const spec = (this.element.series && this.element.series[s]) || {};
+      const color = this.color(s);
+      const weight = typeof spec.lineWidth === 'number' ? spec.lineWidth : this.options.LINE_WEIGHT;
+      const marker = typeof spec.pointSize === 'number' ? spec.pointSize : this.options.MARKER_SIZE;
+      const points = data.series[s].values.map((value, c) => value === null ? null : { x: plot.x + band * (c + 0.5), y: valueAt(value), value: value });
+
+      if (weight > 0) {
+        points.forEach((point, c) => {
+          const next = points[c + 1];
+          if (point && next) this.line(point.x, point.y, next.x, next.y, color, weight);
+        });
+      }
+      points.forEach(point => {
+        if (!point) return;
+        if (marker > 0) {
+          this.parts.push({
+            type: 'shape', shape: 'ELLIPSE', objectId: this.nextId('dot'),
+            x: point.x - marker / 2, y: point.y - marker / 2, w: marker, h: marker, fillColor: color
+          });
+        }
+        if (this.showsLabels(s)) {
+          this.label(this.formatValue(point.value), point.x, point.y - labelFont, { fontSize: labelFont });
+        }
+      });
+    });
+  }
+
+  /**
+   * Least-squares line through each series with trendline: 'linear'
+   */
+  renderTrendlines(data, plot, band, valueAt, horizontal) {
+    (this.element.series || []).forEach((spec, s) => {
+      if (!spec || spec.trendline !== 'linear' || !data.series[s]) return;
+      const points = data.series[s].values.map((value, c) => ({ c: c, value: value })).filter(point => point.value !== null);
+      if (points.length < 2) return;
+
+      const n = points.length;
+      const meanC = points.reduce((sum, point) => sum + point.c, 0) / n;
+      const meanV = points.reduce((sum, point) => sum + point.value, 0) / n;
+      const covariance = points.reduce((sum, point) => sum + (point.c - meanC) * (point.value - meanV), 0);
+      const variance = points.reduce((sum, point) => sum + (point.c - meanC) * (point.c - meanC), 0);
+      const slope = covariance / variance;
+      const first = 0;
+      const last = data.categories.length - 1;
+      const at = c => (horizontal ? plot.y : plot.x) + band * (c + 0.5);
+      const startValue = valueAt(meanV + slope * (first - meanC));
+      const endValue = valueAt(meanV + slope * (last - meanC));
+
+      if (horizontal) this.line(startValue, at(first), endValue, at(last), this.color(s), 1.5, 'DASH');
+      else this.line(at(first), startValue, at(last), endValue, this.color(s), 1.5, 'DASH');
+    });
+  }
+
+  /**
+   * Pie or donut of the first series, each slice approximated by triangles
+   */
+  renderPie(data, area, donut) {
+    const values = data.series[0].values.map(value => value !== null && value > 0 ? value : 0);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (total === 0) return;
+
+    const radius = Math.max(1, Math.min(area.w, area.h) / 2 - 2);
+    const cx = area.x + area.w / 2;
+    const cy = area.y + area.h / 2;
+    const hole = donut ? this.options.DONUT_HOLE : 0;
+    // Percent labels unless dataLabels (or the older showValues) turns them off or asks for values
+    let labels = this.element.dataLabels;
+    if (labels === undefined || labels === null) labels = this.element.showValues === false ? false : 'percent';
+    let start = 0;
+
+    values.forEach((value, c) => {
+      if (value === 0) return;
+      const sweep = value / total * 360;
+      const count = Math.ceil(sweep / this.options.PIE_WEDGE_ANGLE);
+      const step = sweep / count;
+      // Triangles with the apex at the center; tan() makes their sides the slice's radii
+      const base = 2 * radius * Math.tan(step / 2 * Math.PI / 180);
+      for (let k = 0; k < count; k++) {
+        const angle = start + step * (k + 0.5);
+        const rad = angle * Math.PI / 180;
+        const centerX = cx + radius / 2 * Math.sin(rad);
+        const centerY = cy - radius / 2 * Math.cos(rad);
+        this.parts.push({
+          type: 'shape', shape: 'TRIANGLE', objectId: this.nextId('wedge'),
+          x: centerX - base / 2, y: centerY - radius / 2, w: base, h: radius,
+          rotation: angle - 180,
+          fillColor: this.color(c),
+          // Outline in the fill color hides the seams between triangles
+          borderColor: this.color(c), borderWidth: 0.5
+        });
+      }
+
+      if (labels && sweep >= this.options.PIE_LABEL_MIN_ANGLE) {
+        const rad = (start + sweep / 2) * Math.PI / 180;
+        const distance = donut ? radius * (1 + hole) / 2 : radius * 0.62;
+        const text = labels === 'percent' ? Math.round(value / total * 100) + '%' : this.formatValue(value);
+        this.label(text, cx + distance * Math.sin(rad), cy - distance * Math.cos(rad),
+          { fontSize: this.options.LABEL_FONT_SIZE, color: 'background', bold: true });
+      }
+      start += sweep;
+    });
+
+    if (donut) {
+      const d = radius * 2 * hole;
+      this.parts.push({
+        type: 'shape', shape: 'ELLIPSE', objectId: this.nextId('hole'),
+        x: cx - d / 2, y: cy - d / 2, w: d, h: d, fillColor: this.element.holeColor || 'background'
+      });
+    }
+  }
+}
+
+/**
+ * Render a chart element as a group of native shapes
+ * @param {Object} element - chart element
+ * @returns {Object|null} group element, or null when data has nothing to draw
+ */
+function renderNativeChart(element) {
+  const data = parseNativeChartData(element.data);
+  if (!data || data.categories.length === 0) return null;
+  return new NativeChartRenderer(element).render(data);
+}
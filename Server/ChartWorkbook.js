@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Shared data workbook for Sheets charts.
+ *
+ * Chart elements drawn through Sheets (not mode: 'native') need their data
+ * in a spreadsheet. All charts of one generation share one workbook with one
+ * sheet per chart. It is created on the first chart, in the folder from
+ * config.chartData.folderId or CONFIG.CHARTS.WORKBOOK.FOLDER_ID (the Drive
+ * root when neither is set).
+ *
+ * config.chartData.cleanup:
+ * - keep:  charts are inserted linked to the workbook, which is kept
+ * - trash: charts are inserted as images and the workbook is trashed afterwards
+ *
+ * The workbook IDs are returned as `spreadsheetIds` by generatePresentation.
+ */
+
+/**
+ * Chart workbook service
+ */
+class ChartWorkbookService {
+  constructor() {
+    // CONFIG is not loaded yet (files load in name order); configure() applies its defaults
+    this.state = { spreadsheetId: null, sheetCount: 0, trashed: false };
+    this.spreadsheet = null;
+  }
+
+  /**
+   * Forget the workbook of the previous generation and apply the defaults
+   */
+  reset() {
+    const defaults = CONFIG.CHARTS.WORKBOOK;
+    this.state = {
+      name: defaults.NAME_PREFIX + 'New Presentation',
+      folderId: defaults.FOLDER_ID,
+      cleanup: defaults.CLEANUP,
+      spreadsheetId: null,
+      sheetCount: 0,
+      trashed: false
+    };
+    this.spreadsheet = null;
+  }
+
+  /**
+   * Start a generation with the deck's chart data options
+   * @param {Object} [deckConfig] - json.config ({ title, chartData: { folderId, cleanup, name } })
+   */
+  configure(deckConfig) {
+    this.reset();
+    const config = deckConfig || {};
+    const chartData = config.chartData || {};
+    if (chartData.name) this.state.name = chartData.name;
+    else if (config.title) this.state.name = CONFIG.CHARTS.WORKBOOK.NAME_PREFIX + config.title;
+    if (chartData.folderId) this.state.folderId = chartData.folderId;
+    if (chartData.cleanup) this.state.cleanup = chartData.cleanup;
+  }
+
+  /**
+   * Whether charts should stay linked to the workbook
+   * @returns {boolean}
+   */
+  isLinked() {
+    return this.state.cleanup !== 'trash';
+  }
+
+  /**
+   * The workbook, created (and moved to its folder) on first use
+   * @returns {Spreadsheet}
+   */
+  getSpreadsheet() {
+    if (this.spreadsheet) return this.spreadsheet;
+
+    if (this.state.spreadsheetId) {
+      this.spreadsheet = SpreadsheetApp.openById(this.state.spreadsheetId);
+      return this.spreadsheet;
+    }
+
+    this.spreadsheet = SpreadsheetApp.create(this.state.name);
+    this.state.spreadsheetId = this.spreadsheet.getId();
+    Logger.log('Chart workbook created: ' + this.state.spreadsheetId);
+
+    if (this.state.folderId) {
+      try {
+        DriveApp.getFileById(this.state.spreadsheetId).moveTo(DriveApp.getFolderById(this.state.folderId));
+      } catch (e) {
+        Logger.log('Chart workbook left in the Drive root, folder ' + this.state.folderId + ' not usable: ' + e.message);
+      }
+    }
+    return this.spreadsheet;
+  }
+
+  /**
+   * Add a sheet holding one chart's data
+   * @param {Array<Array>} data - Header row, then one row per category
+   * @param {string} [sheetName] - Usually the chart's objectId
+   * @returns {Sheet}
+   */
+  addChartSheet(data, sheetName) {
+    const spreadsheet = this.getSpreadsheet();
+    this.state.sheetCount++;
+    let name = sheetName || ('Chart ' + this.state.sheetCount);
+    if (spreadsheet.getSheetByName(name)) name += ' ' + this.state.sheetCount;
+
+    // The new workbook's default sheet holds the first chart
+    const sheet = this.state.sheetCount === 1 && spreadsheet.getSheets().length === 1
+      ? spreadsheet.getSheets()[0].setName(name)
+      : spreadsheet.insertSheet(name);
+    if (data.length > 0) sheet.getRange(1, 1, data.length, data[0].length).setValues(data);
+    return sheet;
+  }
+
+  /**
+   * End of generation: trash the workbook if cleanup is 'trash'
+   */
+  finish() {
+    if (!this.state.spreadsheetId || this.isLinked() || this.state.trashed) return;
+    try {
+      DriveApp.getFileById(this.state.spreadsheetId).setTrashed(true);
+      this.state.trashed = true;
+      Logger.log('Chart workbook trashed: ' + this.state.spreadsheetId);
+    } catch (e) {
+      Logger.log('Chart workbook ' + this.state.spreadsheetId + ' not trashed: ' + e.message);
+    }
+  }
+
+  /**
+   * Spreadsheets created for this generation
+   * @returns {Array<string>}
+   */
+  getSpreadsheetIds() {
+    return this.state.spreadsheetId ? [this.state.spreadsheetId] : [];
+  }
+
+  /**
+   * Plain-object copy of the state (resumable jobs)
+   * @returns {Object}
+   */
+  toJSON() {
+    return Object.assign({}, this.state);
+  }
+
+  /**
+   * Continue with a toJSON() snapshot
+   * @param {Object} [snapshot]
+   */
+  restore(snapshot) {
+    this.reset();
+    Object.assign(this.state, snapshot || {});
+  }
+}
+
+const chartWorkbookService = new ChartWorkbookService();
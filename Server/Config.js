@@ -18,6 +18,135 @@ const CONFIG = {
     LINKED_CHARTS: true
   },
 
+  // Offline compilation (compile action) - no presentation is created
+  COMPILE: {
+    PLACEHOLDER_SLIDE_ID: 'compile_slide_0',
+    PLACEHOLDER_PRESENTATION_ID: 'compile_presentation'
+  },
+
+  // Batch (mail-merge) generation - one presentation per data row
+  BATCH: {
+    MAX_ROWS: 200,
+    // Stop starting new decks after this long so the 6 minute execution limit
+    // is not hit mid-deck; the response says where to resume (nextRow)
+    TIME_BUDGET_MS: 4.5 * 60 * 1000
+  },
+
+  // Resumable generation jobs (generate with async: true)
+  JOBS: {
+    // Work per run before handing over to a new trigger execution
+    TIME_BUDGET_MS: 4.5 * 60 * 1000,
+    RESUME_DELAY_MS: 60 * 1000,
+    // A Phase 2 slide that kills the execution this many times is skipped
+    MAX_SLICE_ATTEMPTS: 3,
+    RETENTION_DAYS: 7,
+    FILE_PREFIX: 'slides-engine-job-',
+    PROPERTY_PREFIX: 'JOB_',
+    // Generation report entries kept in the job status summary (script property size limit)
+    MAX_SUMMARY_REPORT_ENTRIES: 20
+  },
+
+  // Slides API batchUpdate retries (quota and transient errors only;
+  // invalid requests fail immediately)
+  RETRY: {
+    MAX_ATTEMPTS: 5,
+    INITIAL_DELAY_MS: 1000,
+    MAX_DELAY_MS: 32000,
+    BACKOFF_MULTIPLIER: 2,
+    // Random +/- fraction applied to each delay so parallel runs spread out
+    JITTER: 0.2
+  },
+
+  // Phase 1 requests are sent in chunks; element requests are never split
+  // across chunks unless a single element exceeds the limits
+  CHUNKING: {
+    MAX_REQUESTS: 500,
+    // Approximate JSON size of a chunk
+    MAX_PAYLOAD_BYTES: 1000000
+  },
+
+  // Markdown compiler (fromMarkdown) and exporter (exportMarkdown), in points
+  MARKDOWN: {
+    TITLE_FONT_SIZE: 32,
+    SUBTITLE_FONT_SIZE: 20,
+    HEADING_FONT_SIZE: 22,
+    BODY_FONT_SIZE: 18,
+    CODE_FONT_SIZE: 14,
+    MARGIN: 40,
+    // Vertical space between stacked blocks
+    GAP: 12,
+    LINE_HEIGHT: 1.2,
+    // Average glyph width as a fraction of the font size, used to estimate wrapping
+    CHAR_WIDTH: 0.5,
+    MONO_CHAR_WIDTH: 0.6,
+    TABLE_ROW_PADDING: 10,
+    // Export: elements whose tops are this close are read left to right
+    READING_ORDER_TOLERANCE: 10,
+    // Export: smallest font size a slide heading can have
+    EXPORT_HEADING_MIN_FONT_SIZE: 20
+  },
+
+  // Text auto-fit (element.autoFit / config.autoFit: shrink, grow or warn)
+  TEXT_FIT: {
+    // Mode for text without autoFit and no config.autoFit (null = off)
+    DEFAULT_MODE: null,
+    FONT_SIZE_STEP: 0.5,
+    // Horizontal space per bullet level, in points
+    BULLET_INDENT: 18
+  },
+
+  // Native charts (chart elements with mode: 'native', see ChartRenderer.js)
+  CHARTS: {
+    // Mode for charts without a mode: sheets (linked Sheets chart) or native
+    DEFAULT_MODE: 'sheets',
+    // Theme colors (or hex) used for series and pie slices in order
+    SERIES_COLORS: ['primary', 'secondary', 'accent', 'error', 'warning', 'textLight'],
+    TITLE_FONT_SIZE: 14,
+    AXIS_FONT_SIZE: 10,
+    LABEL_FONT_SIZE: 10,
+    LEGEND_FONT_SIZE: 10,
+    LEGEND_SWATCH: 8,
+    // Approximate number of value axis intervals
+    TICK_COUNT: 5,
+    // Fraction of each category band left empty between bar groups
+    CATEGORY_GAP: 0.3,
+    GRID_COLOR: '#e2e8f0',
+    LINE_WEIGHT: 2,
+    MARKER_SIZE: 6,
+    // Largest angle of one pie triangle, in degrees (native pies are fans of
+    // triangles; smaller angles look rounder but need more shapes)
+    PIE_WEDGE_ANGLE: 6,
+    // Slices narrower than this get no percentage label
+    PIE_LABEL_MIN_ANGLE: 18,
+    // Donut hole diameter as a fraction of the chart diameter
+    DONUT_HOLE: 0.5,
+    // Shared data workbook for Sheets charts (config.chartData, see ChartWorkbook.js)
+    WORKBOOK: {
+      NAME_PREFIX: 'Chart Data - ',
+      // Drive folder for new workbooks (null = Drive root)
+      FOLDER_ID: null,
+      // keep (linked charts) or trash (charts inserted as images)
+      CLEANUP: 'keep'
+    }
+  },
+
+  // Data-driven tables (table elements with columns and rows, see DataTable.js)
+  DATA_TABLE: {
+    // Share of the primary color in zebra stripes over the background
+    ZEBRA_TINT: 0.08,
+    // Low -> high fill colors of a heat map rule without its own colors
+    HEAT_MAP: ['background', 'primary'],
+    TOTAL_LABEL: 'Total',
+    DATE_MONTHS: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+  },
+
+  // Auto-layout containers (stack, row, grid) - defaults, in points
+  LAYOUT: {
+    GAP: 0,
+    PADDING: 0,
+    GRID_COLUMNS: 2
+  },
+
   // Canvas now uses raw points (same as Google Slides)
   CANVAS: {
     WIDTH: 720,
@@ -50,6 +179,7 @@ const CONFIG = {
     LINE_WEIGHT: 2,
     TABLE_HEADER_BG: '#f1f5f9', // Light gray, matches theme.surface variant
     TABLE_FONT_SIZE: 14,        // Slightly smaller than body text
+    GRADIENT_STEPS: 16,         // Bands per gradient fill (see Gradient.js)
     // Padding defaults (in points) for text boxes and shapes
     PADDING_TOP: 5.0,
     PADDING_BOTTOM: 5.0,
@@ -68,6 +198,14 @@ const CONFIG = {
     MAX_FONT_SIZE: 400
   },
 
+  // Tolerances when comparing deck elements against a live presentation
+  DIFF_TOLERANCES: {
+    POSITION: 1,      // points
+    ROTATION: 0.5,    // degrees
+    FONT_SIZE: 0.5,   // points
+    LINE_WEIGHT: 0.25 // points
+  },
+
   // Fake shadow presets (workaround for read-only shadow API)
   // Simple single-layer shadows - clean and modern
   // Properties: angle (degrees), distance, spread (size increase), opacity, color
@@ -45,11 +45,52 @@ function doPost(e) {
     let response = {};
 
     if (action === 'import') {
-      response = importPresentation(request.presentationId, request.rawMode);
+      response = importPresentation(request.presentationId, request.rawMode, request.format);
+    } else if (action === 'extractTheme') {
+      response = extractTheme(request.presentationId);
+    } else if (action === 'exportMarkdown') {
+      response = importPresentation(request.presentationId, request.rawMode, 'markdown');
     } else if (action === 'generate') {
       // support both json string and object
       const jsonString = typeof request.json === 'string' ? request.json : JSON.stringify(request.json);
-      response = generatePresentation(jsonString);
+      response = generatePresentation(jsonString, {
+        targetPresentationId: request.targetPresentationId,
+        data: request.data,
+        async: request.async
+      });
+    } else if (action === 'fromMarkdown') {
+      response = fromMarkdown(request.markdown, {
+        title: request.title,
+        theme: request.theme,
+        jsonOnly: request.jsonOnly,
+        targetPresentationId: request.targetPresentationId,
+        async: request.async
+      });
+    } else if (action === 'status') {
+      response = getGenerationJobStatus(request.jobId);
+    } else if (action === 'batchGenerate') {
+      const jsonString = typeof request.json === 'string' ? request.json : JSON.stringify(request.json);
+      response = batchGeneratePresentations(jsonString, {
+        csv: request.csv,
+        spreadsheetId: request.spreadsheetId,
+        range: request.range,
+        sheetName: request.sheetName
+      }, { data: request.data, startRow: request.startRow });
+    } else if (action === 'compile') {
+      const jsonString = typeof request.json === 'string' ? request.json : JSON.stringify(request.json);
+      response = compilePresentation(jsonString, request.data);
+    } else if (action === 'validate') {
+      const jsonString = typeof request.json === 'string' ? request.json : JSON.stringify(request.json);
+      response = validatePresentation(jsonString, request.data);
+    } else if (action === 'verify') {
+      if (request.json) {
+        const jsonString = typeof request.json === 'string' ? request.json : JSON.stringify(request.json);
+        response = verifyGeneratedPresentation(jsonString, request.presentationId, request.tolerances);
+      } else {
+        response = verifyRoundTrip(request.presentationId, request.rawMode, request.tolerances);
+      }
+    } else if (action === 'schema') {
+      response = { status: 'success', schemaVersion: DECK_SCHEMA_VERSION, schema: getDeckSchema() };
     } else {
       response = { status: 'error', message: 'Unknown action' };
     }
@@ -79,53 +120,123 @@ function include(filename) {
 // SERVER SIDE API
 // ============================================================================
 
+/**
+ * Parse deck JSON and, when data is given, run the template stage on it
+ * @param {string} jsonString
+ * @param {Object} [data] - Template data (see Templating.js)
+ * @returns {Object} Deck JSON
+ */
+function parseDeck(jsonString, data) {
+  const json = JSON.parse(jsonString);
+  return (data !== undefined && data !== null) ? applyTemplate(json, data) : json;
+}
+
 /**
  * Generate Presentation from JSON
  * @param {string} jsonString
- * @returns {Object} result
+ * @param {Object} [options] - { targetPresentationId } to update an existing deck in place,
+ *   { data } to fill a deck template, { async: true } to run as a resumable job
+ *   (returns a jobId to poll with getGenerationJobStatus; not used for in-place updates)
+ * @returns {Object} result, with `retries` ({ retries, quota, transient }) from slidesApi.batchUpdate,
+ *   `report` ({ complete, errors, warnings, entries }, see GenerationReport.js)
+ *   and `spreadsheetIds` (chart data workbooks, see ChartWorkbook.js)
  */
-function generatePresentation(jsonString) {
+function generatePresentation(jsonString, options) {
+  options = options || {};
+  slidesApi.resetRetryStats();
+  generationReport.reset();
   try {
     if (!jsonString) {
       throw new Error('No JSON data provided. If running manually, this is expected. Please use the Web App.');
     }
-    const json = JSON.parse(jsonString);
+    const json = parseDeck(jsonString, options.data);
 
     // 1. Validation
-    validateJSON(json);
+    const validation = validateJSON(json);
 
     // 2. Theme Setup
     themeService.setTheme(json.config ? json.config.theme : null);
 
-    // 3. Create Presentation
-    const title = (json.config && json.config.title) || 'New Presentation';
-    const presentationId = slidesApi.createPresentation(title);
-
-    // 4. Build Requests (Phase 1)
-    // We need to get the first slide ID. Since we just created it, it has one slide.
-    // We can get it via SlidesApp or just assume we insert others. 
-    // To allow modifying the first slide, we need its ID.
-    const presentation = SlidesApp.openById(presentationId);
-    const firstSlide = presentation.getSlides()[0];
-    const firstSlideId = firstSlide.getObjectId();
-
-    // Clean up first slide artifacts (remove default placeholders)
-    // We remove all default elements (Title/Subtitle placeholders) to make it clean.
-    firstSlide.getPageElements().forEach(element => element.remove());
+    const targetPresentationId = options.targetPresentationId ||
+      (json.config && json.config.targetPresentationId);
+    if (targetPresentationId) {
+      return updatePresentationInPlace(json, targetPresentationId, validation);
+    }
 
-    // CRITICAL: Save and close to flush changes and release the file lock.
-    // This allows the subsequent API batchUpdate to work on a fresh state
-    // and prevents caching issues in Phase 2.
-    presentation.saveAndClose();
+    // 3. Create Presentation (a copy of config.templatePresentationId, see BrandTemplate.js)
+    const config = json.config || {};
+    const title = config.title || 'New Presentation';
+    const buildOptions = {};
+    let presentationId;
+    let firstSlideId = null;
+
+    if (config.templatePresentationId) {
+      const template = slidesApi.copyTemplatePresentation(config.templatePresentationId, title);
+      presentationId = template.presentationId;
+      buildOptions.layouts = template.layouts;
+      if (!config.keepTemplateSlides) {
+        buildOptions.removeSlideIds = template.slideIds;
+      }
+      slidesApi.applyMasterTheme(presentationId, config.theme);
+    } else {
+      presentationId = slidesApi.createPresentation(title);
+      slidesApi.applyMasterTheme(presentationId, config.theme);
+
+      // 4. Build Requests (Phase 1)
+      // We need to get the first slide ID. Since we just created it, it has one slide.
+      // We can get it via SlidesApp or just assume we insert others. 
+      // To allow modifying the first slide, we need its ID.
+      const presentation = SlidesApp.openById(presentationId);
+      const firstSlide = presentation.getSlides()[0];
+      firstSlideId = firstSlide.getObjectId();
+
+      // Clean up first slide artifacts (remove default placeholders)
+      // We remove all default elements (Title/Subtitle placeholders) to make it clean.
+      firstSlide.getPageElements().forEach(element => element.remove());
+
+      // CRITICAL: Save and close to flush changes and release the file lock.
+      // This allows the subsequent API batchUpdate to work on a fresh state
+      // and prevents caching issues in Phase 2.
+      presentation.saveAndClose();
+
+      if (json.slides.some(usesTemplateLayout)) {
+        buildOptions.layouts = slidesApi.getLayouts(presentationId);
+      }
+    }
 
     // Phase 2 queue reset
     phase2Service.reset();
 
-    const buildResult = buildAllRequests(json, firstSlideId, presentationId);
+    const buildResult = buildAllRequests(json, firstSlideId, presentationId, buildOptions);
+
+    if (options.async) {
+      const job = jobService.create({
+        presentationId: presentationId,
+        slideCount: json.slides.length,
+        theme: json.config ? json.config.theme : null,
+        requests: buildResult.requests,
+        requestOrigins: buildResult.requestOrigins,
+        connectionRequests: buildResult.connectionRequests || [],
+        phase2: phase2Service.toJSON(),
+        chartWorkbook: chartWorkbookService.toJSON(),
+        report: generationReport.toJSON()
+      });
+      return {
+        status: 'success',
+        async: true,
+        jobId: job.jobId,
+        jobStatus: job.status,
+        presentationId: presentationId,
+        url: job.url,
+        slideCount: json.slides.length,
+        warnings: validation.warnings,
+        report: generationReport.toJSON()
+      };
+    }
 
     // 5. Execute Phase 1 (Batch Update) with Retry Logic
     if (buildResult.requests.length > 0) {
-      executeBatchWithRetryV2(presentationId, buildResult.requests);
+      executeBatchWithRetryV2(presentationId, buildResult.requests, buildResult.requestOrigins);
     }
 
     // 5.5. Execute Phase 1.5 (Connections)
@@ -139,16 +250,162 @@ function generatePresentation(jsonString) {
     // 6. Execute Phase 2 (Charts, Shadows, etc via SlidesApp)
     // Pass slide count for robust synchronization
     slidesApi.executePhase2(presentationId, json.slides.length);
+    chartWorkbookService.finish();
 
     return {
       status: 'success',
       presentationId: presentationId,
       url: 'https://docs.google.com/presentation/d/' + presentationId + '/edit',
-      slideCount: json.slides.length
+      slideCount: json.slides.length,
+      spreadsheetIds: chartWorkbookService.getSpreadsheetIds(),
+      warnings: validation.warnings,
+      retries: slidesApi.getRetryStats(),
+      report: generationReport.toJSON()
     };
 
   } catch (e) {
     Logger.log('ERROR: ' + e.message + '\n' + e.stack);
+    return {
+      status: 'error',
+      message: e.message,
+      errors: e.validationErrors,
+      retries: slidesApi.getRetryStats(),
+      report: generationReport.toJSON()
+    };
+  }
+}
+
+/**
+ * Get progress of a resumable generation job
+ * @param {string} jobId
+ * @returns {Object} { status, job: { jobId, status, stage, progress, presentationId, url, spreadsheetIds, report, message } }
+ */
+function getGenerationJobStatus(jobId) {
+  try {
+    if (!jobId) {
+      throw new Error('No jobId provided');
+    }
+    const summary = jobService.getSummary(jobId);
+    if (!summary) {
+      throw new Error('Unknown job: ' + jobId);
+    }
+    delete summary.fileId;
+    return { status: 'success', job: summary };
+  } catch (e) {
+    return {
+      status: 'error',
+      message: e.message
+    };
+  }
+}
+
+/**
+ * Update an existing presentation so it matches the JSON (see Reconciler.js).
+ * Untouched elements keep their object IDs, comments and revision history.
+ * @param {Object} json - Validated deck
+ * @param {string} presentationId - Presentation to update
+ * @param {Object} validation - Result of validateJSON
+ * @returns {Object} result
+ */
+function updatePresentationInPlace(json, presentationId, validation) {
+  phase2Service.reset();
+  slidesApi.applyMasterTheme(presentationId, json.config && json.config.theme);
+
+  const reconcileResult = reconcilePresentation(json, presentationId);
+
+  if (reconcileResult.requests.length > 0) {
+    executeBatchWithRetryV2(presentationId, reconcileResult.requests);
+  }
+
+  if (reconcileResult.connectionRequests.length > 0) {
+    Logger.log('Executing Phase 1.5: ' + reconcileResult.connectionRequests.length + ' connections');
+    slidesApi.batchUpdate(presentationId, reconcileResult.connectionRequests);
+  }
+
+  slidesApi.executePhase2(presentationId, json.slides.length);
+  chartWorkbookService.finish();
+
+  return {
+    status: 'success',
+    presentationId: presentationId,
+    url: 'https://docs.google.com/presentation/d/' + presentationId + '/edit',
+    slideCount: json.slides.length,
+    spreadsheetIds: chartWorkbookService.getSpreadsheetIds(),
+    updated: true,
+    summary: reconcileResult.summary,
+    warnings: validation.warnings,
+    retries: slidesApi.getRetryStats(),
+    report: generationReport.toJSON()
+  };
+}
+
+/**
+ * Compile a deck to Slides API requests without creating a presentation.
+ * Runs validation, theme resolution and buildAllRequests against a
+ * placeholder slide ID, with sequential object IDs so output can be diffed.
+ * @param {string} jsonString
+ * @param {Object} [data] - Template data
+ * @returns {Object} { status, requests, connectionRequests, phase2, ... }
+ */
+function compilePresentation(jsonString, data) {
+  try {
+    if (!jsonString) {
+      throw new Error('No JSON data provided');
+    }
+    const json = parseDeck(jsonString, data);
+    const validation = validateJSON(json);
+
+    themeService.setTheme(json.config ? json.config.theme : null);
+    phase2Service.reset();
+    setDeterministicObjectIds(true);
+
+    const buildResult = buildAllRequests(
+      json,
+      CONFIG.COMPILE.PLACEHOLDER_SLIDE_ID,
+      CONFIG.COMPILE.PLACEHOLDER_PRESENTATION_ID,
+      { offline: true }
+    );
+
+    return {
+      status: 'success',
+      schemaVersion: validation.schemaVersion,
+      placeholderSlideId: CONFIG.COMPILE.PLACEHOLDER_SLIDE_ID,
+      slideCount: json.slides.length,
+      requests: buildResult.requests,
+      connectionRequests: buildResult.connectionRequests || [],
+      phase2: phase2Service.toJSON(),
+      warnings: validation.warnings
+    };
+  } catch (e) {
+    Logger.log('Compile error: ' + e.message + '\n' + e.stack);
+    return {
+      status: 'error',
+      message: e.message,
+      errors: e.validationErrors
+    };
+  } finally {
+    setDeterministicObjectIds(false);
+  }
+}
+
+/**
+ * Validate a deck against the deck schema without generating anything
+ * @param {string} jsonString
+ * @param {Object} [data] - Template data
+ * @returns {Object} { status, valid, schemaVersion, errors, warnings }
+ */
+function validatePresentation(jsonString, data) {
+  try {
+    const json = parseDeck(jsonString, data);
+    const result = validateDeck(json);
+    return {
+      status: 'success',
+      valid: result.valid,
+      schemaVersion: result.schemaVersion,
+      errors: result.errors,
+      warnings: result.warnings
+    };
+  } catch (e) {
     return {
       status: 'error',
       message: e.message
@@ -172,11 +429,20 @@ function getTemplate(id) {
  * Import a presentation ID to JSON
  * @param {string} presentationId
  * @param {boolean} rawMode - If true, skip master/theme inheritance and copy exact styles
+ * @param {string} [format] - 'markdown' to return a Markdown outline (see MarkdownExporter.js)
+ *   instead of the deck JSON
+ * @returns {Object} { status, json } or { status, markdown }
  */
-function importPresentation(presentationId, rawMode) {
+function importPresentation(presentationId, rawMode, format) {
   try {
     const options = { rawMode: rawMode || false };
     const json = extractPresentationAdvanced(presentationId, options);
+    if (format === 'markdown') {
+      return {
+        status: 'success',
+        markdown: exportMarkdown(json)
+      };
+    }
     return {
       status: 'success',
       json: JSON.stringify(json, null, 2)
@@ -190,6 +456,30 @@ function importPresentation(presentationId, rawMode) {
   }
 }
 
+/**
+ * Extract a presentation's theme (colors, fonts, placeholder text styles and
+ * layout geometry) as a file other decks can use as config.theme
+ * @param {string} presentationId - ID or URL
+ * @returns {Object} { status, theme }
+ */
+function extractTheme(presentationId) {
+  try {
+    if (!presentationId) {
+      throw new Error('No presentationId provided');
+    }
+    return {
+      status: 'success',
+      theme: extractThemeAdvanced(presentationId)
+    };
+  } catch (e) {
+    Logger.log('Theme extraction error: ' + e.message + '\n' + e.stack);
+    return {
+      status: 'error',
+      message: e.message
+    };
+  }
+}
+
 /**
  * Test Import for Debugging
  */
@@ -219,70 +509,111 @@ function testImport() {
 }
 
 /**
- * Execute batch requests with retry logic for failing images
+ * Execute Phase 1 requests in dependency-safe chunks (see chunkRequests),
+ * each with its own retries. Images the API cannot fetch are deferred to
+ * Phase 2 and the requests that use them are dropped; any other error is
+ * rethrown naming the slides/elements of the failing chunk.
+ * @param {string} presentationId
+ * @param {Array} requests
+ * @param {Array} [origins] - requestOrigins from buildAllRequests
  */
-function executeBatchWithRetryV2(presentationId, requests) {
-  let attempts = 0;
-  const maxAttempts = 5;
+function executeBatchWithRetryV2(presentationId, requests, origins) {
+  if (requests.length === 0) return;
 
-  while (attempts < maxAttempts) {
+  const chunks = chunkRequests(requests, origins);
+  const droppedIds = {};
+  if (chunks.length > 1) {
+    Logger.log('Executing ' + requests.length + ' requests in ' + chunks.length + ' chunks');
+  }
+
+  chunks.forEach((chunk, i) => executeRequestChunk(presentationId, chunk, i, chunks.length, droppedIds));
+}
+
+/**
+ * Execute one chunk from chunkRequests, naming it in the error if it fails
+ * @param {string} presentationId
+ * @param {Object} chunk - { start, end, requests, origins }
+ * @param {number} index - Index of the chunk
+ * @param {number} count - Number of chunks
+ * @param {Object} droppedIds - IDs of objects that will not be created, extended in place
+ */
+function executeRequestChunk(presentationId, chunk, index, count, droppedIds) {
+  // Requests that use images deferred in earlier chunks
+  dropDependentRequests(chunk.requests, chunk.origins, droppedIds);
+  try {
+    executeChunkWithRetry(presentationId, chunk.requests, chunk.origins, droppedIds);
+  } catch (e) {
+    const error = new Error('Batch ' + describeRequestChunk(chunk, index, count) + ' failed: ' + e.message);
+    error.chunk = { index: index, count: count, start: chunk.start, origins: chunk.origins };
+    throw error;
+  }
+}
+
+/**
+ * Send one chunk, deferring failing image requests to Phase 2 until it succeeds
+ * @param {string} presentationId
+ * @param {Array} requests - Modified in place
+ * @param {Array|null} origins - Parallel to requests, modified in place
+ * @param {Object} droppedIds - IDs of objects that will not be created, extended in place
+ */
+function executeChunkWithRetry(presentationId, requests, origins, droppedIds) {
+  // Every retry removes a request, so this ends
+  while (requests.length > 0) {
     try {
-      if (requests.length === 0) break;
       slidesApi.batchUpdate(presentationId, requests);
-      break;
+      return;
     } catch (e) {
-      attempts++;
-      Logger.log('DEBUG_RETRY: Catch block entered. Attempts: ' + attempts);
       Logger.log('DEBUG_RETRY: Error Message: ' + e.message);
 
       // Try multiple matches. Sometimes error message is prefixed.
       const match = e.message.match(/Invalid requests\[(\d+)\]/);
+      if (!match) {
+        Logger.log('DEBUG_RETRY: No Regex Match for Invalid requests.');
+        throw e; // Non-indexable error
+      }
 
-      if (match) {
-        const index = parseInt(match[1], 10);
-        Logger.log('DEBUG_RETRY: Matched Index: ' + index);
-
-        if (index >= requests.length) {
-          Logger.log('DEBUG_RETRY: Index OOB. Len: ' + requests.length);
-          throw e; // Can't recover
-        }
-
-        const failReq = requests[index];
-        // Safely log keys
-        try { Logger.log('DEBUG_RETRY: FailReq Keys: ' + JSON.stringify(Object.keys(failReq))); } catch (ex) { }
+      const index = parseInt(match[1], 10);
+      if (index >= requests.length) {
+        Logger.log('DEBUG_RETRY: Index OOB. Len: ' + requests.length);
+        throw e; // Can't recover
+      }
 
-        // If it's an image creation error, defer it to Phase 2
-        if (failReq && (failReq.createImage || failReq.replaceImage)) { // Handle replaceImage too just in case
-          Logger.log(`API Error on Request #${index} (Image). Deferring to Phase 2 fallback.`);
-
-          // Add to deferred queue
-          // We need pageObjectId to know where to put it. 
-          // For replaceImage, we need logic. For createImage, we have elementProperties.pageObjectId.
-
-          if (failReq.createImage) {
-            const pageId = failReq.createImage.elementProperties.pageObjectId;
-            phase2Service.addDeferredImage(pageId, failReq.createImage);
-          } else {
-            // replaceImage doesn't create a new image, it replaces an existing one.
-            // We can't really "defer" it easily as insertImage creates NEW image.
-            // Just Log and Skip for now to avoid crash.
-            Logger.log('Skipping failed ReplaceImage request.');
-          }
+      const failReq = requests[index];
+      // If it's an image creation error, defer it to Phase 2
+      if (!failReq || !(failReq.createImage || failReq.replaceImage)) {
+        Logger.log(`API Error on Request #${index} (NOT Image). Logic: ${JSON.stringify(failReq)}`);
+        throw e;
+      }
 
-          // Remove the bad request and continue (retry loop will submit the rest)
-          requests.splice(index, 1);
-          continue;
-        } else {
-          Logger.log(`API Error on Request #${index} (NOT Image). Logic: ${JSON.stringify(failReq)}`);
-          throw e;
-        }
+      Logger.log(`API Error on Request #${index} (Image). Deferring to Phase 2 fallback.`);
+      const origin = origins ? origins[index] : null;
+      const details = { slideIndex: origin ? origin.slideIndex : null };
+      if (failReq.createImage) {
+        const path = origin ? origin.path : null;
+        phase2Service.addDeferredImage(details.slideIndex, failReq.createImage, path);
+        // Phase 2 inserts the image under a new ID, so requests using this one are dropped
+        droppedIds[failReq.createImage.objectId] = true;
+        details.objectId = failReq.createImage.objectId;
+        generationReport.warning('IMAGE_DEFERRED', path,
+          'The Slides API could not fetch ' + failReq.createImage.url + '; inserting it with SlidesApp (crop and properties are not kept)',
+          details);
       } else {
-        Logger.log('DEBUG_RETRY: No Regex Match for Invalid requests.');
+        // replaceImage doesn't create a new image, it replaces an existing one.
+        // We can't really "defer" it easily as insertImage creates NEW image.
+        // Just Log and Skip for now to avoid crash.
+        details.objectId = failReq.replaceImage.imageObjectId;
+        generationReport.error('REPLACE_IMAGE_DROPPED', origin ? origin.path : null,
+          'replaceImage skipped: ' + e.message, details);
       }
-      throw e; // Non-indexable error
+
+      // Remove the bad request and retry the rest of the chunk
+      requests.splice(index, 1);
+      if (origins) origins.splice(index, 1);
+      dropDependentRequests(requests, origins, droppedIds);
     }
   }
 }
+
 function executeBatchWithRetry(presentationId, requests) {
   let attempts = 0;
   const maxAttempts = 5; // Avoid infinite loops if multiple images fail
@@ -303,12 +634,8 @@ function executeBatchWithRetry(presentationId, requests) {
         if (failReq && failReq.createImage) {
           Logger.log(`API Error on Request #${index}. Deferring Image to Phase 2.`);
 
-          // Add to deferred queue
-          // We need pageObjectId to know where to put it. 
-          const pageId = failReq.createImage.elementProperties.pageObjectId;
-
-          // Capture the spec for Phase 2
-          phase2Service.addDeferredImage(pageId, failReq.createImage);
+          // Capture the spec for Phase 2 (it names its slide in elementProperties)
+          phase2Service.addDeferredImage(null, failReq.createImage);
 
           // Remove the bad request and continue (retry loop will submit the rest)
           requests.splice(index, 1);
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Data-driven tables.
+ *
+ * A table element with `columns` and `rows` instead of `data` is turned into
+ * a plain table (cell objects in `data`) before buildTableRequests runs:
+ *
+ *   { "type": "table", "x": 40, "y": 100, "w": 600, "h": 200,
+ *     "columns": [
+ *       { "key": "region", "header": "Region", "width": 160 },
+ *       { "key": "revenue", "header": "Revenue", "format": "currency", "align": "right" },
+ *       { "key": "growth", "header": "Growth", "format": "percent", "align": "right" }
+ *     ],
+ *     "rows": [ { "region": "North", "revenue": 125000, "growth": 0.12 } ],
+ *     "rules": [
+ *       { "column": "growth", "if": "value < 0", "color": "error", "bold": true },
+ *       { "column": "revenue", "heatMap": ["background", "success"] }
+ *     ],
+ *     "zebra": true,
+ *     "totalRow": true }
+ *
+ * - format: currency, percent, thousands, decimal, short, date, or a number
+ *   pattern like '$#,##0.00' (see formatNumber). Without one, values are shown as is.
+ * - rules apply in order to the body cells of `column` (every column when
+ *   omitted). `if` is a template condition (see Templating.js) with `value`,
+ *   `row` and `$index` in scope; a rule without `if` always applies.
+ *   `heatMap` fills cells between two or three colors, low to high.
+ * - zebra: true (a tint of the primary color), a color, or [even, odd] colors
+ * - totalRow: true or { label, color, fillColor }. Numeric columns are summed
+ *   unless the column sets total: avg|min|max|count|none (percent and date
+ *   columns default to none).
+ *
+ * Colors are theme names or hex, resolved through ThemeService.
+ */
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+/**
+ * @param {Object} element
+ * @returns {boolean} Whether a table element is data-driven
+ */
+function isDataTable(element) {
+  return element.type === 'table' && Array.isArray(element.columns);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTableNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Format a date as "Jan 5, 2026" (dates without a time zone are read as UTC)
+ * @param {string|number|Date} value
+ * @returns {string}
+ */
+function formatTableDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  return CONFIG.DATA_TABLE.DATE_MONTHS[date.getUTCMonth()] + ' ' + date.getUTCDate() + ', ' + date.getUTCFullYear();
+}
+
+/**
+ * Cell text of a value in a column format
+ * @param {*} value
+ * @param {string} [format]
+ * @returns {string}
+ */
+function formatTableValue(value, format) {
+  if (value === null || value === undefined) return '';
+  if (!format) return String(value);
+  if (format === 'date') return formatTableDate(value);
+
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!isTableNumber(number)) return String(value);
+  return formatNumber(number, format === 'thousands' ? '#,##0' : format);
+}
+
+/**
+ * Total of a column
+ * @param {Array<*>} values - The column's body values
+ * @param {string} kind - sum|avg|min|max|count
+ * @returns {number|null}
+ */
+function getTableColumnTotal(values, kind) {
+  const numbers = values.filter(isTableNumber);
+  if (kind === 'count') return values.filter(value => value !== null && value !== undefined && value !== '').length;
+  if (numbers.length === 0) return null;
+  switch (kind) {
+    case 'avg': return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+    case 'min': return Math.min(...numbers);
+    case 'max': return Math.max(...numbers);
+    default: return numbers.reduce((sum, value) => sum + value, 0);
+  }
+}
+
+/**
+ * How a column is totaled when the column does not say
+ * @param {Object} column
+ * @param {Array<*>} values
+ * @returns {string} sum|none
+ */
+function getDefaultTableTotal(column, values) {
+  if (column.format === 'percent' || column.format === 'date') return 'none';
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 && present.every(isTableNumber) ? 'sum' : 'none';
+}
+
+/**
+ * Fill color of a heat map cell
+ * @param {Array<string>} colors - Two or three colors, low to high
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {string|null}
+ */
+function getHeatMapColor(colors, value, min, max) {
+  const t = max > min ? (value - min) / (max - min) : 1;
+  if (colors.length < 3) return themeService.mixColors(colors[0], colors[colors.length - 1], t);
+  return t < 0.5
+    ? themeService.mixColors(colors[0], colors[1], t * 2)
+    : themeService.mixColors(colors[1], colors[2], (t - 0.5) * 2);
+}
+
+// ============================================================================
+// EXPANSION
+// ============================================================================
+
+/**
+ * Apply a rule's styles to a body cell
+ * @param {Object} cell
+ * @param {Object} rule
+ */
+function applyTableRuleStyle(cell, rule) {
+  ['color', 'fillColor', 'bold', 'italic'].forEach(key => {
+    if (rule[key] !== undefined && rule[key] !== null) cell[key] = rule[key];
+  });
+}
+
+/**
+ * Turn a data-driven table into a plain table element
+ * @param {Object} element - table element with columns and rows
+ * @returns {Object} table element with data and columnWidths
+ */
+function expandDataTable(element) {
+  const columns = element.columns;
+  const rows = element.rows || [];
+  const rules = element.rules || [];
+  const base = column => {
+    const cell = { text: '' };
+    if (column.align) cell.align = column.align;
+    if (element.fontSize) cell.fontSize = element.fontSize;
+    if (element.fontFamily) cell.fontFamily = element.fontFamily;
+    return cell;
+  };
+  const valuesOf = column => rows.map(row => row ? row[column.key] : undefined);
+
+  const data = [];
+  if (element.header !== false) {
+    data.push(columns.map(column => Object.assign(base(column), {
+      text: column.header !== undefined ? String(column.header) : String(column.key),
+      bold: true,
+      fillColor: element.headerBg || CONFIG.DEFAULTS.TABLE_HEADER_BG
+    })));
+  }
+
+  // Heat map bounds per rule, over the rule column's numeric values
+  const heatRanges = rules.map(rule => {
+    if (!rule.heatMap) return null;
+    const numbers = columns.filter(column => !rule.column || column.key === rule.column)
+      .reduce((all, column) => all.concat(valuesOf(column).filter(isTableNumber)), []);
+    return numbers.length > 0 ? { min: Math.min(...numbers), max: Math.max(...numbers) } : null;
+  });
+
+  let zebra = element.zebra;
+  if (zebra === true) {
+    zebra = [null, themeService.mixColors('background', 'primary', CONFIG.DATA_TABLE.ZEBRA_TINT)];
+  } else if (typeof zebra === 'string') {
+    zebra = [null, zebra];
+  }
+
+  rows.forEach((row, r) => {
+    const record = row || {};
+    data.push(columns.map((column, c) => {
+      const value = record[column.key];
+      const cell = Object.assign(base(column), { text: formatTableValue(value, column.format) });
+      if (Array.isArray(zebra) && zebra[r % 2]) cell.fillColor = zebra[r % 2];
+
+      rules.forEach((rule, i) => {
+        if (rule.column && rule.column !== column.key) return;
+        const scope = { value: value, row: record, $index: r };
+        const location = 'rules[' + i + ']';
+        if (rule.if !== undefined && !evaluateTemplateCondition(rule.if, scope, location)) return;
+        if (rule.heatMap && heatRanges[i] && isTableNumber(value)) {
+          const colors = Array.isArray(rule.heatMap) ? rule.heatMap : CONFIG.DATA_TABLE.HEAT_MAP;
+          const fill = getHeatMapColor(colors, value, heatRanges[i].min, heatRanges[i].max);
+          if (fill) cell.fillColor = fill;
+        }
+        applyTableRuleStyle(cell, rule);
+      });
+      return cell;
+    }));
+  });
+
+  if (element.totalRow) {
+    const options = typeof element.totalRow === 'object' ? element.totalRow : {};
+    const totals = columns.map(column => {
+      const values = valuesOf(column);
+      const kind = column.total || getDefaultTableTotal(column, values);
+      if (kind === 'none') return '';
+      const total = getTableColumnTotal(values, kind);
+      return total === null ? '' : formatTableValue(total, kind === 'count' ? null : column.format);
+    });
+    if (totals[0] === '') totals[0] = options.label || CONFIG.DATA_TABLE.TOTAL_LABEL;
+
+    data.push(columns.map((column, c) => {
+      const cell = Object.assign(base(column), {
+        text: totals[c],
+        bold: true,
+        borders: { top: { weight: 1, color: options.color || 'text' } }
+      });
+      if (options.color) cell.color = options.color;
+      if (options.fillColor) cell.fillColor = options.fillColor;
+      return cell;
+    }));
+  }
+
+  const table = Object.assign({}, element, {
+    data: data,
+    header: false,
+    columnWidths: element.columnWidths || columns.map(column => column.width !== undefined ? column.width : null)
+  });
+  ['columns', 'rows', 'rules', 'zebra', 'totalRow', 'fontSize', 'fontFamily'].forEach(key => delete table[key]);
+  return table;
+}
@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Property-level comparison between a deck element and the
+ * same element as extracted from a live presentation.
+ *
+ * Only properties present on the expected element are compared, so a
+ * hand-written element with few properties is not flagged for the defaults
+ * that Slides fills in. Differences are split into "geometry" (position,
+ * size, rotation) and "content" (everything else).
+ */
+
+/**
+ * Element types the extractor can produce for each deck element type
+ * @constant
+ */
+const EXTRACTED_TYPE_MAP = {
+  text: ['text', 'shape'],
+  wordArt: ['text', 'shape'],
+  shape: ['shape', 'text'],
+  icon: ['shape', 'text'],
+  image: ['image'],
+  table: ['table'],
+  line: ['line'],
+  video: ['video'],
+  chart: ['sheetsChart', 'image'],
+  sheetsChart: ['sheetsChart', 'image'],
+  copyGroup: ['copyGroup'],
+  group: ['group']
+};
+
+/**
+ * Whether two gradients draw the same bands: type, drawn angle and the colors
+ * at the band positions (see Gradient.js). Stops recovered from bands only
+ * match the original ones there.
+ * @param {Object} expected - Gradient spec
+ * @param {Object} actual - Gradient spec, or undefined
+ * @returns {boolean}
+ */
+function gradientsMatch(expected, actual) {
+  const e = normalizeGradient(expected);
+  const a = normalizeGradient(actual);
+  if (!e || !a) return !e && !a;
+  const kind = gradient => (gradient.type === 'radial' ? 'radial' : 'linear ' + (Math.round(gradient.angle / 90) * 90) % 360);
+  if (kind(e) !== kind(a)) return false;
+  for (let k = 0; k < e.steps; k++) {
+    const eSample = sampleGradient(e.stops, k / (e.steps - 1));
+    const aSample = sampleGradient(a.stops, k / (e.steps - 1));
+    const eRgb = themeService.hexToRgbApi(eSample.color);
+    const aRgb = themeService.hexToRgbApi(aSample.color);
+    const same = Math.abs(eSample.alpha - aSample.alpha) <= 0.02 &&
+      ['red', 'green', 'blue'].every(channel => Math.abs(eRgb[channel] - aRgb[channel]) <= 3 / 255);
+    if (!same) return false;
+  }
+  return true;
+}
+
+/**
+ * Get the plain text of an element the way the builders insert it
+ * @param {Object} element
+ * @returns {string}
+ */
+function getElementPlainText(element) {
+  let text = element.text || '';
+  if (Array.isArray(element.items)) {
+    text = element.items.map(item => (typeof item === 'object' && item) ? item.text : String(item)).join('\n');
+  } else if (Array.isArray(element.textRuns) && element.textRuns.length > 1) {
+    text = element.textRuns.map(run => run.text || '').join('');
+  }
+  // Mirror buildTextContentRequests cleanup, then ignore trailing whitespace
+  return String(text)
+    .replace(/[\x00-\x09\x0B\x0C\x0E-\x1F\x7F\u200B-\u200D\uFEFF\uFFFC\uFFFD]/g, '')
+    .replace(/\s+$/, '');
+}
+
+/**
+ * Normalize a color for comparison (theme names resolved, transparent unified)
+ * @param {string} color
+ * @returns {string|null}
+ */
+function normalizeDiffColor(color) {
+  if (!color || color === 'none' || color === 'transparent') return 'transparent';
+  const resolved = themeService.resolveThemeColor(color);
+  if (!resolved || resolved === 'none' || resolved === 'transparent') return 'transparent';
+  return normalizeColor(resolved);
+}
+
+/**
+ * Normalize a link for comparison, the way buildLinkRequest reads it. Slide
+ * links read back as a page ID, so any two slide links compare equal.
+ * @param {string|Object} link
+ * @returns {string}
+ */
+function normalizeDiffLink(link) {
+  if (!link) return '';
+  if (typeof link === 'string') return 'url:' + link;
+  if (link.url) return 'url:' + link.url;
+  if (link.relativeLink) return 'relative:' + String(link.relativeLink).toUpperCase().replace(/-/g, '_');
+  if (link.slideIndex !== undefined || link.slide !== undefined || link.pageObjectId) return 'slide';
+  return '';
+}
+
+/**
+ * Get the bounding box of an element (lines may use x1/y1/x2/y2)
+ * @param {Object} element
+ * @returns {Object} { x, y, w, h } (undefined where not specified)
+ */
+function getElementBounds(element) {
+  if (element.type === 'line' && element.x1 !== undefined && element.x2 !== undefined) {
+    return {
+      x: Math.min(element.x1, element.x2),
+      y: Math.min(element.y1 || 0, element.y2 || 0),
+      w: Math.abs(element.x2 - element.x1),
+      h: Math.abs((element.y2 || 0) - (element.y1 || 0))
+    };
+  }
+  return {
+    x: element.x,
+    y: element.y,
+    w: element.w !== undefined ? element.w : element.width,
+    h: element.h !== undefined ? element.h : element.height
+  };
+}
+
+/**
+ * Compare an expected element with its extracted counterpart
+ * @param {Object} expected - Element from the deck JSON
+ * @param {Object} actual - Element from extractPresentationAdvanced
+ * @param {Object} [tolerances] - Overrides for CONFIG.DIFF_TOLERANCES
+ * @returns {Array<Object>} Differences: { property, kind, expected, actual }
+ */
+function diffElements(expected, actual, tolerances) {
+  const tol = Object.assign({}, CONFIG.DIFF_TOLERANCES, tolerances || {});
+  const diffs = [];
+  const push = (property, kind, expectedValue, actualValue) => {
+    diffs.push({ property: property, kind: kind, expected: expectedValue, actual: actualValue });
+  };
+
+  // Data-driven tables are compared as the plain table they are drawn as
+  if (isDataTable(expected)) expected = expandDataTable(expected);
+
+  const allowedTypes = EXTRACTED_TYPE_MAP[expected.type] || [expected.type];
+  if (allowedTypes.indexOf(actual.type) === -1) {
+    push('type', 'content', expected.type, actual.type);
+    return diffs;
+  }
+
+  // Geometry
+  const expectedBounds = getElementBounds(expected);
+  const actualBounds = getElementBounds(actual);
+  ['x', 'y', 'w', 'h'].forEach(key => {
+    const e = expectedBounds[key];
+    const a = actualBounds[key];
+    if (typeof e !== 'number') return;
+    if (typeof a !== 'number' || Math.abs(e - a) > tol.POSITION) {
+      push(key, 'geometry', e, a);
+    }
+  });
+  if (typeof expected.rotation === 'number') {
+    const delta = Math.abs(((expected.rotation - (actual.rotation || 0)) % 360 + 540) % 360 - 180);
+    if (delta > tol.ROTATION) push('rotation', 'geometry', expected.rotation, actual.rotation || 0);
+  }
+
+  // Text content
+  const hasText = expected.text !== undefined || expected.items !== undefined || expected.textRuns !== undefined;
+  if (hasText && expected.type !== 'table') {
+    const e = getElementPlainText(expected);
+    const a = getElementPlainText(actual);
+    if (e !== a) push('text', 'content', e, a);
+  }
+
+  const multiRun = Array.isArray(expected.textRuns) && expected.textRuns.length > 1;
+  if (hasText && !multiRun && expected.align !== undefined && expected.type !== 'table') {
+    const e = ENUMS.ALIGNMENT_MAP[expected.align] || 'START';
+    const a = ENUMS.ALIGNMENT_MAP[actual.align] || 'START';
+    if (e !== a) push('align', 'content', expected.align, actual.align);
+  }
+
+  if (multiRun) {
+    const actualRuns = actual.textRuns || [];
+    if (actualRuns.length !== expected.textRuns.length) {
+      push('textRuns', 'content', expected.textRuns.length, actualRuns.length);
+    } else {
+      expected.textRuns.forEach((run, i) => {
+        diffTextStyle(run, actualRuns[i], 'textRuns[' + i + '].', tol, push);
+      });
+    }
+  } else {
+    diffTextStyle(expected, actual, '', tol, push);
+  }
+
+  // Fill and outline (a gradient replaces the fill color)
+  if (expected.gradient && !gradientsMatch(expected.gradient, actual.gradient)) {
+    push('gradient', 'content', expected.gradient, actual.gradient || null);
+  }
+  ['fillColor', 'borderColor'].forEach(key => {
+    if (expected[key] === undefined || (key === 'fillColor' && expected.gradient)) return;
+    const e = normalizeDiffColor(expected[key]);
+    const a = normalizeDiffColor(actual[key]);
+    if (e !== a) push(key, 'content', e, a);
+  });
+  if (typeof expected.borderWidth === 'number' && expected.borderColor && expected.borderColor !== 'none' &&
+    Math.abs(expected.borderWidth - (actual.borderWidth || 0)) > tol.LINE_WEIGHT) {
+    push('borderWidth', 'content', expected.borderWidth, actual.borderWidth || 0);
+  }
+  if (expected.borderDash !== undefined && expected.borderColor && expected.borderColor !== 'none' && expected.type !== 'line') {
+    const e = ENUMS.DASH_STYLE_MAP[expected.borderDash] || 'SOLID';
+    const a = ENUMS.DASH_STYLE_MAP[actual.borderDash] || 'SOLID';
+    if (e !== a) push('borderDash', 'content', expected.borderDash, actual.borderDash || 'solid');
+  }
+
+  // Fill alpha, as the builders pick it: alpha, fillAlpha, then the color's own alpha
+  if (expected.fillColor !== undefined && !expected.gradient && normalizeDiffColor(expected.fillColor) !== 'transparent') {
+    let e = expected.alpha !== undefined ? expected.alpha : expected.fillAlpha;
+    if (typeof e !== 'number') e = themeService.getColorAlpha(expected.fillColor);
+    const a = typeof actual.fillAlpha === 'number' ? actual.fillAlpha : 1;
+    if (Math.abs(e - a) > 0.01) push('fillAlpha', 'content', e, a);
+  }
+
+  if (expected.link !== undefined && ['shape', 'icon', 'image'].indexOf(expected.type) !== -1 &&
+    normalizeDiffLink(expected.link) !== normalizeDiffLink(actual.link)) {
+    push('link', 'content', expected.link, actual.link || null);
+  }
+
+  if (expected.shape !== undefined && expected.type === 'shape') {
+    const e = ENUMS.SHAPE_TYPE_MAP[expected.shape] || expected.shape;
+    if (e !== actual.shape && !(e === 'TEXT_BOX' && actual.type === 'text')) {
+      push('shape', 'content', e, actual.shape);
+    }
+  }
+
+  // Type-specific content
+  if (expected.type === 'line') {
+    if (expected.color !== undefined && normalizeDiffColor(expected.color) !== normalizeDiffColor(actual.color)) {
+      push('color', 'content', expected.color, actual.color);
+    }
+    if (typeof expected.weight === 'number' && Math.abs(expected.weight - (actual.weight || 0)) > tol.LINE_WEIGHT) {
+      push('weight', 'content', expected.weight, actual.weight);
+    }
+    ['startArrow', 'endArrow'].forEach(key => {
+      if (expected[key] === undefined) return;
+      const e = ENUMS.ARROW_TYPE_MAP[expected[key]] || 'NONE';
+      const a = ENUMS.ARROW_TYPE_MAP[actual[key]] || actual[key] || 'NONE';
+      if (e !== a) push(key, 'content', e, a);
+    });
+  }
+
+  if (expected.type === 'image' && expected.url) {
+    const e = expected.sourceUrl || expected.url;
+    const a = actual.sourceUrl || actual.url;
+    if (e !== a && expected.url !== actual.url) push('url', 'content', e, a);
+  }
+
+  if (expected.type === 'video') {
+    const e = expected.videoId || expected.id;
+    if (e !== actual.videoId) push('videoId', 'content', e, actual.videoId);
+  }
+
+  if (expected.type === 'table' && Array.isArray(expected.data)) {
+    diffTableData(expected, actual.data || [], tol, push);
+  }
+
+  return diffs;
+}
+
+/**
+ * Compare character styles that are present on the expected object
+ * @param {Object} expected - Element or text run
+ * @param {Object} actual - Element or text run
+ * @param {string} prefix - Property path prefix for reporting
+ * @param {Object} tol
+ * @param {Function} push
+ */
+function diffTextStyle(expected, actual, prefix, tol, push) {
+  if (!actual) return;
+  const textColor = expected.color !== undefined ? expected.color : expected.fontColor;
+  if (textColor !== undefined && expected.type !== 'line') {
+    const e = normalizeDiffColor(textColor);
+    const a = normalizeDiffColor(actual.color);
+    if (e !== a) push(prefix + 'color', 'content', e, a);
+  }
+  if (typeof expected.fontSize === 'number' && typeof actual.fontSize === 'number' &&
+    Math.abs(expected.fontSize - actual.fontSize) > tol.FONT_SIZE) {
+    push(prefix + 'fontSize', 'content', expected.fontSize, actual.fontSize);
+  }
+  if (expected.fontFamily && actual.fontFamily) {
+    const e = themeService.resolveThemeFont(expected.fontFamily);
+    if (e.toLowerCase() !== String(actual.fontFamily).toLowerCase()) {
+      push(prefix + 'fontFamily', 'content', e, actual.fontFamily);
+    }
+  }
+  ['bold', 'italic', 'underline'].forEach(key => {
+    if (typeof expected[key] !== 'boolean') return;
+    if (expected[key] !== !!actual[key]) push(prefix + key, 'content', expected[key], !!actual[key]);
+  });
+}
+
+/**
+ * Compare table dimensions, cell texts, cell fills and the styles of
+ * non-empty cells (header cells get headerBg and bold, like buildTableRequests)
+ * @param {Object} table - Expected table element
+ * @param {Array<Array>} actual - Extracted data
+ * @param {Object} tol
+ * @param {Function} push
+ */
+function diffTableData(table, actual, tol, push) {
+  const expected = table.data;
+  const cols = rows => (rows[0] || []).length;
+  if (expected.length !== actual.length || cols(expected) !== cols(actual)) {
+    push('data', 'content', expected.length + 'x' + cols(expected), actual.length + 'x' + cols(actual));
+    return;
+  }
+  const cellText = cell => {
+    if (cell === null || cell === undefined) return '';
+    if (typeof cell !== 'object') return String(cell).trim();
+    return getElementPlainText(cell).trim();
+  };
+  expected.forEach((row, r) => {
+    row.forEach((cell, c) => {
+      const path = 'data[' + r + '][' + c + ']';
+      const actualCell = actual[r][c];
+      const e = cellText(cell);
+      const a = cellText(actualCell);
+      if (e !== a) push(path, 'content', e, a);
+      if (!actualCell || typeof actualCell !== 'object') return;
+
+      let style = cell && typeof cell === 'object' ? cell : null;
+      if (!style && r === 0 && table.header) {
+        style = { bold: true, fillColor: table.headerBg || CONFIG.DEFAULTS.TABLE_HEADER_BG || '#f1f5f9' };
+      }
+      if (!style) return;
+      if (style.fillColor !== undefined && normalizeDiffColor(style.fillColor) !== normalizeDiffColor(actualCell.fillColor)) {
+        push(path + '.fillColor', 'content', normalizeDiffColor(style.fillColor), normalizeDiffColor(actualCell.fillColor));
+      }
+      if (e) diffTextStyle(style, actualCell, path + '.', tol, push);
+    });
+  });
+}
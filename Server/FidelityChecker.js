@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Round-trip fidelity check: extract -> generate -> re-extract -> diff.
+ *
+ * Compares a source deck JSON with the JSON extracted from the presentation
+ * generated from it, element by element (diffElements, CONFIG.DIFF_TOLERANCES),
+ * and reports per slide which elements are missing, extra or changed.
+ *
+ * Elements are paired by objectId (generation keeps them). Elements that get
+ * a new ID on the way (Phase 2 images, charts) are paired with the remaining
+ * extracted elements of a compatible type, in z-order. Builder artifacts
+ * (`_shadow`, `_segN`) are not reported as extra.
+ *
+ * Source elements are compared as generation builds them: layout containers
+ * are resolved to their children and native charts to their shapes (like
+ * ElementDiff does for data tables).
+ */
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+// Element types that cannot be recreated as themselves, so are not compared
+const FIDELITY_SKIPPED_TYPES = ['copyGroup', 'unsupported'];
+
+/**
+ * Flatten groups into their children (the extractor does the same)
+ * @param {Array} elements
+ * @returns {Array}
+ */
+function flattenFidelityElements(elements) {
+  const flat = [];
+  (elements || []).forEach(element => {
+    if (element && element.type === 'group' && Array.isArray(element.elements)) {
+      flat.push(...flattenFidelityElements(element.elements));
+    } else if (element) {
+      flat.push(element);
+    }
+  });
+  return flat;
+}
+
+/**
+ * Resolve a source slide's elements the way generation does: containers become
+ * positioned children (LayoutEngine.js) and native charts their group of shapes
+ * (ChartRenderer.js). Works on a copy, so the source deck is left as it is
+ * @param {Array} elements - Source slide elements
+ * @param {number} slideIndex
+ * @returns {Array}
+ */
+function resolveFidelityElements(elements, slideIndex) {
+  const copy = JSON.parse(JSON.stringify(elements || []));
+  copy.forEach((element, idx) => { if (element) element._originalIndex = idx; });
+
+  const renderCharts = list => list.map(element => {
+    if (!element) return element;
+    if (element.type === 'chart' && getChartMode(element) === 'native' && canRenderNatively(element)) {
+      return renderNativeChart(element) || element;
+    }
+    if (element.type === 'group' && Array.isArray(element.elements)) element.elements = renderCharts(element.elements);
+    return element;
+  });
+  return renderCharts(resolveSlideLayout(copy, slideIndex));
+}
+
+/**
+ * Pair source elements with extracted elements
+ * @param {Array} sourceElements - Flat source elements
+ * @param {Array} actualElements - Flat extracted elements
+ * @returns {Object} { pairs: [{ source, actual }], missing: [source], extra: [actual] }
+ */
+function matchFidelityElements(sourceElements, actualElements) {
+  const used = {};
+  const pairs = [];
+  const unmatched = [];
+
+  const actualById = {};
+  actualElements.forEach((actual, i) => {
+    const id = getReconcileId(actual);
+    if (id && actualById[id] === undefined) actualById[id] = i;
+  });
+
+  sourceElements.forEach(source => {
+    const id = getReconcileId(source);
+    const index = id ? actualById[id] : undefined;
+    if (index !== undefined && !used[index]) {
+      used[index] = true;
+      pairs.push({ source: source, actual: actualElements[index] });
+    } else {
+      unmatched.push(source);
+    }
+  });
+
+  // IDs of elements that were matched, to recognise their builder artifacts
+  const matchedIds = {};
+  pairs.forEach(pair => { matchedIds[getReconcileId(pair.source)] = true; });
+  actualElements.forEach((actual, i) => {
+    const id = getReconcileId(actual);
+    if (!used[i] && id && id !== getBaseObjectId(id) && matchedIds[getBaseObjectId(id)]) used[i] = true;
+  });
+
+  const missing = [];
+  unmatched.forEach(source => {
+    const allowedTypes = EXTRACTED_TYPE_MAP[source.type] || [source.type];
+    const index = actualElements.findIndex((actual, i) => !used[i] && allowedTypes.indexOf(actual.type) !== -1);
+    if (index !== -1) {
+      used[index] = true;
+      pairs.push({ source: source, actual: actualElements[index] });
+    } else {
+      missing.push(source);
+    }
+  });
+
+  return {
+    pairs: pairs,
+    missing: missing,
+    extra: actualElements.filter((actual, i) => !used[i])
+  };
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Label of an element for the report
+ * @param {Object} element
+ * @returns {string}
+ */
+function getFidelityLabel(element) {
+  return getReconcileId(element) || element.type;
+}
+
+/**
+ * Compare one source slide with its extracted counterpart
+ * @param {Object} sourceSlide
+ * @param {Object|null} actualSlide
+ * @param {number} slideIndex
+ * @param {Object} [tolerances]
+ * @returns {Object} Slide report
+ */
+function compareFidelitySlide(sourceSlide, actualSlide, slideIndex, tolerances) {
+  const all = flattenFidelityElements(resolveFidelityElements(sourceSlide.elements, slideIndex));
+  const sourceElements = all.filter(el => FIDELITY_SKIPPED_TYPES.indexOf(el.type) === -1);
+  const actualElements = actualSlide ? flattenFidelityElements(actualSlide.elements) : [];
+  const match = matchFidelityElements(sourceElements, actualElements);
+
+  const differences = [];
+  match.pairs.forEach(pair => {
+    const diffs = diffElements(pair.source, pair.actual, tolerances);
+    if (diffs.length > 0) {
+      differences.push({ objectId: getFidelityLabel(pair.source), type: pair.source.type, diffs: diffs });
+    }
+  });
+
+  const slideDiffs = [];
+  if (sourceSlide.background !== undefined && actualSlide &&
+    normalizeDiffColor(sourceSlide.background) !== normalizeDiffColor(actualSlide.background)) {
+    slideDiffs.push({ property: 'background', kind: 'content', expected: sourceSlide.background, actual: actualSlide.background });
+  }
+
+  const exact = match.pairs.length - differences.length;
+  return {
+    slideIndex: slideIndex,
+    objectId: sourceSlide.objectId || null,
+    found: !!actualSlide,
+    elements: sourceElements.length,
+    matched: match.pairs.length,
+    exact: exact,
+    skipped: all.length - sourceElements.length,
+    fidelity: sourceElements.length > 0 ? exact / sourceElements.length : 1,
+    missing: match.missing.map(getFidelityLabel),
+    extra: match.extra.map(getFidelityLabel),
+    slideDiffs: slideDiffs,
+    differences: differences
+  };
+}
+
+/**
+ * Compare a source deck with the deck extracted from its generated copy
+ * @param {Object} source - Deck JSON used for generation
+ * @param {Object} actual - extractPresentationAdvanced output of the generated presentation
+ * @param {Object} [tolerances] - Overrides for CONFIG.DIFF_TOLERANCES
+ * @returns {Object} { fidelity, summary, slides }
+ */
+function compareDeckFidelity(source, actual, tolerances) {
+  themeService.setTheme(source.config ? source.config.theme : null);
+
+  const sourceSlides = source.slides || [];
+  const actualSlides = actual.slides || [];
+  const slides = sourceSlides.map((slide, i) => compareFidelitySlide(slide, actualSlides[i] || null, i, tolerances));
+
+  const summary = {
+    slides: sourceSlides.length,
+    slidesFound: Math.min(sourceSlides.length, actualSlides.length),
+    extraSlides: Math.max(0, actualSlides.length - sourceSlides.length),
+    elements: 0,
+    matched: 0,
+    exact: 0,
+    skipped: 0,
+    missing: 0,
+    extra: 0,
+    differences: 0
+  };
+  slides.forEach(slide => {
+    summary.elements += slide.elements;
+    summary.matched += slide.matched;
+    summary.exact += slide.exact;
+    summary.skipped += slide.skipped;
+    summary.missing += slide.missing.length;
+    summary.extra += slide.extra.length;
+    summary.differences += slide.slideDiffs.length +
+      slide.differences.reduce((sum, entry) => sum + entry.diffs.length, 0);
+  });
+
+  return {
+    fidelity: summary.elements > 0 ? summary.exact / summary.elements : 1,
+    summary: summary,
+    slides: slides
+  };
+}
+
+// ============================================================================
+// SERVER FUNCTIONS
+// ============================================================================
+
+/**
+ * Re-extract a generated presentation and compare it with its source JSON
+ * @param {string} jsonString - Deck JSON the presentation was generated from
+ * @param {string} presentationId - Generated presentation
+ * @param {Object} [tolerances] - Overrides for CONFIG.DIFF_TOLERANCES
+ * @returns {Object} { status, presentationId, report }
+ */
+function verifyGeneratedPresentation(jsonString, presentationId, tolerances) {
+  try {
+    if (!jsonString) throw new Error('No source JSON provided');
+    if (!presentationId) throw new Error('No presentationId provided');
+
+    const source = JSON.parse(jsonString);
+    const rawMode = !!(source.config && source.config.rawMode);
+    const actual = extractPresentationAdvanced(presentationId, { rawMode: rawMode });
+    const report = compareDeckFidelity(source, actual, tolerances);
+
+    Logger.log('[FIDELITY] ' + presentationId + ': ' + Math.round(report.fidelity * 100) + '% exact, ' +
+      JSON.stringify(report.summary));
+    return {
+      status: 'success',
+      presentationId: presentationId,
+      report: report
+    };
+  } catch (e) {
+    Logger.log('FIDELITY ERROR: ' + e.message + '\n' + e.stack);
+    return {
+      status: 'error',
+      message: e.message
+    };
+  }
+}
+
+/**
+ * Full round trip: import a presentation, generate a copy, re-extract and compare
+ * @param {string} presentationId - Source presentation
+ * @param {boolean} [rawMode] - Extraction mode (see importPresentation)
+ * @param {Object} [tolerances] - Overrides for CONFIG.DIFF_TOLERANCES
+ * @returns {Object} { status, sourcePresentationId, presentationId, url, report }
+ */
+function verifyRoundTrip(presentationId, rawMode, tolerances) {
+  const imported = importPresentation(presentationId, rawMode);
+  if (imported.status !== 'success') return imported;
+
+  const generated = generatePresentation(imported.json);
+  if (generated.status !== 'success') return generated;
+
+  const verified = verifyGeneratedPresentation(imported.json, generated.presentationId, tolerances);
+  if (verified.status !== 'success') return verified;
+
+  return {
+    status: 'success',
+    sourcePresentationId: presentationId,
+    presentationId: generated.presentationId,
+    url: generated.url,
+    report: verified.report
+  };
+}
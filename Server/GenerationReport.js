@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Structured report of what a generation skipped or degraded.
+ *
+ * Builders, the Phase 1 batch executor and Phase 2 add an entry here for
+ * every element that is missing from the deck or was created differently
+ * than specified, so callers do not have to read the execution log to find
+ * out. Paths use the validation warning format ("slides[2].elements[4]").
+ *
+ * SEVERITIES:
+ * - error:   the element (or part of it) is missing from the deck
+ * - warning: the element is there, but through a fallback
+ *
+ * CODES:
+ * - ELEMENT_BUILD_FAILED     builder threw, element skipped
+ * - ELEMENT_UNSUPPORTED      'unsupported' element skipped
+ * - ELEMENT_UNKNOWN_TYPE     unknown element type skipped
+ * - IMAGE_DEFERRED           API could not fetch the image, inserted by SlidesApp in Phase 2
+ * - IMAGE_FAILED             Phase 2 could not insert the image
+ * - REPLACE_IMAGE_DROPPED    failed replaceImage request skipped
+ * - REQUEST_DROPPED          request skipped because it used an object that was not created
+ * - CHART_FALLBACK           spreadsheet not accessible, chart drawn from contentUrl or placeholder;
+ *                            or chart type not drawable natively, Sheets chart used
+ * - CHART_AS_IMAGE           linked chart insert failed, inserted as a static image
+ * - CHART_FAILED             chart not inserted
+ * - NOTES_FAILED             speaker notes not written
+ * - COPYGROUP_NO_SOURCE      copyGroup without config.sourcePresentationId
+ * - COPYGROUP_FAILED         copyGroup not copied
+ * - PHASE2_SKIPPED           resumable job gave up on a slide's Phase 2 work
+ * - TEXT_OVERFLOW            text is estimated not to fit its box (see TextMetrics.js)
+ * - THEME_NOT_APPLIED        config.theme not written to the masters and layouts (element colors still use it)
+ * - TABLE_MERGE_SKIPPED      merged cell range outside the table or overlapping another, left unmerged
+ * - LAYOUT_NOT_FOUND         slide layout not in the presentation, default layout used (see BrandTemplate.js)
+ * - PLACEHOLDER_NOT_FOUND    slide layout has no placeholder for a role, its text not placed
+ * - GRADIENT_APPROXIMATED    gradient drawn with a rounded angle, or as its middle color (see Gradient.js)
+ */
+
+// ============================================================================
+// PATHS
+// ============================================================================
+
+/**
+ * Report path of an element
+ * @param {number} slideIndex
+ * @param {number} elementIndex - Position in the slide's (or group's) elements array
+ * @param {string} [parentPath] - Path of the parent group
+ * @returns {string} e.g. "slides[0].elements[3].elements[1]"
+ */
+function getElementReportPath(slideIndex, elementIndex, parentPath) {
+  const base = parentPath || joinSchemaPath('slides', slideIndex);
+  return joinSchemaPath(joinSchemaPath(base, 'elements'), elementIndex);
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Generation Report Class
+ */
+class GenerationReport {
+  constructor() {
+    this.entries = [];
+  }
+
+  reset() {
+    this.entries = [];
+  }
+
+  /**
+   * Add an entry (also logged)
+   * @param {string} severity - 'error' | 'warning'
+   * @param {string} code - See CODES above
+   * @param {string|null} path - Element path, or null if unknown
+   * @param {string} message
+   * @param {Object} [details] - { slideIndex, objectId }
+   */
+  add(severity, code, path, message, details) {
+    details = details || {};
+    const entry = {
+      severity: severity,
+      code: code,
+      path: path || null,
+      message: message
+    };
+    if (details.slideIndex !== undefined && details.slideIndex !== null) entry.slideIndex = details.slideIndex;
+    if (details.objectId) entry.objectId = details.objectId;
+    this.entries.push(entry);
+    Logger.log('[REPORT:' + severity.toUpperCase() + '] ' + code + (path ? ' ' + path : '') + ': ' + message);
+  }
+
+  error(code, path, message, details) {
+    this.add('error', code, path, message, details);
+  }
+
+  warning(code, path, message, details) {
+    this.add('warning', code, path, message, details);
+  }
+
+  getEntries() { return this.entries; }
+
+  hasErrors() {
+    return this.entries.some(entry => entry.severity === 'error');
+  }
+
+  /**
+   * Report for API responses
+   * @returns {Object} { complete, errors, warnings, entries }
+   */
+  toJSON() {
+    const errors = this.entries.filter(entry => entry.severity === 'error').length;
+    return {
+      complete: errors === 0,
+      errors: errors,
+      warnings: this.entries.length - errors,
+      entries: this.entries.slice()
+    };
+  }
+
+  /**
+   * Replace the entries with a toJSON() snapshot (resumed generation jobs)
+   * @param {Object} snapshot
+   */
+  restore(snapshot) {
+    this.entries = ((snapshot && snapshot.entries) || []).slice();
+  }
+}
+
+const generationReport = new GenerationReport();
@@ -0,0 +1,451 @@
+/**
+ * @fileoverview Gradient fills for shapes, text boxes and slide backgrounds.
+ *
+ * The Slides API reads gradients but cannot write them, so they are drawn:
+ *
+ *   { "type": "shape", "gradient": { "angle": 90, "stops": ["primary", "primary.darken(40)"] } }
+ *   { "backgroundGradient": { "type": "radial", "stops": ["#ffffff", { "color": "surface", "position": 0.6 }] } }
+ *
+ * - type: linear (default) or radial (from the center outwards)
+ * - angle: direction of a linear gradient in degrees, clockwise from left to
+ *   right (90 runs top to bottom)
+ * - stops: two or more colors, or { color, position } with position 0-1.
+ *   Stops without a position are spread evenly
+ * - steps: number of bands for shapes and text boxes (CONFIG.DEFAULTS.GRADIENT_STEPS)
+ *
+ * SHAPES AND TEXT BOXES:
+ * Solid bands stacked right below the element, which itself is left unfilled.
+ * Band IDs are derived from the element's (<id>_grad_<n>, in stop order), so
+ * the extractor can fold them back into the gradient. Strips cannot be clipped,
+ * so linear angles round to the nearest 90 degrees, and shapes other than
+ * rectangles and text boxes get a solid fill of the middle color instead
+ * (GRADIENT_APPROXIMATED). Radial gradients are shrinking ellipses on a base
+ * band of the element's own shape, so they work for any shape; their bands
+ * overlap, so translucent stops come out more opaque towards the center.
+ *
+ * SLIDE BACKGROUNDS:
+ * Rendered to a PNG and set as the slide's picture fill in Phase 2, at any
+ * angle. Phase 1 sets the middle color, which stays if Phase 2 does not run.
+ * The picture cannot be read back as a gradient by the extractor.
+ */
+
+// ============================================================================
+// GRADIENT SPECS
+// ============================================================================
+
+/**
+ * Shape types that linear strips fill exactly
+ * @constant
+ */
+const GRADIENT_STRIP_SHAPES = ['RECTANGLE', 'TEXT_BOX'];
+
+/**
+ * Width of rendered background gradients in pixels; the height follows the
+ * slide's aspect ratio. Slides stretches the picture smoothly.
+ * @constant
+ */
+const GRADIENT_IMAGE_WIDTH = 320;
+
+/**
+ * Resolve a gradient spec against the current theme
+ * @param {Object} gradient - See the file overview
+ * @returns {Object|null} { type, angle, steps, stops: [{ color, alpha, position }] } with hex
+ *   colors and stops sorted by position, or null without two usable stops
+ */
+function normalizeGradient(gradient) {
+  if (!gradient || !Array.isArray(gradient.stops)) return null;
+  const count = gradient.stops.length;
+  const stops = [];
+  gradient.stops.forEach((stop, i) => {
+    const isObject = stop && typeof stop === 'object';
+    const color = themeService.parseColor(isObject ? stop.color : stop);
+    if (!color) return;
+    const position = isObject && typeof stop.position === 'number' ? stop.position : i / (count - 1);
+    stops.push({ color: color.hex, alpha: color.alpha, position: Math.min(1, Math.max(0, position)) });
+  });
+  if (stops.length < 2) return null;
+  stops.sort((a, b) => a.position - b.position);
+
+  const steps = Math.round(gradient.steps) || CONFIG.DEFAULTS.GRADIENT_STEPS;
+  return {
+    type: gradient.type === 'radial' ? 'radial' : 'linear',
+    angle: (((Number(gradient.angle) || 0) % 360) + 360) % 360,
+    steps: Math.min(64, Math.max(2, steps)),
+    stops: stops
+  };
+}
+
+/**
+ * Color of a gradient at a position
+ * @param {Array<Object>} stops - From normalizeGradient
+ * @param {number} t - 0-1
+ * @returns {Object} { color, alpha }
+ */
+function sampleGradient(stops, t) {
+  if (t <= stops[0].position) return { color: stops[0].color, alpha: stops[0].alpha };
+  for (let i = 1; i < stops.length; i++) {
+    const to = stops[i];
+    if (t <= to.position) {
+      const from = stops[i - 1];
+      const span = to.position - from.position;
+      const weight = span > 0 ? (t - from.position) / span : 1;
+      return {
+        color: themeService.mixColors(from.color, to.color, weight),
+        alpha: Math.round((from.alpha + (to.alpha - from.alpha) * weight) * 1000) / 1000
+      };
+    }
+  }
+  const last = stops[stops.length - 1];
+  return { color: last.color, alpha: last.alpha };
+}
+
+// ============================================================================
+// SHAPE BANDS
+// ============================================================================
+
+/**
+ * Strips of a linear gradient, in stop order. Opaque strips reach to the far
+ * end and overlap, so no seams show between them; translucent ones tile.
+ * @param {Object} box - { x, y, w, h }
+ * @param {Object} gradient - From normalizeGradient
+ * @param {number} angle - 0, 90, 180 or 270
+ * @returns {Array<Object>} { x, y, w, h, position, shapeType }
+ */
+function getLinearGradientBands(box, gradient, angle) {
+  const n = gradient.steps;
+  const overlap = gradient.stops.every(stop => stop.alpha === 1);
+  const vertical = angle === 90 || angle === 270;
+  const reversed = angle === 180 || angle === 270;
+  const length = vertical ? box.h : box.w;
+  const bands = [];
+  for (let k = 0; k < n; k++) {
+    // Band extent along the gradient, 0-1
+    const from = k / n;
+    const to = overlap ? 1 : (k + 1) / n;
+    const start = (reversed ? 1 - to : from) * length;
+    const extent = (to - from) * length;
+    bands.push({
+      x: vertical ? box.x : box.x + start,
+      y: vertical ? box.y + start : box.y,
+      w: vertical ? box.w : extent,
+      h: vertical ? extent : box.h,
+      position: k / (n - 1),
+      shapeType: 'RECTANGLE'
+    });
+  }
+  return bands;
+}
+
+/**
+ * Bands of a radial gradient, outermost (last stop) first: the element's own
+ * shape, then ellipses shrinking towards the center
+ * @param {Object} box - { x, y, w, h }
+ * @param {Object} gradient - From normalizeGradient
+ * @param {string} shapeType
+ * @returns {Array<Object>} { x, y, w, h, position, shapeType }
+ */
+function getRadialGradientBands(box, gradient, shapeType) {
+  const n = gradient.steps;
+  const cx = box.x + box.w / 2;
+  const cy = box.y + box.h / 2;
+  const bands = [];
+  for (let k = 0; k < n; k++) {
+    const scale = k === 0 ? 1 : (n - k) / (n - 1);
+    bands.push({
+      x: cx - box.w * scale / 2,
+      y: cy - box.h * scale / 2,
+      w: box.w * scale,
+      h: box.h * scale,
+      position: 1 - k / (n - 1),
+      shapeType: k === 0 ? (shapeType === 'TEXT_BOX' ? 'RECTANGLE' : shapeType) : 'ELLIPSE'
+    });
+  }
+  return bands;
+}
+
+/**
+ * Gradient fill of a shape or text box: band requests to create before the
+ * element, and the fill the element itself gets instead of its fillColor
+ * @param {Object} element - Validated element
+ * @param {string} shapeId - The element's objectId
+ * @param {string} slideId
+ * @param {string} shapeType - Slides API shape type of the element
+ * @param {number} [slideIndex] - For the generation report
+ * @returns {Object|null} { requests, fillColor } ('transparent' over bands, or the middle
+ *   color when the gradient cannot be drawn), or null without a usable gradient
+ */
+function buildGradientFill(element, shapeId, slideId, shapeType, slideIndex) {
+  const gradient = normalizeGradient(element.gradient);
+  if (!gradient) return null;
+  const approximated = message => generationReport.warning('GRADIENT_APPROXIMATED', element._reportPath, message,
+    { slideIndex: slideIndex, objectId: shapeId });
+
+  const box = { x: element.x || 0, y: element.y || 0, w: element.w || 100, h: element.h || 100 };
+  let bands;
+  if (gradient.type === 'radial') {
+    bands = getRadialGradientBands(box, gradient, shapeType);
+  } else if (GRADIENT_STRIP_SHAPES.indexOf(shapeType) === -1) {
+    approximated('Linear gradient strips cannot be clipped to a ' + shapeType + ' shape; filled with the middle color');
+    return { requests: [], fillColor: sampleGradient(gradient.stops, 0.5).color };
+  } else {
+    const angle = (Math.round(gradient.angle / 90) * 90) % 360;
+    if (angle !== gradient.angle) {
+      approximated('Gradient angle ' + gradient.angle + ' drawn as ' + angle + ' (strips follow the sides)');
+    }
+    bands = getLinearGradientBands(box, gradient, angle);
+  }
+
+  // Bands turn with the element, around its center
+  const rotation = element.rotation || 0;
+  const radians = rotation * Math.PI / 180;
+  const cx = box.x + box.w / 2;
+  const cy = box.y + box.h / 2;
+
+  const requests = [];
+  bands.forEach((band, k) => {
+    const dx = band.x + band.w / 2 - cx;
+    const dy = band.y + band.h / 2 - cy;
+    const bandX = cx + dx * Math.cos(radians) - dy * Math.sin(radians) - band.w / 2;
+    const bandY = cy + dx * Math.sin(radians) + dy * Math.cos(radians) - band.h / 2;
+    const bandId = deriveObjectId(shapeId, 'grad_' + k);
+    const sample = sampleGradient(gradient.stops, band.position);
+
+    requests.push({
+      createShape: {
+        objectId: bandId,
+        shapeType: band.shapeType,
+        elementProperties: {
+          pageObjectId: slideId,
+          size: buildSize(band.w, band.h),
+          transform: buildTransform(bandX, bandY, rotation, band.w, band.h)
+        }
+      }
+    });
+    requests.push({
+      updateShapeProperties: {
+        objectId: bandId,
+        shapeProperties: {
+          shapeBackgroundFill: {
+            solidFill: { color: { rgbColor: themeService.hexToRgbApi(sample.color) }, alpha: sample.alpha }
+          },
+          outline: { propertyState: 'NOT_RENDERED' }
+        },
+        fields: 'shapeBackgroundFill,outline'
+      }
+    });
+  });
+  return { requests: requests, fillColor: 'transparent' };
+}
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+
+/**
+ * Fold gradient bands drawn by buildGradientFill back into their element's
+ * gradient. Bands are recognized by their derived IDs.
+ * @param {Array<Object>} elements - Extracted elements of a slide
+ * @returns {Array<Object>} Elements without the bands
+ */
+function collapseGradientBands(elements) {
+  const bandsById = {};
+  elements.forEach(el => {
+    const match = /^(.+)_grad_(\d+)$/.exec(el.objectId || '');
+    if (match && el.type === 'shape') {
+      (bandsById[match[1]] = bandsById[match[1]] || [])[parseInt(match[2], 10)] = el;
+    }
+  });
+
+  const folded = {};
+  elements.forEach(el => {
+    const bands = bandsById[el.objectId];
+    if (!bands || bands.length < 2 || bands.some(band => !band)) return;
+    el.gradient = describeGradientBands(el, bands);
+    delete el.fillColor;
+    delete el._originalFillColor;
+    bands.forEach(band => { folded[band.objectId] = true; });
+  });
+  return elements.filter(el => !folded[el.objectId]);
+}
+
+/**
+ * Gradient spec of an element's bands
+ * @param {Object} element - Extracted element
+ * @param {Array<Object>} bands - Extracted bands, in ID order
+ * @returns {Object} Gradient spec (see the file overview)
+ */
+function describeGradientBands(element, bands) {
+  const n = bands.length;
+  const center = el => ({ x: (el.x || 0) + (el.w || 0) / 2, y: (el.y || 0) + (el.h || 0) / 2 });
+  const elementCenter = center(element);
+  const radial = bands.every(band => {
+    const c = center(band);
+    return Math.abs(c.x - elementCenter.x) < 1 && Math.abs(c.y - elementCenter.y) < 1;
+  });
+
+  // Radial bands run from the last stop inwards, linear ones from the first
+  const samples = bands.map((band, k) => ({
+    color: band.fillColor,
+    alpha: band.fillAlpha !== undefined ? band.fillAlpha : 1,
+    position: radial ? 1 - k / (n - 1) : k / (n - 1)
+  }));
+  if (radial) samples.reverse();
+
+  // Keep the stops that are not on the line between their neighbors
+  const stops = [samples[0]];
+  for (let i = 1; i < n - 1; i++) {
+    const previous = stops[stops.length - 1];
+    const next = samples[i + 1];
+    const weight = (samples[i].position - previous.position) / (next.position - previous.position);
+    const expected = themeService.hexToRgbApi(themeService.mixColors(previous.color, next.color, weight));
+    const actual = themeService.hexToRgbApi(samples[i].color);
+    const expectedAlpha = previous.alpha + (next.alpha - previous.alpha) * weight;
+    const onLine = expected && actual && Math.abs(samples[i].alpha - expectedAlpha) < 0.01 &&
+      ['red', 'green', 'blue'].every(channel => Math.abs(expected[channel] - actual[channel]) <= 2 / 255);
+    if (!onLine) stops.push(samples[i]);
+  }
+  stops.push(samples[n - 1]);
+
+  const colorOf = stop => {
+    if (stop.alpha >= 1) return stop.color;
+    return stop.color + ('0' + Math.round(stop.alpha * 255).toString(16)).slice(-2);
+  };
+  const evenlySpaced = stops.every((stop, i) => Math.abs(stop.position - i / (stops.length - 1)) < 0.001);
+  const gradient = {
+    type: radial ? 'radial' : 'linear',
+    stops: stops.map(stop => (evenlySpaced ? colorOf(stop) : { color: colorOf(stop), position: Math.round(stop.position * 1000) / 1000 }))
+  };
+
+  if (!radial) {
+    // Direction from the first band to the last, relative to the element
+    const first = center(bands[0]);
+    const last = center(bands[n - 1]);
+    const direction = Math.atan2(last.y - first.y, last.x - first.x) * 180 / Math.PI - (element.rotation || 0);
+    gradient.angle = (((Math.round(direction / 90) * 90) % 360) + 360) % 360;
+  }
+  if (n !== CONFIG.DEFAULTS.GRADIENT_STEPS) gradient.steps = n;
+  return gradient;
+}
+
+// ============================================================================
+// BACKGROUND IMAGES
+// ============================================================================
+
+/**
+ * Render a gradient to a PNG. Apps Script has no image or zlib library, so
+ * the pixels go into uncompressed deflate blocks; the picture is small.
+ * Translucent stops are blended over white.
+ * @param {Object} gradient - From normalizeGradient
+ * @param {number} width - Pixels
+ * @param {number} height - Pixels
+ * @returns {Array<number>} PNG bytes, 0-255
+ */
+function renderGradientPng(gradient, width, height) {
+  // Colors at 256 positions, looked up per pixel
+  const ramp = [];
+  for (let i = 0; i < 256; i++) {
+    const sample = sampleGradient(gradient.stops, i / 255);
+    const rgb = themeService.hexToRgbApi(sample.color);
+    ramp.push(['red', 'green', 'blue'].map(channel =>
+      Math.round((rgb[channel] * sample.alpha + (1 - sample.alpha)) * 255)));
+  }
+
+  // Position 0-1 of a pixel center: along the angle for linear gradients
+  // (between the first and last corner reached), or the distance from the
+  // center relative to the edge for radial ones
+  const radians = gradient.angle * Math.PI / 180;
+  const dirX = Math.cos(radians);
+  const dirY = Math.sin(radians);
+  const corners = [[0, 0], [width, 0], [0, height], [width, height]].map(p => p[0] * dirX + p[1] * dirY);
+  const minProjection = Math.min(...corners);
+  const projectionRange = Math.max(...corners) - minProjection || 1;
+  const positionAt = (x, y) => {
+    if (gradient.type === 'radial') {
+      const rx = (x - width / 2) / (width / 2);
+      const ry = (y - height / 2) / (height / 2);
+      return Math.min(1, Math.sqrt(rx * rx + ry * ry));
+    }
+    return (x * dirX + y * dirY - minProjection) / projectionRange;
+  };
+
+  const pixels = [];
+  for (let y = 0; y < height; y++) {
+    pixels.push(0); // Filter type: none
+    for (let x = 0; x < width; x++) {
+      const color = ramp[Math.round(positionAt(x + 0.5, y + 0.5) * 255)];
+      pixels.push(color[0], color[1], color[2]);
+    }
+  }
+
+  const header = pngUint32(width).concat(pngUint32(height), [8, 2, 0, 0, 0]); // 8-bit RGB
+  return [137, 80, 78, 71, 13, 10, 26, 10].concat(
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlibStore(pixels)),
+    pngChunk('IEND', [])
+  );
+}
+
+/**
+ * @param {number} value
+ * @returns {Array<number>} Big-endian bytes
+ */
+function pngUint32(value) {
+  return [(value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255];
+}
+
+/**
+ * PNG chunk: length, type, data and CRC of type and data
+ * @param {string} type
+ * @param {Array<number>} data
+ * @returns {Array<number>}
+ */
+function pngChunk(type, data) {
+  const typeBytes = type.split('').map(c => c.charCodeAt(0));
+  const body = typeBytes.concat(data);
+  return pngUint32(data.length).concat(body, pngUint32(crc32(body)));
+}
+
+// CRC table, built on first use
+let _crcTable = null;
+
+/**
+ * @param {Array<number>} bytes
+ * @returns {number} CRC-32 (PNG, zlib)
+ */
+function crc32(bytes) {
+  if (!_crcTable) {
+    _crcTable = [];
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+      _crcTable.push(c >>> 0);
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = _crcTable[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * zlib stream of uncompressed deflate blocks
+ * @param {Array<number>} data
+ * @returns {Array<number>}
+ */
+function zlibStore(data) {
+  const out = [0x78, 0x01];
+  for (let offset = 0; offset < data.length || offset === 0; offset += 65535) {
+    const length = Math.min(65535, data.length - offset);
+    const final = offset + length >= data.length ? 1 : 0;
+    out.push(final, length & 255, length >>> 8, ~length & 255, (~length >>> 8) & 255);
+    for (let i = offset; i < offset + length; i++) out.push(data[i]);
+  }
+
+  // Adler-32 of the uncompressed data
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length; i++) {
+    a = (a + data[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return out.concat(pngUint32(((b << 16) | a) >>> 0));
+}
@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Resumable generation jobs.
+ *
+ * A job splits generation into stages that can run across several
+ * executions, so large decks are not cut off by the 6 minute limit:
+ *
+ * STAGES:
+ * - phase1:   Slides API batchUpdate of all element requests
+ * - phase1.5: Connector requests
+ * - phase2:   SlidesApp work (Phase2Service queues), one slide at a time
+ * - done
+ *
+ * STORAGE:
+ * - Drive file:  full job state (requests, Phase 2 queues) - too big for properties
+ * - Script properties: small summary per job (status, stage, progress) for polling
+ *
+ * Work continues in resumeGenerationJobs(), run by a one-off time-based trigger.
+ */
+
+// ============================================================================
+// PHASE 2 SLICING
+// ============================================================================
+
+const PHASE2_QUEUE_NAMES = ['charts', 'speakerNotes', 'groups', 'images', 'proactiveImages', 'copyGroups', 'backgrounds'];
+
+/**
+ * Slide a Phase 2 item belongs to. Items without a slide index go with the
+ * first slice, so the queues always drain.
+ * @param {Object} item
+ * @returns {number}
+ */
+function getPhase2ItemSlide(item) {
+  return typeof item.slideIndex === 'number' ? item.slideIndex : 0;
+}
+
+/**
+ * Get the slide indexes that still have Phase 2 work, in order
+ * @param {Object} snapshot - phase2Service.toJSON() output
+ * @returns {Array<number>}
+ */
+function getPendingPhase2Slides(snapshot) {
+  const indexes = {};
+  PHASE2_QUEUE_NAMES.forEach(name => {
+    (snapshot[name] || []).forEach(item => { indexes[getPhase2ItemSlide(item)] = true; });
+  });
+  return Object.keys(indexes).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Split a Phase 2 snapshot into the work for one slide and the rest
+ * @param {Object} snapshot
+ * @param {number} slideIndex
+ * @returns {Object} { slice, rest }
+ */
+function splitPhase2Snapshot(snapshot, slideIndex) {
+  const slice = { elementIds: snapshot.elementIds || {} };
+  const rest = { elementIds: snapshot.elementIds || {} };
+  PHASE2_QUEUE_NAMES.forEach(name => {
+    const items = snapshot[name] || [];
+    slice[name] = items.filter(item => getPhase2ItemSlide(item) === slideIndex);
+    rest[name] = items.filter(item => getPhase2ItemSlide(item) !== slideIndex);
+  });
+  return { slice: slice, rest: rest };
+}
+
+/**
+ * Generation report for the polling summary. Script properties are limited
+ * to 9KB per value, so only the first entries are kept.
+ * @param {Object} [report] - generationReport.toJSON() output
+ * @returns {Object|null} Report, with `truncated: true` if entries were cut
+ */
+function summarizeJobReport(report) {
+  if (!report) return null;
+  const max = CONFIG.JOBS.MAX_SUMMARY_REPORT_ENTRIES;
+  if (report.entries.length <= max) return report;
+  return Object.assign({}, report, { entries: report.entries.slice(0, max), truncated: true });
+}
+
+// ============================================================================
+// JOB SERVICE
+// ============================================================================
+
+/**
+ * Job Service Class
+ */
+class JobService {
+  /**
+   * Create and persist a new job, and schedule its first run
+   * @param {Object} data - { presentationId, slideCount, theme, requests, requestOrigins, connectionRequests, phase2, chartWorkbook, report }
+   * @returns {Object} Job summary
+   */
+  create(data) {
+    this.prune();
+
+    const state = Object.assign({
+      jobId: Utilities.getUuid(),
+      status: 'queued',
+      stage: 'phase1',
+      createdAt: new Date().toISOString(),
+      sliceAttempts: 0,
+      skippedSlides: []
+    }, data);
+    state.progress = {
+      requests: state.requests.length,
+      requestsDone: 0,
+      connectionRequests: state.connectionRequests.length,
+      phase2SlidesTotal: getPendingPhase2Slides(state.phase2).length,
+      phase2SlidesDone: 0
+    };
+
+    const summary = this.save(state);
+    this.scheduleResume();
+    Logger.log('[JOB] Created ' + state.jobId + ' for presentation ' + state.presentationId);
+    return summary;
+  }
+
+  /**
+   * Load the full state of a job
+   * @param {string} jobId
+   * @returns {Object|null}
+   */
+  load(jobId) {
+    const summary = this.getSummary(jobId);
+    if (!summary || !summary.fileId) return null;
+    return JSON.parse(DriveApp.getFileById(summary.fileId).getBlob().getDataAsString());
+  }
+
+  /**
+   * Persist job state (Drive) and its summary (script properties).
+   * Finished jobs have their state file trashed; only the summary is kept.
+   * @param {Object} state
+   * @returns {Object} Summary
+   */
+  save(state) {
+    state.updatedAt = new Date().toISOString();
+    const finished = state.status === 'success' || state.status === 'error';
+
+    if (finished) {
+      if (state.fileId) DriveApp.getFileById(state.fileId).setTrashed(true);
+      state.fileId = null;
+    } else if (state.fileId) {
+      DriveApp.getFileById(state.fileId).setContent(JSON.stringify(state));
+    } else {
+      const file = DriveApp.createFile(CONFIG.JOBS.FILE_PREFIX + state.jobId + '.json', '', 'application/json');
+      state.fileId = file.getId();
+      file.setContent(JSON.stringify(state));
+    }
+
+    const summary = {
+      jobId: state.jobId,
+      status: state.status,
+      stage: state.stage,
+      presentationId: state.presentationId,
+      url: 'https://docs.google.com/presentation/d/' + state.presentationId + '/edit',
+      progress: state.progress,
+      skippedSlides: state.skippedSlides,
+      spreadsheetIds: state.chartWorkbook && state.chartWorkbook.spreadsheetId ? [state.chartWorkbook.spreadsheetId] : [],
+      report: summarizeJobReport(state.report),
+      message: state.message || null,
+      fileId: state.fileId,
+      createdAt: state.createdAt,
+      updatedAt: state.updatedAt
+    };
+    PropertiesService.getScriptProperties()
+      .setProperty(CONFIG.JOBS.PROPERTY_PREFIX + state.jobId, JSON.stringify(summary));
+    return summary;
+  }
+
+  /**
+   * Get the polling summary of a job
+   * @param {string} jobId
+   * @returns {Object|null}
+   */
+  getSummary(jobId) {
+    const value = PropertiesService.getScriptProperties().getProperty(CONFIG.JOBS.PROPERTY_PREFIX + jobId);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Summaries of all queued or running jobs
+   * @returns {Array<Object>}
+   */
+  listActive() {
+    const properties = PropertiesService.getScriptProperties().getProperties();
+    return Object.keys(properties)
+      .filter(key => key.indexOf(CONFIG.JOBS.PROPERTY_PREFIX) === 0)
+      .map(key => JSON.parse(properties[key]))
+      .filter(summary => summary.status === 'queued' || summary.status === 'running');
+  }
+
+  /**
+   * Drop summaries of finished jobs older than the retention period
+   */
+  prune() {
+    const store = PropertiesService.getScriptProperties();
+    const properties = store.getProperties();
+    const cutoff = Date.now() - CONFIG.JOBS.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    Object.keys(properties).forEach(key => {
+      if (key.indexOf(CONFIG.JOBS.PROPERTY_PREFIX) !== 0) return;
+      const summary = JSON.parse(properties[key]);
+      const finished = summary.status === 'success' || summary.status === 'error';
+      if (finished && new Date(summary.updatedAt).getTime() < cutoff) store.deleteProperty(key);
+    });
+  }
+
+  /**
+   * Make sure a resume trigger is pending
+   */
+  scheduleResume() {
+    const pending = ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === 'resumeGenerationJobs');
+    if (!pending) {
+      ScriptApp.newTrigger('resumeGenerationJobs').timeBased().after(CONFIG.JOBS.RESUME_DELAY_MS).create();
+    }
+  }
+
+  /**
+   * Remove resume triggers (one-off triggers are not removed automatically)
+   */
+  clearResumeTriggers() {
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === 'resumeGenerationJobs')
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  }
+
+  /**
+   * Advance a job until it finishes or the deadline passes
+   * @param {string} jobId
+   * @param {number} deadline - Timestamp (ms) after which no new step is started
+   * @returns {boolean} true if the job is finished (success or error)
+   */
+  run(jobId, deadline) {
+    const state = this.load(jobId);
+    if (!state) return true;
+
+    state.status = 'running';
+    themeService.setTheme(state.theme || null);
+    generationReport.restore(state.report);
+
+    try {
+      if (state.stage === 'phase1') {
+        // Progress is saved after every chunk, so a run cut off mid-phase
+        // does not send the same create requests again. Failed image requests
+        // are deferred to Phase 2 during retries, so the queues are saved too.
+        phase2Service.restore(state.phase2);
+        const requests = state.requests;
+        const origins = state.requestOrigins;
+        const droppedIds = state.droppedIds || {};
+        const chunks = chunkRequests(requests, origins);
+        for (let i = 0; i < chunks.length; i++) {
+          if (Date.now() > deadline) return this.pause(state);
+          executeRequestChunk(state.presentationId, chunks[i], i, chunks.length, droppedIds);
+          state.requests = requests.slice(chunks[i].end);
+          state.requestOrigins = origins ? origins.slice(chunks[i].end) : origins;
+          state.droppedIds = droppedIds;
+          state.phase2 = phase2Service.toJSON();
+          state.report = generationReport.toJSON();
+          state.progress.requestsDone = state.progress.requests - state.requests.length;
+          this.save(state);
+        }
+        state.progress.phase2SlidesTotal = getPendingPhase2Slides(state.phase2).length;
+        state.stage = 'phase1.5';
+        this.save(state);
+      }
+
+      if (state.stage === 'phase1.5') {
+        if (Date.now() > deadline) return this.pause(state);
+        if (state.connectionRequests.length > 0) {
+          Logger.log('Executing Phase 1.5: ' + state.connectionRequests.length + ' connections');
+          slidesApi.batchUpdate(state.presentationId, state.connectionRequests);
+        }
+        state.connectionRequests = [];
+        state.stage = 'phase2';
+        this.save(state);
+      }
+
+      while (state.stage === 'phase2') {
+        const pending = getPendingPhase2Slides(state.phase2);
+        if (pending.length === 0) {
+          chartWorkbookService.restore(state.chartWorkbook);
+          chartWorkbookService.finish();
+          state.chartWorkbook = chartWorkbookService.toJSON();
+          state.stage = 'done';
+          break;
+        }
+        if (Date.now() > deadline) return this.pause(state);
+
+        const slideIndex = pending[0];
+        const parts = splitPhase2Snapshot(state.phase2, slideIndex);
+
+        // Record the attempt first: if this slide kills the execution,
+        // the next run knows and eventually gives up on it
+        state.sliceAttempts++;
+        if (state.sliceAttempts > CONFIG.JOBS.MAX_SLICE_ATTEMPTS) {
+          generationReport.error('PHASE2_SKIPPED', joinSchemaPath('slides', slideIndex),
+            'Charts, images and notes of this slide skipped after ' + CONFIG.JOBS.MAX_SLICE_ATTEMPTS + ' failed attempts',
+            { slideIndex: slideIndex });
+          state.skippedSlides.push(slideIndex);
+        } else {
+          this.save(state);
+          phase2Service.restore(parts.slice);
+          chartWorkbookService.restore(state.chartWorkbook);
+          slidesApi.executePhase2(state.presentationId, state.slideCount);
+          state.chartWorkbook = chartWorkbookService.toJSON();
+        }
+        state.report = generationReport.toJSON();
+
+        state.phase2 = parts.rest;
+        state.sliceAttempts = 0;
+        state.progress.phase2SlidesDone++;
+        this.save(state);
+      }
+
+      state.status = 'success';
+      this.save(state);
+      Logger.log('[JOB] ' + jobId + ' finished');
+      return true;
+    } catch (e) {
+      Logger.log('[JOB] ' + jobId + ' failed: ' + e.message + '\n' + e.stack);
+      state.status = 'error';
+      state.message = e.message;
+      this.save(state);
+      return true;
+    }
+  }
+
+  /**
+   * Persist a job that ran out of time
+   * @param {Object} state
+   * @returns {boolean} false (job not finished)
+   */
+  pause(state) {
+    Logger.log('[JOB] ' + state.jobId + ' paused at stage ' + state.stage);
+    this.save(state);
+    return false;
+  }
+}
+
+const jobService = new JobService();
+
+/**
+ * Time-based trigger entry point: continue all unfinished jobs
+ */
+function resumeGenerationJobs() {
+  // Replace the trigger that started this run with the next one before any
+  // work, so jobs still resume if this execution is killed at the time limit
+  jobService.clearResumeTriggers();
+  jobService.scheduleResume();
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) return;
+
+  try {
+    const deadline = Date.now() + CONFIG.JOBS.TIME_BUDGET_MS;
+    jobService.listActive().forEach(summary => jobService.run(summary.jobId, deadline));
+    // Jobs created during this run count too
+    if (jobService.listActive().length === 0) jobService.clearResumeTriggers();
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Auto-layout containers (stack, row, grid).
+ *
+ * Containers position their children instead of the deck giving every
+ * element absolute x/y/w/h. They are resolved into absolutely positioned
+ * elements before buildElementRequests runs:
+ *
+ *   { "type": "row", "x": 40, "y": 120, "w": 640, "h": 120, "gap": 16,
+ *     "padding": 8, "align": "stretch", "group": true,
+ *     "elements": [ { "type": "shape", "flex": 2 }, { "type": "shape", "w": 100 } ] }
+ *
+ * - stack lays children out top to bottom, row left to right
+ * - along that axis a child takes its own h (stack) or w (row); children
+ *   without one, or with `flex`, share the remaining space by flex weight
+ * - `justify` (start|center|end|space-between) places children when no
+ *   child is flexible; `align` (start|center|end|stretch) places them across
+ * - grid fills `columns` (a count, or fractional column weights) row by row;
+ *   a child's `span` covers several columns
+ * - `group: true` emits a real createGroup for the container
+ *
+ * A container without x/y/w/h fills the canvas; nested containers get the
+ * box their parent assigns. A group inside a container is not moved: its
+ * children keep their absolute coordinates.
+ */
+
+// ============================================================================
+// GEOMETRY
+// ============================================================================
+
+/**
+ * Element types resolved by the layout engine
+ * @constant
+ */
+const LAYOUT_TYPES = ['stack', 'row', 'grid'];
+
+/**
+ * @param {Object} element
+ * @returns {boolean}
+ */
+function isLayoutContainer(element) {
+  return !!element && LAYOUT_TYPES.indexOf(element.type) !== -1;
+}
+
+/**
+ * Normalize padding to { top, right, bottom, left }
+ * @param {number|Object} [padding]
+ * @returns {Object}
+ */
+function getLayoutPadding(padding) {
+  if (padding && typeof padding === 'object') {
+    return { top: padding.top || 0, right: padding.right || 0, bottom: padding.bottom || 0, left: padding.left || 0 };
+  }
+  const value = padding !== undefined && padding !== null ? padding : CONFIG.LAYOUT.PADDING;
+  return { top: value, right: value, bottom: value, left: value };
+}
+
+/**
+ * Round to hundredths of a point so resolved decks stay readable
+ * @param {number} value
+ * @returns {number}
+ */
+function roundLayoutValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Split a length between items: fixed sizes first, the rest by weight
+ * @param {number} total - Available length, without gaps
+ * @param {Array<Object>} items - [{ size: number|null, weight: number }]
+ * @returns {Array<number>}
+ */
+function distributeLayoutSpace(total, items) {
+  const fixed = items.reduce((sum, item) => sum + (item.size !== null ? item.size : 0), 0);
+  const weights = items.reduce((sum, item) => sum + (item.size === null ? item.weight : 0), 0);
+  const free = Math.max(0, total - fixed);
+  return items.map(item => item.size !== null ? item.size : (weights > 0 ? free * item.weight / weights : 0));
+}
+
+/**
+ * Place a child across the container axis
+ * @param {string} align - start|center|end|stretch
+ * @param {number} start - Start of the available band
+ * @param {number} available - Width of the band
+ * @param {*} own - The child's own size on that axis
+ * @returns {Array<number>} [position, size]
+ */
+function alignLayoutChild(align, start, available, own) {
+  if (align === 'stretch' || typeof own !== 'number') return [start, available];
+  const size = Math.min(own, available);
+  if (align === 'center') return [start + (available - size) / 2, size];
+  if (align === 'end') return [start + available - size, size];
+  return [start, size];
+}
+
+// ============================================================================
+// CONTAINERS
+// ============================================================================
+
+/**
+ * Child boxes of a stack or row
+ * @param {Object} container
+ * @param {Object} content - Content box { x, y, w, h } (inside the padding)
+ * @returns {Array<Object>} Boxes { x, y, w, h } in child order
+ */
+function layoutLinearChildren(container, content) {
+  const children = container.elements;
+  const vertical = container.type === 'stack';
+  const mainKey = vertical ? 'h' : 'w';
+  const crossKey = vertical ? 'w' : 'h';
+  const mainStart = vertical ? content.y : content.x;
+  const mainSize = vertical ? content.h : content.w;
+  const crossStart = vertical ? content.x : content.y;
+  const crossSize = vertical ? content.w : content.h;
+  const gap = container.gap !== undefined && container.gap !== null ? container.gap : CONFIG.LAYOUT.GAP;
+  const align = container.align || 'stretch';
+
+  const sizes = distributeLayoutSpace(mainSize - gap * Math.max(0, children.length - 1), children.map(child => ({
+    size: (typeof child.flex !== 'number' && typeof child[mainKey] === 'number') ? child[mainKey] : null,
+    weight: typeof child.flex === 'number' ? child.flex : 1
+  })));
+
+  // Leftover space only exists when every child has a fixed size
+  const used = sizes.reduce((sum, size) => sum + size, 0) + gap * Math.max(0, children.length - 1);
+  const leftover = Math.max(0, mainSize - used);
+  let offset = 0;
+  let spacing = gap;
+  if (container.justify === 'center') offset = leftover / 2;
+  else if (container.justify === 'end') offset = leftover;
+  else if (container.justify === 'space-between' && children.length > 1) spacing = gap + leftover / (children.length - 1);
+
+  let position = mainStart + offset;
+  return children.map((child, i) => {
+    const cross = alignLayoutChild(align, crossStart, crossSize, child[crossKey]);
+    const box = vertical
+      ? { x: cross[0], y: position, w: cross[1], h: sizes[i] }
+      : { x: position, y: cross[0], w: sizes[i], h: cross[1] };
+    position += sizes[i] + spacing;
+    return box;
+  });
+}
+
+/**
+ * Child boxes of a grid
+ * @param {Object} container
+ * @param {Object} content - Content box { x, y, w, h } (inside the padding)
+ * @returns {Array<Object>} Boxes { x, y, w, h } in child order
+ */
+function layoutGridChildren(container, content) {
+  const children = container.elements;
+  const gap = container.gap !== undefined && container.gap !== null ? container.gap : CONFIG.LAYOUT.GAP;
+  const columnGap = typeof container.columnGap === 'number' ? container.columnGap : gap;
+  const rowGap = typeof container.rowGap === 'number' ? container.rowGap : gap;
+  const weights = Array.isArray(container.columns)
+    ? container.columns
+    : new Array(container.columns || CONFIG.LAYOUT.GRID_COLUMNS).fill(1);
+  const columnCount = weights.length;
+  const align = container.align || 'stretch';
+
+  const widths = distributeLayoutSpace(content.w - columnGap * (columnCount - 1),
+    weights.map(weight => ({ size: null, weight: weight })));
+  const lefts = widths.map((width, c) =>
+    content.x + widths.slice(0, c).reduce((sum, w) => sum + w, 0) + columnGap * c);
+
+  // Assign cells row by row; a span that does not fit starts a new row
+  const cells = [];
+  let row = 0;
+  let column = 0;
+  children.forEach(child => {
+    const span = Math.min(columnCount, Math.max(1, Math.floor(child.span || 1)));
+    if (column + span > columnCount) {
+      row++;
+      column = 0;
+    }
+    cells.push({ row: row, column: column, span: span });
+    column += span;
+  });
+
+  const rowCount = Math.max(container.rows || 0, children.length > 0 ? row + 1 : 0);
+  const rowHeight = rowCount > 0 ? Math.max(0, (content.h - rowGap * (rowCount - 1)) / rowCount) : 0;
+
+  return cells.map((cell, i) => {
+    const child = children[i];
+    const cellWidth = widths.slice(cell.column, cell.column + cell.span).reduce((sum, w) => sum + w, 0) +
+      columnGap * (cell.span - 1);
+    const cellTop = content.y + cell.row * (rowHeight + rowGap);
+    const horizontal = alignLayoutChild(align, lefts[cell.column], cellWidth, child.w);
+    const vertical = alignLayoutChild(align, cellTop, rowHeight, child.h);
+    return { x: horizontal[0], y: vertical[0], w: horizontal[1], h: vertical[1] };
+  });
+}
+
+/**
+ * Resolve a container into absolutely positioned elements
+ * @param {Object} container - stack, row or grid element
+ * @param {Object} box - Box assigned to the container { x, y, w, h }
+ * @param {string} path - Report path of the container
+ * @returns {Array<Object>} The positioned children (nested containers resolved),
+ *   or a single group element when container.group is set
+ */
+function resolveLayoutContainer(container, box, path) {
+  // Aliases (width/height) are normalized first so they cannot override the resolved box
+  const children = (container.elements || []).filter(Boolean).map(normalizeProperties);
+  const padding = getLayoutPadding(container.padding);
+  const content = {
+    x: box.x + padding.left,
+    y: box.y + padding.top,
+    w: Math.max(0, box.w - padding.left - padding.right),
+    h: Math.max(0, box.h - padding.top - padding.bottom)
+  };
+  const laidOut = Object.assign({}, container, { elements: children });
+  const boxes = container.type === 'grid' ? layoutGridChildren(laidOut, content) : layoutLinearChildren(laidOut, content);
+  builderLog('Layout ' + container.type + ' ' + (container.objectId || path) + ': ' + children.length + ' children in ' +
+    Math.round(box.w) + 'x' + Math.round(box.h) + ' at (' + Math.round(box.x) + ',' + Math.round(box.y) + ')');
+
+  const resolved = [];
+  children.forEach((child, i) => {
+    const childBox = {
+      x: roundLayoutValue(boxes[i].x),
+      y: roundLayoutValue(boxes[i].y),
+      w: roundLayoutValue(boxes[i].w),
+      h: roundLayoutValue(boxes[i].h)
+    };
+    const childPath = getElementReportPath(null, i, path);
+    if (isLayoutContainer(child)) {
+      resolved.push(...resolveLayoutContainer(child, childBox, childPath));
+      return;
+    }
+    const positioned = Object.assign({}, child, childBox);
+    positioned._layoutPath = childPath;
+    if (positioned.type === 'group' && Array.isArray(positioned.elements)) {
+      positioned.elements = resolveLayoutChildren(positioned.elements, childPath);
+    }
+    resolved.push(positioned);
+  });
+
+  // createGroup needs at least two children
+  if (container.group && resolved.length > 1) {
+    return [{
+      type: 'group',
+      objectId: container.objectId,
+      elements: resolved,
+      _layoutPath: path
+    }];
+  }
+  return resolved;
+}
+
+/**
+ * Box of a container that is not inside another container
+ * @param {Object} container
+ * @returns {Object} { x, y, w, h } - missing values fill the canvas
+ */
+function getLayoutRootBox(container) {
+  container = normalizeProperties(container);
+  const x = typeof container.x === 'number' ? container.x : 0;
+  const y = typeof container.y === 'number' ? container.y : 0;
+  return {
+    x: x,
+    y: y,
+    w: typeof container.w === 'number' ? container.w : CONFIG.CANVAS.WIDTH - x,
+    h: typeof container.h === 'number' ? container.h : CONFIG.CANVAS.HEIGHT - y
+  };
+}
+
+/**
+ * Resolve containers among the children of a group
+ * @param {Array<Object>} elements
+ * @param {string} parentPath - Report path of the group
+ * @returns {Array<Object>}
+ */
+function resolveLayoutChildren(elements, parentPath) {
+  const resolved = [];
+  elements.forEach((element, i) => {
+    const path = getElementReportPath(null, i, parentPath);
+    if (isLayoutContainer(element)) {
+      resolved.push(...resolveLayoutContainer(element, getLayoutRootBox(element), path));
+      return;
+    }
+    if (element) {
+      element._layoutPath = path;
+      if (element.type === 'group' && Array.isArray(element.elements)) {
+        element.elements = resolveLayoutChildren(element.elements, path);
+      }
+    }
+    resolved.push(element);
+  });
+  return resolved;
+}
+
+// ============================================================================
+// SLIDES
+// ============================================================================
+
+/**
+ * Replace the layout containers of a slide with the elements they position.
+ * Call after _originalIndex is set: resolved children keep their container's
+ * _originalIndex and zIndex, so they are built, chunked and stacked as one element.
+ * @param {Array<Object>} elements - Slide elements
+ * @param {number} slideIndex
+ * @returns {Array<Object>} Elements without containers
+ */
+function resolveSlideLayout(elements, slideIndex) {
+  if (!elements.some(element => isLayoutContainer(element) || (element && element.type === 'group'))) {
+    return elements;
+  }
+
+  const resolved = [];
+  elements.forEach(element => {
+    if (!element) {
+      resolved.push(element);
+      return;
+    }
+    const path = getElementReportPath(slideIndex, element._originalIndex);
+    if (isLayoutContainer(element)) {
+      resolveLayoutContainer(element, getLayoutRootBox(element), path).forEach(child => {
+        child._originalIndex = element._originalIndex;
+        child.zIndex = element.zIndex;
+        resolved.push(child);
+      });
+      return;
+    }
+    if (element.type === 'group' && Array.isArray(element.elements)) {
+      element.elements = resolveLayoutChildren(element.elements, path);
+    }
+    resolved.push(element);
+  });
+  return resolved;
+}
@@ -0,0 +1,445 @@
+/**
+ * @fileoverview Markdown-to-deck compiler (fromMarkdown).
+ *
+ * Turns a Markdown outline into deck JSON and, unless only the JSON is
+ * wanted, generates it:
+ *
+ *   # Quarterly review          <- title text element
+ *   - Revenue up 12%            <- bullet list (items with indent levels)
+ *     - EMEA led growth
+ *   | Region | Q3 |            <- table element (first row is the header
+ *   |--------|----|               when followed by a separator row)
+ *   > notes: Mention churn.     <- speaker notes (following ">" lines too)
+ *   ---                         <- next slide
+ *
+ * Blocks are stacked top to bottom using the theme fonts (heading, body,
+ * mono) from ThemeService; text heights are estimated from CONFIG.MARKDOWN.
+ * Slides that only hold headings are laid out as centered title slides.
+ */
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+const MARKDOWN_PATTERNS = {
+  FENCE: /^\s*(```|~~~)\s*([\w+-]*)/,
+  SLIDE_BREAK: /^\s*---+\s*$/,
+  HEADING: /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/,
+  NOTES: /^\s*>\s?notes?:\s*(.*)$/i,
+  QUOTE: /^\s*>\s?(.*)$/,
+  LIST_ITEM: /^(\s*)([-*+]|\d+[.)])\s+(.*)$/,
+  TABLE_ROW: /^\s*\|.*\|\s*$/,
+  TABLE_SEPARATOR: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+};
+
+/**
+ * Remove inline Markdown (emphasis, code spans, links) from a line of text
+ * @param {string} text
+ * @returns {string}
+ */
+function stripInlineMarkdown(text) {
+  return String(text)
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(?<!\\)(\*\*|__|~~)(?=\S)(.+?)(?<=[^\s\\])\1/g, '$2')
+    // Single * or _ only at word boundaries, so snake_case names survive
+    .replace(/(^|[^\w*\\])([*_])(?=\S)(.+?)(?<=[^\s\\])\2(?![\w*])/g, '$1$3')
+    .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1');
+}
+
+/**
+ * Split Markdown into the lines of each slide. `---` separates slides,
+ * except inside fenced code blocks.
+ * @param {string} markdown
+ * @returns {Array<Array<string>>} Lines per slide (blank slides dropped)
+ */
+function splitMarkdownSlides(markdown) {
+  const slides = [[]];
+  let fence = null;
+
+  String(markdown || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const fenceMatch = MARKDOWN_PATTERNS.FENCE.exec(line);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+    } else if (!fence && MARKDOWN_PATTERNS.SLIDE_BREAK.test(line)) {
+      slides.push([]);
+      return;
+    }
+    slides[slides.length - 1].push(line);
+  });
+
+  return slides.filter(lines => lines.some(line => line.trim()));
+}
+
+/**
+ * Split a table row into trimmed cell texts
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function splitMarkdownTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => stripInlineMarkdown(cell.trim().replace(/\\\|/g, '|')));
+}
+
+/**
+ * Width of a line's leading whitespace (tabs count as 4 spaces)
+ * @param {string} whitespace
+ * @returns {number}
+ */
+function markdownIndentWidth(whitespace) {
+  return whitespace.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Does this line start a block other than a paragraph?
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isMarkdownBlockStart(line) {
+  return MARKDOWN_PATTERNS.FENCE.test(line) ||
+    MARKDOWN_PATTERNS.HEADING.test(line) ||
+    MARKDOWN_PATTERNS.QUOTE.test(line) ||
+    MARKDOWN_PATTERNS.LIST_ITEM.test(line) ||
+    MARKDOWN_PATTERNS.TABLE_ROW.test(line);
+}
+
+/**
+ * Parse the lines of one slide into blocks
+ * @param {Array<string>} lines
+ * @returns {Object} { blocks: [{ type: heading|paragraph|list|table|code, ... }], notes: string|null }
+ */
+function parseMarkdownBlocks(lines) {
+  const blocks = [];
+  const notes = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+
+    if (!line.trim()) {
+      i++;
+    } else if ((match = MARKDOWN_PATTERNS.FENCE.exec(line))) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(match[1])) code.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', language: match[2] || null, text: code.join('\n') });
+    } else if ((match = MARKDOWN_PATTERNS.HEADING.exec(line))) {
+      blocks.push({ type: 'heading', level: match[1].length, text: stripInlineMarkdown(match[2]) });
+      i++;
+    } else if ((match = MARKDOWN_PATTERNS.NOTES.exec(line))) {
+      const note = [match[1]];
+      i++;
+      while (i < lines.length && MARKDOWN_PATTERNS.QUOTE.test(lines[i]) && !MARKDOWN_PATTERNS.NOTES.test(lines[i])) {
+        note.push(MARKDOWN_PATTERNS.QUOTE.exec(lines[i++])[1]);
+      }
+      notes.push(stripInlineMarkdown(note.join('\n').trim()));
+    } else if (MARKDOWN_PATTERNS.QUOTE.test(line)) {
+      const quote = [];
+      while (i < lines.length && MARKDOWN_PATTERNS.QUOTE.test(lines[i]) && !MARKDOWN_PATTERNS.NOTES.test(lines[i])) {
+        quote.push(MARKDOWN_PATTERNS.QUOTE.exec(lines[i++])[1].trim());
+      }
+      blocks.push({ type: 'paragraph', quote: true, text: stripInlineMarkdown(quote.join(' ').trim()) });
+    } else if (MARKDOWN_PATTERNS.TABLE_ROW.test(line)) {
+      const rows = [];
+      while (i < lines.length && MARKDOWN_PATTERNS.TABLE_ROW.test(lines[i])) rows.push(lines[i++]);
+      const header = rows.length > 1 && MARKDOWN_PATTERNS.TABLE_SEPARATOR.test(rows[1]);
+      const cells = rows.filter(row => !MARKDOWN_PATTERNS.TABLE_SEPARATOR.test(row)).map(splitMarkdownTableRow);
+      const columns = Math.max(...cells.map(row => row.length));
+      blocks.push({
+        type: 'table',
+        header: header,
+        rows: cells.map(row => row.concat(new Array(columns - row.length).fill('')))
+      });
+    } else if (MARKDOWN_PATTERNS.LIST_ITEM.test(line)) {
+      const items = [];
+      // Indentation widths of the open nesting levels
+      const levels = [];
+      const ordered = /\d/.test(MARKDOWN_PATTERNS.LIST_ITEM.exec(line)[2]);
+
+      while (i < lines.length) {
+        const itemMatch = MARKDOWN_PATTERNS.LIST_ITEM.exec(lines[i]);
+        if (itemMatch) {
+          const width = markdownIndentWidth(itemMatch[1]);
+          while (levels.length > 0 && width < levels[levels.length - 1]) levels.pop();
+          if (levels.length === 0 || width > levels[levels.length - 1]) levels.push(width);
+          items.push({ text: stripInlineMarkdown(itemMatch[3].trim()), indent: levels.length - 1 });
+          i++;
+        } else if (lines[i].trim() && /^\s/.test(lines[i]) && !isMarkdownBlockStart(lines[i])) {
+          // Indented continuation of the previous item
+          items[items.length - 1].text += ' ' + stripInlineMarkdown(lines[i].trim());
+          i++;
+        } else if (!lines[i].trim() && i + 1 < lines.length && MARKDOWN_PATTERNS.LIST_ITEM.test(lines[i + 1])) {
+          // Blank line inside a loose list
+          i++;
+        } else {
+          break;
+        }
+      }
+      blocks.push({ type: 'list', ordered: ordered, items: items });
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isMarkdownBlockStart(lines[i]))) {
+        paragraph.push(lines[i++].trim());
+      }
+      blocks.push({ type: 'paragraph', text: stripInlineMarkdown(paragraph.join(' ')) });
+    }
+  }
+
+  return { blocks: blocks, notes: notes.length > 0 ? notes.join('\n\n') : null };
+}
+
+// ============================================================================
+// LAYOUT
+// ============================================================================
+
+/**
+ * Estimate the height of a text box holding the given paragraphs
+ * @param {Array<string>} paragraphs
+ * @param {number} fontSize
+ * @param {number} width - Box width in points
+ * @param {number} [charWidth] - Average glyph width as a fraction of fontSize
+ * @returns {number} Height in points
+ */
+function estimateMarkdownTextHeight(paragraphs, fontSize, width, charWidth) {
+  const innerWidth = width - CONFIG.DEFAULTS.PADDING_LEFT - CONFIG.DEFAULTS.PADDING_RIGHT;
+  const charsPerLine = Math.max(1, Math.floor(innerWidth / (fontSize * (charWidth || CONFIG.MARKDOWN.CHAR_WIDTH))));
+  const lineCount = paragraphs.reduce((sum, text) => sum + Math.max(1, Math.ceil(text.length / charsPerLine)), 0);
+  return Math.ceil(lineCount * fontSize * CONFIG.MARKDOWN.LINE_HEIGHT +
+    CONFIG.DEFAULTS.PADDING_TOP + CONFIG.DEFAULTS.PADDING_BOTTOM);
+}
+
+/**
+ * Build the element for one block at the given position
+ * @param {Object} block - Parsed block
+ * @param {Object} box - { objectId, x, y, w }
+ * @param {Object} fonts - Resolved theme fonts { heading, body, mono }
+ * @param {boolean} isTitle - First heading of the slide
+ * @returns {Object} Element with its height set
+ */
+function buildMarkdownElement(block, box, fonts, isTitle) {
+  const md = CONFIG.MARKDOWN;
+  const base = { objectId: box.objectId, x: box.x, y: box.y, w: box.w };
+
+  if (block.type === 'heading') {
+    const fontSize = isTitle ? md.TITLE_FONT_SIZE : md.HEADING_FONT_SIZE;
+    return Object.assign(base, {
+      type: 'text',
+      text: block.text,
+      h: estimateMarkdownTextHeight([block.text], fontSize, box.w),
+      fontSize: fontSize,
+      fontFamily: fonts.heading,
+      bold: true,
+      color: 'text'
+    });
+  }
+
+  if (block.type === 'list') {
+    const element = Object.assign(base, {
+      type: 'text',
+      items: block.items,
+      // Bullet glyph and nesting indent take roughly four characters per level
+      h: estimateMarkdownTextHeight(
+        block.items.map(item => '    '.repeat(item.indent + 1) + item.text), md.BODY_FONT_SIZE, box.w),
+      fontSize: md.BODY_FONT_SIZE,
+      fontFamily: fonts.body,
+      color: 'text'
+    });
+    if (block.ordered) element.listType = 'numbered';
+    return element;
+  }
+
+  if (block.type === 'code') {
+    const codeLines = block.text.split('\n');
+    return Object.assign(base, {
+      type: 'text',
+      text: block.text,
+      h: estimateMarkdownTextHeight(codeLines, md.CODE_FONT_SIZE, box.w, md.MONO_CHAR_WIDTH),
+      fontSize: md.CODE_FONT_SIZE,
+      fontFamily: fonts.mono,
+      fillColor: 'surface',
+      color: 'text'
+    });
+  }
+
+  if (block.type === 'table') {
+    const fontSize = CONFIG.DEFAULTS.TABLE_FONT_SIZE;
+    const columns = block.rows[0].length;
+    // Columns share the width in proportion to their longest cell
+    const weights = [];
+    for (let c = 0; c < columns; c++) {
+      weights.push(Math.min(40, Math.max(4, ...block.rows.map(row => row[c].length))));
+    }
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const columnWidths = weights.map(weight => Math.round(box.w * weight / totalWeight * 10) / 10);
+    const rowHeights = block.rows.map(row => Math.max(...row.map((text, c) =>
+      estimateMarkdownTextHeight([text], fontSize, columnWidths[c]) -
+      CONFIG.DEFAULTS.PADDING_TOP - CONFIG.DEFAULTS.PADDING_BOTTOM + md.TABLE_ROW_PADDING)));
+
+    return Object.assign(base, {
+      type: 'table',
+      h: rowHeights.reduce((sum, height) => sum + height, 0),
+      header: block.header,
+      data: block.rows.map((row, r) => row.map(text => {
+        const cell = { text: text, fontSize: fontSize, fontFamily: fonts.body };
+        if (block.header && r === 0) {
+          cell.bold = true;
+          cell.fillColor = 'surface';
+        }
+        return cell;
+      })),
+      columnWidths: columnWidths,
+      rowHeights: rowHeights
+    });
+  }
+
+  // Paragraph (blockquotes are italic paragraphs)
+  const element = Object.assign(base, {
+    type: 'text',
+    text: block.text,
+    h: estimateMarkdownTextHeight([block.text], md.BODY_FONT_SIZE, box.w),
+    fontSize: md.BODY_FONT_SIZE,
+    fontFamily: fonts.body,
+    color: 'text'
+  });
+  if (block.quote) {
+    element.italic = true;
+    element.color = 'textLight';
+  }
+  return element;
+}
+
+/**
+ * Lay out the blocks of one slide
+ * @param {Object} parsed - { blocks, notes } from parseMarkdownBlocks
+ * @param {number} slideIndex
+ * @param {Object} fonts - Resolved theme fonts
+ * @param {Array<Object>} warnings - Receives { path, message } layout warnings
+ * @returns {Object} Slide JSON
+ */
+function layoutMarkdownSlide(parsed, slideIndex, fonts, warnings) {
+  const md = CONFIG.MARKDOWN;
+  const width = CONFIG.CANVAS.WIDTH - 2 * md.MARGIN;
+  const prefix = 'md' + (slideIndex + 1) + '_';
+  const counts = {};
+  const isTitleSlide = parsed.blocks.length > 0 && parsed.blocks.every(block => block.type === 'heading');
+
+  const elements = parsed.blocks.map((block, i) => {
+    const isTitle = i === 0 && block.type === 'heading';
+    counts[block.type] = (counts[block.type] || 0) + 1;
+    const objectId = isTitle ? prefix + 'title' : prefix + block.type + counts[block.type];
+    const element = buildMarkdownElement(block, { objectId: objectId, x: md.MARGIN, y: 0, w: width }, fonts, isTitle);
+
+    if (isTitleSlide && i > 0) {
+      element.fontSize = md.SUBTITLE_FONT_SIZE;
+      element.fontFamily = fonts.body;
+      element.bold = false;
+      element.color = 'textLight';
+      element.h = estimateMarkdownTextHeight([element.text], element.fontSize, width);
+    }
+    if (isTitleSlide) element.align = 'center';
+    return element;
+  });
+
+  // Stack the elements; title slides are centered vertically
+  const totalHeight = elements.reduce((sum, element) => sum + element.h, 0) +
+    Math.max(0, elements.length - 1) * md.GAP;
+  let y = isTitleSlide ? Math.max(md.MARGIN, Math.round((CONFIG.CANVAS.HEIGHT - totalHeight) / 2)) : md.MARGIN;
+  elements.forEach(element => {
+    element.y = y;
+    y += element.h + md.GAP;
+  });
+
+  const bottom = y - md.GAP;
+  if (bottom > CONFIG.CANVAS.HEIGHT - md.MARGIN / 2) {
+    warnings.push({
+      path: 'slides[' + slideIndex + ']',
+      message: 'Content is about ' + Math.round(bottom - CONFIG.CANVAS.HEIGHT + md.MARGIN / 2) +
+        'pt taller than the slide; split it with --- or shorten it'
+    });
+  }
+
+  const slide = { elements: elements };
+  if (parsed.notes) slide.speakerNotes = parsed.notes;
+  return slide;
+}
+
+// ============================================================================
+// COMPILER
+// ============================================================================
+
+/**
+ * Compile Markdown to deck JSON
+ * @param {string} markdown
+ * @param {Object} [options] - { title, theme } (title defaults to the first heading)
+ * @returns {Object} { json, warnings }
+ */
+function compileMarkdown(markdown, options) {
+  options = options || {};
+  const slideLines = splitMarkdownSlides(markdown);
+  if (slideLines.length === 0) {
+    throw new Error('Markdown has no content');
+  }
+
+  themeService.setTheme(options.theme || null);
+  const fonts = {
+    heading: themeService.resolveThemeFont('heading'),
+    body: themeService.resolveThemeFont('body'),
+    mono: themeService.resolveThemeFont('mono')
+  };
+
+  const warnings = [];
+  const parsedSlides = slideLines.map(parseMarkdownBlocks);
+  const slides = parsedSlides.map((parsed, i) => layoutMarkdownSlide(parsed, i, fonts, warnings));
+
+  let title = options.title;
+  if (!title) {
+    const heading = parsedSlides.reduce((found, parsed) =>
+      found || parsed.blocks.find(block => block.type === 'heading'), null);
+    title = heading ? heading.text : 'Markdown Presentation';
+  }
+
+  const config = { title: title };
+  if (options.theme) config.theme = options.theme;
+
+  return { json: { config: config, slides: slides }, warnings: warnings };
+}
+
+// ============================================================================
+// SERVER API
+// ============================================================================
+
+/**
+ * Generate a presentation from Markdown
+ * @param {string} markdown
+ * @param {Object} [options] - { title, theme } for compileMarkdown, { jsonOnly: true } to return
+ *   the deck JSON for hand-tuning instead of generating it, and { targetPresentationId, async }
+ *   as for generatePresentation
+ * @returns {Object} generatePresentation result, or { status, json, warnings } with jsonOnly.
+ *   Layout warnings come first in `warnings`.
+ */
+function fromMarkdown(markdown, options) {
+  options = options || {};
+  let compiled;
+  try {
+    compiled = compileMarkdown(markdown, options);
+  } catch (e) {
+    Logger.log('Markdown compile error: ' + e.message);
+    return { status: 'error', message: e.message };
+  }
+
+  if (options.jsonOnly) {
+    return { status: 'success', json: compiled.json, warnings: compiled.warnings };
+  }
+
+  const result = generatePresentation(JSON.stringify(compiled.json), {
+    targetPresentationId: options.targetPresentationId,
+    async: options.async
+  });
+  result.warnings = compiled.warnings.concat(result.warnings || []);
+  return result;
+}
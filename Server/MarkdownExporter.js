@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Markdown export of extracted presentations.
+ *
+ * Walks the slides from extractPresentationAdvanced in reading order (top to
+ * bottom, left to right within a row) and emits a Markdown outline that the
+ * Markdown compiler (MarkdownCompiler.js) reads back:
+ *
+ *   - slides are separated by `---`
+ *   - the slide's largest single-line text becomes its heading
+ *   - text runs keep **bold**, *italic* and [links](url)
+ *   - bullets become nested lists, tables become pipe tables
+ *   - images and charts are referenced by URL
+ *   - speaker notes become a `> notes:` block
+ */
+
+// ============================================================================
+// INLINE TEXT
+// ============================================================================
+
+/**
+ * Escape characters that Markdown would read as formatting
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdownText(text) {
+  return String(text).replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * Render one run as inline Markdown. Emphasis markers go around the
+ * non-space part so that "bold " does not become "**bold **".
+ * @param {string} text
+ * @param {Object} style - { bold, italic, link }
+ * @returns {string}
+ */
+function formatMarkdownRun(text, style) {
+  const match = /^(\s*)(.*?)(\s*)$/.exec(text);
+  if (!match[2]) return text;
+
+  let body = escapeMarkdownText(match[2]);
+  if (style.link && style.link.url) body = '[' + body + '](' + style.link.url + ')';
+  const marker = (style.bold ? '**' : '') + (style.italic ? '*' : '');
+  return match[1] + marker + body + marker.split('').reverse().join('') + match[3];
+}
+
+/**
+ * Split a text element into paragraphs of inline Markdown
+ * @param {Object} element - Extracted text or shape element
+ * @returns {Array<Object>} [{ text, plain, bullet }] - bullet is { level, ordered } or null
+ */
+function getMarkdownParagraphs(element) {
+  const runs = (element.textRuns && element.textRuns.length > 0) ? element.textRuns : [{ text: element.text || '' }];
+  const paragraphs = [];
+  let current = null;
+
+  runs.forEach(run => {
+    const style = {
+      bold: run.bold !== undefined ? run.bold : element.bold,
+      italic: run.italic !== undefined ? run.italic : element.italic,
+      link: run.link || (runs.length === 1 ? element.link : null)
+    };
+    // Vertical tabs are soft line breaks inside a paragraph
+    String(run.text || '').replace(/\u000b/g, ' ').split('\n').forEach((segment, i) => {
+      if (i > 0 || !current) {
+        current = { text: '', plain: '', bullet: null };
+        paragraphs.push(current);
+      }
+      // The paragraph takes its bullet from its first run with text
+      if (!current.bullet && segment && run.bullet && (run.bullet.listId || run.bullet.glyph)) {
+        current.bullet = {
+          level: run.bullet.nestingLevel || 0,
+          ordered: /^([0-9]+|[a-z]+|[ivxlc]+)[.)]/i.test(run.bullet.glyph || '')
+        };
+      }
+      current.text += formatMarkdownRun(segment, style);
+      current.plain += segment;
+    });
+  });
+
+  return paragraphs.filter(paragraph => paragraph.plain.trim());
+}
+
+// ============================================================================
+// ELEMENTS
+// ============================================================================
+
+/**
+ * Largest font size used in a text element
+ * @param {Object} element
+ * @returns {number}
+ */
+function getMarkdownFontSize(element) {
+  const sizes = (element.textRuns || []).map(run => run.fontSize || 0);
+  return Math.max(element.fontSize || 0, ...sizes);
+}
+
+/**
+ * Sort elements into reading order: rows from top to bottom, and left to
+ * right within a row (tops closer than READING_ORDER_TOLERANCE share a row)
+ * @param {Array<Object>} elements
+ * @returns {Array<Object>}
+ */
+function sortMarkdownReadingOrder(elements) {
+  const tolerance = CONFIG.MARKDOWN.READING_ORDER_TOLERANCE;
+  const byTop = elements.slice().sort((a, b) => (a.y || 0) - (b.y || 0));
+  const rows = [];
+  byTop.forEach(element => {
+    const row = rows[rows.length - 1];
+    if (row && (element.y || 0) - row.top <= tolerance) row.elements.push(element);
+    else rows.push({ top: element.y || 0, elements: [element] });
+  });
+  return rows.flatMap(row => row.elements.sort((a, b) => (a.x || 0) - (b.x || 0)));
+}
+
+/**
+ * Pick the element used as the slide heading: the text with the largest font,
+ * if it is a single short paragraph and strictly larger than all other text
+ * @param {Array<Object>} textElements
+ * @returns {Object|null}
+ */
+function findMarkdownHeading(textElements) {
+  if (textElements.length === 0) return null;
+  const sizes = textElements.map(getMarkdownFontSize);
+  const largest = Math.max(...sizes);
+  const candidates = textElements.filter((element, i) => sizes[i] === largest);
+  if (candidates.length !== 1 || largest < CONFIG.MARKDOWN.EXPORT_HEADING_MIN_FONT_SIZE) return null;
+
+  const paragraphs = getMarkdownParagraphs(candidates[0]);
+  if (paragraphs.length !== 1 || paragraphs[0].bullet || paragraphs[0].plain.length > 120) return null;
+  return candidates[0];
+}
+
+/**
+ * Render a text element as Markdown paragraphs and lists
+ * @param {Object} element
+ * @returns {string}
+ */
+function textElementToMarkdown(element) {
+  const lines = [];
+  let inList = false;
+  getMarkdownParagraphs(element).forEach(paragraph => {
+    if (paragraph.bullet) {
+      if (!inList && lines.length > 0) lines.push('');
+      lines.push('  '.repeat(paragraph.bullet.level) + (paragraph.bullet.ordered ? '1. ' : '- ') + paragraph.text.trim());
+      inList = true;
+    } else {
+      if (lines.length > 0) lines.push('');
+      lines.push(paragraph.text.trim());
+      inList = false;
+    }
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Text of a table cell (cells may be strings, numbers or objects)
+ * @param {*} cell
+ * @returns {string}
+ */
+function getMarkdownCellText(cell) {
+  if (cell === null || cell === undefined) return '';
+  if (typeof cell !== 'object') return String(cell);
+  if (cell.textRuns && cell.textRuns.length > 0) return cell.textRuns.map(run => run.text || '').join('');
+  return String(cell.text || '');
+}
+
+/**
+ * Render a table element as a pipe table (the first row is the header)
+ * @param {Object} element
+ * @returns {string}
+ */
+function tableElementToMarkdown(element) {
+  const data = element.data || [];
+  if (data.length === 0) return '';
+  const columns = Math.max(...data.map(row => row.length));
+  const rows = data.map(row => {
+    const cells = [];
+    for (let c = 0; c < columns; c++) {
+      cells.push(escapeMarkdownText(getMarkdownCellText(row[c]).replace(/\s*\n\s*/g, ' ').trim()).replace(/\|/g, '\\|'));
+    }
+    return '| ' + cells.join(' | ') + ' |';
+  });
+  rows.splice(1, 0, '|' + new Array(columns).fill(' --- ').join('|') + '|');
+  return rows.join('\n');
+}
+
+/**
+ * Render one extracted element, or null when it has no content to export
+ * (lines, empty shapes, copyGroup placeholders)
+ * @param {Object} element
+ * @returns {string|null}
+ */
+function elementToMarkdown(element) {
+  switch (element.type) {
+    case 'text':
+    case 'shape':
+    case 'wordArt':
+      return textElementToMarkdown(element) || null;
+    case 'table':
+      return tableElementToMarkdown(element) || null;
+    case 'image':
+      return element.url ? '![' + (element.sourceType === 'chart' ? 'Chart' : 'Image') + '](' + element.url + ')' : null;
+    case 'sheetsChart':
+      return element.contentUrl ? '![Chart](' + element.contentUrl + ')' :
+        '[Chart](https://docs.google.com/spreadsheets/d/' + element.spreadsheetId + ')';
+    case 'video': {
+      const url = element.url ||
+        (element.source === 'YOUTUBE' && element.videoId ? 'https://www.youtube.com/watch?v=' + element.videoId : null);
+      return url ? '[Video](' + url + ')' : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Render an extracted slide as Markdown
+ * @param {Object} slide - Slide from extractPresentationAdvanced
+ * @param {number} slideIndex
+ * @returns {string}
+ */
+function slideToMarkdown(slide, slideIndex) {
+  const elements = sortMarkdownReadingOrder(slide.elements || []);
+  const heading = findMarkdownHeading(elements.filter(element =>
+    (element.type === 'text' || element.type === 'shape') && getMarkdownParagraphs(element).length > 0));
+
+  const blocks = [];
+  if (heading) {
+    blocks.push((slideIndex === 0 ? '# ' : '## ') + escapeMarkdownText(getMarkdownParagraphs(heading)[0].plain.trim()));
+  }
+  elements.forEach(element => {
+    if (element === heading) return;
+    const markdown = elementToMarkdown(element);
+    if (markdown) blocks.push(markdown);
+  });
+
+  const notes = slide.speakerNotes || slide.notes;
+  if (notes) {
+    blocks.push(String(notes).split('\n').map((line, i) => (i === 0 ? '> notes: ' : '> ') + line).join('\n'));
+  }
+  return blocks.join('\n\n');
+}
+
+/**
+ * Render an extracted presentation as a Markdown outline
+ * @param {Object} json - Output of extractPresentationAdvanced
+ * @returns {string}
+ */
+function exportMarkdown(json) {
+  return (json.slides || []).map(slideToMarkdown).join('\n\n---\n\n') + '\n';
+}
@@ -9,6 +9,7 @@
  * - groups:          Element grouping (fallback, now mostly handled in Phase 1)
  * - images:          REACTIVE fallback for API createImage failures
  * - proactiveImages: PROACTIVE routing for Google-internal URLs
+ * - backgrounds:     Gradient slide backgrounds (PNG picture fills, see Gradient.js)
  *
  * PROACTIVE vs REACTIVE IMAGE HANDLING:
  * - Proactive: Detected BEFORE API call, routed directly to SlidesApp
@@ -24,9 +25,10 @@ const _phase2Queue = {
   charts: [],           // { slideIndex, chartSpec }
   speakerNotes: [],     // { slideIndex, notes }
   groups: [],           // { slideIndex, elementIds: [] }
-  images: [],           // { slideIndex, imageSpec } - Reactive fallback for API failures
+  images: [],           // { slideIndex, imageSpec, path } - Reactive fallback for API failures
   proactiveImages: [],  // { slideIndex, objectId, slideId, element } - Proactive SlidesApp routing
   copyGroups: [],       // { slideIndex, sourcePresId, sourceObjectId, x, y, w, h } - Copy from source
+  backgrounds: [],      // { slideIndex, gradient } - normalizeGradient output
   elementIds: {},       // { 'slide_0_element_5': 'obj_abc123' }
 
   reset: function () {
@@ -36,6 +38,7 @@ const _phase2Queue = {
     this.images = [];
     this.proactiveImages = [];
     this.copyGroups = [];
+    this.backgrounds = [];
     this.elementIds = {};
   },
 
@@ -70,8 +73,15 @@ class Phase2Service {
     this.queue.speakerNotes.push({ slideIndex, notes });
   }
 
-  addDeferredImage(slideIndex, imageSpec) {
-    this.queue.images.push({ slideIndex, imageSpec });
+  /**
+   * Add an image whose createImage request failed
+   * @param {number|null} slideIndex - Index of the slide, from the request origin
+   * (Phase 2 finds the slide by the request's pageObjectId)
+   * @param {Object} imageSpec - The createImage request
+   * @param {string} [path] - Element path for the generation report
+   */
+  addDeferredImage(slideIndex, imageSpec, path) {
+    this.queue.images.push({ slideIndex, imageSpec, path: path || null });
   }
 
   /**
@@ -98,6 +108,17 @@ class Phase2Service {
 
   getCopyGroups() { return this.queue.copyGroups; }
 
+  /**
+   * Add a gradient slide background, drawn as a picture fill
+   * @param {number} slideIndex
+   * @param {Object} gradient - normalizeGradient output
+   */
+  addBackground(slideIndex, gradient) {
+    this.queue.backgrounds.push({ slideIndex, gradient });
+  }
+
+  getBackgrounds() { return this.queue.backgrounds; }
+
   recordElementId(slideIndex, elementIndex, objectId) {
     this.queue.recordElementId(slideIndex, elementIndex, objectId);
   }
@@ -111,6 +132,35 @@ class Phase2Service {
   getGroups() { return this.queue.groups; }
   getImages() { return this.queue.images; }
   getProactiveImages() { return this.queue.proactiveImages; }
+
+  /**
+   * Plain-object copy of all queues (for compile output and debugging)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      charts: this.queue.charts.slice(),
+      speakerNotes: this.queue.speakerNotes.slice(),
+      groups: this.queue.groups.slice(),
+      images: this.queue.images.slice(),
+      proactiveImages: this.queue.proactiveImages.slice(),
+      copyGroups: this.queue.copyGroups.slice(),
+      backgrounds: this.queue.backgrounds.slice(),
+      elementIds: Object.assign({}, this.queue.elementIds)
+    };
+  }
+
+  /**
+   * Replace all queues with a toJSON() snapshot (resumed generation jobs)
+   * @param {Object} snapshot
+   */
+  restore(snapshot) {
+    this.reset();
+    ['charts', 'speakerNotes', 'groups', 'images', 'proactiveImages', 'copyGroups', 'backgrounds'].forEach(name => {
+      this.queue[name] = (snapshot[name] || []).slice();
+    });
+    this.queue.elementIds = Object.assign({}, snapshot.elementIds || {});
+  }
 }
 
 const phase2Service = new Phase2Service();
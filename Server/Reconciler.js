@@ -0,0 +1,580 @@
+/**
+ * @fileoverview In-place update of an existing presentation.
+ *
+ * Reconciles a deck JSON against a live presentation using the objectIds the
+ * extractor emits. Slides and elements are matched by objectId:
+ *   - unchanged elements are left alone (comments and history survive)
+ *   - position/size/rotation changes become updatePageElementTransform
+ *   - any other change deletes the element and rebuilds it with the same ID
+ *   - elements without a live match are created, live elements the JSON no
+ *     longer mentions are deleted
+ *   - slides are created, deleted and moved to match the JSON order
+ *   - slides with a layout are created from it; on matched slides the
+ *     placeholders they fill are kept and only changed text is rewritten
+ */
+
+// ============================================================================
+// LIVE PRESENTATION INDEX
+// ============================================================================
+
+/**
+ * Index the page elements of a live page by objectId (groups recursively)
+ * @param {Array} pageElements - Raw page elements from Slides.Presentations.get
+ * @param {string|null} parentId - Enclosing group ID
+ * @param {Object|null} parentTransform - Absolute transform of the enclosing group
+ * @param {Object} index - Map to fill: objectId -> { raw, parentId, parentTransform, childIds }
+ * @returns {Object} index
+ */
+function indexLiveElements(pageElements, parentId, parentTransform, index) {
+  (pageElements || []).forEach(raw => {
+    const group = raw.elementGroup;
+    index[raw.objectId] = {
+      raw: raw,
+      parentId: parentId,
+      parentTransform: parentTransform,
+      childIds: group ? (group.children || []).map(child => child.objectId) : null
+    };
+    if (group) {
+      const absolute = composeTransforms(parentTransform, raw.transform || {});
+      indexLiveElements(group.children, raw.objectId, absolute, index);
+    }
+  });
+  return index;
+}
+
+/**
+ * Get the ID a deck element is matched on (extracted images carry `id`)
+ * @param {Object} element
+ * @returns {string|null}
+ */
+function getReconcileId(element) {
+  return element.objectId || (element.type === 'image' ? element.id : null) || null;
+}
+
+/**
+ * Collect object IDs created by a list of requests
+ * @param {Array} requests
+ * @returns {Object} Set-like map of IDs
+ */
+function collectCreatedObjectIds(requests) {
+  const ids = {};
+  requests.forEach(request => {
+    Object.keys(request).forEach(key => {
+      if (key.indexOf('create') === 0 && request[key].objectId) ids[request[key].objectId] = true;
+    });
+  });
+  return ids;
+}
+
+// ============================================================================
+// ELEMENT PLANNING
+// ============================================================================
+
+/**
+ * Decide what to do with one deck element
+ * @param {Object} element
+ * @param {Object} liveIndex - From indexLiveElements
+ * @param {Object} extractedById - Extracted live elements by ID
+ * @param {Object} deckIds - Set-like map of the IDs the slide's deck elements use
+ * @returns {string} 'create' | 'keep' | 'move' | 'recreate'
+ */
+function planElementAction(element, liveIndex, extractedById, deckIds) {
+  const id = getReconcileId(element);
+  const live = id ? liveIndex[id] : null;
+  if (!live) return 'create';
+
+  // Phase 2 content cannot be compared reliably
+  if (element.type === 'chart') return 'recreate';
+  if (element.type === 'copyGroup') return 'keep';
+
+  if (element.type === 'group') {
+    if (!live.childIds) return 'recreate';
+    const children = element.elements || [];
+    const childIds = children.map(getReconcileId);
+    const sameChildren = childIds.length === live.childIds.length &&
+      childIds.every(childId => childId && live.childIds.indexOf(childId) !== -1);
+    const unchanged = sameChildren && children.every(child => planElementAction(child, liveIndex, extractedById, deckIds) === 'keep');
+    return unchanged ? 'keep' : 'recreate';
+  }
+
+  const actual = extractedById[id];
+  if (!actual || live.childIds) return 'recreate';
+
+  // Text boxes only get a fake shadow when they have a background
+  const isTextBox = element.type === 'text' || element.type === 'wordArt';
+  const wantsShadow = !!element.shadow && element.shadow !== 'none' && (!isTextBox || !!element.background);
+  // Imported decks list the fake shadow as an element of its own
+  const hasShadow = !!liveIndex[id + '_shadow'] && !deckIds[id + '_shadow'];
+  if (wantsShadow !== hasShadow) return 'recreate';
+  const wantsGradient = !!element.gradient;
+  if (wantsGradient !== !!liveIndex[id + '_grad_0']) return 'recreate';
+
+  const diffs = diffElements(element, actual);
+  if (diffs.length === 0) return 'keep';
+
+  const geometryOnly = diffs.every(diff => diff.kind === 'geometry');
+  const size = live.raw.size;
+  const canTransform = element.type !== 'line' && !wantsShadow && !wantsGradient &&
+    size && size.width && size.width.magnitude && size.height && size.height.magnitude;
+  return (geometryOnly && canTransform) ? 'move' : 'recreate';
+}
+
+/**
+ * Build an updatePageElementTransform request moving a live element
+ * to the geometry in the deck element.
+ * @param {Object} element - Deck element
+ * @param {Object} live - Live index entry
+ * @param {Object} actual - Extracted live element (fallback geometry)
+ * @returns {Object} Request
+ */
+function buildMoveRequest(element, live, actual) {
+  const pick = (key, alias) => {
+    if (element[key] !== undefined) return element[key];
+    if (alias && element[alias] !== undefined) return element[alias];
+    return actual[key];
+  };
+  const w = pick('w', 'width');
+  const h = pick('h', 'height');
+  const target = buildTransform(pick('x'), pick('y'), pick('rotation'), w, h, pick('flipH'), pick('flipV'));
+
+  // buildTransform assumes the element's base size equals its visible size;
+  // the live element keeps its own base size, so fold the difference into the matrix.
+  const sizeToPt = dim => dim.magnitude / (dim.unit === 'PT' ? 1 : EMU_PER_PT);
+  const sx = (w * SCALE) / sizeToPt(live.raw.size.width);
+  const sy = (h * SCALE) / sizeToPt(live.raw.size.height);
+
+  let transform = {
+    scaleX: target.scaleX * sx,
+    shearX: target.shearX * sy,
+    shearY: target.shearY * sx,
+    scaleY: target.scaleY * sy,
+    translateX: target.translateX * EMU_PER_PT,
+    translateY: target.translateY * EMU_PER_PT
+  };
+
+  // Children of a live group are positioned relative to the group
+  if (live.parentTransform) {
+    transform = relativeToParent(transform, live.parentTransform);
+  }
+  transform.unit = 'EMU';
+
+  return {
+    updatePageElementTransform: {
+      objectId: live.raw.objectId,
+      applyMode: 'ABSOLUTE',
+      transform: transform
+    }
+  };
+}
+
+/**
+ * Express an absolute transform relative to a parent transform (inv(P) * T)
+ * @param {Object} transform - Absolute transform (EMU translation)
+ * @param {Object} parent - Parent absolute transform (EMU translation)
+ * @returns {Object}
+ */
+function relativeToParent(transform, parent) {
+  const a = parent.scaleX !== undefined ? parent.scaleX : 1;
+  const c = parent.shearX || 0;
+  const b = parent.shearY || 0;
+  const d = parent.scaleY !== undefined ? parent.scaleY : 1;
+  const det = a * d - b * c;
+  if (!det) return transform;
+
+  const ia = d / det;
+  const ic = -c / det;
+  const ib = -b / det;
+  const id = a / det;
+  const tx = transform.translateX - (parent.translateX || 0);
+  const ty = transform.translateY - (parent.translateY || 0);
+
+  return {
+    scaleX: ia * transform.scaleX + ic * transform.shearY,
+    shearX: ia * transform.shearX + ic * transform.scaleY,
+    shearY: ib * transform.scaleX + id * transform.shearY,
+    scaleY: ib * transform.shearX + id * transform.scaleY,
+    translateX: ia * tx + ic * ty,
+    translateY: ib * tx + id * ty
+  };
+}
+
+/**
+ * Mark an element's live ID, its derived IDs and (for groups) its subtree as preserved
+ * @param {string} id
+ * @param {Object} liveIndex
+ * @param {Object} preserved
+ */
+function preserveLiveElement(id, liveIndex, preserved) {
+  preserved[id] = true;
+  Object.keys(liveIndex).forEach(liveId => {
+    if (liveId !== id && getBaseObjectId(liveId) === id) preserved[liveId] = true;
+  });
+  const live = liveIndex[id];
+  if (live && live.childIds) {
+    live.childIds.forEach(childId => preserveLiveElement(childId, liveIndex, preserved));
+  }
+}
+
+/**
+ * Check whether a live element or any of its descendants is preserved
+ * @param {string} id
+ * @param {Object} liveIndex
+ * @param {Object} preserved
+ * @returns {boolean}
+ */
+function hasPreservedDescendant(id, liveIndex, preserved) {
+  if (preserved[id]) return true;
+  const live = liveIndex[id];
+  return !!(live && live.childIds && live.childIds.some(childId => hasPreservedDescendant(childId, liveIndex, preserved)));
+}
+
+/**
+ * Build deleteObject requests for live elements that are not preserved.
+ * Whole groups are deleted when nothing inside them is kept.
+ * @param {Array<string>} ids - Live IDs at one level
+ * @param {Object} liveIndex
+ * @param {Object} preserved
+ * @param {Array} requests - Output
+ * @returns {number} Number of deleted top-most objects
+ */
+function buildLiveDeletions(ids, liveIndex, preserved, requests) {
+  let count = 0;
+  ids.forEach(id => {
+    if (!hasPreservedDescendant(id, liveIndex, preserved)) {
+      requests.push({ deleteObject: { objectId: id } });
+      count++;
+    } else if (!preserved[id] && liveIndex[id].childIds) {
+      count += buildLiveDeletions(liveIndex[id].childIds, liveIndex, preserved, requests);
+    }
+  });
+  return count;
+}
+
+// ============================================================================
+// LAYOUT SLIDES
+// ============================================================================
+
+/**
+ * Placeholder shapes on a live slide, in the form of summarizeTemplateLayouts
+ * @param {Object} raw - Live slide
+ * @returns {Array<Object>} [{ type, index, objectId }]
+ */
+function getLivePlaceholders(raw) {
+  return (raw.pageElements || [])
+    .filter(element => element.shape && element.shape.placeholder)
+    .map(element => ({
+      type: element.shape.placeholder.type,
+      index: element.shape.placeholder.index || 0,
+      objectId: element.objectId
+    }));
+}
+
+/**
+ * Whether a matched slide must be replaced to follow its layout: the layout
+ * changed, or it fills a placeholder its layout has but the live slide no
+ * longer does (generation deletes the ones it leaves empty)
+ * @param {Object} slide
+ * @param {Object} raw - Live slide
+ * @param {Array<Object>} layouts - From summarizeTemplateLayouts
+ * @returns {boolean}
+ */
+function needsLayoutReplacement(slide, raw, layouts) {
+  if (!usesTemplateLayout(slide)) return false;
+  // The same layout buildTemplateSlideRequests picks
+  const layout = (slide.layout && findTemplateLayout(layouts, slide.layout)) || getDefaultTemplateLayout(layouts);
+  if (!layout) return false;
+  if (layout.objectId !== (raw.slideProperties && raw.slideProperties.layoutObjectId)) return true;
+
+  const live = { placeholders: getLivePlaceholders(raw) };
+  const placeholders = slide.placeholders || {};
+  return Object.keys(placeholders).some(role =>
+    placeholders[role] !== undefined && placeholders[role] !== null &&
+    !!findRolePlaceholder(layout, role) && !findRolePlaceholder(live, role));
+}
+
+/**
+ * Keep the live placeholders of a layout slide that it fills, rewriting the
+ * ones whose text changed, and its slide numbers, headers, footers and dates.
+ * Placeholders the deck lists as elements are left to the element pass.
+ * @param {Object} plan - { slide, slideId, live }
+ * @param {Object} liveIndex
+ * @param {Object} deckIds - IDs of the deck's elements
+ * @param {Object} preserved - Extended in place
+ * @param {Object} summary - Counters to update
+ * @returns {Array} Text requests
+ */
+function reconcilePlaceholders(plan, liveIndex, deckIds, preserved, summary) {
+  const requests = [];
+  const live = { placeholders: getLivePlaceholders(plan.live).filter(placeholder => !deckIds[placeholder.objectId]) };
+  live.placeholders.forEach(placeholder => {
+    if (TEMPLATE_KEPT_PLACEHOLDERS.indexOf(placeholder.type) !== -1) {
+      preserveLiveElement(placeholder.objectId, liveIndex, preserved);
+    }
+  });
+
+  const placeholders = plan.slide.placeholders || {};
+  Object.keys(placeholders).forEach(role => {
+    const value = placeholders[role];
+    if (value === undefined || value === null) return;
+    const placeholder = findRolePlaceholder(live, role);
+    if (!placeholder || preserved[placeholder.objectId]) return;
+    preserveLiveElement(placeholder.objectId, liveIndex, preserved);
+
+    const shape = liveIndex[placeholder.objectId].raw.shape;
+    const current = shape.text ? extractPlainTextAdvanced(shape.text.textElements || []).replace(/\s+$/, '') : '';
+    if (current === getPlaceholderText(normalizePlaceholderContent(value))) {
+      summary.elementsUnchanged++;
+      return;
+    }
+    if (current) {
+      requests.push({ deleteText: { objectId: placeholder.objectId, textRange: { type: 'ALL' } } });
+    }
+    requests.push(...buildPlaceholderTextRequests(value, placeholder.objectId));
+    summary.elementsUpdated++;
+  });
+  return requests;
+}
+
+// ============================================================================
+// RECONCILIATION
+// ============================================================================
+
+/**
+ * Reconcile the elements of one slide
+ * @param {Object} plan - { slide, slideId, live, extracted }
+ * @param {number} slideIndex - Final index of the slide
+ * @param {Object} summary - Counters to update
+ * @returns {Object} { deletions, requests, connectionRequests }
+ */
+function reconcileSlide(plan, slideIndex, summary) {
+  const slide = plan.slide;
+  const deletions = [];
+  const requests = [];
+  const connectionRequests = [];
+
+  const liveIndex = plan.live ? indexLiveElements(plan.live.pageElements, null, null, {}) : {};
+  const extractedById = {};
+  if (plan.extracted) {
+    (plan.extracted.elements || []).forEach(el => {
+      const id = getReconcileId(el);
+      if (id) extractedById[id] = el;
+    });
+  }
+
+  // Background and notes are only touched when they differ
+  if (slide.backgroundImage || slide.backgroundGradient) {
+    requests.push(...buildSlideBackgroundRequests(slide, plan.slideId, slideIndex));
+  } else if (slide.background &&
+    (!plan.extracted || normalizeDiffColor(slide.background) !== normalizeDiffColor(plan.extracted.background))) {
+    requests.push(...buildSlideBackgroundRequests(slide, plan.slideId, slideIndex));
+  }
+  const notes = slide.speakerNotes || slide.notes;
+  if (notes && (!plan.extracted || String(notes).trim() !== (plan.extracted.speakerNotes || ''))) {
+    phase2Service.addSpeakerNotes(slideIndex, notes);
+  } else if (!notes && plan.extracted && plan.extracted.speakerNotes) {
+    // Notes removed from the deck
+    phase2Service.addSpeakerNotes(slideIndex, '');
+  }
+
+  (slide.elements || []).forEach((el, idx) => { el._originalIndex = idx; });
+  const elements = resolveSlideLayout(slide.elements || [], slideIndex);
+  const totalElements = elements.length;
+  elements.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+
+  const deckIds = {};
+  const collectDeckIds = list => list.forEach(el => {
+    const id = getReconcileId(el);
+    if (id) deckIds[id] = true;
+    if (el.type === 'group') collectDeckIds(el.elements || []);
+  });
+  collectDeckIds(elements);
+
+  const preserved = {};
+  if (plan.live && usesTemplateLayout(slide)) {
+    requests.push(...reconcilePlaceholders(plan, liveIndex, deckIds, preserved, summary));
+  }
+  const built = [];
+  let hasCreations = false;
+
+  elements.forEach((element, idx) => {
+    const id = getReconcileId(element);
+    if (id && !element.objectId) element.objectId = id;
+
+    const action = planElementAction(element, liveIndex, extractedById, deckIds);
+    if (action === 'keep' || action === 'move') {
+      preserveLiveElement(id, liveIndex, preserved);
+      phase2Service.recordElementId(slideIndex, idx, id);
+      if (action === 'move') {
+        built.push({ element: element, requests: [buildMoveRequest(element, liveIndex[id], extractedById[id])] });
+        summary.elementsUpdated++;
+      } else {
+        built.push({ element: element, requests: [] });
+        summary.elementsUnchanged++;
+      }
+      return;
+    }
+
+    const result = buildElementRequests(element, plan.slideId, slideIndex, idx, totalElements);
+    built.push({ element: element, requests: result.requests || [] });
+    connectionRequests.push(...(result.deferredConnections || []));
+    hasCreations = true;
+    if (action === 'recreate') {
+      summary.elementsRecreated++;
+    } else {
+      summary.elementsCreated++;
+    }
+  });
+
+  // Everything live that is not preserved goes - including old versions of
+  // recreated elements, which must disappear before their ID is reused.
+  const topLevelIds = (plan.live && plan.live.pageElements || []).map(raw => raw.objectId);
+  summary.elementsDeleted += buildLiveDeletions(topLevelIds, liveIndex, preserved, deletions);
+
+  built.forEach(entry => requests.push(...entry.requests));
+
+  // Restore JSON stacking order around the new elements
+  if (hasCreations && plan.live) {
+    const created = collectCreatedObjectIds(requests);
+    const topLevelOf = id => {
+      let current = id;
+      while (liveIndex[current] && liveIndex[current].parentId) current = liveIndex[current].parentId;
+      return current;
+    };
+    const ordered = [];
+    built.forEach(entry => {
+      const id = entry.element._objectId || getReconcileId(entry.element);
+      if (!id) return;
+      const bandIds = [];
+      for (let k = 0; created[id + '_grad_' + k] || preserved[id + '_grad_' + k]; k++) bandIds.push(id + '_grad_' + k);
+      [id + '_shadow'].concat(bandIds, [id]).forEach(candidate => {
+        const target = created[candidate] ? candidate : (preserved[candidate] ? topLevelOf(candidate) : null);
+        if (target && ordered.indexOf(target) === -1) ordered.push(target);
+      });
+    });
+    ordered.forEach(id => {
+      requests.push({
+        updatePageElementsZOrder: {
+          pageElementObjectIds: [id],
+          operation: 'BRING_TO_FRONT'
+        }
+      });
+    });
+  }
+
+  return { deletions, requests, connectionRequests };
+}
+
+/**
+ * Build the requests that turn a live presentation into the given deck
+ * @param {Object} json - Validated deck
+ * @param {string} presentationId - Presentation to update
+ * @returns {Object} { requests, connectionRequests, summary }
+ */
+function reconcilePresentation(json, presentationId) {
+  Logger.log('[RECONCILE] Updating presentation ' + presentationId + ' in place');
+
+  const rawMode = !!(json.config && json.config.rawMode);
+  const extracted = extractPresentationAdvanced(presentationId, { rawMode: rawMode });
+  const live = Slides.Presentations.get(presentationId);
+  setBuildContext(json);
+
+  const summary = {
+    slidesCreated: 0,
+    slidesDeleted: 0,
+    slidesMoved: 0,
+    elementsCreated: 0,
+    elementsUpdated: 0,
+    elementsRecreated: 0,
+    elementsDeleted: 0,
+    elementsUnchanged: 0
+  };
+
+  const liveSlides = live.slides || [];
+  const liveSlideById = {};
+  liveSlides.forEach((slide, idx) => {
+    liveSlideById[slide.objectId] = { raw: slide, extracted: extracted.slides[idx] };
+  });
+
+  // Slides with a layout are created from it, as in generation (see BrandTemplate.js)
+  const fromTemplate = !!(json.config && json.config.templatePresentationId);
+  const layouts = summarizeTemplateLayouts(live);
+
+  // Match slides by objectId; anything unmatched is a new slide, and so is a
+  // slide whose layout changed (the live one is deleted)
+  const claimed = {};
+  const plans = json.slides.map(slide => {
+    let match = slide.objectId && !claimed[slide.objectId] ? liveSlideById[slide.objectId] : null;
+    if (match && needsLayoutReplacement(slide, match.raw, layouts)) match = null;
+    const slideId = match ? slide.objectId
+      : (isValidObjectId(slide.objectId) && !claimed[slide.objectId] && !liveSlideById[slide.objectId]
+        ? slide.objectId : generateObjectId());
+    claimed[slideId] = true;
+    return { slide: slide, slideId: slideId, live: match ? match.raw : null, extracted: match ? match.extracted : null };
+  });
+
+  const slideRequests = [];
+  plans.forEach((plan, slideIndex) => {
+    if (plan.live) return;
+    if (fromTemplate || usesTemplateLayout(plan.slide)) {
+      // New slides are appended; updateSlidesPosition below puts them in place
+      const created = buildTemplateSlideRequests(plan.slide, plan.slideId, slideIndex, layouts);
+      delete created[0].createSlide.insertionIndex;
+      slideRequests.push(...created);
+    } else {
+      slideRequests.push({
+        createSlide: {
+          objectId: plan.slideId,
+          slideLayoutReference: { predefinedLayout: 'BLANK' }
+        }
+      });
+    }
+    summary.slidesCreated++;
+  });
+
+  const order = [];
+  liveSlides.forEach(slide => {
+    if (claimed[slide.objectId]) {
+      order.push(slide.objectId);
+    } else {
+      slideRequests.push({ deleteObject: { objectId: slide.objectId } });
+      summary.slidesDeleted++;
+    }
+  });
+  plans.forEach(plan => {
+    if (!plan.live) order.push(plan.slideId);
+  });
+
+  // Move slides one at a time until the order matches the JSON
+  const positionRequests = [];
+  plans.forEach((plan, targetIndex) => {
+    const currentIndex = order.indexOf(plan.slideId);
+    if (currentIndex === targetIndex) return;
+    positionRequests.push({
+      updateSlidesPosition: {
+        slideObjectIds: [plan.slideId],
+        insertionIndex: targetIndex
+      }
+    });
+    order.splice(currentIndex, 1);
+    order.splice(targetIndex, 0, plan.slideId);
+    summary.slidesMoved++;
+  });
+
+  const deletions = [];
+  const contentRequests = [];
+  const connectionRequests = [];
+  plans.forEach((plan, slideIndex) => {
+    const result = reconcileSlide(plan, slideIndex, summary);
+    deletions.push(...result.deletions);
+    contentRequests.push(...result.requests);
+    connectionRequests.push(...result.connectionRequests);
+  });
+
+  Logger.log('[RECONCILE] ' + JSON.stringify(summary));
+
+  return {
+    requests: slideRequests.concat(deletions, positionRequests, contentRequests),
+    connectionRequests: connectionRequests,
+    summary: summary
+  };
+}
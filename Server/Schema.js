@@ -0,0 +1,1070 @@
+/**
+ * @fileoverview JSON Schema for the deck format and a small validator that
+ * reports every problem with a JSON path (e.g. slides[3].elements[7].fillColor).
+ *
+ * The schema is plain JSON Schema (draft-07 subset) so it can be published
+ * and used by external tooling. Properties starting with "_" are internal
+ * bookkeeping written by the engine itself and are always allowed.
+ */
+
+// ============================================================================
+// SCHEMA DEFINITION
+// ============================================================================
+
+/**
+ * Version of the deck schema. Bump the minor version for additive changes
+ * and the major version when previously valid decks become invalid.
+ * @constant
+ */
+const DECK_SCHEMA_VERSION = '2.1.0';
+
+/**
+ * Element types understood by buildElementRequests
+ * @constant
+ */
+const ELEMENT_TYPES = [
+  'text', 'shape', 'image', 'table', 'line', 'icon', 'video',
+  'chart', 'sheetsChart', 'wordArt', 'group', 'copyGroup', 'unsupported',
+  'stack', 'row', 'grid'
+];
+
+let _deckSchemaCache = null;
+
+/**
+ * Get the deck JSON Schema (built lazily so CONFIG/ENUMS are loaded first)
+ * @returns {Object}
+ */
+function getDeckSchema() {
+  if (!_deckSchemaCache) {
+    _deckSchemaCache = buildDeckSchema();
+  }
+  return _deckSchemaCache;
+}
+
+/**
+ * Build the deck JSON Schema from CONFIG and ENUMS
+ * @returns {Object}
+ */
+function buildDeckSchema() {
+  const nullable = (type) => ({ type: [type, 'null'] });
+  const number = nullable('number');
+  const bool = nullable('boolean');
+  const string = nullable('string');
+  const integer = nullable('integer');
+  const fraction = { type: ['number', 'null'], minimum: 0, maximum: 1 };
+  const size = { type: ['number', 'null'], minimum: 0 };
+  const color = { $ref: '#/definitions/color' };
+  const anyObject = { type: 'object' };
+
+  // Properties shared by every element type
+  const commonProps = {
+    type: { type: 'string' },
+    objectId: string,
+    x: number,
+    y: number,
+    w: size,
+    h: size,
+    width: size,
+    height: size,
+    rotation: number,
+    flipH: bool,
+    flipV: bool,
+    zIndex: number,
+    // Sizing inside auto-layout containers (LayoutEngine.js)
+    flex: { type: ['number', 'null'], exclusiveMinimum: 0 },
+    span: { type: ['integer', 'null'], minimum: 1 },
+    baseSize: {
+      type: 'object',
+      properties: { width: number, height: number },
+      additionalProperties: false
+    },
+    composedTransform: anyObject,
+    shadow: { $ref: '#/definitions/shadow' },
+    link: { $ref: '#/definitions/link' }
+  };
+
+  // Character and paragraph styling for elements that hold text
+  const textProps = {
+    text: string,
+    textRuns: { type: 'array', items: { $ref: '#/definitions/textRun' } },
+    items: {
+      type: 'array',
+      items: {
+        anyOf: [
+          { type: ['string', 'number'] },
+          {
+            type: 'object',
+            required: ['text'],
+            properties: { text: { type: 'string' }, indent: { type: 'integer', minimum: 0 } },
+            additionalProperties: false
+          }
+        ]
+      }
+    },
+    listType: { enum: ['bullet', 'numbered'] },
+    // false renders items as plain paragraphs (nesting becomes an indent)
+    bullets: bool,
+    autoFit: { enum: ['shrink', 'grow', 'warn', null] },
+    fontSize: { type: ['number', 'null'], exclusiveMinimum: 0 },
+    fontFamily: string,
+    color: color,
+    fontColor: color,
+    bold: bool,
+    italic: bool,
+    underline: bool,
+    strikethrough: bool,
+    smallCaps: bool,
+    baselineOffset: { enum: ['NONE', 'SUPERSCRIPT', 'SUBSCRIPT', null] },
+    align: { $ref: '#/definitions/align' },
+    verticalAlign: { $ref: '#/definitions/verticalAlign' },
+    valign: { $ref: '#/definitions/verticalAlign' },
+    indentStart: number,
+    lineSpacing: number,
+    paddingTop: number,
+    paddingBottom: number,
+    paddingLeft: number,
+    paddingRight: number
+  };
+
+  // Fill and outline for box-like elements
+  const boxProps = {
+    fillColor: color,
+    fill: color,
+    background: color,
+    backgroundColor: color,
+    alpha: fraction,
+    fillAlpha: fraction,
+    opacity: fraction,
+    borderColor: color,
+    borderWidth: size,
+    borderAlpha: fraction,
+    borderDash: { $ref: '#/definitions/dashStyle' },
+    gradient: { $ref: '#/definitions/gradient' }
+  };
+
+  const element = (properties, required) => ({
+    type: 'object',
+    required: ['type'].concat(required || []),
+    properties: Object.assign({}, commonProps, properties),
+    patternProperties: { '^_': {} },
+    additionalProperties: false
+  });
+
+  // Auto-layout containers (see LayoutEngine.js)
+  const layoutProps = {
+    elements: { type: 'array', items: { $ref: '#/definitions/element' } },
+    gap: size,
+    padding: {
+      anyOf: [
+        size,
+        {
+          type: 'object',
+          properties: { top: size, right: size, bottom: size, left: size },
+          additionalProperties: false
+        }
+      ]
+    },
+    align: { enum: ['start', 'center', 'end', 'stretch', null] },
+    justify: { enum: ['start', 'center', 'end', 'space-between', null] },
+    group: bool
+  };
+
+  const chartTypes = ['BAR', 'COLUMN', 'LINE', 'AREA', 'PIE', 'DONUT', 'SCATTER', 'COMBO'];
+
+  // Chart content and styling (see ChartOptions.js), also read back into extracted sheetsCharts
+  const chartAxis = {
+    type: 'object',
+    properties: {
+      title: string,
+      min: number,
+      max: number,
+      format: string,
+      gridlines: { type: ['boolean', 'integer', 'null'] }
+    },
+    additionalProperties: false
+  };
+  const chartOptionProps = {
+    chartType: { enum: chartTypes.concat(chartTypes.map(t => t.toLowerCase()), [null]) },
+    data: { type: 'array', items: { type: 'array' } },
+    title: string,
+    colors: { type: 'array', items: color },
+    isStacked: bool,
+    xAxis: chartAxis,
+    yAxis: chartAxis,
+    series: {
+      type: 'array',
+      items: {
+        type: ['object', 'null'],
+        properties: {
+          color: color,
+          type: { enum: ['bars', 'line', 'area', null] },
+          lineWidth: size,
+          pointSize: size,
+          targetAxis: { enum: [0, 1, null] },
+          dataLabels: bool,
+          trendline: { enum: ['linear', 'exponential', 'polynomial', null] }
+        },
+        additionalProperties: false
+      }
+    },
+    dataLabels: { enum: [true, false, 'value', 'percent', null] },
+    legend: { enum: [true, false, 'top', 'bottom', 'left', 'right', 'none', null] },
+    numberFormat: string
+  };
+
+  const definitions = {
+    color: { type: ['string', 'null'], format: 'color' },
+    align: { enum: Object.keys(ENUMS.ALIGNMENT_MAP).concat([null]) },
+    verticalAlign: { enum: Object.keys(ENUMS.VERTICAL_ALIGNMENT_MAP).concat([null]) },
+    dashStyle: { enum: Object.keys(ENUMS.DASH_STYLE_MAP).concat([null]) },
+    arrow: { enum: Object.keys(ENUMS.ARROW_TYPE_MAP).concat([null]) },
+
+    shadow: {
+      anyOf: [
+        { type: ['boolean', 'null'] },
+        { enum: Object.keys(CONFIG.SHADOW_PRESETS) },
+        {
+          type: 'object',
+          properties: {
+            angle: number,
+            distance: number,
+            spread: number,
+            opacity: fraction,
+            color: color,
+            offsetX: number,
+            offsetY: number
+          },
+          additionalProperties: false
+        }
+      ]
+    },
+
+    // See Gradient.js
+    gradient: {
+      type: 'object',
+      required: ['stops'],
+      properties: {
+        type: { enum: ['linear', 'radial', null] },
+        angle: number,
+        stops: {
+          type: 'array',
+          minItems: 2,
+          items: {
+            anyOf: [
+              color,
+              {
+                type: 'object',
+                required: ['color'],
+                properties: { color: color, position: fraction },
+                additionalProperties: false
+              }
+            ]
+          }
+        },
+        steps: { type: ['integer', 'null'], minimum: 2, maximum: 64 }
+      },
+      additionalProperties: false
+    },
+
+    link: {
+      anyOf: [
+        { type: ['string', 'null'] },
+        {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            slideIndex: { type: 'integer', minimum: 0 },
+            slide: { type: 'integer', minimum: 0 },
+            relativeLink: { type: 'string' }
+          },
+          additionalProperties: false
+        }
+      ]
+    },
+
+    textRun: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        text: { type: 'string' },
+        color: color,
+        fontSize: { type: ['number', 'null'], exclusiveMinimum: 0 },
+        fontFamily: string,
+        bold: bool,
+        italic: bool,
+        underline: bool,
+        strikethrough: bool,
+        smallCaps: bool,
+        baselineOffset: { enum: ['NONE', 'SUPERSCRIPT', 'SUBSCRIPT', null] },
+        link: {
+          type: ['object', 'null'],
+          properties: { url: { type: 'string' } },
+          additionalProperties: false
+        },
+        paragraphStyle: {
+          type: ['object', 'null'],
+          properties: {
+            align: { $ref: '#/definitions/align' },
+            direction: string,
+            spacingMode: string,
+            spaceAbove: number,
+            spaceBelow: number,
+            lineSpacing: number,
+            indentStart: number,
+            indentFirstLine: number
+          },
+          additionalProperties: false
+        },
+        bullet: {
+          type: ['object', 'null'],
+          properties: {
+            listId: string,
+            nestingLevel: { type: ['integer', 'null'], minimum: 0 },
+            glyph: string
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+
+    tableBorder: {
+      type: 'object',
+      properties: {
+        weight: size,
+        dashStyle: { $ref: '#/definitions/dashStyle' },
+        color: color
+      },
+      additionalProperties: false
+    },
+
+    tableCell: {
+      anyOf: [
+        { type: ['string', 'number', 'boolean', 'null'] },
+        {
+          type: 'object',
+          properties: {
+            text: string,
+            textRuns: { type: 'array', items: { $ref: '#/definitions/textRun' } },
+            bold: bool,
+            italic: bool,
+            fontSize: { type: ['number', 'null'], exclusiveMinimum: 0 },
+            fontFamily: string,
+            color: color,
+            fillColor: color,
+            backgroundColor: color,
+            align: { enum: ['left', 'center', 'right', 'justify', 'top', 'bottom', null] },
+            lineSpacing: number,
+            rowSpan: { type: ['integer', 'null'], minimum: 1 },
+            colSpan: { type: ['integer', 'null'], minimum: 1 },
+            padding: {
+              type: 'object',
+              properties: { top: number, bottom: number, left: number, right: number },
+              additionalProperties: false
+            },
+            borders: {
+              type: 'object',
+              properties: {
+                top: { $ref: '#/definitions/tableBorder' },
+                bottom: { $ref: '#/definitions/tableBorder' },
+                left: { $ref: '#/definitions/tableBorder' },
+                right: { $ref: '#/definitions/tableBorder' }
+              },
+              additionalProperties: false
+            }
+          },
+          additionalProperties: false
+        }
+      ]
+    },
+
+    connection: {
+      type: ['object', 'null'],
+      required: ['objectId'],
+      properties: {
+        objectId: { type: 'string' },
+        site: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+
+    textElement: element(Object.assign({}, textProps, boxProps)),
+    wordArtElement: element(Object.assign({}, textProps, boxProps)),
+    shapeElement: element(Object.assign({ shape: { type: 'string' } }, textProps, boxProps)),
+
+    iconElement: element({
+      icon: string,
+      text: string,
+      size: size,
+      color: color,
+      bgOpacity: fraction,
+      fontSize: { type: ['number', 'null'], exclusiveMinimum: 0 }
+    }),
+
+    imageElement: element({
+      id: string,
+      url: string,
+      sourceUrl: string,
+      crop: {
+        type: 'object',
+        properties: { left: number, right: number, top: number, bottom: number, angle: number },
+        additionalProperties: false
+      },
+      recolor: anyObject,
+      brightness: number,
+      contrast: number,
+      transparency: number,
+      borderColor: color,
+      borderWidth: size,
+      // Extraction passthrough / legacy aliases
+      left: number,
+      top: number,
+      rawSize: anyObject,
+      rawTransform: anyObject,
+      originalWidth: number,
+      originalHeight: number,
+      sourceType: string,
+      originalChartId: { type: ['integer', 'string', 'null'] }
+    }),
+
+    // A table has either `data` or (see DataTable.js) `columns` and `rows`
+    tableElement: Object.assign(element({
+      data: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'array', items: { $ref: '#/definitions/tableCell' } }
+      },
+      columns: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['key'],
+          properties: {
+            key: { type: 'string', minLength: 1 },
+            header: { type: ['string', 'number', 'null'] },
+            width: size,
+            align: { enum: ['left', 'center', 'right', 'justify', null] },
+            format: string,
+            total: { enum: ['sum', 'avg', 'min', 'max', 'count', 'none', null] }
+          },
+          additionalProperties: false
+        }
+      },
+      rows: { type: 'array', items: { type: ['object', 'null'] } },
+      rules: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            column: string,
+            if: { type: ['boolean', 'string'] },
+            color: color,
+            fillColor: color,
+            bold: bool,
+            italic: bool,
+            heatMap: { type: 'array', minItems: 2, maxItems: 3, items: { type: 'string' } }
+          },
+          additionalProperties: false
+        }
+      },
+      zebra: {
+        anyOf: [
+          { type: ['boolean', 'string', 'null'] },
+          { type: 'array', minItems: 2, maxItems: 2, items: color }
+        ]
+      },
+      totalRow: {
+        anyOf: [
+          { type: ['boolean', 'null'] },
+          {
+            type: 'object',
+            properties: { label: string, color: color, fillColor: color },
+            additionalProperties: false
+          }
+        ]
+      },
+      fontSize: { type: ['number', 'null'], exclusiveMinimum: 0 },
+      fontFamily: string,
+      header: bool,
+      headerBg: color,
+      merges: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['row', 'col'],
+          properties: {
+            row: { type: 'integer', minimum: 0 },
+            col: { type: 'integer', minimum: 0 },
+            rowSpan: { type: 'integer', minimum: 1 },
+            colSpan: { type: 'integer', minimum: 1 }
+          },
+          additionalProperties: false
+        }
+      },
+      rowHeights: { type: 'array', items: size },
+      columnWidths: { type: 'array', items: size }
+    }), {
+      anyOf: [{ required: ['data'] }, { required: ['columns', 'rows'] }]
+    }),
+
+    lineElement: element({
+      x1: number,
+      y1: number,
+      x2: number,
+      y2: number,
+      color: color,
+      weight: size,
+      dashStyle: { $ref: '#/definitions/dashStyle' },
+      startArrow: { $ref: '#/definitions/arrow' },
+      endArrow: { $ref: '#/definitions/arrow' },
+      connector: { enum: ['straight', 'elbow', 'bent', null] },
+      bendDirection: { enum: ['horizontal-first', 'vertical-first', null] },
+      startConnect: { $ref: '#/definitions/connection' },
+      endConnect: { $ref: '#/definitions/connection' }
+    }),
+
+    videoElement: element({
+      source: { enum: ['YOUTUBE', 'DRIVE', null] },
+      videoId: string,
+      id: string,
+      url: string,
+      borderColor: color,
+      borderWidth: size
+    }),
+
+    chartElement: element(Object.assign({
+      // Native charts (ChartRenderer.js)
+      mode: { enum: ['sheets', 'native', null] },
+      showValues: bool,
+      fontFamily: string,
+      holeColor: color
+    }, chartOptionProps)),
+
+    sheetsChartElement: element(Object.assign({
+      spreadsheetId: { type: 'string', minLength: 1 },
+      chartId: { type: 'integer' },
+      embedType: { enum: ['LINKED', 'IMAGE', null] },
+      contentUrl: string
+    }, chartOptionProps), ['spreadsheetId', 'chartId']),
+
+    groupElement: element({
+      elements: { type: 'array', items: { $ref: '#/definitions/element' } }
+    }, ['elements']),
+
+    stackElement: element(layoutProps, ['elements']),
+    rowElement: element(layoutProps, ['elements']),
+    gridElement: element(Object.assign({
+      columns: {
+        anyOf: [
+          { type: 'integer', minimum: 1 },
+          { type: 'array', minItems: 1, items: { type: 'number', exclusiveMinimum: 0 } }
+        ]
+      },
+      rows: { type: 'integer', minimum: 1 },
+      rowGap: size,
+      columnGap: size
+    }, layoutProps), ['elements']),
+
+    copyGroupElement: element({
+      sourceObjectId: { type: 'string', minLength: 1 },
+      sourceSlideIndex: { type: 'integer', minimum: 0 },
+      reason: string
+    }, ['sourceObjectId', 'sourceSlideIndex']),
+
+    unsupportedElement: { type: 'object' },
+
+    element: {
+      type: 'object',
+      required: ['type'],
+      properties: { type: { enum: ELEMENT_TYPES } },
+      allOf: ELEMENT_TYPES.map(type => ({
+        if: { properties: { type: { const: type } }, required: ['type'] },
+        then: { $ref: '#/definitions/' + type + 'Element' }
+      }))
+    },
+
+    // Placeholder text on a layout slide (see BrandTemplate.js)
+    placeholderText: {
+      anyOf: [
+        { type: ['string', 'number', 'null'] },
+        {
+          type: 'array',
+          items: {
+            anyOf: [
+              { type: ['string', 'number'] },
+              { type: 'object', properties: { text: string }, additionalProperties: false }
+            ]
+          }
+        },
+        {
+          type: 'object',
+          properties: {
+            text: string,
+            items: { type: 'array', items: { type: ['string', 'number'] } },
+            fontSize: size,
+            fontFamily: string,
+            color: color,
+            bold: bool,
+            italic: bool,
+            underline: bool,
+            align: { $ref: '#/definitions/align' }
+          },
+          additionalProperties: false
+        }
+      ]
+    },
+
+    slide: {
+      type: 'object',
+      properties: {
+        objectId: string,
+        layout: string,
+        placeholders: {
+          type: 'object',
+          patternProperties: { '^(title|subtitle|body)[0-9]*$': { $ref: '#/definitions/placeholderText' } },
+          additionalProperties: false
+        },
+        elements: {
+          type: 'array',
+          maxItems: CONFIG.LIMITS.MAX_ELEMENTS_PER_SLIDE,
+          items: { $ref: '#/definitions/element' }
+        },
+        background: color,
+        backgroundImage: string,
+        backgroundGradient: { $ref: '#/definitions/gradient' },
+        speakerNotes: string,
+        notes: string
+      },
+      patternProperties: { '^_': {} },
+      additionalProperties: false
+    },
+
+    // config.theme; name, textStyles and layouts are written by extractTheme
+    theme: {
+      type: ['object', 'null'],
+      properties: {
+        name: string,
+        colors: { type: 'object', additionalProperties: color },
+        fonts: {
+          type: 'object',
+          properties: { heading: string, body: string, mono: string },
+          additionalProperties: false
+        },
+        textStyles: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { fontFamily: string, fontSize: size, color: color, bold: bool, italic: bool },
+            additionalProperties: false
+          }
+        },
+        layouts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: string,
+              displayName: string,
+              placeholders: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { type: string, index: integer, x: number, y: number, w: size, h: size },
+                  additionalProperties: false
+                }
+              }
+            },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false
+    },
+
+    config: {
+      type: 'object',
+      properties: {
+        title: string,
+        theme: { $ref: '#/definitions/theme' },
+        rawMode: bool,
+        sourcePresentationId: string,
+        targetPresentationId: string,
+        templatePresentationId: string,
+        keepTemplateSlides: bool,
+        autoFit: { enum: ['shrink', 'grow', 'warn', null] },
+        chartData: {
+          type: 'object',
+          properties: {
+            folderId: string,
+            cleanup: { enum: ['keep', 'trash', null] },
+            name: string
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    }
+  };
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'slides-engine/deck/' + DECK_SCHEMA_VERSION,
+    title: 'Slides Engine deck',
+    version: DECK_SCHEMA_VERSION,
+    type: 'object',
+    required: ['slides'],
+    properties: {
+      $schema: { type: 'string' },
+      config: { $ref: '#/definitions/config' },
+      slides: {
+        type: 'array',
+        minItems: 1,
+        maxItems: CONFIG.LIMITS.MAX_SLIDES,
+        items: { $ref: '#/definitions/slide' }
+      }
+    },
+    additionalProperties: false,
+    definitions: definitions
+  };
+}
+
+// ============================================================================
+// VALIDATOR
+// ============================================================================
+
+/**
+ * Append a property name or array index to a JSON path
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+function joinSchemaPath(path, key) {
+  if (typeof key === 'number') return path + '[' + key + ']';
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? path + '.' + key : key;
+  return path + '[' + JSON.stringify(key) + ']';
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function getSchemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesSchemaType(value, type) {
+  if (type === 'integer') return typeof value === 'number' && Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && isFinite(value);
+  return getSchemaType(value) === type;
+}
+
+/**
+ * Resolve a local $ref ("#/definitions/xyz")
+ * @param {string} ref
+ * @param {Object} rootSchema
+ * @returns {Object}
+ */
+function resolveSchemaRef(ref, rootSchema) {
+  const parts = ref.replace(/^#\//, '').split('/');
+  let target = rootSchema;
+  parts.forEach(part => { target = target ? target[part] : undefined; });
+  if (!target) {
+    throw new Error('Unresolvable schema reference: ' + ref);
+  }
+  return target;
+}
+
+/**
+ * Suggest a known property name for a misspelled one
+ * @param {string} key
+ * @param {Array<string>} known
+ * @returns {string|null}
+ */
+function suggestPropertyName(key, known) {
+  const lower = key.toLowerCase();
+  const caseMatch = known.find(k => k.toLowerCase() === lower);
+  if (caseMatch) return caseMatch;
+
+  // Small edit distance catches most typos (colour/color, fontsise/fontSize)
+  let best = null;
+  let bestDistance = 3;
+  known.forEach(candidate => {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) previous.push(j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Validate a value against a schema node, collecting errors.
+ * Supports the draft-07 keywords used by the deck schema.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - JSON path of the value
+ * @param {Array<Object>} errors - Collected { path, keyword, message }
+ * @param {Object} rootSchema - Schema used to resolve $ref
+ * @param {Array<string>} [colorNames] - Theme color names 'color' values may use
+ */
+function validateAgainstSchema(value, schema, path, errors, rootSchema, colorNames) {
+  if (!schema || schema === true) return;
+
+  if (schema.$ref) {
+    validateAgainstSchema(value, resolveSchemaRef(schema.$ref, rootSchema), path, errors, rootSchema, colorNames);
+    return;
+  }
+
+  const fail = (keyword, message, atPath) => {
+    errors.push({ path: atPath !== undefined ? atPath : path, keyword: keyword, message: message });
+  };
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesSchemaType(value, t))) {
+      fail('type', 'Expected ' + types.join(' or ') + ' but got ' + getSchemaType(value));
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail('const', 'Must be ' + JSON.stringify(schema.const));
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    const allowed = schema.enum.filter(v => v !== null).map(v => JSON.stringify(v));
+    fail('enum', 'Invalid value ' + JSON.stringify(value) + '. Allowed: ' + allowed.join(', '));
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', 'Must be >= ' + schema.minimum + ' (got ' + value + ')');
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', 'Must be <= ' + schema.maximum + ' (got ' + value + ')');
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', 'Must be > ' + schema.exclusiveMinimum + ' (got ' + value + ')');
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', 'Must be at least ' + schema.minLength + ' characters');
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', 'Must be at most ' + schema.maxLength + ' characters');
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', 'Does not match pattern ' + schema.pattern);
+    }
+    // Only the 'color' format is checked: hex, a theme name or a color expression (ThemeService.js)
+    if (schema.format === 'color' && !isColorValue(value, colorNames)) {
+      const name = value.trim();
+      if (colorNames && /^[a-z_][\w-]*$/i.test(name)) {
+        const suggestion = suggestPropertyName(name, colorNames);
+        fail('format', 'Unknown theme color "' + name + '"' + (suggestion ? ' (did you mean "' + suggestion + '"?)' : '') +
+          '. Use a hex color like #1a73e8 or one of: ' + colorNames.join(', '));
+      } else {
+        fail('format', 'Invalid color ' + JSON.stringify(value) + '. Use a hex color, a theme color or an expression like primary.lighten(40)');
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', 'Must have at least ' + schema.minItems + ' item(s)');
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', 'Must have at most ' + schema.maxItems + ' items (got ' + value.length + ')');
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        validateAgainstSchema(item, schema.items, joinSchemaPath(path, index), errors, rootSchema, colorNames);
+      });
+    }
+  }
+
+  if (getSchemaType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        fail('required', 'Missing required property "' + key + '"', joinSchemaPath(path, key));
+      }
+    });
+
+    const properties = schema.properties || {};
+    const patterns = Object.keys(schema.patternProperties || {});
+
+    Object.keys(value).forEach(key => {
+      const childPath = joinSchemaPath(path, key);
+      if (properties.hasOwnProperty(key)) {
+        if (value[key] !== undefined) {
+          validateAgainstSchema(value[key], properties[key], childPath, errors, rootSchema, colorNames);
+        }
+        return;
+      }
+
+      const pattern = patterns.find(p => new RegExp(p).test(key));
+      if (pattern) {
+        validateAgainstSchema(value[key], schema.patternProperties[pattern], childPath, errors, rootSchema, colorNames);
+        return;
+      }
+
+      if (schema.additionalProperties === false) {
+        const suggestion = suggestPropertyName(key, Object.keys(properties));
+        fail('additionalProperties', 'Unknown property "' + key + '"' +
+          (suggestion ? ' (did you mean "' + suggestion + '"?)' : ''), childPath);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateAgainstSchema(value[key], schema.additionalProperties, childPath, errors, rootSchema, colorNames);
+      }
+    });
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => validateAgainstSchema(value, sub, path, errors, rootSchema, colorNames));
+  }
+
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map(sub => {
+      const collected = [];
+      validateAgainstSchema(value, sub, path, collected, rootSchema, colorNames);
+      return collected;
+    });
+
+    if (!branchErrors.some(collected => collected.length === 0)) {
+      // Report the branch whose type matched, since its errors are the most specific
+      const typed = branchErrors.filter(collected =>
+        !collected.some(e => e.path === path && (e.keyword === 'type' || e.keyword === 'enum')));
+      const enumError = [].concat(...branchErrors).find(e => e.path === path && e.keyword === 'enum');
+      if (typed.length === 1) {
+        errors.push(...typed[0]);
+      } else if (enumError && typeof value === 'string') {
+        errors.push(enumError);
+      } else {
+        fail('anyOf', 'Value ' + JSON.stringify(value) + ' does not match any allowed form');
+      }
+    }
+  }
+
+  if (schema.if) {
+    const conditionErrors = [];
+    validateAgainstSchema(value, schema.if, path, conditionErrors, rootSchema, colorNames);
+    const branch = conditionErrors.length === 0 ? schema.then : schema.else;
+    if (branch) validateAgainstSchema(value, branch, path, errors, rootSchema, colorNames);
+  }
+}
+
+/**
+ * Collect warnings for values that are valid but will be adjusted during
+ * generation (validateElement clamps dimensions/font sizes and truncates text).
+ * @param {Array<Object>} elements
+ * @param {string} path
+ * @param {Array<Object>} warnings
+ */
+function collectClampWarnings(elements, path, warnings) {
+  const clampedTypes = ['text', 'shape', 'image', 'icon', 'wordArt'];
+  const limits = CONFIG.LIMITS;
+
+  (elements || []).forEach((element, index) => {
+    if (!element || typeof element !== 'object') return;
+    const elementPath = joinSchemaPath(path, index);
+
+    if (element.type === 'group' || isLayoutContainer(element)) {
+      collectClampWarnings(element.elements, joinSchemaPath(elementPath, 'elements'), warnings);
+      return;
+    }
+    if (clampedTypes.indexOf(element.type) === -1) return;
+
+    ['w', 'h', 'width', 'height'].forEach(key => {
+      const value = element[key];
+      if (typeof value !== 'number') return;
+      if (value < limits.MIN_DIMENSION || value > limits.MAX_DIMENSION) {
+        warnings.push({
+          path: joinSchemaPath(elementPath, key),
+          keyword: 'clamp',
+          message: value + ' is outside ' + limits.MIN_DIMENSION + '-' + limits.MAX_DIMENSION +
+            ' and will be clamped to ' + clamp(value, limits.MIN_DIMENSION, limits.MAX_DIMENSION)
+        });
+      }
+    });
+
+    if (typeof element.fontSize === 'number' &&
+      (element.fontSize < limits.MIN_FONT_SIZE || element.fontSize > limits.MAX_FONT_SIZE)) {
+      warnings.push({
+        path: joinSchemaPath(elementPath, 'fontSize'),
+        keyword: 'clamp',
+        message: element.fontSize + ' is outside ' + limits.MIN_FONT_SIZE + '-' + limits.MAX_FONT_SIZE +
+          ' and will be clamped to ' + clamp(element.fontSize, limits.MIN_FONT_SIZE, limits.MAX_FONT_SIZE)
+      });
+    }
+
+    if (typeof element.text === 'string' && element.text.length > limits.MAX_TEXT_LENGTH) {
+      warnings.push({
+        path: joinSchemaPath(elementPath, 'text'),
+        keyword: 'truncate',
+        message: 'Text is ' + element.text.length + ' characters and will be truncated to ' + limits.MAX_TEXT_LENGTH
+      });
+    }
+  });
+}
+
+/**
+ * Validate a deck against the deck schema
+ * @param {Object} json - Parsed deck
+ * @returns {Object} { valid, schemaVersion, errors, warnings }
+ */
+function validateDeck(json) {
+  const schema = getDeckSchema();
+  const errors = [];
+  const warnings = [];
+
+  // Color names must be theme colors: the default theme's or the deck's own
+  const colorNames = getThemeColorNames(json && json.config && json.config.theme);
+  validateAgainstSchema(json, schema, '', errors, schema, colorNames);
+
+  if (json && Array.isArray(json.slides)) {
+    json.slides.forEach((slide, index) => {
+      if (slide && Array.isArray(slide.elements)) {
+        collectClampWarnings(slide.elements, joinSchemaPath(joinSchemaPath('slides', index), 'elements'), warnings);
+      }
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    schemaVersion: DECK_SCHEMA_VERSION,
+    errors: errors,
+    warnings: warnings
+  };
+}
@@ -24,6 +24,12 @@ const EMU_PER_PT = 12700;
 // Source presentation ID for copyGroup Phase 2 operations
 let _sourcePresentationId = null;
 
+// True while compiling offline: builders must not call Google services
+let _offlineBuild = false;
+
+// Deck-wide text auto-fit mode (config.autoFit), see TextMetrics.js
+let _deckAutoFit = null;
+
 /**
  * Check if element has a shear transform that needs raw passthrough
  * @param {Object} element
@@ -157,7 +163,7 @@ function buildFakeShadowRequests(element, slideId, shapeType) {
   const scaledOffsetY = offsetY * SCALE;
   const scaledSpread = spread * SCALE;
 
-  const shadowId = generateObjectId();
+  const shadowId = deriveObjectId(element.objectId, 'shadow');
   const shadowW = w + scaledSpread;
   const shadowH = h + scaledSpread;
   const shadowX = x + scaledOffsetX - scaledSpread * 0.5;
@@ -200,6 +206,18 @@ function buildFakeShadowRequests(element, slideId, shapeType) {
   return requests;
 }
 
+/**
+ * Object ID of the element a shape or text builder created, skipping the
+ * helper shapes created before it (fake shadow, gradient bands)
+ * @param {Array} requests
+ * @returns {string|null}
+ */
+function getBuiltShapeId(requests) {
+  const created = requests.find(request => request.createShape &&
+    getBaseObjectId(request.createShape.objectId) === request.createShape.objectId);
+  return created ? created.createShape.objectId : null;
+}
+
 // ============================================================================
 // ELEMENT BUILDERS
 // ============================================================================
@@ -210,20 +228,24 @@ function buildFakeShadowRequests(element, slideId, shapeType) {
  */
 function buildTextContentRequests(element, shapeId) {
   const requests = [];
-  let textContent = element.text || '';
-  if (element.items && Array.isArray(element.items)) {
+  const cleanText = text => text.replace(/[\x00-\x09\x0B\x0C\x0E-\x1F\x7F\u200B-\u200D\uFEFF\uFFFC\uFFFD]/g, '');
+  const hasItems = Array.isArray(element.items) && element.items.length > 0;
+  const bulleted = hasItems && element.bullets !== false;
+  let textContent;
+  if (hasItems) {
+    // Leading tabs set the nesting level of each bullet, so they are added after cleaning.
+    // Without bullets, nesting is a paragraph indent instead (see below)
     textContent = element.items.map(item => {
-      if (typeof item === 'object' && item.text) {
-        const indent = '\t'.repeat(item.indent || 0);
-        return indent + item.text;
+      if (item && typeof item === 'object') {
+        return (bulleted ? '\t'.repeat(item.indent || 0) : '') + cleanText(String(item.text || '')).replace(/\n/g, ' ');
       }
-      return String(item);
+      return cleanText(String(item)).replace(/\n/g, ' ');
     }).join('\n');
+  } else {
+    // Clean text but preserve formatting chars
+    textContent = cleanText(element.text || '');
   }
 
-  // Clean text but preserve formatting chars
-  textContent = textContent.replace(/[\x00-\x09\x0B\x0C\x0E-\x1F\x7F\u200B-\u200D\uFEFF\uFFFC\uFFFD]/g, '');
-
   const hasTextContent = textContent && textContent.length > 0;
 
   if (!hasTextContent) {
@@ -505,6 +527,34 @@ function buildTextContentRequests(element, shapeId) {
         }
       });
     }
+
+    if (bulleted) {
+      requests.push({
+        createParagraphBullets: {
+          objectId: shapeId,
+          bulletPreset: element.listType === 'numbered' ? 'NUMBERED_DIGIT_ALPHA_ROMAN' : 'BULLET_DISC_CIRCLE_SQUARE',
+          textRange: { type: 'ALL' }
+        }
+      });
+    } else if (hasItems) {
+      let startIndex = 0;
+      textContent.split('\n').forEach((line, index) => {
+        const item = element.items[index];
+        const indent = (item && typeof item === 'object' && item.indent) || 0;
+        if (indent > 0) {
+          const magnitude = { magnitude: indent * CONFIG.TEXT_FIT.BULLET_INDENT, unit: 'PT' };
+          requests.push({
+            updateParagraphStyle: {
+              objectId: shapeId,
+              style: { indentStart: magnitude, indentFirstLine: magnitude },
+              textRange: { type: 'FIXED_RANGE', startIndex: startIndex, endIndex: startIndex + line.length + 1 },
+              fields: 'indentStart,indentFirstLine'
+            }
+          });
+        }
+        startIndex += line.length + 1;
+      });
+    }
   }
 
   // Link handling (global/simple)
@@ -518,7 +568,7 @@ function buildTextContentRequests(element, shapeId) {
 /**
  * Build requests for TEXT element (New Wrapper)
  */
-function buildTextRequests(element, slideId) {
+function buildTextRequests(element, slideId, slideIndex) {
   element = validateElement(element);
   const requests = [];
   const shapeId = element.objectId || generateObjectId();
@@ -527,6 +577,13 @@ function buildTextRequests(element, slideId) {
     requests.push(...buildFakeShadowRequests(element, slideId, 'RECTANGLE'));
   }
 
+  // Gradient bands go right below the text box (see Gradient.js)
+  const gradientFill = element.gradient ? buildGradientFill(element, shapeId, slideId, 'TEXT_BOX', slideIndex) : null;
+  if (gradientFill) {
+    requests.push(...gradientFill.requests);
+    element = { ...element, fillColor: gradientFill.fillColor, _originalFillColor: gradientFill.fillColor };
+  }
+
   // Use raw shear transform if present, otherwise use standard rotation-based transform
   const transformObj = buildTransformWithShear(element);
 
@@ -560,7 +617,7 @@ function buildTextRequests(element, slideId) {
       shapeProperties.shapeBackgroundFill = {
         solidFill: {
           color: { rgbColor: rgb },
-          alpha: element.alpha !== undefined ? element.alpha : (element.fillAlpha !== undefined ? element.fillAlpha : 1)
+          alpha: element.alpha !== undefined ? element.alpha : (element.fillAlpha !== undefined ? element.fillAlpha : themeService.getColorAlpha(element.fillColor))
         }
       };
       fields.push('shapeBackgroundFill');
@@ -574,7 +631,7 @@ function buildTextRequests(element, slideId) {
     if (borderRgb) {
       const outline = {
         outlineFill: {
-          solidFill: { color: { rgbColor: borderRgb }, alpha: element.borderAlpha !== undefined ? element.borderAlpha : 1 }
+          solidFill: { color: { rgbColor: borderRgb }, alpha: element.borderAlpha !== undefined ? element.borderAlpha : themeService.getColorAlpha(element.borderColor) }
         },
         weight: { magnitude: (element.borderWidth || CONFIG.DEFAULTS.LINE_WEIGHT) * SCALE, unit: 'PT' },
         propertyState: 'RENDERED'
@@ -617,7 +674,7 @@ function buildTextRequests(element, slideId) {
 /**
  * Build requests for SHAPE element
  */
-function buildShapeRequests(element, slideId) {
+function buildShapeRequests(element, slideId, slideIndex) {
   element = validateElement(element);
   const requests = [];
   const shapeId = element.objectId || generateObjectId();
@@ -629,6 +686,13 @@ function buildShapeRequests(element, slideId) {
     requests.push(...buildFakeShadowRequests(element, slideId, shapeType));
   }
 
+  // Gradient bands go right below the shape (see Gradient.js)
+  const gradientFill = element.gradient ? buildGradientFill(element, shapeId, slideId, shapeType, slideIndex) : null;
+  if (gradientFill) {
+    requests.push(...gradientFill.requests);
+    element = { ...element, fillColor: gradientFill.fillColor, _originalFillColor: gradientFill.fillColor };
+  }
+
   // Use raw shear transform if present, otherwise use standard rotation-based transform
   const transformObj = buildTransformWithShear(element);
 
@@ -663,7 +727,7 @@ function buildShapeRequests(element, slideId) {
       shapeProperties.shapeBackgroundFill = {
         solidFill: {
           color: { rgbColor: rgb },
-          alpha: element.alpha !== undefined ? element.alpha : (element.fillAlpha !== undefined ? element.fillAlpha : 1)
+          alpha: element.alpha !== undefined ? element.alpha : (element.fillAlpha !== undefined ? element.fillAlpha : themeService.getColorAlpha(element.fillColor))
         }
       };
       fields.push('shapeBackgroundFill');
@@ -677,7 +741,7 @@ function buildShapeRequests(element, slideId) {
     if (borderRgb) {
       const outline = {
         outlineFill: {
-          solidFill: { color: { rgbColor: borderRgb }, alpha: element.borderAlpha !== undefined ? element.borderAlpha : 1 }
+          solidFill: { color: { rgbColor: borderRgb }, alpha: element.borderAlpha !== undefined ? element.borderAlpha : themeService.getColorAlpha(element.borderColor) }
         },
         weight: { magnitude: (element.borderWidth || CONFIG.DEFAULTS.LINE_WEIGHT) * SCALE, unit: 'PT' },
         propertyState: 'RENDERED'
@@ -1023,10 +1087,56 @@ function buildImageRequests(element, slideId, slideIndex, elementIndex, totalEle
   return { requests, objectId: imageId };
 }
 
+/**
+ * Merged cell ranges of a table, from element.merges and rowSpan/colSpan on cells.
+ * Ranges outside the table or overlapping an earlier range are reported and dropped.
+ * @param {Object} element - table element
+ * @param {Array<Array>} data
+ * @param {number} slideIndex
+ * @returns {Array<Object>} [{ row, col, rowSpan, colSpan }]
+ */
+function getTableMerges(element, data, slideIndex) {
+  const rows = data.length;
+  const cols = data[0].length;
+  const merges = (element.merges || []).map(merge => ({
+    row: merge.row, col: merge.col, rowSpan: merge.rowSpan || 1, colSpan: merge.colSpan || 1
+  }));
+  data.forEach((row, r) => row.forEach((cell, c) => {
+    if (cell && typeof cell === 'object' && (cell.rowSpan > 1 || cell.colSpan > 1)) {
+      merges.push({ row: r, col: c, rowSpan: cell.rowSpan || 1, colSpan: cell.colSpan || 1 });
+    }
+  }));
+
+  const covered = {};
+  return merges.filter(merge => {
+    if (merge.rowSpan * merge.colSpan < 2) return false;
+    let problem = null;
+    if (merge.row < 0 || merge.col < 0 || merge.row + merge.rowSpan > rows || merge.col + merge.colSpan > cols) {
+      problem = 'is outside the ' + rows + 'x' + cols + ' table';
+    } else {
+      for (let r = merge.row; r < merge.row + merge.rowSpan && !problem; r++) {
+        for (let c = merge.col; c < merge.col + merge.colSpan && !problem; c++) {
+          if (covered[r + ',' + c]) problem = 'overlaps another merge';
+        }
+      }
+    }
+    if (problem) {
+      generationReport.warning('TABLE_MERGE_SKIPPED', element._reportPath,
+        merge.rowSpan + 'x' + merge.colSpan + ' merge at row ' + merge.row + ', column ' + merge.col + ' ' + problem + '; cells left unmerged',
+        { slideIndex: slideIndex, objectId: element.objectId });
+      return false;
+    }
+    for (let r = merge.row; r < merge.row + merge.rowSpan; r++) {
+      for (let c = merge.col; c < merge.col + merge.colSpan; c++) covered[r + ',' + c] = true;
+    }
+    return true;
+  });
+}
+
 /**
  * Build requests for TABLE element
  */
-function buildTableRequests(element, slideId) {
+function buildTableRequests(element, slideId, slideIndex) {
   const requests = [];
   const tableId = element.objectId || generateObjectId();
   const data = element._data || element.data;
@@ -1112,8 +1222,36 @@ function buildTableRequests(element, slideId) {
   }
   builderLog('Generated ' + columnWidthRequestCount + ' column width requests for table');
 
+  // Merge before writing content. The first cell of a merge holds the content and
+  // styles of the whole range; the cells it covers are left empty.
+  const spans = {};
+  const coveredCells = {};
+  getTableMerges(element, data, slideIndex).forEach(merge => {
+    requests.push({
+      mergeTableCells: {
+        objectId: tableId,
+        tableRange: { location: { rowIndex: merge.row, columnIndex: merge.col }, rowSpan: merge.rowSpan, columnSpan: merge.colSpan }
+      }
+    });
+    spans[merge.row + ',' + merge.col] = merge;
+    for (let r = merge.row; r < merge.row + merge.rowSpan; r++) {
+      for (let c = merge.col; c < merge.col + merge.colSpan; c++) {
+        if (r !== merge.row || c !== merge.col) coveredCells[r + ',' + c] = true;
+      }
+    }
+  });
+  const cellRange = (r, c) => {
+    const merge = spans[r + ',' + c];
+    return {
+      location: { rowIndex: r, columnIndex: c },
+      rowSpan: merge ? merge.rowSpan : 1,
+      columnSpan: merge ? merge.colSpan : 1
+    };
+  };
+
   data.forEach((row, r) => {
     row.forEach((cellValue, c) => {
+      if (coveredCells[r + ',' + c]) return;
       let text = '';
       let style = {};
       let cellStyle = {};
@@ -1135,9 +1273,8 @@ function buildTableRequests(element, slideId) {
           if (rgb) style.foregroundColor = { opaqueColor: { rgbColor: rgb } };
         }
         if (cellValue.fillColor) {
-          const hex = themeService.resolveThemeColor(cellValue.fillColor);
-          const rgb = themeService.hexToRgbApi(hex);
-          if (rgb && hex !== 'transparent') cellStyle.tableCellBackgroundFill = { solidFill: { color: { rgbColor: rgb } } };
+          const solidFill = themeService.buildSolidFill(cellValue.fillColor);
+          if (solidFill) cellStyle.tableCellBackgroundFill = { solidFill: solidFill };
         }
         if (cellValue.align) {
           cellStyle.contentAlignment = (cellValue.align === 'center') ? 'MIDDLE' : (cellValue.align === 'bottom' ? 'BOTTOM' : 'TOP');
@@ -1259,7 +1396,7 @@ function buildTableRequests(element, slideId) {
         requests.push({
           updateTableCellProperties: {
             objectId: tableId,
-            tableRange: { location: { rowIndex: r, columnIndex: c }, rowSpan: 1, columnSpan: 1 },
+            tableRange: cellRange(r, c),
             tableCellProperties: cellStyle,
             fields: fields
           }
@@ -1276,15 +1413,14 @@ function buildTableRequests(element, slideId) {
           }
         });
 
-        const headerBg = themeService.resolveThemeColor(element.headerBg || CONFIG.DEFAULTS.TABLE_HEADER_BG || '#f1f5f9');
-        const rgb = themeService.hexToRgbApi(headerBg);
-        if (rgb) {
+        const solidFill = themeService.buildSolidFill(element.headerBg || CONFIG.DEFAULTS.TABLE_HEADER_BG || '#f1f5f9');
+        if (solidFill) {
           requests.push({
             updateTableCellProperties: {
               objectId: tableId,
-              tableRange: { location: { rowIndex: r, columnIndex: c }, rowSpan: 1, columnSpan: 1 },
+              tableRange: cellRange(r, c),
               tableCellProperties: {
-                tableCellBackgroundFill: { solidFill: { color: { rgbColor: rgb } } }
+                tableCellBackgroundFill: { solidFill: solidFill }
               },
               fields: 'tableCellBackgroundFill'
             }
@@ -1299,7 +1435,8 @@ function buildTableRequests(element, slideId) {
   let borderRequestCount = 0;
   data.forEach((row, r) => {
     row.forEach((cellValue, c) => {
-      if (typeof cellValue === 'object' && cellValue.borders) {
+      if (coveredCells[r + ',' + c]) return;
+      if (cellValue && typeof cellValue === 'object' && cellValue.borders) {
         if (r === 0 && c === 0) {
           builderLog('First cell borders: ' + JSON.stringify(cellValue.borders));
         }
@@ -1320,21 +1457,16 @@ function buildTableRequests(element, slideId) {
             };
 
             if (border.color) {
-              const hex = themeService.resolveThemeColor(border.color);
-              const rgb = themeService.hexToRgbApi(hex);
-              if (rgb) {
-                borderProps.tableBorderFill = { solidFill: { color: { rgbColor: rgb } } };
+              const solidFill = themeService.buildSolidFill(border.color);
+              if (solidFill) {
+                borderProps.tableBorderFill = { solidFill: solidFill };
               }
             }
 
             requests.push({
               updateTableBorderProperties: {
                 objectId: tableId,
-                tableRange: {
-                  location: { rowIndex: r, columnIndex: c },
-                  rowSpan: 1,
-                  columnSpan: 1
-                },
+                tableRange: cellRange(r, c),
                 borderPosition: position,
                 tableBorderProperties: borderProps,
                 fields: 'tableBorderFill,weight,dashStyle'
@@ -1353,7 +1485,8 @@ function buildTableRequests(element, slideId) {
 }
 
 // Helper for elbow connectors
-function buildElbowAsSegments(element, slideId) {
+// Segment IDs are derived from the connector's ID so in-place updates can find them
+function buildElbowAsSegments(element, slideId, lineId) {
   const requests = [];
   const x1 = element.x1 || 0;
   const y1 = element.y1 || 0;
@@ -1372,6 +1505,7 @@ function buildElbowAsSegments(element, slideId) {
 
   const segment1 = {
     ...element,
+    objectId: deriveObjectId(lineId, 'seg1'),
     x1, y1, x2: midX, y2: midY,
     connector: null,
     startArrow: element.startArrow,
@@ -1382,6 +1516,7 @@ function buildElbowAsSegments(element, slideId) {
 
   const segment2 = {
     ...element,
+    objectId: deriveObjectId(lineId, 'seg2'),
     x1: midX, y1: midY, x2, y2,
     connector: null,
     startArrow: 'NONE',
@@ -1395,7 +1530,7 @@ function buildElbowAsSegments(element, slideId) {
 
   if (seg1HasLength) requests.push(...buildLineRequests(segment1, slideId).requests);
   if (seg2HasLength) requests.push(...buildLineRequests(segment2, slideId).requests);
-  if (!seg1HasLength && !seg2HasLength) requests.push(...buildLineRequests(element, slideId).requests);
+  if (!seg1HasLength && !seg2HasLength) requests.push(...buildLineRequests({ ...element, objectId: lineId, connector: null }, slideId).requests);
 
   return requests;
 }
@@ -1409,8 +1544,9 @@ function buildLineRequests(element, slideId) {
   const lineId = element.objectId || generateObjectId();
 
   if (element.connector === 'elbow' || element.connector === 'bent') {
-    const segments = buildElbowAsSegments(element, slideId);
-    return { requests: segments, deferredConnections: [], objectId: lineId };
+    const segments = buildElbowAsSegments(element, slideId, lineId);
+    const firstLine = segments.find(r => r.createLine);
+    return { requests: segments, deferredConnections: [], objectId: firstLine ? firstLine.createLine.objectId : lineId };
   }
 
   // RAW TRANSFORM PASSTHROUGH: If we have composedTransform and baseSize from extraction,
@@ -1509,10 +1645,9 @@ function buildLineRequests(element, slideId) {
   style.weight = { magnitude: (element.weight || CONFIG.DEFAULTS.LINE_WEIGHT) * SCALE, unit: 'PT' };
   fields.push('weight');
 
-  const color = themeService.resolveThemeColor(element.color || '#000000');
-  const rgb = themeService.hexToRgbApi(color);
-  if (rgb) {
-    style.lineFill = { solidFill: { color: { rgbColor: rgb } } };
+  const solidFill = themeService.buildSolidFill(element.color || '#000000');
+  if (solidFill) {
+    style.lineFill = { solidFill: solidFill };
     fields.push('lineFill');
   }
 
@@ -1575,7 +1710,22 @@ function buildLineRequests(element, slideId) {
   return { requests, deferredConnections, objectId: lineId };
 }
 
-function buildChartRequests(element, slideId, slideIndex) {
+function buildChartRequests(element, slideId, slideIndex, elementIndex, totalElements) {
+  if (getChartMode(element) === 'native') {
+    if (canRenderNatively(element)) {
+      const group = renderNativeChart(element);
+      if (!group) {
+        generationReport.error('CHART_FAILED', element._reportPath,
+          'Native chart needs data with a header row and at least one data row', { slideIndex: slideIndex, objectId: element.objectId });
+        return { requests: [], spreadsheetIds: [], objectId: null, deferredConnections: [] };
+      }
+      return buildElementRequests(group, slideId, slideIndex, elementIndex, totalElements);
+    }
+    generationReport.warning('CHART_FALLBACK', element._reportPath,
+      'Chart type ' + (element.chartType || 'COLUMN') + ' with these series options cannot be drawn natively; using a Sheets chart',
+      { slideIndex: slideIndex, objectId: element.objectId });
+  }
+
   phase2Service.addChart(slideIndex, element);
   return { requests: [], spreadsheetIds: [], objectId: null, deferredConnections: [] };
 }
@@ -1598,11 +1748,16 @@ function buildSheetsChartRequests(element, slideId) {
   const height = (element.h || 300) * SCALE;
 
   try {
-    const ss = SpreadsheetApp.openById(element.spreadsheetId);
+    // Offline compiles assume access; the check needs SpreadsheetApp
+    if (!_offlineBuild) {
+      SpreadsheetApp.openById(element.spreadsheetId);
+    }
   } catch (e) {
     // If we have a contentUrl from extraction, use it as image fallback
     if (element.contentUrl) {
-      Logger.log('Cannot access spreadsheet ' + element.spreadsheetId + '. Using contentUrl as image fallback.');
+      generationReport.warning('CHART_FALLBACK', element._reportPath,
+        'Cannot access spreadsheet ' + element.spreadsheetId + '; chart inserted as an image from contentUrl',
+        { objectId: chartId });
 
       requests.push({
         createImage: {
@@ -1620,7 +1775,9 @@ function buildSheetsChartRequests(element, slideId) {
     }
 
     // No contentUrl available - create placeholder
-    Logger.log('Cannot access spreadsheet ' + element.spreadsheetId + ' and no contentUrl. Creating placeholder.');
+    generationReport.warning('CHART_FALLBACK', element._reportPath,
+      'Cannot access spreadsheet ' + element.spreadsheetId + ' and no contentUrl; placeholder inserted',
+      { objectId: chartId });
 
     requests.push({
       createShape: {
@@ -1698,17 +1855,25 @@ function buildElementRequests(element, slideId, slideIndex, elementIndex, totalE
 
     builderLog('Building ' + element.type + ' at (' + (element.x || 0) + ',' + (element.y || 0) + ') size ' + (element.w || 0) + 'x' + (element.h || 0));
 
+    const autoFit = element.autoFit !== undefined ? element.autoFit : _deckAutoFit;
+    if (autoFit && (element.type === 'text' || element.type === 'shape')) {
+      element = applyTextAutoFit(element, autoFit, slideIndex);
+    }
+
     switch (element.type) {
       case 'text':
-        requests = buildTextRequests(element, slideId);
-        if (requests.length > 0 && requests[0].createShape) objectId = requests[0].createShape.objectId;
+        requests = buildTextRequests(element, slideId, slideIndex);
+        objectId = getBuiltShapeId(requests);
         break;
       case 'shape':
-        requests = buildShapeRequests(element, slideId);
-        if (requests.length > 0 && requests[0].createShape) objectId = requests[0].createShape.objectId;
+        requests = buildShapeRequests(element, slideId, slideIndex);
+        objectId = getBuiltShapeId(requests);
         break;
       case 'chart':
-        buildChartRequests(element, slideId, slideIndex);
+        const nativeChartResult = buildChartRequests(element, slideId, slideIndex, elementIndex, totalElements);
+        requests = nativeChartResult.requests;
+        deferredConnections = nativeChartResult.deferredConnections || [];
+        objectId = nativeChartResult.objectId;
         break;
       case 'image':
         const imageResult = buildImageRequests(element, slideId, slideIndex, elementIndex, totalElements);
@@ -1721,7 +1886,7 @@ function buildElementRequests(element, slideId, slideIndex, elementIndex, totalE
         }
         break;
       case 'table':
-        requests = buildTableRequests(element, slideId);
+        requests = buildTableRequests(isDataTable(element) ? expandDataTable(element) : element, slideId, slideIndex);
         if (requests.length > 0 && requests[0].createTable) objectId = requests[0].createTable.objectId;
         break;
       case 'line':
@@ -1750,8 +1915,8 @@ function buildElementRequests(element, slideId, slideIndex, elementIndex, totalE
           fontSize: element.fontSize || 48,
           bold: true,
           align: 'center'
-        }, slideId);
-        if (requests.length > 0 && requests[0].createShape) objectId = requests[0].createShape.objectId;
+        }, slideId, slideIndex);
+        objectId = getBuiltShapeId(requests);
         break;
       case 'group':
         // ATOMIC/RECURSIVE GROUPING
@@ -1761,6 +1926,7 @@ function buildElementRequests(element, slideId, slideIndex, elementIndex, totalE
 
         if (element.elements && element.elements.length > 0) {
           element.elements.forEach((child, idx) => {
+            if (child) child._reportPath = child._layoutPath || getElementReportPath(slideIndex, idx, element._reportPath);
             const childResult = buildElementRequests(child, slideId, slideIndex, elementIndex + '_' + idx, totalElements);
             requests.push(...childResult.requests); // Add child creation logic to batch
             deferredConnections.push(...(childResult.deferredConnections || []));
@@ -1787,7 +1953,9 @@ function buildElementRequests(element, slideId, slideIndex, elementIndex, totalE
       case 'copyGroup':
         // Queue this group to be copied from source presentation in Phase 2
         if (!_sourcePresentationId) {
-          Logger.log('[COPYGROUP] ERROR: No source presentation ID available for copyGroup');
+          generationReport.error('COPYGROUP_NO_SOURCE', element._reportPath,
+            'copyGroup ' + (element.sourceObjectId || '') + ' skipped: no config.sourcePresentationId',
+            { slideIndex: slideIndex, objectId: element.sourceObjectId });
           break;
         }
         Logger.log('[COPYGROUP] Queueing group ' + element.sourceObjectId + ' for copy from source pres ' + _sourcePresentationId + ' (slide ' + element.sourceSlideIndex + ')');
@@ -1801,14 +1969,19 @@ function buildElementRequests(element, slideId, slideIndex, elementIndex, totalE
           h: element.h,
           reason: element.reason,
           elementIndex: elementIndex,       // For z-order positioning
-          totalElements: totalElements      // For z-order positioning
+          totalElements: totalElements,     // For z-order positioning
+          path: element._reportPath
         });
         break;
       case 'unsupported':
-        Logger.log('Skipping unsupported element: ' + (element.objectId || 'unknown'));
+        generationReport.warning('ELEMENT_UNSUPPORTED', element._reportPath,
+          'Unsupported element skipped' + (element.reason ? ': ' + element.reason : ''),
+          { slideIndex: slideIndex, objectId: element.objectId });
         break;
       default:
-        Logger.log('Unknown or unimplemented element type: ' + element.type);
+        generationReport.error('ELEMENT_UNKNOWN_TYPE', element._reportPath,
+          'Unknown or unimplemented element type: ' + element.type,
+          { slideIndex: slideIndex, objectId: element.objectId });
     }
 
     if (objectId) {
@@ -1818,94 +1991,172 @@ function buildElementRequests(element, slideId, slideIndex, elementIndex, totalE
 
     return { requests, spreadsheetIds, objectId, deferredConnections };
   } catch (e) {
-    Logger.log('Error building element requests: ' + e.message);
+    generationReport.error('ELEMENT_BUILD_FAILED', element && element._reportPath,
+      (element && element.type) + ' element skipped: ' + e.message,
+      { slideIndex: slideIndex, objectId: element && element.objectId });
     return { requests: [], spreadsheetIds: [], objectId: null, deferredConnections: [] };
   }
 }
 
 /**
- * Build ALL requests for the entire presentation
+ * Set the module state builders read while a deck is being built
  * @param {Object} json
- * @param {string} firstSlideId
- * @param {string} presentationId
- * @returns {Object} { requests, spreadsheetIds }
+ * @param {Object} [options] - { offline: true } to avoid calling Google services
  */
-function buildAllRequests(json, firstSlideId, presentationId) {
-  builderLog('=== GENERATION START [DEBUG CANARY MARKER-FIRST-FIX] ===');
-  builderLog('Total slides: ' + (json.slides ? json.slides.length : 0));
-  builderLog('Presentation ID: ' + presentationId);
+function setBuildContext(json, options) {
+  options = options || {};
+  _offlineBuild = !!options.offline;
+  _deckAutoFit = (json.config && json.config.autoFit) || CONFIG.TEXT_FIT.DEFAULT_MODE;
+  chartWorkbookService.configure(json.config);
 
   // Store source presentation ID for copyGroup Phase 2 operations
   _sourcePresentationId = json.config && json.config.sourcePresentationId ? json.config.sourcePresentationId : null;
   if (_sourcePresentationId) {
     builderLog('Source presentation ID for copyGroup: ' + _sourcePresentationId);
   }
+}
+
+/**
+ * Build the background request for a slide (image, then gradient, then color).
+ * Gradients are queued for Phase 2 and get their middle color until then.
+ * @param {Object} slide
+ * @param {string} slideId
+ * @param {number} slideIndex
+ * @returns {Array} Zero or one updatePageProperties request
+ */
+function buildSlideBackgroundRequests(slide, slideId, slideIndex) {
+  if (slide.backgroundImage) {
+    return [{
+      updatePageProperties: {
+        objectId: slideId,
+        pageProperties: {
+          pageBackgroundFill: {
+            stretchedPictureFill: { contentUrl: slide.backgroundImage }
+          }
+        },
+        fields: 'pageBackgroundFill.stretchedPictureFill'
+      }
+    }];
+  }
+  const gradient = slide.backgroundGradient ? normalizeGradient(slide.backgroundGradient) : null;
+  if (gradient) {
+    phase2Service.addBackground(slideIndex, gradient);
+  }
+  const background = gradient ? sampleGradient(gradient.stops, 0.5).color : slide.background;
+  if (background) {
+    const solidFill = themeService.buildSolidFill(background);
+    if (solidFill) {
+      return [{
+        updatePageProperties: {
+          objectId: slideId,
+          pageProperties: {
+            pageBackgroundFill: {
+              solidFill: solidFill
+            }
+          },
+          fields: 'pageBackgroundFill.solidFill.color' + (solidFill.alpha !== undefined ? ',pageBackgroundFill.solidFill.alpha' : '')
+        }
+      }];
+    }
+  }
+  return [];
+}
+
+/**
+ * Build ALL requests for the entire presentation
+ * @param {Object} json
+ * @param {string|null} firstSlideId - Existing slide to build the first slide on (replaced when
+ *   that slide uses a layout), or null to create every slide
+ * @param {string} presentationId
+ * @param {Object} [options] - { offline: true } to avoid calling Google services,
+ *   { layouts } of the presentation (see summarizeTemplateLayouts; predefined layouts otherwise),
+ *   { removeSlideIds } to delete once the generated slides exist (template sample slides)
+ * @returns {Object} { requests, requestOrigins, connectionRequests, spreadsheetIds }
+ *   requestOrigins is parallel to requests: { slideIndex, elementIndex, objectId, type, path }
+ *   (elementIndex is null for slide-level requests), used to chunk and report errors
+ */
+function buildAllRequests(json, firstSlideId, presentationId, options) {
+  builderLog('=== GENERATION START [DEBUG CANARY MARKER-FIRST-FIX] ===');
+  builderLog('Total slides: ' + (json.slides ? json.slides.length : 0));
+  builderLog('Presentation ID: ' + presentationId);
+
+  setBuildContext(json, options);
 
   const requests = [];
+  const requestOrigins = [];
   const spreadsheetIds = [];
   const deferredConnections = [];
 
+  const addRequests = (added, origin) => {
+    added.forEach(request => {
+      requests.push(request);
+      requestOrigins.push(origin);
+    });
+  };
+
   if (!json.slides || json.slides.length === 0) {
     builderLog('No slides to generate', 'WARN');
-    return { requests, spreadsheetIds };
+    return { requests, requestOrigins, spreadsheetIds };
   }
 
+  // Template decks create every slide from the template's layouts (see BrandTemplate.js)
+  const fromTemplate = !!(json.config && json.config.templatePresentationId);
+  const layouts = (options && options.layouts) || getPredefinedLayouts();
+  const removedSlideIds = ((options && options.removeSlideIds) || []).slice();
+  const usedSlideIds = {};
+
   json.slides.forEach((slide, slideIndex) => {
-    const slideId = slideIndex === 0 ? firstSlideId : generateObjectId();
+    // An authored objectId names the slide (so later in-place updates match it, see
+    // Reconciler.js); the existing first slide is only reused when it already has that ID
+    const authoredId = isValidObjectId(slide.objectId) && !usedSlideIds[slide.objectId] ? slide.objectId : null;
+    const reuseFirst = slideIndex === 0 && !!firstSlideId && !fromTemplate && !usesTemplateLayout(slide) &&
+      (!authoredId || authoredId === firstSlideId);
+    const slideId = reuseFirst ? firstSlideId : (authoredId || generateObjectId());
+    usedSlideIds[slideId] = true;
     builderLog('--- Processing Slide ' + (slideIndex + 1) + ' (ID: ' + slideId + ') ---');
+    builderLog('  Layout: ' + (slide.layout || (fromTemplate ? 'template default' : 'BLANK')));
     builderLog('  Background: ' + (slide.backgroundImage || slide.background || 'default'));
     builderLog('  Elements: ' + (slide.elements ? slide.elements.length : 0));
 
-    if (slideIndex > 0) {
-      requests.push({
+    const slideOrigin = { slideIndex: slideIndex, elementIndex: null, objectId: slideId, type: 'slide' };
+    if (slideIndex === 0 && firstSlideId && !reuseFirst) {
+      // The new presentation's first slide cannot change layout or ID; it is replaced
+      removedSlideIds.push(firstSlideId);
+    }
+    if (fromTemplate || usesTemplateLayout(slide)) {
+      addRequests(buildTemplateSlideRequests(slide, slideId, slideIndex, layouts), slideOrigin);
+    } else if (!reuseFirst) {
+      addRequests([{
         createSlide: {
           objectId: slideId,
           insertionIndex: slideIndex,
           slideLayoutReference: { predefinedLayout: 'BLANK' }
         }
-      });
+      }], slideOrigin);
     }
 
-    if (slide.backgroundImage) {
-      requests.push({
-        updatePageProperties: {
-          objectId: slideId,
-          pageProperties: {
-            pageBackgroundFill: {
-              stretchedPictureFill: { contentUrl: slide.backgroundImage }
-            }
-          },
-          fields: 'pageBackgroundFill.stretchedPictureFill'
-        }
-      });
-    } else if (slide.background) {
-      const bgColor = themeService.resolveThemeColor(slide.background);
-      const rgb = themeService.hexToRgbApi(bgColor);
-      if (rgb) {
-        requests.push({
-          updatePageProperties: {
-            objectId: slideId,
-            pageProperties: {
-              pageBackgroundFill: {
-                solidFill: { color: { rgbColor: rgb } }
-              }
-            },
-            fields: 'pageBackgroundFill.solidFill.color'
-          }
-        });
-      }
-    }
+    addRequests(buildSlideBackgroundRequests(slide, slideId, slideIndex), slideOrigin);
 
     if (slide.elements) {
-      const totalElements = slide.elements.length;
       slide.elements.forEach((el, idx) => { el._originalIndex = idx; });
+      slide.elements = resolveSlideLayout(slide.elements, slideIndex);
+      const totalElements = slide.elements.length;
       slide.elements.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
 
       slide.elements.forEach((element, idx) => {
+        element._reportPath = element._layoutPath || getElementReportPath(slideIndex, element._originalIndex);
         // Pass sorted position (idx) for z-order calculations - elements with higher idx are at front
         const result = buildElementRequests(element, slideId, slideIndex, idx, totalElements);
 
-        if (result.requests) requests.push(...result.requests);
+        if (result.requests) {
+          addRequests(result.requests, {
+            slideIndex: slideIndex,
+            elementIndex: element._originalIndex,
+            objectId: result.objectId || element.objectId || null,
+            type: element.type,
+            path: element._reportPath
+          });
+        }
         if (result.spreadsheetIds) spreadsheetIds.push(...result.spreadsheetIds);
         if (result.deferredConnections) deferredConnections.push(...result.deferredConnections);
       });
@@ -1918,10 +2169,16 @@ function buildAllRequests(json, firstSlideId, presentationId) {
     }
   });
 
+  // Generated slides were inserted before these, so slide indexes stay valid either way
+  removedSlideIds.forEach(objectId => {
+    addRequests([{ deleteObject: { objectId: objectId } }],
+      { slideIndex: null, elementIndex: null, objectId: objectId, type: 'slide' });
+  });
+
   builderLog('=== GENERATION COMPLETE ===');
   builderLog('Total API requests: ' + requests.length);
   builderLog('Deferred connections: ' + deferredConnections.length);
   builderLog('Spreadsheet IDs: ' + spreadsheetIds.length);
 
-  return { requests, connectionRequests: deferredConnections, spreadsheetIds };
+  return { requests, requestOrigins, connectionRequests: deferredConnections, spreadsheetIds };
 }
@@ -2,9 +2,245 @@
  * @fileoverview Adapter for Google Slides API.
  */
 
+// ============================================================================
+// ERROR CLASSIFICATION / BACKOFF
+// ============================================================================
+
+/**
+ * Classify a Slides API error to decide whether to retry
+ *
+ * - quota:     429 / rate limit / quota exceeded - back off and retry
+ * - invalid:   the request itself is wrong (Invalid requests[N], 400, 403, 404) - never retry
+ * - transient: anything else (5xx, timeouts, service errors) - back off and retry
+ *
+ * @param {Error|string} error
+ * @returns {string} 'quota' | 'invalid' | 'transient'
+ */
+function classifyApiError(error) {
+  const message = String((error && error.message) || error || '');
+  const codeMatch = message.match(/returned code (\d{3})/);
+  const code = codeMatch ? parseInt(codeMatch[1], 10) : null;
+
+  if (code === 429 || /quota|rate ?limit|RESOURCE_EXHAUSTED|too many requests/i.test(message)) {
+    return 'quota';
+  }
+  if ((code && code >= 400 && code < 500) ||
+    /Invalid requests\[\d+\]|Invalid JSON payload|INVALID_ARGUMENT|PERMISSION_DENIED|not found|permission/i.test(message)) {
+    return 'invalid';
+  }
+  return 'transient';
+}
+
+/**
+ * Delay before the next attempt (exponential backoff with jitter)
+ * @param {number} retry - 1 for the first retry
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(retry) {
+  const policy = CONFIG.RETRY;
+  const base = Math.min(policy.MAX_DELAY_MS,
+    policy.INITIAL_DELAY_MS * Math.pow(policy.BACKOFF_MULTIPLIER, retry - 1));
+  const jitter = 1 + policy.JITTER * (Math.random() * 2 - 1);
+  return Math.round(base * jitter);
+}
+
+// ============================================================================
+// CHUNKING
+// ============================================================================
+
+// Requests whose objectId is the ID of the object they create
+const CREATE_REQUEST_TYPES = ['createSlide', 'createShape', 'createImage', 'createVideo',
+  'createLine', 'createTable', 'createSheetsChart', 'createGroup'];
+
+/**
+ * Object IDs a request creates and references
+ * @param {Object} request - Slides API request
+ * @returns {Object} { created: string|null, referenced: Array<string> }
+ */
+function getRequestObjectIds(request) {
+  const kind = Object.keys(request || {})[0];
+  const body = kind ? request[kind] : null;
+  let created = null;
+  if (body && CREATE_REQUEST_TYPES.indexOf(kind) !== -1) {
+    created = body.objectId;
+  }
+
+  const referenced = [];
+  const scan = value => {
+    if (!value || typeof value !== 'object') return;
+    Object.keys(value).forEach(key => {
+      const child = value[key];
+      if (/objectIds?$/i.test(key)) {
+        (Array.isArray(child) ? child : [child]).forEach(id => {
+          if (typeof id === 'string' && id !== created && referenced.indexOf(id) === -1) referenced.push(id);
+        });
+      } else {
+        scan(child);
+      }
+    });
+  };
+  scan(body);
+
+  return { created: created || null, referenced: referenced };
+}
+
+/**
+ * Split requests into chunks for separate batchUpdate calls.
+ *
+ * Requests keep their order, so every object is created in the same or an
+ * earlier chunk than the requests that use it (and createGroup stays after its
+ * children). Requests of one element (same origin, or with no origins: a
+ * create request and the requests following it) stay in one chunk unless the
+ * element alone exceeds the limits.
+ *
+ * @param {Array} requests
+ * @param {Array} [origins] - Parallel to requests: { slideIndex, elementIndex, objectId, type }
+ * @param {Object} [limits] - Overrides for CONFIG.CHUNKING
+ * @returns {Array} [{ start, end, requests, origins }] - start/end index into the input
+ */
+function chunkRequests(requests, origins, limits) {
+  limits = Object.assign({}, CONFIG.CHUNKING, limits || {});
+  const maxRequests = Math.max(1, limits.MAX_REQUESTS);
+  const maxBytes = Math.max(1, limits.MAX_PAYLOAD_BYTES);
+
+  // 1. Units: runs of requests that belong to one element
+  const units = [];
+  let unit = null;
+  requests.forEach((request, i) => {
+    const origin = origins ? origins[i] : null;
+    const key = origin ? origin.slideIndex + ':' + origin.elementIndex : null;
+    const startsUnit = !unit ||
+      (origins ? key !== unit.key : getRequestObjectIds(request).created !== null);
+    if (startsUnit) {
+      unit = { key: key, start: i, count: 0, bytes: 0 };
+      units.push(unit);
+    }
+    unit.count++;
+    unit.bytes += JSON.stringify(request).length;
+  });
+
+  // 2. Pack units (or single requests of an oversized unit) into chunks
+  const chunks = [];
+  let chunk = null;
+  const add = (start, count, bytes) => {
+    if (!chunk || chunk.count + count > maxRequests || chunk.bytes + bytes > maxBytes) {
+      chunk = { start: start, count: 0, bytes: 0 };
+      chunks.push(chunk);
+    }
+    chunk.count += count;
+    chunk.bytes += bytes;
+  };
+  units.forEach(u => {
+    if (u.count <= maxRequests && u.bytes <= maxBytes) {
+      add(u.start, u.count, u.bytes);
+    } else {
+      for (let i = u.start; i < u.start + u.count; i++) {
+        add(i, 1, JSON.stringify(requests[i]).length);
+      }
+    }
+  });
+
+  return chunks.map(c => ({
+    start: c.start,
+    end: c.start + c.count,
+    requests: requests.slice(c.start, c.start + c.count),
+    origins: origins ? origins.slice(c.start, c.start + c.count) : null
+  }));
+}
+
+/**
+ * Describe what a chunk covers, for error messages
+ * @param {Object} chunk - From chunkRequests
+ * @param {number} chunkIndex
+ * @param {number} chunkCount
+ * @returns {string} e.g. "chunk 2/5 (requests 501-740; slide 3: title_text, logo_image)"
+ */
+function describeRequestChunk(chunk, chunkIndex, chunkCount) {
+  const parts = ['requests ' + (chunk.start + 1) + '-' + chunk.end];
+  if (chunk.origins) {
+    const slides = [];
+    const bySlide = {};
+    chunk.origins.forEach(origin => {
+      if (!origin) return;
+      if (!bySlide[origin.slideIndex]) {
+        bySlide[origin.slideIndex] = [];
+        slides.push(origin.slideIndex);
+      }
+      const label = origin.objectId || origin.type;
+      if (origin.elementIndex !== null && bySlide[origin.slideIndex].indexOf(label) === -1) {
+        bySlide[origin.slideIndex].push(label);
+      }
+    });
+    slides.forEach(slideIndex => {
+      const labels = bySlide[slideIndex];
+      parts.push('slide ' + (slideIndex + 1) + (labels.length > 0 ? ': ' + labels.join(', ') : ''));
+    });
+  }
+  return 'chunk ' + (chunkIndex + 1) + '/' + chunkCount + ' (' + parts.join('; ') + ')';
+}
+
+/**
+ * Remove requests that use objects which will not exist (e.g. an image
+ * deferred to Phase 2). Objects created by removed requests are dropped too.
+ * createGroup only loses the missing children while two or more remain.
+ * @param {Array} requests - Modified in place
+ * @param {Array|null} origins - Parallel to requests, modified in place
+ * @param {Object} droppedIds - Map of object ID -> true, extended in place
+ * @returns {number} Number of removed requests
+ */
+function dropDependentRequests(requests, origins, droppedIds) {
+  let removed = 0;
+  for (let i = 0; i < requests.length; i++) {
+    const request = requests[i];
+    const ids = getRequestObjectIds(request);
+    const missing = ids.referenced.filter(id => droppedIds[id]);
+    if (missing.length === 0) continue;
+
+    if (request.createGroup) {
+      const children = (request.createGroup.childrenObjectIds || []).filter(id => !droppedIds[id]);
+      if (children.length >= 2) {
+        request.createGroup.childrenObjectIds = children;
+        Logger.log('[CHUNK] Removed ' + missing.join(', ') + ' from group ' + ids.created);
+        continue;
+      }
+    }
+
+    const origin = origins ? origins[i] : null;
+    generationReport.warning('REQUEST_DROPPED', origin ? origin.path : null,
+      Object.keys(request)[0] + ' skipped: uses ' + missing.join(', ') + ', which was not created',
+      { slideIndex: origin ? origin.slideIndex : null, objectId: ids.created || ids.referenced[0] });
+    if (ids.created) droppedIds[ids.created] = true;
+    requests.splice(i, 1);
+    if (origins) origins.splice(i, 1);
+    i--;
+    removed++;
+  }
+  return removed;
+}
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
 class SlidesApiAdapter {
   constructor() {
     validateAdvancedService();
+    this.resetRetryStats();
+  }
+
+  /**
+   * Reset the retry counters (once per generation)
+   */
+  resetRetryStats() {
+    this.retryStats = { retries: 0, quota: 0, transient: 0 };
+  }
+
+  /**
+   * Retries since the last reset
+   * @returns {Object} { retries, quota, transient }
+   */
+  getRetryStats() {
+    return Object.assign({}, this.retryStats);
   }
 
   /**
@@ -20,7 +256,59 @@ class SlidesApiAdapter {
   }
 
   /**
-   * Execute batch update
+   * Create a presentation as a Drive copy of a template (see BrandTemplate.js)
+   * @param {string} templateId - config.templatePresentationId
+   * @param {string} title
+   * @returns {Object} { presentationId, slideIds, layouts } - slideIds are the template's own slides
+   */
+  copyTemplatePresentation(templateId, title) {
+    let presentationId;
+    try {
+      presentationId = DriveApp.getFileById(templateId).makeCopy(title || 'New Presentation').getId();
+    } catch (e) {
+      throw new Error('Template presentation ' + templateId + ' could not be copied: ' + e.message);
+    }
+    const presentation = Slides.Presentations.get(presentationId, { fields: 'slides.objectId,layouts' });
+    Logger.log('Copied template ' + templateId + ' to ' + presentationId);
+    return {
+      presentationId: presentationId,
+      slideIds: (presentation.slides || []).map(slide => slide.objectId),
+      layouts: summarizeTemplateLayouts(presentation)
+    };
+  }
+
+  /**
+   * Layouts of a presentation, for slides that pick one by name
+   * @param {string} presentationId
+   * @returns {Array<Object>} See summarizeTemplateLayouts
+   */
+  getLayouts(presentationId) {
+    return summarizeTemplateLayouts(Slides.Presentations.get(presentationId, { fields: 'layouts' }));
+  }
+
+  /**
+   * Write config.theme into the presentation's masters and layouts
+   * (see ThemeService.buildMasterThemeRequests). Failures are reported, not thrown.
+   * @param {string} presentationId
+   * @param {Object} [themeConfig] - config.theme
+   */
+  applyMasterTheme(presentationId, themeConfig) {
+    if (!themeConfig) return;
+    try {
+      const presentation = Slides.Presentations.get(presentationId, { fields: 'masters,layouts' });
+      const requests = themeService.buildMasterThemeRequests(presentation, themeConfig);
+      this.batchUpdate(presentationId, requests);
+      Logger.log('Master theme applied with ' + requests.length + ' requests');
+    } catch (e) {
+      generationReport.warning('THEME_NOT_APPLIED', 'config.theme',
+        'Theme not written to the masters and layouts: ' + e.message);
+    }
+  }
+
+  /**
+   * Execute batch update.
+   * Quota and transient errors are retried with backoff (CONFIG.RETRY);
+   * invalid requests are thrown straight away so callers can handle them.
    * @param {string} presentationId
    * @param {Array} requests
    */
@@ -35,6 +323,34 @@ class SlidesApiAdapter {
       throw new Error('batchUpdate expects an array of requests.');
     }
 
+    const maxAttempts = Math.max(1, CONFIG.RETRY.MAX_ATTEMPTS);
+    for (let attempt = 1; ; attempt++) {
+      let kind;
+      try {
+        this.executeBatchUpdate(presentationId, requests);
+        return;
+      } catch (e) {
+        kind = classifyApiError(e);
+        if (kind === 'invalid' || attempt >= maxAttempts) {
+          if (kind !== 'invalid') Logger.log('[RETRY] Giving up after ' + attempt + ' attempts');
+          throw e;
+        }
+        const delay = getRetryDelay(attempt);
+        Logger.log('[RETRY] ' + kind + ' error on attempt ' + attempt + '/' + maxAttempts +
+          ', retrying in ' + delay + 'ms: ' + e.message);
+        this.retryStats.retries++;
+        this.retryStats[kind]++;
+        Utilities.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * One batchUpdate attempt: Advanced Service, then the REST endpoint
+   * @param {string} presentationId
+   * @param {Array} requests
+   */
+  executeBatchUpdate(presentationId, requests) {
     try {
       const resource = { requests: requests };
       // Log first request (usually createTable or createShape)
@@ -53,6 +369,10 @@ class SlidesApiAdapter {
         }
       }
     } catch (e) {
+      // The REST call would fail the same way for bad requests or an exhausted quota
+      const kind = classifyApiError(e);
+      if (kind !== 'transient') throw e;
+
       Logger.log('Advanced Service Error: ' + e.message + '. Attempting REST API fallback.');
 
       // Fallback: Direct REST API call
@@ -72,9 +392,10 @@ class SlidesApiAdapter {
         Logger.log('Fallback REST Call Successful');
       } catch (e2) {
         Logger.log('Fallback REST Error: ' + e2.message);
-        throw e; // Throw original error or new error? Best to throw original for clarity unless fallback worked.
-        // Actually if fallback fails, we want that error too.
-        throw new Error('Slides API Failed (Advanced & REST): ' + e.message + ' | ' + e2.message);
+        // A bad request is only reported by the fallback sometimes - surface it
+        // so the caller can act on the request index
+        if (classifyApiError(e2) === 'invalid') throw e2;
+        throw e;
       }
     }
   }
@@ -94,10 +415,13 @@ class SlidesApiAdapter {
     const groups = phase2Service.getGroups();
     const proactiveImages = phase2Service.getProactiveImages();
     const copyGroups = phase2Service.getCopyGroups();
+    const deferredImages = phase2Service.getImages();
+    const backgrounds = phase2Service.getBackgrounds();
 
     // Groups are now handled atomically in Phase 1 via createGroup API
-    // Charts, speaker notes, proactive images, and copyGroups need Phase 2 (SlidesApp operations)
-    const needsPhase2 = charts.length > 0 || notes.length > 0 || proactiveImages.length > 0 || copyGroups.length > 0;
+    // Charts, speaker notes, proactive/deferred images, copyGroups and gradient backgrounds need Phase 2 (SlidesApp operations)
+    const needsPhase2 = charts.length > 0 || notes.length > 0 || proactiveImages.length > 0 ||
+      deferredImages.length > 0 || copyGroups.length > 0 || backgrounds.length > 0;
 
     if (!needsPhase2) {
       Logger.log('Phase 2: No deferred operations needed. Groups handled atomically in Phase 1.');
@@ -198,14 +522,17 @@ class SlidesApiAdapter {
           const element = item.element;
 
           if (!slide) {
-            Logger.log('Proactive Image: Slide not found at index ' + item.slideIndex);
+            generationReport.error('IMAGE_FAILED', element._reportPath,
+              'Image not inserted: slide ' + item.slideIndex + ' not found', { slideIndex: item.slideIndex, objectId: item.objectId });
             return;
           }
 
           // Fetch blob with OAuth (this is why we use SlidesApp - it can auth)
           const response = UrlFetchApp.fetch(element.url, { muteHttpExceptions: true });
           if (response.getResponseCode() !== 200) {
-            Logger.log('Proactive Image: Failed to fetch URL (code ' + response.getResponseCode() + '): ' + element.url);
+            generationReport.error('IMAGE_FAILED', element._reportPath,
+              'Image not inserted: fetching ' + element.url + ' returned ' + response.getResponseCode(),
+              { slideIndex: item.slideIndex, objectId: item.objectId });
             return;
           }
           const blob = response.getBlob();
@@ -227,7 +554,8 @@ class SlidesApiAdapter {
           });
 
         } catch (e) {
-          Logger.log('Proactive Image Insert Error: ' + e.message);
+          generationReport.error('IMAGE_FAILED', item.element && item.element._reportPath,
+            'Image not inserted: ' + e.message, { slideIndex: item.slideIndex, objectId: item.objectId });
         }
       });
 
@@ -467,8 +795,8 @@ class SlidesApiAdapter {
       Logger.log('Phase 2: Processing ' + images.length + ' deferred images (API Fallback)');
       images.forEach(item => {
         try {
-          const slideId = item.slideIndex; // In Controller.js retry logic, we store pageObjectId here
           const spec = item.imageSpec; // The original createImage request object
+          const slideId = spec.elementProperties.pageObjectId;
 
           let slide = presentation.getSlideById(slideId);
           if (!slide) {
@@ -483,28 +811,30 @@ class SlidesApiAdapter {
 
             const image = slide.insertImage(blob);
 
-            // Apply Transforms (EMU to Points)
+            // Apply Transforms (request units to Points)
             const EMU_PER_PT = 12700;
+            const toPt = (magnitude, unit) => unit === 'EMU' ? magnitude / EMU_PER_PT : magnitude;
 
             if (spec.elementProperties) {
               const props = spec.elementProperties;
               const size = props.size;
               const transform = props.transform;
 
+              // simple scale/translate map
+              const scaleX = (transform && transform.scaleX) || 1;
+              const scaleY = (transform && transform.scaleY) || 1;
+
               if (size) {
-                if (size.width && size.width.magnitude) image.setWidth(size.width.magnitude / EMU_PER_PT);
-                if (size.height && size.height.magnitude) image.setHeight(size.height.magnitude / EMU_PER_PT);
+                if (size.width && size.width.magnitude) image.setWidth(toPt(size.width.magnitude, size.width.unit) * scaleX);
+                if (size.height && size.height.magnitude) image.setHeight(toPt(size.height.magnitude, size.height.unit) * scaleY);
               }
 
               if (transform) {
-                // simple scale/translate map
-                const scaleX = transform.scaleX || 1;
-                const scaleY = transform.scaleY || 1;
                 const tx = transform.translateX || 0;
                 const ty = transform.translateY || 0;
 
-                image.setLeft(tx / EMU_PER_PT);
-                image.setTop(ty / EMU_PER_PT);
+                image.setLeft(toPt(tx, transform.unit));
+                image.setTop(toPt(ty, transform.unit));
                 // SlidesApp doesn't support setting scaleX/Y directly easily without affecting size?
                 // Actually setWidth/Height sets the visual size. 
                 // We trust the size calculation above.
@@ -513,10 +843,12 @@ class SlidesApiAdapter {
               }
             }
           } else {
-            Logger.log('Phase 2 Image Error: Could not find slide with ID ' + slideId);
+            generationReport.error('IMAGE_FAILED', item.path,
+              'Deferred image not inserted: slide ' + slideId + ' not found', { objectId: spec.objectId });
           }
         } catch (e) {
-          Logger.log('Phase 2 Image Insert Failed: ' + e.message);
+          generationReport.error('IMAGE_FAILED', item.path,
+            'Deferred image not inserted: ' + e.message, { objectId: item.imageSpec && item.imageSpec.objectId });
         }
       });
     }
@@ -529,45 +861,44 @@ class SlidesApiAdapter {
         const slide = slides[item.slideIndex];
         const element = item.chartSpec;
 
-        // Setup data
-        const ss = SpreadsheetApp.create(`Temp Chart Data - ${Date.now()}`);
-        const sheet = ss.getSheets()[0];
+        // Setup data: one sheet in the generation's shared workbook
         const data = element.data || [['Category', 'Value'], ['Initial', 1]];
-        if (data.length > 0) sheet.getRange(1, 1, data.length, data[0].length).setValues(data);
+        const sheet = chartWorkbookService.addChartSheet(data, element.objectId);
 
         // Build chart
         const range = sheet.getRange(1, 1, data.length, data[0].length);
         const chartBuilder = sheet.newChart();
-        const typeMap = { 'BAR': Charts.ChartType.BAR, 'COLUMN': Charts.ChartType.COLUMN, 'LINE': Charts.ChartType.LINE, 'AREA': Charts.ChartType.AREA, 'PIE': Charts.ChartType.PIE, 'SCATTER': Charts.ChartType.SCATTER };
+        const typeMap = { 'BAR': Charts.ChartType.BAR, 'COLUMN': Charts.ChartType.COLUMN, 'LINE': Charts.ChartType.LINE, 'AREA': Charts.ChartType.AREA, 'PIE': Charts.ChartType.PIE, 'DONUT': Charts.ChartType.PIE, 'SCATTER': Charts.ChartType.SCATTER, 'COMBO': Charts.ChartType.COMBO };
         const chartType = typeMap[(element.chartType || 'COLUMN').toUpperCase()] || Charts.ChartType.COLUMN;
 
         chartBuilder.setChartType(chartType).addRange(range).setPosition(1, 1, 0, 0);
-        if (element.title) chartBuilder.setOption('title', element.title);
-        if (element.colors) chartBuilder.setOption('colors', element.colors);
-        if (element.isStacked) chartBuilder.setOption('isStacked', 'absolute');
+        // Title, axes, series, labels and legend (see ChartOptions.js)
+        const chartOptions = buildSheetsChartOptions(element);
+        Object.keys(chartOptions).forEach(option => chartBuilder.setOption(option, chartOptions[option]));
 
         const spreadSheetChart = chartBuilder.build();
         sheet.insertChart(spreadSheetChart);
 
-        // Insert
-        try {
-          const sourceChart = sheet.getCharts()[0];
-          const slideChart = slide.insertSheetsChart(sourceChart);
-          slideChart.setLeft((element.x || 0) * SCALE);
-          slideChart.setTop((element.y || 0) * SCALE);
-          slideChart.setWidth((element.w || 400) * SCALE);
-          slideChart.setHeight((element.h || 300) * SCALE);
-        } catch (insertError) {
-          Logger.log('Chart insert failed: ' + insertError.message + '. Trying as Image.');
-          const sourceChart = sheet.getCharts()[0];
-          const slideChart = slide.insertSheetsChartAsImage(sourceChart);
-          slideChart.setLeft((element.x || 0) * SCALE);
-          slideChart.setTop((element.y || 0) * SCALE);
-          slideChart.setWidth((element.w || 400) * SCALE);
-          slideChart.setHeight((element.h || 300) * SCALE);
+        // Insert linked, or as an image when the workbook is trashed afterwards
+        const sourceChart = sheet.getCharts()[0];
+        let slideChart = null;
+        if (chartWorkbookService.isLinked()) {
+          try {
+            slideChart = slide.insertSheetsChart(sourceChart);
+          } catch (insertError) {
+            generationReport.warning('CHART_AS_IMAGE', element._reportPath,
+              'Linked chart insert failed (' + insertError.message + '); inserted as an image',
+              { slideIndex: item.slideIndex, objectId: element.objectId });
+          }
         }
+        if (!slideChart) slideChart = slide.insertSheetsChartAsImage(sourceChart);
+        slideChart.setLeft((element.x || 0) * SCALE);
+        slideChart.setTop((element.y || 0) * SCALE);
+        slideChart.setWidth((element.w || 400) * SCALE);
+        slideChart.setHeight((element.h || 300) * SCALE);
       } catch (e) {
-        Logger.log('Phase 2 Chart Error: ' + e.message);
+        generationReport.error('CHART_FAILED', item.chartSpec && item.chartSpec._reportPath,
+          'Chart not inserted: ' + e.message, { slideIndex: item.slideIndex, objectId: item.chartSpec && item.chartSpec.objectId });
       }
     });
 
@@ -583,7 +914,24 @@ class SlidesApiAdapter {
           shape.getText().setText(item.notes);
         }
       } catch (e) {
-        Logger.log('Phase 2 Speaker Notes Error: ' + e.message);
+        generationReport.error('NOTES_FAILED', joinSchemaPath(joinSchemaPath('slides', item.slideIndex), 'notes'),
+          'Speaker notes not written: ' + e.message, { slideIndex: item.slideIndex });
+      }
+    });
+
+    // 2b. Gradient backgrounds (rendered PNG, the slide has the middle color until then)
+    if (backgrounds.length > 0) Logger.log('Processing ' + backgrounds.length + ' gradient backgrounds');
+
+    backgrounds.forEach(item => {
+      try {
+        const height = Math.round(GRADIENT_IMAGE_WIDTH * CONFIG.SLIDES.HEIGHT / CONFIG.SLIDES.WIDTH);
+        const bytes = renderGradientPng(item.gradient, GRADIENT_IMAGE_WIDTH, height);
+        // Blobs take signed bytes
+        const blob = Utilities.newBlob(bytes.map(b => (b > 127 ? b - 256 : b)), 'image/png', 'gradient.png');
+        slides[item.slideIndex].getBackground().setPictureFill(blob);
+      } catch (e) {
+        generationReport.warning('GRADIENT_APPROXIMATED', joinSchemaPath(joinSchemaPath('slides', item.slideIndex), 'backgroundGradient'),
+          'Gradient background not drawn (' + e.message + '); the middle color is used', { slideIndex: item.slideIndex });
       }
     });
 
@@ -597,24 +945,27 @@ class SlidesApiAdapter {
       Logger.log('Processing ' + copyGroups.length + ' copyGroups (curved line groups)');
 
       copyGroups.forEach(item => {
+        const reportCopyGroupFailure = reason => generationReport.error('COPYGROUP_FAILED', item.path,
+          'copyGroup ' + item.sourceObjectId + ' not copied: ' + reason,
+          { slideIndex: item.slideIndex, objectId: item.sourceObjectId });
         try {
           const targetSlide = slides[item.slideIndex];
           if (!targetSlide) {
-            Logger.log('CopyGroup: Target slide not found at index ' + item.slideIndex);
+            reportCopyGroupFailure('target slide ' + item.slideIndex + ' not found');
             return;
           }
 
           // Get source presentation info
           const sourcePres = Slides.Presentations.get(item.sourcePresentationId);
           if (!sourcePres || !sourcePres.slides) {
-            Logger.log('CopyGroup: Source presentation not found: ' + item.sourcePresentationId);
+            reportCopyGroupFailure('source presentation ' + item.sourcePresentationId + ' not found');
             return;
           }
 
           // Find source slide
           const sourceSlide = sourcePres.slides[item.sourceSlideIndex];
           if (!sourceSlide) {
-            Logger.log('CopyGroup: Source slide not found at index ' + item.sourceSlideIndex);
+            reportCopyGroupFailure('source slide ' + item.sourceSlideIndex + ' not found');
             return;
           }
 
@@ -665,7 +1016,7 @@ class SlidesApiAdapter {
           );
 
           if (!thumbnailResponse || !thumbnailResponse.contentUrl) {
-            Logger.log('CopyGroup: Failed to get thumbnail');
+            reportCopyGroupFailure('could not get the source slide thumbnail');
             return;
           }
 
@@ -802,7 +1153,7 @@ class SlidesApiAdapter {
           }
 
         } catch (e) {
-          Logger.log('CopyGroup Error: ' + e.message);
+          reportCopyGroupFailure(e.message);
         }
       });
     }
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Template stage run before validation.
+ *
+ * Turns a deck template plus a data object into a plain deck:
+ *
+ * - Interpolation: "{{account.name}}" in any string (text, textRuns, table
+ *   data, notes, URLs...). A string that is only a placeholder keeps the
+ *   value's type, so "x": "{{offset}}" can bind a number (`text` stays a string).
+ * - repeat: on a slide or element, produces one copy per array item.
+ *     "repeat": "accounts"
+ *     "repeat": { "each": "accounts", "as": "account", "dx": 0, "dy": 40 }
+ *   Inside a copy the item is available as `item` (or the `as` name) and its
+ *   position as `$index` (0-based) and `$number` (1-based). dx/dy offset each
+ *   element copy by index * dx/dy points.
+ * - if: drops a slide or element when false. Either a boolean or an
+ *   expression: "account.churned", "!account.churned",
+ *   "account.tier == 'gold'", "account.revenue >= 1000000".
+ *
+ * repeat runs before if, so conditions can refer to the current item.
+ */
+
+// ============================================================================
+// PATH RESOLUTION
+// ============================================================================
+
+const TEMPLATE_PLACEHOLDER_REGEX = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+/**
+ * Look up a dotted path ("a.b[0].c") in a scope
+ * @param {Object} scope
+ * @param {string} path
+ * @returns {*} Value, or undefined if any segment is missing
+ */
+function resolveTemplatePath(scope, path) {
+  const segments = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  let value = scope;
+  for (let i = 0; i < segments.length; i++) {
+    if (value === null || value === undefined) return undefined;
+    value = value[segments[i]];
+  }
+  return value;
+}
+
+/**
+ * Resolve a path or throw with the location of the placeholder
+ * @param {Object} scope
+ * @param {string} path
+ * @param {string} location - JSON path of the value being templated
+ * @returns {*}
+ */
+function requireTemplateValue(scope, path, location) {
+  const value = resolveTemplatePath(scope, path);
+  if (value === undefined) {
+    throw new Error('Template variable "' + path + '" is not defined (' + location + ')');
+  }
+  return value;
+}
+
+// ============================================================================
+// INTERPOLATION
+// ============================================================================
+
+/**
+ * Replace placeholders in a string
+ * @param {string} str
+ * @param {Object} scope
+ * @param {string} location
+ * @returns {*} Interpolated string, or the raw value for a lone placeholder
+ */
+function interpolateString(str, scope, location) {
+  const lone = str.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+  if (lone) return requireTemplateValue(scope, lone[1], location);
+
+  return str.replace(TEMPLATE_PLACEHOLDER_REGEX, (match, path) => {
+    const value = requireTemplateValue(scope, path, location);
+    if (value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Interpolate every string in a value (objects and arrays recursively)
+ * @param {*} value
+ * @param {Object} scope
+ * @param {string} location
+ * @returns {*} New value
+ */
+function interpolateValue(value, scope, location) {
+  if (typeof value === 'string') return interpolateString(value, scope, location);
+  if (Array.isArray(value)) return value.map((item, i) => interpolateValue(item, scope, location + '[' + i + ']'));
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      let interpolated = interpolateValue(value[key], scope, joinSchemaPath(location, key));
+      // text is always a string, even when bound to a number
+      if (key === 'text' && typeof interpolated !== 'string' && interpolated !== null) {
+        interpolated = typeof interpolated === 'object' ? JSON.stringify(interpolated) : String(interpolated);
+      }
+      result[key] = interpolated;
+    });
+    return result;
+  }
+  return value;
+}
+
+// ============================================================================
+// CONDITIONS
+// ============================================================================
+
+/**
+ * Parse a literal or path operand of a condition
+ * @param {string} token
+ * @param {Object} scope
+ * @returns {*}
+ */
+function evaluateTemplateOperand(token, scope) {
+  const text = token.trim();
+  if (/^(['"]).*\1$/.test(text)) return text.slice(1, -1);
+  if (/^-?\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  return resolveTemplatePath(scope, text);
+}
+
+/**
+ * Evaluate an `if` condition
+ * @param {boolean|string} condition
+ * @param {Object} scope
+ * @param {string} location
+ * @returns {boolean}
+ */
+function evaluateTemplateCondition(condition, scope, location) {
+  if (typeof condition === 'boolean') return condition;
+  if (typeof condition !== 'string') {
+    throw new Error('Template condition must be a boolean or string (' + location + ')');
+  }
+
+  const expression = condition.replace(/^\s*\{\{|\}\}\s*$/g, '').trim();
+  const comparison = expression.match(/^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/);
+  if (comparison) {
+    const left = evaluateTemplateOperand(comparison[1], scope);
+    const right = evaluateTemplateOperand(comparison[3], scope);
+    switch (comparison[2]) {
+      case '==': return left == right;
+      case '!=': return left != right;
+      case '>=': return left >= right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '<': return left < right;
+    }
+  }
+
+  if (expression.charAt(0) === '!') {
+    return !evaluateTemplateCondition(expression.slice(1), scope, location);
+  }
+  const value = evaluateTemplateOperand(expression, scope);
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+// ============================================================================
+// REPEAT / IF EXPANSION
+// ============================================================================
+
+/**
+ * Expand repeat and if on a list of slides or elements
+ * @param {Array} items - Template slides or elements
+ * @param {Object} scope
+ * @param {string} location - JSON path of the list
+ * @param {boolean} isElementList - Apply dx/dy offsets and recurse into groups
+ * @returns {Array} Expanded list
+ */
+function expandTemplateList(items, scope, location, isElementList) {
+  const output = [];
+
+  items.forEach((item, idx) => {
+    const itemLocation = location + '[' + idx + ']';
+    if (!item || typeof item !== 'object') {
+      output.push(item);
+      return;
+    }
+
+    const repeat = item.repeat;
+    const template = Object.assign({}, item);
+    delete template.repeat;
+
+    if (repeat === undefined) {
+      const expanded = expandTemplateItem(template, scope, itemLocation, isElementList);
+      if (expanded) output.push(expanded);
+      return;
+    }
+
+    const spec = typeof repeat === 'string' ? { each: repeat } : repeat;
+    const list = spec.each && requireTemplateValue(scope, spec.each, joinSchemaPath(itemLocation, 'repeat'));
+    if (!Array.isArray(list)) {
+      throw new Error('repeat "' + spec.each + '" must refer to an array (' + itemLocation + ')');
+    }
+
+    const name = spec.as || 'item';
+    list.forEach((value, i) => {
+      const loopScope = Object.assign({}, scope, { $index: i, $number: i + 1 });
+      loopScope[name] = value;
+
+      const copy = JSON.parse(JSON.stringify(template));
+      if (copy.objectId) copy.objectId = copy.objectId + '_' + i;
+      if (isElementList) {
+        if (spec.dx && typeof copy.x === 'number') copy.x += spec.dx * i;
+        if (spec.dy && typeof copy.y === 'number') copy.y += spec.dy * i;
+      }
+
+      const expanded = expandTemplateItem(copy, loopScope, itemLocation, isElementList);
+      if (expanded) output.push(expanded);
+    });
+  });
+
+  return output;
+}
+
+/**
+ * Apply if, nested lists and interpolation to one slide or element
+ * @param {Object} item
+ * @param {Object} scope
+ * @param {string} location
+ * @param {boolean} isElement
+ * @returns {Object|null} Expanded item, or null if dropped by its condition
+ */
+function expandTemplateItem(item, scope, location, isElement) {
+  if (item.if !== undefined) {
+    if (!evaluateTemplateCondition(item.if, scope, joinSchemaPath(location, 'if'))) return null;
+    delete item.if;
+  }
+
+  // Slide elements and group children are lists of their own
+  const children = Array.isArray(item.elements) ? item.elements : null;
+  delete item.elements;
+
+  const result = interpolateValue(item, scope, location);
+  if (children) {
+    result.elements = expandTemplateList(children, scope, joinSchemaPath(location, 'elements'), true);
+  }
+  return result;
+}
+
+/**
+ * Run the template stage on a deck
+ * @param {Object} json - Deck template
+ * @param {Object} data - Values for placeholders, repeat and if
+ * @returns {Object} Plain deck, ready for validateJSON
+ */
+function applyTemplate(json, data) {
+  if (!json || !Array.isArray(json.slides)) return json;
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Template data must be an object');
+  }
+
+  const deck = Object.assign({}, json);
+  if (json.config) deck.config = interpolateValue(json.config, data, 'config');
+  deck.slides = expandTemplateList(json.slides, data, 'slides', false);
+  return deck;
+}
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Approximate text measurement for auto-fit and overflow detection.
+ *
+ * Slides' own autofit cannot be set through the API, so text that does not
+ * fit its box is handled before the requests are built. Widths come from
+ * per-font tables of average glyph widths by character class (in ems), which
+ * is close enough to predict wrapping for the theme fonts. Unknown fonts use
+ * the Roboto table.
+ *
+ * Auto-fit modes (element.autoFit, or config.autoFit for the whole deck):
+ * - shrink: lower fontSize until the text fits w/h (not below CONFIG.LIMITS.MIN_FONT_SIZE)
+ * - grow:   make the box taller
+ * - warn:   leave the element as is, add a TEXT_OVERFLOW report warning
+ * shrink and grow also warn when they cannot make the text fit.
+ */
+
+// ============================================================================
+// FONT TABLES
+// ============================================================================
+
+/**
+ * Glyph widths (ems) by character class, line height (ems) and the width
+ * factor of the bold weight
+ * @constant
+ */
+const FONT_METRICS = {
+  'Roboto': {
+    lineHeight: 1.17,
+    boldFactor: 1.05,
+    widths: { narrow: 0.24, semi: 0.34, lower: 0.53, upper: 0.64, digit: 0.56, wide: 0.86, space: 0.25, other: 0.6, cjk: 1 }
+  },
+  'Open Sans': {
+    lineHeight: 1.36,
+    boldFactor: 1.06,
+    widths: { narrow: 0.26, semi: 0.36, lower: 0.55, upper: 0.66, digit: 0.57, wide: 0.88, space: 0.26, other: 0.62, cjk: 1 }
+  },
+  'Montserrat': {
+    lineHeight: 1.22,
+    boldFactor: 1.06,
+    widths: { narrow: 0.28, semi: 0.4, lower: 0.6, upper: 0.72, digit: 0.66, wide: 0.93, space: 0.26, other: 0.66, cjk: 1 }
+  },
+  'Google Sans': {
+    lineHeight: 1.27,
+    boldFactor: 1.04,
+    widths: { narrow: 0.25, semi: 0.35, lower: 0.54, upper: 0.65, digit: 0.57, wide: 0.85, space: 0.26, other: 0.6, cjk: 1 }
+  },
+  'Roboto Mono': {
+    lineHeight: 1.32,
+    boldFactor: 1,
+    widths: { narrow: 0.6, semi: 0.6, lower: 0.6, upper: 0.6, digit: 0.6, wide: 0.6, space: 0.6, other: 0.6, cjk: 1.2 }
+  }
+};
+
+/**
+ * Character class used to look up a glyph width
+ * @param {string} ch
+ * @returns {string}
+ */
+function getGlyphClass(ch) {
+  if (/\s/.test(ch)) return 'space';
+  if (/[ijlI.,:;'!|()[\]`]/.test(ch)) return 'narrow';
+  if (/[frt\-"\/]/.test(ch)) return 'semi';
+  if (/[mwMW@%]/.test(ch)) return 'wide';
+  if (/[a-z]/.test(ch)) return 'lower';
+  if (/[A-Z]/.test(ch)) return 'upper';
+  if (/[0-9]/.test(ch)) return 'digit';
+  if (/[\u1100-\u11FF\u2E80-\u9FFF\uAC00-\uD7AF\uFF00-\uFFEF]/.test(ch)) return 'cjk';
+  return 'other';
+}
+
+// ============================================================================
+// MEASUREMENT
+// ============================================================================
+
+/**
+ * Text measurement service
+ */
+class TextMetrics {
+  /**
+   * Metrics for a font family or theme font name
+   * @param {string} [fontFamily]
+   * @returns {Object} { lineHeight, boldFactor, widths }
+   */
+  getFontMetrics(fontFamily) {
+    const family = themeService.resolveThemeFont(fontFamily);
+    return FONT_METRICS[family] || FONT_METRICS['Roboto'];
+  }
+
+  /**
+   * Width of a string in points
+   * @param {string} text
+   * @param {Object} style - { fontSize, fontFamily, bold }
+   * @returns {number}
+   */
+  measureWidth(text, style) {
+    const metrics = this.getFontMetrics(style.fontFamily);
+    let ems = 0;
+    for (const ch of String(text)) {
+      ems += metrics.widths[getGlyphClass(ch)];
+    }
+    return ems * style.fontSize * (style.bold ? metrics.boldFactor : 1);
+  }
+
+  /**
+   * Lay out paragraphs with word wrapping
+   * @param {Array<Object>} paragraphs - [{ runs: [{ text, fontSize, fontFamily, bold }], indent }]
+   *   indent is the space taken by bullets, in points
+   * @param {number} maxWidth - Width available to the text, in points
+   * @param {number} [lineSpacing] - Line spacing in percent (100 = single)
+   * @returns {Object} { lines, width, height } - width is the widest line
+   */
+  layoutParagraphs(paragraphs, maxWidth, lineSpacing) {
+    const spacing = (lineSpacing || 100) / 100;
+    let lines = 0;
+    let height = 0;
+    let widest = 0;
+
+    paragraphs.forEach(paragraph => {
+      const available = Math.max(1, maxWidth - (paragraph.indent || 0));
+      // Words are measured across runs, so a word with a bold part stays one word
+      const tokens = [];
+      let lineHeight = 0;
+      paragraph.runs.forEach(run => {
+        const metrics = this.getFontMetrics(run.fontFamily);
+        lineHeight = Math.max(lineHeight, run.fontSize * metrics.lineHeight);
+        String(run.text).split(/(\s+)/).forEach(part => {
+          if (!part) return;
+          const space = /^\s/.test(part);
+          const width = this.measureWidth(part, run);
+          const last = tokens[tokens.length - 1];
+          if (last && last.space === space) last.width += width;
+          else tokens.push({ space: space, width: width });
+        });
+      });
+      if (lineHeight === 0) {
+        lineHeight = CONFIG.DEFAULTS.FONT_SIZE * FONT_METRICS['Roboto'].lineHeight;
+      }
+
+      let count = 1;
+      let lineWidth = 0;
+      let pendingSpace = 0;
+      tokens.forEach(token => {
+        if (token.space) {
+          pendingSpace += token.width;
+          return;
+        }
+        if (lineWidth > 0 && lineWidth + pendingSpace + token.width > available) {
+          count++;
+          lineWidth = 0;
+        } else {
+          lineWidth += pendingSpace;
+        }
+        pendingSpace = 0;
+
+        if (token.width > available) {
+          // Words longer than a line are broken across lines
+          const extra = Math.ceil(token.width / available) - 1;
+          count += extra;
+          lineWidth = token.width - extra * available;
+          widest = Math.max(widest, available);
+        } else {
+          lineWidth += token.width;
+        }
+        widest = Math.max(widest, lineWidth + (paragraph.indent || 0));
+      });
+
+      lines += count;
+      height += count * lineHeight * spacing;
+    });
+
+    return { lines: lines, width: widest, height: height };
+  }
+
+  /**
+   * Paragraphs of a text or shape element, in the form layoutParagraphs takes
+   * @param {Object} element
+   * @param {number} [scale] - Factor applied to every font size
+   * @returns {Array<Object>}
+   */
+  getElementParagraphs(element, scale) {
+    scale = scale || 1;
+    const baseStyle = {
+      fontSize: (element.fontSize || CONFIG.DEFAULTS.FONT_SIZE) * scale,
+      fontFamily: element.fontFamily,
+      bold: !!element.bold
+    };
+
+    if (Array.isArray(element.items) && element.items.length > 0) {
+      // Without bullets there is no glyph, only the nesting indent
+      const glyphIndent = element.bullets === false ? 0 : CONFIG.TEXT_FIT.BULLET_INDENT;
+      return element.items.map(item => {
+        const isObject = item && typeof item === 'object';
+        return {
+          runs: [Object.assign({ text: String(isObject ? item.text || '' : item) }, baseStyle)],
+          indent: ((isObject && item.indent) || 0) * CONFIG.TEXT_FIT.BULLET_INDENT + glyphIndent
+        };
+      });
+    }
+
+    if (Array.isArray(element.textRuns) && element.textRuns.length > 1) {
+      const paragraphs = [{ runs: [], indent: 0 }];
+      element.textRuns.forEach(run => {
+        const style = {
+          fontSize: (run.fontSize || element.fontSize || CONFIG.DEFAULTS.FONT_SIZE) * scale,
+          fontFamily: run.fontFamily || element.fontFamily,
+          bold: run.bold !== undefined ? !!run.bold : !!element.bold
+        };
+        String(run.text || '').split('\n').forEach((part, i) => {
+          if (i > 0) paragraphs.push({ runs: [], indent: 0 });
+          paragraphs[paragraphs.length - 1].runs.push(Object.assign({ text: part }, style));
+        });
+      });
+      // The trailing newline of the last run does not start a visible paragraph
+      if (paragraphs.length > 1 && paragraphs[paragraphs.length - 1].runs.every(run => !run.text)) {
+        paragraphs.pop();
+      }
+      return paragraphs;
+    }
+
+    return String(element.text || '').split('\n').map(text => ({
+      runs: [Object.assign({ text: text }, baseStyle)],
+      indent: 0
+    }));
+  }
+
+  /**
+   * Measure the text of an element against its box
+   * @param {Object} element - text or shape element with w/h
+   * @param {number} [scale] - Factor applied to every font size
+   * @returns {Object} { lines, width, height, boxWidth, boxHeight, fits } - box sizes exclude padding
+   */
+  measureElement(element, scale) {
+    const defaults = CONFIG.DEFAULTS;
+    const boxWidth = Math.max(0, (element.w || 0) - defaults.PADDING_LEFT - defaults.PADDING_RIGHT);
+    const boxHeight = Math.max(0, (element.h || 0) - defaults.PADDING_TOP - defaults.PADDING_BOTTOM);
+    const layout = this.layoutParagraphs(this.getElementParagraphs(element, scale), boxWidth, element.lineSpacing);
+    return Object.assign(layout, {
+      boxWidth: boxWidth,
+      boxHeight: boxHeight,
+      fits: layout.height <= boxHeight
+    });
+  }
+
+  /**
+   * Largest font size, at most the element's own, at which its text fits
+   * @param {Object} element
+   * @returns {Object} { fontSize, fits } - fits is false when even MIN_FONT_SIZE overflows
+   */
+  fitFontSize(element) {
+    const base = element.fontSize || CONFIG.DEFAULTS.FONT_SIZE;
+    const step = CONFIG.TEXT_FIT.FONT_SIZE_STEP;
+    const min = CONFIG.LIMITS.MIN_FONT_SIZE;
+
+    for (let size = base; size > min; size = Math.round((size - step) * 100) / 100) {
+      if (this.measureElement(element, size / base).fits) {
+        return { fontSize: size, fits: true };
+      }
+    }
+    return { fontSize: min, fits: this.measureElement(element, min / base).fits };
+  }
+}
+
+const textMetrics = new TextMetrics();
+
+// ============================================================================
+// AUTO-FIT
+// ============================================================================
+
+/**
+ * Apply the element's auto-fit mode before its requests are built
+ * @param {Object} element - text or shape element
+ * @param {string} mode - shrink|grow|warn
+ * @param {number} slideIndex - For report entries
+ * @returns {Object} The element, or an adjusted copy
+ */
+function applyTextAutoFit(element, mode, slideIndex) {
+  const hasText = element.text || (Array.isArray(element.items) && element.items.length > 0);
+  if (!hasText || !element.w || !element.h) return element;
+
+  const measured = textMetrics.measureElement(element);
+  if (measured.fits) return element;
+
+  const label = (element.objectId || element.type) + ' needs about ' + Math.ceil(measured.height) +
+    'pt of text height, box has ' + Math.floor(measured.boxHeight) + 'pt';
+  const reportOverflow = message => generationReport.warning('TEXT_OVERFLOW', element._reportPath, message,
+    { slideIndex: slideIndex, objectId: element.objectId });
+
+  if (mode === 'shrink') {
+    const base = element.fontSize || CONFIG.DEFAULTS.FONT_SIZE;
+    const fit = textMetrics.fitFontSize(element);
+    const scale = fit.fontSize / base;
+    const fitted = Object.assign({}, element, { fontSize: fit.fontSize });
+    if (Array.isArray(element.textRuns)) {
+      fitted.textRuns = element.textRuns.map(run => run.fontSize
+        ? Object.assign({}, run, { fontSize: Math.round(run.fontSize * scale * 10) / 10 })
+        : run);
+    }
+    builderLog('Auto-fit shrink ' + (element.objectId || element.type) + ': fontSize ' + base + ' -> ' + fit.fontSize);
+    if (!fit.fits) {
+      reportOverflow(label + '; still overflows at the minimum font size ' + fit.fontSize);
+    }
+    return fitted;
+  }
+
+  if (mode === 'grow') {
+    const defaults = CONFIG.DEFAULTS;
+    const h = Math.ceil(measured.height + defaults.PADDING_TOP + defaults.PADDING_BOTTOM);
+    builderLog('Auto-fit grow ' + (element.objectId || element.type) + ': h ' + element.h + ' -> ' + h);
+    if ((element.y || 0) + h > CONFIG.CANVAS.HEIGHT) {
+      reportOverflow(label + '; grown to ' + h + 'pt, which runs off the slide');
+    }
+    return Object.assign({}, element, { h: h });
+  }
+
+  reportOverflow(label);
+  return element;
+}
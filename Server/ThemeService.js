@@ -27,6 +27,250 @@ const DEFAULT_THEME = {
   }
 };
 
+/**
+ * Slides theme color types, the theme color each one takes, and the color
+ * used when the theme has none
+ * @const
+ */
+const THEME_COLOR_TYPES = {
+  DARK1: ['text', '#1e293b'],
+  LIGHT1: ['background', '#ffffff'],
+  DARK2: ['textLight', '#64748b'],
+  LIGHT2: ['surface', '#f8fafc'],
+  ACCENT1: ['primary', '#4285f4'],
+  ACCENT2: ['secondary', '#34a853'],
+  ACCENT3: ['accent', '#fbbc04'],
+  ACCENT4: ['error', '#ea4335'],
+  ACCENT5: ['accent5', '#46bdc6'],
+  ACCENT6: ['accent6', '#7baaf7'],
+  HYPERLINK: ['hyperlink', '#1a73e8'],
+  FOLLOWED_HYPERLINK: ['followedHyperlink', '#660099']
+};
+
+/**
+ * Theme font of each placeholder type on masters and layouts
+ * @const
+ */
+const THEME_PLACEHOLDER_FONTS = {
+  TITLE: 'heading',
+  CENTERED_TITLE: 'heading',
+  SUBTITLE: 'body',
+  BODY: 'body'
+};
+
+// ============================================================================
+// COLOR EXPRESSIONS
+// ============================================================================
+
+/*
+ * Color values are hex colors or expressions built from them:
+ *
+ *   primary                   theme color
+ *   theme:ACCENT1             Slides theme color type (from extraction)
+ *   #1a73e8, #1a73e880        hex, optionally with alpha
+ *   rgb(26, 115, 232)         also rgba(26, 115, 232, 0.5)
+ *   hsl(217, 81%, 51%)        also hsla(217, 81%, 51%, 50%)
+ *   primary.lighten(40)       tint: 40% of the way to white
+ *   primary.darken(20)        shade: 20% of the way to black
+ *   primary.alpha(0.5)        also written primary/50% or primary/0.5
+ *   mix(primary, background, 0.2)   20% background, 80% primary
+ *
+ * Methods chain (primary.lighten(40).alpha(80%)) and theme colors may be
+ * expressions themselves. Amounts and weights take a number or a percentage.
+ * Hex colors need the '#', and names must be colors of the default theme or
+ * the deck's config.theme.colors; validation rejects anything else.
+ */
+
+/**
+ * Nesting limit for theme colors defined by other theme colors
+ * @const
+ */
+const COLOR_EXPRESSION_MAX_DEPTH = 8;
+
+/**
+ * Convert HSL to RGB channels
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation 0-1
+ * @param {number} l - Lightness 0-1
+ * @returns {Object} { red, green, blue } 0-1
+ */
+function hslToRgbChannels(h, s, l) {
+  const hue = ((h % 360) + 360) % 360 / 60;
+  const chroma = (1 - Math.abs(2 * l - 1)) * s;
+  const x = chroma * (1 - Math.abs(hue % 2 - 1));
+  const m = l - chroma / 2;
+  const sector = [[chroma, x, 0], [x, chroma, 0], [0, chroma, x], [0, x, chroma], [x, 0, chroma], [chroma, 0, x]][Math.floor(hue) % 6];
+  return { red: sector[0] + m, green: sector[1] + m, blue: sector[2] + m };
+}
+
+/**
+ * Hex string of color channels
+ * @param {Object} color - { red, green, blue } 0-1
+ * @returns {string} #rrggbb
+ */
+function colorChannelsToHex(color) {
+  const channel = value => ('0' + Math.round(Math.max(0, Math.min(1, value)) * 255).toString(16)).slice(-2);
+  return '#' + channel(color.red) + channel(color.green) + channel(color.blue);
+}
+
+/**
+ * Parse a color value
+ * @param {string} value - Color value (see above)
+ * @param {function(string): ?string} lookup - Value of a theme color name, or null if unknown
+ * @param {number} [depth]
+ * @returns {Object|null} { red, green, blue, alpha } 0-1, or null if the value is not a valid color
+ */
+function parseColorExpression(value, lookup, depth) {
+  if (typeof value !== 'string' || (depth || 0) > COLOR_EXPRESSION_MAX_DEPTH) return null;
+  const src = value.trim();
+  let pos = 0;
+
+  const fail = () => { throw new Error('Invalid color: ' + value); };
+  const skipSpace = () => { while (src[pos] === ' ') pos++; };
+  const read = pattern => {
+    skipSpace();
+    const match = pattern.exec(src.slice(pos));
+    if (!match) return null;
+    pos += match[0].length;
+    return match[0];
+  };
+  const expect = text => { if (read(new RegExp('^\\' + text)) === null) fail(); };
+
+  // A number, or a percentage scaled to 0-1
+  const amount = () => {
+    const token = read(/^[-+]?(\d+\.?\d*|\.\d+)%?/);
+    if (token === null) fail();
+    return token.endsWith('%') ? parseFloat(token) / 100 : parseFloat(token);
+  };
+  const fraction = () => Math.max(0, Math.min(1, amount()));
+  // Method amounts: 40 and 40% both mean 40%
+  const percent = () => {
+    const token = read(/^[-+]?(\d+\.?\d*|\.\d+)%?/);
+    if (token === null) fail();
+    return Math.max(0, Math.min(100, parseFloat(token))) / 100;
+  };
+  const args = (reader, count) => {
+    const list = [];
+    for (let i = 0; i < count; i++) {
+      if (i > 0) expect(',');
+      list.push(reader());
+    }
+    return list;
+  };
+  const blend = (from, to, weight) => ({
+    red: from.red + (to.red - from.red) * weight,
+    green: from.green + (to.green - from.green) * weight,
+    blue: from.blue + (to.blue - from.blue) * weight,
+    alpha: from.alpha + (to.alpha - from.alpha) * weight
+  });
+
+  const primary = () => {
+    const hex = read(/^#([0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3})(?![0-9a-z])/i);
+    if (hex) {
+      const digits = hex.length === 4 ? hex.slice(1).split('').map(d => d + d).join('') : hex.slice(1);
+      const byte = i => parseInt(digits.substr(i * 2, 2), 16) / 255;
+      return { red: byte(0), green: byte(1), blue: byte(2), alpha: digits.length === 8 ? byte(3) : 1 };
+    }
+
+    const name = read(/^[a-z_][\w-]*(:[A-Z0-9_]+)?/i);
+    if (name === null) fail();
+    const lower = name.toLowerCase();
+    if (src[pos] === '(' && /^(rgba?|hsla?|mix)$/.test(lower)) {
+      expect('(');
+      let color;
+      if (lower === 'mix') {
+        const from = expression();
+        expect(',');
+        const to = expression();
+        expect(',');
+        color = blend(from, to, fraction());
+      } else {
+        const channels = args(amount, 3);
+        skipSpace();
+        const alpha = src[pos] === ',' ? (expect(','), fraction()) : 1;
+        if (lower.startsWith('rgb')) {
+          if (channels.some(c => c < 0 || c > 255)) fail();
+          color = { red: channels[0] / 255, green: channels[1] / 255, blue: channels[2] / 255, alpha: alpha };
+        } else {
+          if (channels[1] < 0 || channels[1] > 1 || channels[2] < 0 || channels[2] > 1) fail();
+          color = Object.assign(hslToRgbChannels(channels[0], channels[1], channels[2]), { alpha: alpha });
+        }
+      }
+      expect(')');
+      return color;
+    }
+
+    const named = lookup(name);
+    const color = named ? parseColorExpression(named, lookup, (depth || 0) + 1) : null;
+    if (!color) fail();
+    return color;
+  };
+
+  const term = () => {
+    let color = primary();
+    while (read(/^\./) !== null) {
+      const method = read(/^[a-z]+/i);
+      expect('(');
+      if (method === 'lighten') {
+        color = blend(color, { red: 1, green: 1, blue: 1, alpha: color.alpha }, percent());
+      } else if (method === 'darken') {
+        color = blend(color, { red: 0, green: 0, blue: 0, alpha: color.alpha }, percent());
+      } else if (method === 'alpha') {
+        color = Object.assign({}, color, { alpha: fraction() });
+      } else {
+        fail();
+      }
+      expect(')');
+    }
+    return color;
+  };
+
+  const expression = () => {
+    const color = term();
+    if (read(/^\//) !== null) {
+      return Object.assign({}, color, { alpha: fraction() });
+    }
+    return color;
+  };
+
+  try {
+    const color = expression();
+    skipSpace();
+    return pos === src.length ? color : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether a value is a well-formed color value
+ * @param {*} value
+ * @param {Array<string>} [names] - Theme color names the value may use (see getThemeColorNames);
+ *   without them any name is accepted
+ * @returns {boolean}
+ */
+function isColorValue(value, names) {
+  const lookup = name => {
+    if (name.startsWith('theme:')) return THEME_COLOR_TYPES[name.substring(6)] ? '#000000' : null;
+    return !names || names.indexOf(name) !== -1 ? '#000000' : null;
+  };
+  return value === 'none' || value === 'transparent' || parseColorExpression(value, lookup) !== null;
+}
+
+/**
+ * Theme color names a deck can use: the default theme's and its own config.theme.colors
+ * @param {Object} [themeConfig] - config.theme
+ * @returns {Array<string>}
+ */
+function getThemeColorNames(themeConfig) {
+  const colors = themeConfig && themeConfig.colors && typeof themeConfig.colors === 'object' ? themeConfig.colors : {};
+  return Object.keys(Object.assign({}, DEFAULT_THEME.colors, colors));
+}
+
+// ============================================================================
+// THEME SERVICE
+// ============================================================================
+
 /**
  * Theme Manager Class
  */
@@ -60,37 +304,172 @@ class ThemeService {
     if (!colorValue) return null;
 
     // If it's already a hex color, return as-is
-    if (colorValue.startsWith('#')) return colorValue;
-
-    // Handle theme:ACCENT1 style references (from extraction)
-    if (colorValue.startsWith('theme:')) {
-      const themeColorType = colorValue.substring(6); // Remove 'theme:' prefix
-      // Map Google Slides theme color types to our theme colors
-      const themeColorMapping = {
-        'DARK1': this.currentTheme?.colors?.text || '#1e293b',
-        'DARK2': this.currentTheme?.colors?.textLight || '#64748b',
-        'LIGHT1': this.currentTheme?.colors?.background || '#ffffff',
-        'LIGHT2': this.currentTheme?.colors?.surface || '#f8fafc',
-        'ACCENT1': this.currentTheme?.colors?.primary || '#4285f4',
-        'ACCENT2': this.currentTheme?.colors?.secondary || '#34a853',
-        'ACCENT3': this.currentTheme?.colors?.accent || '#fbbc04',
-        'ACCENT4': this.currentTheme?.colors?.error || '#ea4335',
-        'ACCENT5': this.currentTheme?.colors?.accent5 || '#46bdc6',
-        'ACCENT6': this.currentTheme?.colors?.accent6 || '#7baaf7',
-        'HYPERLINK': '#1a73e8',
-        'FOLLOWED_HYPERLINK': '#660099'
-      };
-      return themeColorMapping[themeColorType] || this.currentTheme?.colors?.primary || '#4285f4';
+    if (/^#([0-9a-f]{3}){1,2}$/i.test(colorValue)) return colorValue;
+
+    // Theme names and color expressions; the alpha part is read by getColorAlpha
+    const color = this.parseColor(colorValue);
+    if (color) return color.hex;
+
+    // Not a theme color - return as-is (might be a color name like 'none')
+    return colorValue;
+  }
+
+  /**
+   * Parse a color value against the current theme (see COLOR EXPRESSIONS)
+   * @param {string} colorValue
+   * @returns {Object|null} { hex, alpha }, or null if it is not a valid color
+   */
+  parseColor(colorValue) {
+    const theme = this.currentTheme || DEFAULT_THEME;
+    const color = parseColorExpression(colorValue, name => {
+      // theme:ACCENT1 style references (from extraction)
+      if (name.startsWith('theme:')) {
+        return this.getThemeColorType(name.substring(6)) || theme.colors.primary || '#4285f4';
+      }
+      return (theme.colors && theme.colors[name]) || null;
+    });
+    return color ? { hex: colorChannelsToHex(color), alpha: Math.round(color.alpha * 1000) / 1000 } : null;
+  }
+
+  /**
+   * Opacity of a color value (#rrggbbaa, rgba(), hsla(), .alpha() or /50%)
+   * @param {string} colorValue
+   * @returns {number} 0-1; 1 for opaque colors and values that are not colors
+   */
+  getColorAlpha(colorValue) {
+    const color = colorValue ? this.parseColor(colorValue) : null;
+    return color ? color.alpha : 1;
+  }
+
+  /**
+   * Slides API SolidFill of a color value
+   * @param {string} colorValue
+   * @returns {Object|null} { color: { rgbColor }, alpha } (alpha only when translucent), or null
+   */
+  buildSolidFill(colorValue) {
+    const rgb = this.hexToRgbApi(this.resolveThemeColor(colorValue));
+    if (!rgb) return null;
+    const fill = { color: { rgbColor: rgb } };
+    const alpha = this.getColorAlpha(colorValue);
+    if (alpha < 1) fill.alpha = alpha;
+    return fill;
+  }
+
+  /**
+   * Color of a Google Slides theme color type in the current theme
+   * @param {string} themeColorType - e.g. ACCENT1
+   * @returns {string|null} - Hex color, or null for unknown types
+   */
+  getThemeColorType(themeColorType) {
+    const entry = THEME_COLOR_TYPES[themeColorType];
+    if (!entry) return null;
+    return this.currentTheme?.colors?.[entry[0]] || entry[1];
+  }
+
+  /**
+   * Requests that write the current theme into the masters and layouts, so slides
+   * added by hand in Slides use it too: config.theme colors replace those types in
+   * the masters' color schemes, and the heading/body fonts and textStyles become
+   * the placeholders' text styles.
+   * @param {Object} presentation - Presentations.get() resource (masters, layouts)
+   * @param {Object} themeConfig - config.theme; only the parts it sets are written
+   * @returns {Array<Object>} requests
+   */
+  buildMasterThemeRequests(presentation, themeConfig) {
+    const requests = [];
+    if (!themeConfig) return requests;
+
+    if (themeConfig.colors) {
+      // Only the types config.theme.colors sets are changed
+      const overrides = {};
+      Object.keys(THEME_COLOR_TYPES).forEach(type => {
+        if (themeConfig.colors[THEME_COLOR_TYPES[type][0]] === undefined) return;
+        overrides[type] = this.hexToRgbApi(this.resolveThemeColor(this.getThemeColorType(type)));
+      });
+      const invalid = Object.keys(overrides).filter(type => !overrides[type]);
+      if (invalid.length > 0) {
+        throw new Error('Theme colors for ' + invalid.join(', ') + ' are not hex colors');
+      }
+      (presentation.masters || []).forEach(master => {
+        // The API takes the whole scheme: the other types keep the master's own colors
+        const scheme = master.pageProperties && master.pageProperties.colorScheme;
+        const current = {};
+        ((scheme && scheme.colors) || []).forEach(entry => { current[entry.type] = entry.color; });
+        const colors = Object.keys(THEME_COLOR_TYPES).map(type => ({
+          type: type,
+          color: overrides[type] || current[type] || this.hexToRgbApi(this.resolveThemeColor(this.getThemeColorType(type)))
+        }));
+        requests.push({
+          updatePageProperties: {
+            objectId: master.objectId,
+            pageProperties: { colorScheme: { colors: colors } },
+            fields: 'colorScheme.colors'
+          }
+        });
+      });
+    }
+
+    if (themeConfig.fonts || themeConfig.textStyles) {
+      const pages = [].concat(presentation.masters || [], presentation.layouts || []);
+      pages.forEach(page => (page.pageElements || []).forEach(element => {
+        const placeholder = element.shape && element.shape.placeholder;
+        // Placeholders without text have no style to update
+        if (!placeholder || !element.shape.text) return;
+        const textStyle = this.getPlaceholderTextStyle(placeholder.type, themeConfig);
+        if (!textStyle) return;
+        requests.push({
+          updateTextStyle: {
+            objectId: element.objectId,
+            textRange: { type: 'ALL' },
+            style: textStyle.style,
+            fields: textStyle.fields.join(',')
+          }
+        });
+      }));
     }
+    return requests;
+  }
 
-    // Check if it's a theme color name
+  /**
+   * Text style a theme gives a placeholder type: the heading/body font, then
+   * config.theme.textStyles[type] (as written by extractTheme)
+   * @param {string} type - Placeholder type, e.g. TITLE
+   * @param {Object} themeConfig - config.theme
+   * @returns {Object|null} { style, fields } for updateTextStyle, or null if the theme sets nothing
+   */
+  getPlaceholderTextStyle(type, themeConfig) {
     const theme = this.currentTheme || DEFAULT_THEME;
-    if (theme.colors && theme.colors[colorValue]) {
-      return theme.colors[colorValue];
+    const style = {};
+    const fields = [];
+    const role = THEME_PLACEHOLDER_FONTS[type];
+    if (role && themeConfig.fonts && themeConfig.fonts[role]) {
+      style.fontFamily = theme.fonts[role];
+      fields.push('fontFamily');
     }
 
-    // Not a theme color - return as-is (might be a color name like 'none')
-    return colorValue;
+    const textStyle = (themeConfig.textStyles && themeConfig.textStyles[type]) || {};
+    if (textStyle.fontFamily) {
+      style.fontFamily = this.resolveThemeFont(textStyle.fontFamily);
+      if (fields.indexOf('fontFamily') === -1) fields.push('fontFamily');
+    }
+    if (textStyle.fontSize) {
+      style.fontSize = { magnitude: textStyle.fontSize, unit: 'PT' };
+      fields.push('fontSize');
+    }
+    // Theme color names stay linked to the color scheme
+    const themeColorType = Object.keys(THEME_COLOR_TYPES).find(key => THEME_COLOR_TYPES[key][0] === textStyle.color);
+    const rgb = textStyle.color && !themeColorType ? this.hexToRgbApi(this.resolveThemeColor(textStyle.color)) : null;
+    if (themeColorType || rgb) {
+      style.foregroundColor = { opaqueColor: themeColorType ? { themeColor: themeColorType } : { rgbColor: rgb } };
+      fields.push('foregroundColor');
+    }
+    ['bold', 'italic'].forEach(key => {
+      if (typeof textStyle[key] === 'boolean') {
+        style[key] = textStyle[key];
+        fields.push(key);
+      }
+    });
+    return fields.length > 0 ? { style: style, fields: fields } : null;
   }
 
   /**
@@ -111,14 +490,33 @@ class ThemeService {
     return fontValue;
   }
 
+  /**
+   * Blend two colors (hex or theme names)
+   * @param {string} from
+   * @param {string} to
+   * @param {number} weight - Share of `to`, 0 (all `from`) to 1 (all `to`)
+   * @returns {string|null} - Hex color, or null if either color is not a hex color
+   */
+  mixColors(from, to, weight) {
+    const start = this.hexToRgbApi(this.resolveThemeColor(from));
+    const end = this.hexToRgbApi(this.resolveThemeColor(to));
+    if (!start || !end) return null;
+
+    const t = Math.max(0, Math.min(1, weight));
+    const channel = key => {
+      const value = Math.round((start[key] + (end[key] - start[key]) * t) * 255);
+      return ('0' + value.toString(16)).slice(-2);
+    };
+    return '#' + channel('red') + channel('green') + channel('blue');
+  }
+
   /**
    * Convert hex color to Slides API RGB format (0-1 range)
    * @param {string} hex 
    * @returns {Object|null} {red, green, blue} or null
    */
   hexToRgbApi(hex) {
-    hex = normalizeColor(hex); // Using global validator Helper or local one? 
-    // Ideally Validation.gs exposes normalizeColor. In GAS they share scope.
+    hex = normalizeColor(hex);
     if (!hex) return null;
 
     const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
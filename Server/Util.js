@@ -2,12 +2,28 @@
  * @fileoverview Utility functions for the Slides Engine.
  */
 
+// Sequential ID counter used instead of random IDs while compiling offline
+// (null = random IDs). Keeps compiler output stable so it can be diffed.
+let _objectIdCounter = null;
+
+/**
+ * Switch object ID generation between random and sequential
+ * @param {boolean} enabled - true for sequential IDs (obj_c000001, ...)
+ */
+function setDeterministicObjectIds(enabled) {
+  _objectIdCounter = enabled ? 0 : null;
+}
+
 /**
  * Generate unique object ID for Slides API
  * Must be 5-50 chars, start with alphanumeric or underscore
  * @returns {string}
  */
 function generateObjectId() {
+  if (_objectIdCounter !== null) {
+    _objectIdCounter++;
+    return 'obj_c' + String(_objectIdCounter).padStart(6, '0');
+  }
   const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
   let result = 'obj_';
   for (let i = 0; i < 16; i++) {
@@ -16,6 +32,16 @@ function generateObjectId() {
   return result;
 }
 
+/**
+ * Whether the Slides API accepts an ID for a new object. Imported decks can
+ * carry IDs it does not (the first slide of a new presentation is "p")
+ * @param {string} objectId
+ * @returns {boolean}
+ */
+function isValidObjectId(objectId) {
+  return typeof objectId === 'string' && /^[A-Za-z0-9_][A-Za-z0-9_\-:]{4,49}$/.test(objectId);
+}
+
 /**
  * Generate deterministic object ID for predictable references (used in groups)
  * Format: obj_s{slideIndex}_e{elementIndex}[_{suffix}]
@@ -29,6 +55,29 @@ function generateDeterministicId(slideIndex, elementIndex, suffix) {
   return suffix ? base + '_' + suffix : base;
 }
 
+/**
+ * Derive the ID of a helper object (shadow, elbow segment, gradient band) from its element's ID
+ * so it can be found again when updating a presentation in place.
+ * Falls back to a random ID if the element has none or the result is too long.
+ * @param {string} baseId - Element objectId (may be undefined)
+ * @param {string} suffix - e.g. 'shadow', 'seg1', 'grad_0'
+ * @returns {string}
+ */
+function deriveObjectId(baseId, suffix) {
+  if (!baseId) return generateObjectId();
+  const derived = baseId + '_' + suffix;
+  return derived.length <= 50 ? derived : generateObjectId();
+}
+
+/**
+ * Get the element ID a derived helper ID belongs to (inverse of deriveObjectId)
+ * @param {string} objectId
+ * @returns {string} Base ID, or the ID itself if it is not derived
+ */
+function getBaseObjectId(objectId) {
+  return String(objectId).replace(/_(shadow|seg\d+|grad_\d+)$/, '');
+}
+
 /**
  * Transform virtual canvas coordinates to Google Slides points
  * @param {number} x
@@ -253,3 +302,64 @@ function buildLinkRequest(objectId, link, elementType) {
 
   return null;
 }
+
+/**
+ * Group the integer digits of a non-negative number string with commas
+ * @param {string} digits - e.g. "1234567.5"
+ * @returns {string}
+ */
+function groupThousands(digits) {
+  const parts = digits.split('.');
+  parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return parts.join('.');
+}
+
+/**
+ * Format a number for chart axes and labels
+ * @param {number} value
+ * @param {string} [format] - short (1.5K, the default), decimal (1,234.5),
+ *   currency ($1,234.00), percent (0.25 -> 25%), or a pattern like
+ *   '$#,##0.00', '0.0%' or '#,##0 USD' (text around the digits is kept,
+ *   ',' groups thousands, '%' multiplies by 100)
+ * @returns {string}
+ */
+function formatNumber(value, format) {
+  const number = Number(value);
+  if (!isFinite(number)) return String(value);
+  const sign = number < 0 ? '-' : '';
+  const abs = Math.abs(number);
+  const trim = (n, decimals) => String(parseFloat(n.toFixed(decimals)));
+
+  switch (format || 'short') {
+    case 'short': {
+      const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+      for (const [size, suffix] of units) {
+        if (abs >= size) return sign + trim(abs / size, 2) + suffix;
+      }
+      return sign + trim(abs, 2);
+    }
+    case 'decimal':
+    case 'long':
+      return sign + groupThousands(trim(abs, 2));
+    case 'currency':
+      return sign + '$' + groupThousands(abs.toFixed(2));
+    case 'percent':
+      return sign + trim(abs * 100, 1) + '%';
+  }
+
+  const match = format.match(/^([^#0,.]*)([#0,]+(?:\.[#0]+)?)(.*)$/);
+  if (!match) return sign + trim(abs, 2);
+  const prefix = match[1];
+  const pattern = match[2];
+  const suffix = match[3];
+  const scaled = suffix.indexOf('%') !== -1 ? abs * 100 : abs;
+  const fraction = pattern.split('.')[1] || '';
+  const minDecimals = (fraction.match(/0/g) || []).length;
+  let text = scaled.toFixed(fraction.length);
+  if (fraction.length > minDecimals) {
+    // Optional (#) decimals are dropped when they are zeros
+    text = text.replace(new RegExp('0{1,' + (fraction.length - minDecimals) + '}$'), '').replace(/\.$/, '');
+  }
+  if (pattern.indexOf(',') !== -1) text = groupThousands(text);
+  return sign + prefix + text + suffix;
+}
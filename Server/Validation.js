@@ -35,24 +35,22 @@ function normalizeProperties(obj) {
 }
 
 /**
- * Normalize hex color codes.
+ * Normalize hex color codes: #rgb, #rrggbb and #rrggbbaa. The '#' is required,
+ * as in the deck schema. The alpha digits are dropped (ThemeService.getColorAlpha reads them).
  * @param {string} color
- * @returns {string|null} Normalised hex string or null
+ * @returns {string|null} Lowercase #rrggbb, or null for anything that is not a hex color
  */
 function normalizeColor(color) {
-  if (!color || color === 'none' || color === 'transparent') return null;
-
-  // Ensure # prefix
-  if (!color.startsWith('#')) {
-    color = '#' + color;
-  }
+  if (typeof color !== 'string') return null;
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(color.trim());
+  if (!match) return null;
 
   // Expand shorthand (#fff -> #ffffff)
-  if (color.length === 4) {
-    color = '#' + color[1] + color[1] + color[2] + color[2] + color[3] + color[3];
+  let digits = match[1].toLowerCase();
+  if (digits.length === 3) {
+    digits = digits[0] + digits[0] + digits[1] + digits[1] + digits[2] + digits[2];
   }
-
-  return color.toLowerCase();
+  return '#' + digits.slice(0, 6);
 }
 
 // ============================================================================
@@ -117,28 +115,32 @@ function validateElement(element) {
 }
 
 /**
- * Validate entire JSON specification
+ * Validate entire JSON specification against the deck schema.
+ * Throws when the deck has schema errors; the error carries the full list
+ * in `validationErrors` so callers can report every path at once.
  * @param {Object} json - The full presentation object
- * @returns {Object} The validated json
+ * @returns {Object} Validation result { valid, schemaVersion, errors, warnings }
  */
 function validateJSON(json) {
   if (!json || !json.slides || !Array.isArray(json.slides)) {
     throw new Error('JSON must have a slides array');
   }
 
-  if (json.slides.length === 0) {
-    throw new Error('Presentation must have at least one slide');
-  }
+  const result = validateDeck(json);
 
-  if (json.slides.length > CONFIG.LIMITS.MAX_SLIDES) {
-    throw new Error(`Maximum ${CONFIG.LIMITS.MAX_SLIDES} slides allowed`);
+  if (!result.valid) {
+    const MAX_LISTED = 20;
+    const lines = result.errors.slice(0, MAX_LISTED).map(e => '- ' + (e.path || '(root)') + ': ' + e.message);
+    if (result.errors.length > MAX_LISTED) {
+      lines.push('- ... and ' + (result.errors.length - MAX_LISTED) + ' more');
+    }
+    const error = new Error('Deck failed schema validation (' + result.errors.length + ' error' +
+      (result.errors.length === 1 ? '' : 's') + '):\n' + lines.join('\n'));
+    error.validationErrors = result.errors;
+    throw error;
   }
 
-  json.slides.forEach((slide, index) => {
-    if (slide.elements && slide.elements.length > CONFIG.LIMITS.MAX_ELEMENTS_PER_SLIDE) {
-      throw new Error(`Slide ${index + 1} exceeds ${CONFIG.LIMITS.MAX_ELEMENTS_PER_SLIDE} elements`);
-    }
-  });
+  result.warnings.forEach(w => Logger.log('[VALIDATION:WARN] ' + w.path + ': ' + w.message));
 
-  return json;
+  return result;
 }
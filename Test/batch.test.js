@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Batch generation, one deck per CSV or sheet row (BatchGenerator.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./harness/loadServer');
+
+const template = JSON.stringify({
+  config: { title: '{{prefix}} {{row.Account}}' },
+  slides: [{
+    elements: [
+      { type: 'text', text: 'QBR for {{row.Account}} (row {{rowIndex}})', x: 40, y: 40, w: 400, h: 40 },
+      { type: 'text', text: 'Owner: {{row.Owner}}', if: 'row.Owner', x: 40, y: 100, w: 400, h: 40 }
+    ]
+  }]
+});
+
+function slideTexts(server, presentationId) {
+  return server.slides.get(presentationId).slides[0].pageElements.map(element =>
+    element.shape.text.textElements.filter(te => te.textRun).map(te => te.textRun.content).join('').trim());
+}
+
+test('each CSV row becomes its own deck, with shared data alongside the row', () => {
+  const server = loadServer();
+  const csv = 'Account,Owner\r\nAcme,Sam\r\n,\r\n"Globex, Inc",\r\n';
+  const result = server.call('batchGeneratePresentations', template, { csv: csv }, { data: { prefix: 'Q3' } });
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.strictEqual(result.total, 2, 'blank rows are dropped');
+  assert.strictEqual(result.succeeded, 2);
+  assert.strictEqual(result.failed, 0);
+  assert.strictEqual(result.nextRow, null);
+
+  const [acme, globex] = result.manifest;
+  assert.deepStrictEqual([acme.rowIndex, globex.rowIndex], [0, 1]);
+  assert.match(acme.url, new RegExp(acme.presentationId));
+  assert.strictEqual(server.slides.get(acme.presentationId).title, 'Q3 Acme');
+  assert.deepStrictEqual(slideTexts(server, acme.presentationId), ['QBR for Acme (row 0)', 'Owner: Sam']);
+  assert.deepStrictEqual(slideTexts(server, globex.presentationId), ['QBR for Globex, Inc (row 1)']);
+});
+
+test('row failures are listed in the manifest and the batch can resume from a row', () => {
+  const server = loadServer();
+  const csv = 'Account,Region\nAcme,EMEA\nGlobex\n';
+  const options = { data: { prefix: 'Q3' } };
+  const missingColumn = server.call('batchGeneratePresentations', template.replace('{{row.Account}}', '{{row.Segment}}'),
+    { csv: csv }, options);
+  assert.strictEqual(missingColumn.status, 'success', missingColumn.message);
+  assert.deepStrictEqual([missingColumn.succeeded, missingColumn.failed], [0, 2]);
+  assert.strictEqual(missingColumn.manifest[0].presentationId, null);
+  assert.match(missingColumn.manifest[0].message, /Template variable "row.Segment" is not defined \(config.title\)/);
+
+  const resumed = server.call('batchGeneratePresentations', template, { csv: csv }, Object.assign({ startRow: 1 }, options));
+  assert.deepStrictEqual(resumed.manifest.map(entry => entry.rowIndex + ':' + entry.status), ['1:success']);
+
+  // Out of time: stop before the next row and say where to resume
+  server.global('CONFIG').BATCH.TIME_BUDGET_MS = -1;
+  const stopped = server.call('batchGeneratePresentations', template, { csv: csv }, options);
+  assert.deepStrictEqual([stopped.manifest.length, stopped.nextRow, stopped.skipped], [0, 0, 2]);
+});
+
+test('unusable templates and row sources fail the whole batch', () => {
+  const server = loadServer();
+  const message = (json, source) => server.call('batchGeneratePresentations', json, source).message;
+  assert.match(message('{"slides": [', { csv: 'a\n1' }), /JSON/);
+  assert.match(message(template, {}), /batchGenerate needs either csv or spreadsheetId/);
+
+  const rows = ['Account'].concat(Array.from({ length: 201 }, (_, i) => 'Account ' + i)).join('\n');
+  assert.match(message(template, { csv: rows }), /Too many rows: 201 \(max 200\)/);
+  assert.strictEqual(Object.keys(server.slides.presentations).length, 0, 'nothing was generated');
+});
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Chart axes, series, labels and legends (ChartOptions.js, ChartRenderer.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+test('formatNumber handles named formats and patterns', () => {
+  const formatNumber = loadServer().global('formatNumber');
+
+  assert.strictEqual(formatNumber(1500), '1.5K');
+  assert.strictEqual(formatNumber(-2500000, 'short'), '-2.5M');
+  assert.strictEqual(formatNumber(1234.5, 'currency'), '$1,234.50');
+  assert.strictEqual(formatNumber(0.256, 'percent'), '25.6%');
+  assert.strictEqual(formatNumber(1234567.891, 'decimal'), '1,234,567.89');
+  assert.strictEqual(formatNumber(1234.5, '$#,##0.00'), '$1,234.50');
+  assert.strictEqual(formatNumber(0.5, '0.0%'), '50.0%');
+  assert.strictEqual(formatNumber(42000, '#,##0 USD'), '42,000 USD');
+});
+
+test('Sheets chart options are set on the chart and read back on import', () => {
+  const server = loadServer();
+  const chart = {
+    type: 'chart', objectId: 'revenue_chart', chartType: 'COMBO', x: 40, y: 40, w: 400, h: 250,
+    title: 'Revenue',
+    data: [['Quarter', 'Revenue', 'Margin'], ['Q1', 100, 20], ['Q2', 140, 25]],
+    xAxis: { title: 'Quarter' },
+    yAxis: { title: 'USD', min: 0, max: 200, gridlines: false },
+    legend: 'bottom',
+    numberFormat: '$#,##0',
+    series: [
+      { color: 'primary', dataLabels: true, trendline: 'linear' },
+      { type: 'line', lineWidth: 3, targetAxis: 1 }
+    ]
+  };
+  const result = server.call('generatePresentation', JSON.stringify({ slides: [{ elements: [chart] }] }));
+  assert.strictEqual(result.status, 'success', result.message);
+
+  const book = server.files[result.spreadsheetIds[0]];
+  const sheetsChart = book.sheets[0].charts[0];
+  assert.strictEqual(sheetsChart.type, 'COMBO');
+  assert.deepStrictEqual(plain(sheetsChart.options), {
+    title: 'Revenue',
+    seriesType: 'bars',
+    'hAxis.title': 'Quarter',
+    'vAxis.title': 'USD',
+    'vAxis.viewWindow.min': 0,
+    'vAxis.viewWindow.max': 200,
+    'vAxis.gridlines.count': 0,
+    'vAxis.format': '$#,##0',
+    'legend.position': 'bottom',
+    'series.0.color': server.global('themeService').resolveThemeColor('primary'),
+    'series.0.dataLabel': 'value',
+    'trendlines.0.type': 'linear',
+    'series.1.type': 'line',
+    'series.1.lineWidth': 3,
+    'series.1.targetAxisIndex': 1
+  });
+
+  const imported = server.call('importPresentation', result.presentationId, false);
+  assert.strictEqual(imported.status, 'success', imported.message);
+  const extracted = JSON.parse(imported.json).slides[0].elements.find(el => el.type === 'sheetsChart');
+  assert.strictEqual(extracted.chartType, 'COMBO');
+  assert.deepStrictEqual(extracted.data, chart.data);
+  assert.deepStrictEqual(extracted.yAxis, { title: 'USD', min: 0, max: 200, format: '$#,##0', gridlines: false });
+  assert.strictEqual(extracted.legend, 'bottom');
+  assert.deepStrictEqual(extracted.series[1], { type: 'line', lineWidth: 3, targetAxis: 1 });
+  assert.strictEqual(extracted.series[0].trendline, 'linear');
+});
+
+test('legend positions set in Sheets are read back as legend values the schema accepts', () => {
+  const server = loadServer();
+  const chart = {
+    type: 'chart', objectId: 'share_chart', chartType: 'PIE', x: 40, y: 40, w: 300, h: 200,
+    data: [['Region', 'Share'], ['North', 60], ['South', 40]]
+  };
+  const result = server.call('generatePresentation', JSON.stringify({ slides: [{ elements: [chart] }] }));
+  assert.strictEqual(result.status, 'success', result.message);
+  const options = server.files[result.spreadsheetIds[0]].sheets[0].charts[0].options;
+
+  const importLegend = position => {
+    options['legend.position'] = position;
+    const imported = server.call('importPresentation', result.presentationId, false);
+    assert.strictEqual(imported.status, 'success', imported.message);
+    assert.strictEqual(server.call('validatePresentation', imported.json).valid, true, position);
+    return JSON.parse(imported.json).slides[0].elements.find(el => el.type === 'sheetsChart').legend;
+  };
+  assert.strictEqual(importLegend('left'), 'left');
+  assert.strictEqual(importLegend('in'), 'top');
+  assert.strictEqual(importLegend('labeled'), 'right');
+  assert.strictEqual(importLegend('sideways'), undefined);
+});
+
+test('native combo charts draw line series, axis bounds, formats and trendlines', () => {
+  const server = loadServer();
+  const renderer = server.global('renderNativeChart');
+  const group = plain(renderer({
+    type: 'chart', objectId: 'mix_chart', chartType: 'COMBO', x: 0, y: 0, w: 400, h: 300,
+    data: [['Month', 'Orders', 'Target'], ['Jan', 1000, 1500], ['Feb', 2000, 1500], ['Mar', 3000, 1500]],
+    yAxis: { title: 'Orders', min: 0, max: 4000 },
+    numberFormat: 'currency',
+    legend: 'top',
+    series: [{ color: '#123456', trendline: 'linear', dataLabels: true }, { type: 'line', pointSize: 0 }]
+  }));
+
+  const bars = group.elements.filter(el => el.shape === 'RECTANGLE' && el.fillColor === '#123456' && el.h > 8);
+  assert.strictEqual(bars.length, 3, 'only the first series is drawn as bars');
+  assert.ok(!group.elements.some(el => el.shape === 'ELLIPSE'), 'pointSize 0 hides the markers');
+
+  const labels = group.elements.filter(el => el.type === 'text');
+  const texts = labels.map(el => el.text);
+  assert.ok(['$0.00', '$4,000.00', '$3,000.00'].every(text => texts.includes(text)), JSON.stringify(texts));
+  assert.strictEqual(labels.find(el => el.text === 'Orders' && el.rotation === -90) !== undefined, true, 'rotated axis title');
+  // A top legend sits above the plot
+  const legend = labels.find(el => el.text === 'Target');
+  assert.ok(legend.y < Math.min(...bars.map(bar => bar.y)));
+
+  const trend = group.elements.filter(el => el.type === 'line' && el.dashStyle === 'DASH');
+  assert.strictEqual(trend.length, 1);
+  assert.ok(trend[0].y2 < trend[0].y1, 'rising trend');
+
+  // Options the native renderer cannot draw fall back to Sheets
+  const fallback = server.global('canRenderNatively');
+  assert.strictEqual(fallback({ chartType: 'COMBO', series: [{ trendline: 'exponential' }] }), false);
+  assert.strictEqual(fallback({ chartType: 'LINE', series: [null, { targetAxis: 1 }] }), false);
+  assert.strictEqual(fallback({ chartType: 'COMBO', series: [{ trendline: 'linear' }] }), true);
+});
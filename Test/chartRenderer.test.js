@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Native charts drawn from inline data (ChartRenderer.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+const EMU_PER_PT = 12700;
+
+function generate(server, elements) {
+  const result = server.call('generatePresentation', JSON.stringify({ slides: [{ elements: elements }] }));
+  assert.strictEqual(result.status, 'success', result.message);
+  return result;
+}
+
+function height(pageElement) {
+  return Math.round(pageElement.size.height.magnitude * (pageElement.transform.scaleY || 1) / EMU_PER_PT * 100) / 100;
+}
+
+function texts(children) {
+  return children.filter(el => el.shape && el.shape.shapeType === 'TEXT_BOX')
+    .map(el => el.shape.text.textElements.filter(te => te.textRun).map(te => te.textRun.content).join('').trim());
+}
+
+test('a native column chart is one group of bars, gridlines and labels', () => {
+  const server = loadServer();
+  const result = generate(server, [{
+    type: 'chart', mode: 'native', objectId: 'sales_chart', chartType: 'COLUMN', title: 'Sales',
+    x: 40, y: 40, w: 400, h: 300, showValues: true,
+    data: [['Quarter', 'Sales'], ['Q1', 20], ['Q2', 40], ['Q3', 10]]
+  }]);
+
+  const slide = server.slides.get(result.presentationId).slides[0];
+  assert.strictEqual(slide.pageElements.length, 1);
+  const group = slide.pageElements[0];
+  assert.strictEqual(group.objectId, 'sales_chart');
+
+  const children = group.elementGroup.children;
+  const bars = children.filter(el => el.shape && el.shape.shapeType === 'RECTANGLE');
+  assert.strictEqual(bars.length, 3);
+  // Bar heights follow the values on a 0-40 axis
+  assert.strictEqual(height(bars[1]), height(bars[0]) * 2);
+  assert.strictEqual(height(bars[1]), height(bars[2]) * 4);
+
+  const labels = texts(children);
+  assert.ok(['Sales', 'Q1', 'Q2', 'Q3', '0', '40', '20'].every(text => labels.includes(text)), JSON.stringify(labels));
+  assert.ok(children.some(el => el.line));
+  // No spreadsheet, no Phase 2 chart and nothing to report
+  assert.deepStrictEqual(plain(result.report.entries), []);
+});
+
+test('stacked bars, multi-series legends and donuts', () => {
+  const server = loadServer();
+  const renderer = server.global('renderNativeChart');
+  const data = [['Region', 'Online', 'Retail'], ['North', 30, 10], ['South', 20, 20]];
+
+  const stacked = plain(renderer({ type: 'chart', objectId: 'stack_chart', chartType: 'BAR', isStacked: true, x: 0, y: 0, w: 400, h: 200, data: data }));
+  const bars = stacked.elements.filter(el => el.shape === 'RECTANGLE' && el.h > 8);
+  assert.strictEqual(bars.length, 4);
+  // The Retail part of North starts where Online ends
+  assert.strictEqual(Math.round(bars[1].x), Math.round(bars[0].x + bars[0].w));
+  assert.ok(stacked.elements.some(el => el.type === 'text' && el.text === 'Retail'), 'legend lists the series');
+
+  const donut = plain(renderer({ type: 'chart', objectId: 'share_chart', chartType: 'DONUT', x: 0, y: 0, w: 300, h: 300, data: [['Channel', 'Share'], ['Web', 3], ['Store', 1]] }));
+  const wedges = donut.elements.filter(el => el.shape === 'TRIANGLE');
+  const webWedges = wedges.filter(el => el.fillColor === 'primary');
+  assert.ok(webWedges.length >= 270 / 6, String(webWedges.length));
+  assert.ok(donut.elements.some(el => el.shape === 'ELLIPSE' && el.fillColor === 'background'), 'donut hole');
+  assert.deepStrictEqual(donut.elements.filter(el => el.type === 'text').map(el => el.text), ['Web', 'Store', '75%', '25%']);
+});
+
+test('types without a native renderer fall back to Sheets and are reported', () => {
+  const server = loadServer();
+  const result = generate(server, [
+    { type: 'chart', mode: 'native', objectId: 'scatter_chart', chartType: 'SCATTER', data: [['x', 'y'], [1, 2]] },
+    { type: 'chart', mode: 'native', objectId: 'empty_chart', chartType: 'PIE', data: [['Label', 'Value']] }
+  ]);
+
+  assert.deepStrictEqual(result.report.entries.map(entry => entry.code + ':' + entry.objectId), [
+    'CHART_FALLBACK:scatter_chart',
+    'CHART_FAILED:empty_chart'
+  ]);
+  const page = server.slides.get(result.presentationId).slides[0];
+  assert.ok(page.pageElements.some(el => el.sheetsChart), 'scatter chart inserted from Sheets');
+
+  const invalid = server.call('validatePresentation', JSON.stringify({
+    slides: [{ elements: [{ type: 'chart', mode: 'svg', data: [] }] }]
+  }));
+  assert.strictEqual(invalid.valid, false);
+});
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Shared chart data workbook for Sheets charts (ChartWorkbook.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+function chartDeck(config) {
+  const chart = (objectId, quarter) => ({
+    type: 'chart', objectId: objectId, chartType: 'COLUMN', x: 40, y: 40, w: 300, h: 200,
+    data: [['Quarter', 'Sales'], [quarter, 10]]
+  });
+  return {
+    config: Object.assign({ title: 'Quarterly review' }, config),
+    slides: [
+      { elements: [chart('q1_chart', 'Q1')] },
+      { elements: [chart('q2_chart', 'Q2'), chart('q3_chart', 'Q3')] }
+    ]
+  };
+}
+
+function workbooks(server) {
+  return Object.keys(server.files).filter(id => server.files[id].sheets).map(id => server.files[id]);
+}
+
+test('charts of one generation share a workbook with one sheet each', () => {
+  const server = loadServer();
+  const result = server.call('generatePresentation', JSON.stringify(chartDeck({ chartData: { folderId: 'charts_folder' } })));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.deepStrictEqual(result.report.entries, []);
+  const books = workbooks(server);
+  assert.strictEqual(books.length, 1);
+  assert.strictEqual(books[0].name, 'Chart Data - Quarterly review');
+  assert.strictEqual(books[0].folderId, 'charts_folder');
+  assert.strictEqual(books[0].trashed, false);
+  assert.deepStrictEqual(books[0].sheets.map(sheet => sheet.name), ['q1_chart', 'q2_chart', 'q3_chart']);
+  assert.deepStrictEqual(plain(books[0].sheets[2].values), [['Quarter', 'Sales'], ['Q3', 10]]);
+  assert.deepStrictEqual(result.spreadsheetIds, Object.keys(server.files).filter(id => server.files[id].sheets));
+
+  // Linked charts point at the shared workbook
+  const charts = server.slides.get(result.presentationId).slides
+    .map(slide => slide.pageElements.filter(el => el.sheetsChart).map(el => el.sheetsChart.spreadsheetId));
+  assert.deepStrictEqual(charts, [[result.spreadsheetIds[0]], [result.spreadsheetIds[0], result.spreadsheetIds[0]]]);
+});
+
+test('cleanup trash inserts charts as images and trashes the workbook', () => {
+  const server = loadServer();
+  const result = server.call('generatePresentation', JSON.stringify(chartDeck({ chartData: { cleanup: 'trash', name: 'Scratch' } })));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const books = workbooks(server);
+  assert.strictEqual(books.length, 1);
+  assert.strictEqual(books[0].name, 'Scratch');
+  assert.strictEqual(books[0].trashed, true);
+  assert.strictEqual(result.spreadsheetIds.length, 1);
+
+  const elements = server.slides.get(result.presentationId).slides.flatMap(slide => slide.pageElements);
+  assert.strictEqual(elements.filter(el => el.sheetsChart).length, 0);
+  assert.strictEqual(elements.filter(el => el.image).length, 3);
+});
+
+test('resumable jobs keep one workbook across Phase 2 slices and report it', () => {
+  const server = loadServer();
+  const started = server.call('generatePresentation', JSON.stringify(chartDeck({ chartData: { cleanup: 'trash' } })), { async: true });
+  assert.strictEqual(started.status, 'success', started.message);
+
+  server.context.resumeGenerationJobs();
+  const job = server.call('getGenerationJobStatus', started.jobId).job;
+
+  assert.strictEqual(job.status, 'success', job.message);
+  const books = workbooks(server);
+  assert.strictEqual(books.length, 1);
+  assert.strictEqual(books[0].sheets.length, 3);
+  assert.strictEqual(books[0].trashed, true);
+  assert.deepStrictEqual(job.spreadsheetIds, Object.keys(server.files).filter(id => server.files[id].sheets));
+});
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Phase 1 request chunking (CONFIG.CHUNKING).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./harness/loadServer');
+
+const SAMPLE_DECK = fs.readFileSync(path.join(__dirname, '..', 'test.json'), 'utf8');
+
+const GROUP_DECK = {
+  config: { title: 'Chunked deck' },
+  slides: [
+    {
+      elements: [
+        { type: 'text', objectId: 'intro_text', text: 'Intro', x: 40, y: 30, w: 400, h: 60 },
+        {
+          type: 'group',
+          objectId: 'card_group',
+          elements: [
+            { type: 'image', objectId: 'card_image', url: 'https://example.com/card.png', x: 40, y: 120, w: 100, h: 100 },
+            { type: 'shape', objectId: 'card_box', shape: 'RECTANGLE', x: 150, y: 120, w: 200, h: 100, fillColor: '#4285f4' },
+            { type: 'text', objectId: 'card_text', text: 'Card', x: 150, y: 230, w: 200, h: 40 }
+          ]
+        }
+      ]
+    },
+    { elements: [{ type: 'shape', objectId: 'second_box', shape: 'RECTANGLE', x: 40, y: 40, w: 100, h: 100 }] }
+  ]
+};
+
+function withBatchLimit(server, maxRequests) {
+  server.global('CONFIG').CHUNKING.MAX_REQUESTS = maxRequests;
+  return server;
+}
+
+test('large decks are sent in several chunks that never use objects from a later chunk', () => {
+  const server = withBatchLimit(loadServer(), 20);
+  const result = server.call('generatePresentation', SAMPLE_DECK);
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const getIds = server.global('getRequestObjectIds');
+  const batches = server.slides.batchLog.map(batch => batch.requests.map(getIds));
+  assert.ok(batches.length > 2, 'expected several chunks, got ' + batches.length);
+
+  // The first slide, masters and layouts exist before the first batch (which writes the theme)
+  const presentation = server.slides.get(result.presentationId);
+  const existing = { [presentation.slides[0].objectId]: true };
+  presentation.masters.concat(presentation.layouts).forEach(page => {
+    existing[page.objectId] = true;
+    page.pageElements.forEach(element => { existing[element.objectId] = true; });
+  });
+  batches.forEach((batch, i) => {
+    batch.forEach(ids => { if (ids.created) existing[ids.created] = true; });
+    batch.forEach(ids => ids.referenced.forEach(id => {
+      assert.ok(existing[id], 'chunk ' + (i + 1) + ' uses ' + id + ' before it exists');
+    }));
+  });
+});
+
+test('requests of one element stay in one chunk', () => {
+  const server = loadServer();
+  const context = server.context;
+  const build = context.buildAllRequests(JSON.parse(SAMPLE_DECK), 'first_slide', 'presentation', { offline: true });
+  const chunks = context.chunkRequests(build.requests, build.requestOrigins, { MAX_REQUESTS: 10 });
+
+  const requestCount = {};
+  build.requestOrigins.forEach(origin => {
+    const key = origin.slideIndex + ':' + origin.elementIndex;
+    requestCount[key] = (requestCount[key] || 0) + 1;
+  });
+  const chunkOfElement = {};
+  chunks.forEach((chunk, i) => chunk.origins.forEach(origin => {
+    const key = origin.slideIndex + ':' + origin.elementIndex;
+    // Only elements with more requests than a chunk holds may be split
+    if (requestCount[key] <= 10) {
+      assert.ok(chunkOfElement[key] === undefined || chunkOfElement[key] === i, 'element ' + key + ' split');
+    }
+    chunkOfElement[key] = i;
+  }));
+  assert.ok(Object.keys(requestCount).some(key => requestCount[key] > 1 && requestCount[key] <= 10));
+  assert.strictEqual(chunks.reduce((sum, chunk) => sum + chunk.requests.length, 0), build.requests.length);
+});
+
+test('a group larger than a chunk is split with createGroup after its children', () => {
+  const server = withBatchLimit(loadServer(), 2);
+  const result = server.call('generatePresentation', JSON.stringify(GROUP_DECK));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const slide = server.slides.get(result.presentationId).slides[0];
+  const group = slide.pageElements.find(el => el.objectId === 'card_group');
+  assert.deepStrictEqual(group.elementGroup.children.map(el => el.objectId), ['card_image', 'card_box', 'card_text']);
+});
+
+test('a deferred image is removed from its group in a later chunk', () => {
+  const server = withBatchLimit(loadServer({ unreachableImageUrls: ['https://example.com/card.png'] }), 3);
+  const result = server.call('generatePresentation', JSON.stringify(GROUP_DECK));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const slide = server.slides.get(result.presentationId).slides[0];
+  const group = slide.pageElements.find(el => el.objectId === 'card_group');
+  assert.deepStrictEqual(group.elementGroup.children.map(el => el.objectId), ['card_box', 'card_text']);
+  assert.ok(slide.pageElements.some(el => el.image && el.image.contentUrl === 'https://example.com/card.png'));
+});
+
+test('a failing chunk is reported with the slides and elements it covered', () => {
+  const server = withBatchLimit(loadServer(), 4);
+  const deck = JSON.stringify(GROUP_DECK);
+  // Let the first chunks through, fail the one creating the second slide
+  const build = server.context.buildAllRequests(JSON.parse(deck), 'first_slide', 'presentation', { offline: true });
+  const chunks = server.context.chunkRequests(build.requests, build.requestOrigins);
+  const failing = chunks.findIndex(chunk => chunk.requests.some(request => request.createSlide));
+  const original = server.slides.batchUpdate.bind(server.slides);
+  let calls = 0;
+  server.slides.batchUpdate = (resource, presentationId) => {
+    if (calls++ === failing) {
+      throw new Error('API call to slides.presentations.batchUpdate failed with error: Invalid requests[0].createSlide: boom');
+    }
+    return original(resource, presentationId);
+  };
+
+  const result = server.call('generatePresentation', deck);
+
+  assert.strictEqual(result.status, 'error');
+  assert.match(result.message, new RegExp('^Batch chunk ' + (failing + 1) + '/' + chunks.length + ' \\(requests \\d+-\\d+; slide 1: card_group; slide 2\\) failed: .*Invalid requests\\[0\\]\\.createSlide: boom'));
+});
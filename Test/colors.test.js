@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Color expressions (ThemeService.parseColor) and strict hex normalization.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+test('color expressions resolve tints, shades, mixes and alpha against the theme', () => {
+  const server = loadServer();
+  const themeService = server.global('themeService');
+  themeService.setTheme({ colors: { primary: '#0b5fff', background: '#ffffff', accent: '#f59e0b', brand: 'primary.darken(50)' } });
+
+  const resolved = value => [themeService.resolveThemeColor(value), themeService.getColorAlpha(value)];
+  assert.deepStrictEqual(resolved('primary'), ['#0b5fff', 1]);
+  assert.deepStrictEqual(resolved('primary.lighten(50)'), ['#85afff', 1]);
+  assert.deepStrictEqual(resolved('primary.darken(50%)'), ['#063080', 1]);
+  assert.deepStrictEqual(resolved('brand'), ['#063080', 1], 'theme colors can be expressions');
+  assert.deepStrictEqual(resolved('mix(primary, background, 0.5)'), ['#85afff', 1]);
+  assert.deepStrictEqual(resolved('accent/50%'), ['#f59e0b', 0.5]);
+  assert.deepStrictEqual(resolved('primary.lighten(50).alpha(0.25)'), ['#85afff', 0.25]);
+  assert.deepStrictEqual(resolved('rgb(26, 115, 232)'), ['#1a73e8', 1]);
+  assert.deepStrictEqual(resolved('rgba(26, 115, 232, 0.4)'), ['#1a73e8', 0.4]);
+  assert.deepStrictEqual(resolved('hsl(0, 100%, 50%)'), ['#ff0000', 1]);
+  assert.deepStrictEqual(resolved('#0b5fff80'), ['#0b5fff', 0.502]);
+
+  // Anything else is left alone and is not a color
+  ['none', 'primary.lighten(', 'mix(primary)', 'rgb(300, 0, 0)', 'nosuchcolor'].forEach(value => {
+    assert.deepStrictEqual(resolved(value), [value, 1], value);
+  });
+  assert.strictEqual(themeService.parseColor('primary.lighten(40) extra'), null);
+
+  const normalizeColor = server.global('normalizeColor');
+  assert.strictEqual(normalizeColor('#ABC'), '#aabbcc');
+  assert.strictEqual(normalizeColor('#0B5FFF80'), '#0b5fff');
+  ['#12345', '#ggg', 'abc', '1a73e8', 'primary', 'transparent', '', null, 42].forEach(value => {
+    assert.strictEqual(normalizeColor(value), null, String(value));
+  });
+});
+
+test('expression alpha reaches fills and malformed colors fail validation', () => {
+  const server = loadServer();
+  const deck = {
+    config: { theme: { colors: { primary: '#0b5fff' } } },
+    slides: [{
+      background: 'primary.lighten(90)',
+      elements: [
+        { type: 'shape', objectId: 'tinted', x: 40, y: 40, w: 200, h: 100, fillColor: 'primary/40%', borderColor: 'primary.darken(20)' },
+        { type: 'shape', objectId: 'explicit', x: 40, y: 200, w: 200, h: 100, fillColor: 'primary/40%', fillAlpha: 0.9 }
+      ]
+    }]
+  };
+  const result = server.call('generatePresentation', JSON.stringify(deck));
+  assert.strictEqual(result.status, 'success', result.message);
+
+  const slide = server.slides.get(result.presentationId).slides[0];
+  const background = slide.pageProperties.pageBackgroundFill.solidFill;
+  assert.strictEqual(background.alpha, undefined);
+  const [tinted, explicit] = slide.pageElements.map(element => element.shape.shapeProperties);
+  assert.strictEqual(tinted.shapeBackgroundFill.solidFill.alpha, 0.4);
+  assert.deepStrictEqual(plain(tinted.shapeBackgroundFill.solidFill.color.rgbColor),
+    plain(server.global('themeService').hexToRgbApi('#0b5fff')));
+  assert.strictEqual(tinted.outline.outlineFill.solidFill.alpha, 1);
+  assert.strictEqual(explicit.shapeBackgroundFill.solidFill.alpha, 0.9, 'fillAlpha wins over the color alpha');
+
+  const invalid = server.call('validatePresentation', JSON.stringify({
+    slides: [{ background: 'primary.lighten(', elements: [{ type: 'text', text: 'x', color: 'rgb(1, 2)' }] }]
+  }));
+  assert.strictEqual(invalid.valid, false);
+  assert.deepStrictEqual(invalid.errors.map(error => error.path), ['slides[0].background', 'slides[0].elements[0].color']);
+});
+
+test('bare hex and unknown color names fail validation', () => {
+  const server = loadServer();
+  const validate = (colors, theme) => server.call('validatePresentation', JSON.stringify({
+    config: theme ? { theme: theme } : {},
+    slides: [{ elements: colors.map(color => ({ type: 'shape', fillColor: color })) }]
+  }));
+
+  const invalid = validate(['1a73e8', 'abc', 'red', 'primry', 'theme:ACCENT9', 'brand.lighten(20)']);
+  assert.strictEqual(invalid.valid, false);
+  assert.deepStrictEqual(invalid.errors.map(error => error.path), [0, 1, 2, 3, 4, 5].map(i => 'slides[0].elements[' + i + '].fillColor'));
+  assert.match(invalid.errors[0].message, /^Invalid color "1a73e8"/);
+  assert.match(invalid.errors[2].message, /^Unknown theme color "red"\. Use a hex color like #1a73e8 or one of: primary, secondary/);
+  assert.match(invalid.errors[3].message, /^Unknown theme color "primry" \(did you mean "primary"\?\)/);
+
+  // Names the deck's own theme defines, and Slides theme color types, are colors
+  const valid = validate(['#1a73e8', 'brand.lighten(20)', 'theme:ACCENT1', 'mix(brand, surface, 0.5)'],
+    { colors: { brand: '#0b5fff' } });
+  assert.deepStrictEqual(plain(valid.errors), []);
+});
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Generate -> extract round trips against the fake Slides service.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadServer, plain } = require('./harness/loadServer');
+
+/**
+ * Generate a deck, then import the result
+ * @returns {Object} { server, expected, extracted }
+ */
+function roundTrip(deck) {
+  const server = loadServer();
+  const generated = server.call('generatePresentation', JSON.stringify(deck));
+  assert.strictEqual(generated.status, 'success', generated.message);
+
+  const imported = server.call('importPresentation', generated.presentationId, false);
+  assert.strictEqual(imported.status, 'success', imported.message);
+  return { server: server, extracted: JSON.parse(imported.json) };
+}
+
+test('extraction keeps slide and element object IDs', () => {
+  const deck = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'test.json'), 'utf8'));
+  const { extracted } = roundTrip(deck);
+
+  assert.strictEqual(extracted.slides.length, deck.slides.length);
+  assert.ok(extracted.slides[0].objectId, 'slide objectId');
+  const ids = extracted.slides[0].elements.map(el => el.objectId);
+  deck.slides[0].elements.forEach(el => assert.ok(ids.indexOf(el.objectId) !== -1, el.objectId));
+});
+
+test('extracted elements match the source within the diff tolerances', () => {
+  const deck = {
+    config: { title: 'Round trip' },
+    slides: [{
+      elements: [
+        { type: 'text', objectId: 'headline', text: 'Quarterly review', x: 40, y: 30, w: 500, h: 50, fontSize: 24, bold: true, color: '#202124' },
+        { type: 'shape', objectId: 'panel_box', shape: 'ROUND_RECTANGLE', x: 60, y: 110, w: 240, h: 140, fillColor: '#34a853' }
+      ]
+    }]
+  };
+  const { server, extracted } = roundTrip(deck);
+  const diffElements = server.context.diffElements;
+
+  deck.slides[0].elements.forEach(expected => {
+    const actual = extracted.slides[0].elements.find(el => el.objectId === expected.objectId);
+    assert.ok(actual, expected.objectId);
+    assert.deepStrictEqual(plain(diffElements(expected, actual)), [], expected.objectId);
+  });
+});
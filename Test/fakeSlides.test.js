@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Behaviour of the fake Slides service itself: the harness is
+ * only useful if it rejects what the real API rejects.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FakeSlidesService } = require('./harness/FakeSlidesService');
+
+function createDeck() {
+  const slides = new FakeSlidesService();
+  const presentation = slides.Presentations.create({ title: 'Fake' });
+  return { slides: slides, presentationId: presentation.presentationId, slideId: presentation.slides[0].objectId };
+}
+
+function shapeRequest(objectId, slideId) {
+  return {
+    createShape: {
+      objectId: objectId,
+      shapeType: 'TEXT_BOX',
+      elementProperties: {
+        pageObjectId: slideId,
+        size: { width: { magnitude: 100, unit: 'PT' }, height: { magnitude: 50, unit: 'PT' } },
+        transform: { scaleX: 1, scaleY: 1, translateX: 10, translateY: 20, unit: 'PT' }
+      }
+    }
+  };
+}
+
+test('new presentations start with one title slide and a speaker notes shape', () => {
+  const { slides, presentationId } = createDeck();
+  const presentation = slides.get(presentationId);
+
+  assert.strictEqual(presentation.slides.length, 1);
+  const types = presentation.slides[0].pageElements.map(el => el.shape.placeholder.type);
+  assert.deepStrictEqual(types, ['CENTERED_TITLE', 'SUBTITLE']);
+  const notes = presentation.slides[0].slideProperties.notesPage;
+  assert.ok(notes.pageElements.some(el => el.objectId === notes.notesProperties.speakerNotesObjectId));
+});
+
+test('createShape stores size and transform in EMU', () => {
+  const { slides, presentationId, slideId } = createDeck();
+  const response = slides.batchUpdate({ requests: [shapeRequest('box_1', slideId)] }, presentationId);
+
+  assert.deepStrictEqual(response.replies, [{ createShape: { objectId: 'box_1' } }]);
+  const box = slides.get(presentationId).slides[0].pageElements.find(el => el.objectId === 'box_1');
+  assert.strictEqual(box.size.width.magnitude, 100 * 12700);
+  assert.strictEqual(box.transform.translateY, 20 * 12700);
+  assert.strictEqual(box.transform.unit, 'EMU');
+});
+
+test('object IDs are validated and must be unique', () => {
+  const { slides, presentationId, slideId } = createDeck();
+
+  assert.throws(
+    () => slides.batchUpdate({ requests: [shapeRequest('ab', slideId)] }, presentationId),
+    /Invalid requests\[0\]\.createShape: Invalid object ID \(ab\)/
+  );
+  assert.throws(
+    () => slides.batchUpdate({ requests: [shapeRequest('box_1', slideId), shapeRequest('box_1', slideId)] }, presentationId),
+    /Invalid requests\[1\]\.createShape: The object ID \(box_1\) should be unique/
+  );
+  assert.throws(
+    () => slides.batchUpdate({ requests: [shapeRequest('box_1', 'missing_slide')] }, presentationId),
+    /Invalid requests\[0\]\.createShape: The object \(missing_slide\) could not be found\./
+  );
+});
+
+test('a failing batch leaves the presentation untouched', () => {
+  const { slides, presentationId, slideId } = createDeck();
+  const before = slides.get(presentationId);
+
+  assert.throws(() => slides.batchUpdate({
+    requests: [
+      shapeRequest('box_1', slideId),
+      { insertText: { objectId: 'box_1', text: 'Hello', insertionIndex: 0 } },
+      { updateTextStyle: { objectId: 'box_1', style: { bold: true }, textRange: { type: 'FIXED_RANGE', startIndex: 0, endIndex: 99 }, fields: 'bold' } }
+    ]
+  }, presentationId), /Invalid requests\[2\]\.updateTextStyle: The end index \(99\) should not be greater than the existing text length \(6\)\./);
+
+  assert.deepStrictEqual(slides.get(presentationId), before);
+});
+
+test('unknown request types are rejected like a bad JSON payload', () => {
+  const { slides, presentationId } = createDeck();
+  assert.throws(
+    () => slides.batchUpdate({ requests: [{ createSparkles: {} }] }, presentationId),
+    /Unknown name "createSparkles" at 'requests\[0\]'/
+  );
+});
+
+test('unknown fields inside a request are rejected like a bad JSON payload', () => {
+  const { slides, presentationId, slideId } = createDeck();
+  const before = slides.get(presentationId).revisionId;
+  assert.throws(
+    () => slides.batchUpdate({ requests: [
+      shapeRequest('box_1', slideId),
+      shapeRequest('box_2', slideId),
+      { createGroup: { groupObjectId: 'group_1', childrenObjectIds: ['box_1', 'box_2'] } }
+    ] }, presentationId),
+    /Unknown name "groupObjectId" at 'requests\[2\]\.create_group': Cannot find field\./
+  );
+  assert.strictEqual(slides.get(presentationId).revisionId, before);
+});
+
+test('text is rendered as paragraph markers and style runs', () => {
+  const { slides, presentationId, slideId } = createDeck();
+  slides.batchUpdate({
+    requests: [
+      shapeRequest('box_1', slideId),
+      { insertText: { objectId: 'box_1', text: 'One\n\tTwo', insertionIndex: 0 } },
+      { updateTextStyle: { objectId: 'box_1', style: { bold: true }, textRange: { type: 'FIXED_RANGE', startIndex: 0, endIndex: 3 }, fields: 'bold' } },
+      { createParagraphBullets: { objectId: 'box_1', bulletPreset: 'BULLET_DISC_CIRCLE_SQUARE', textRange: { type: 'ALL' } } }
+    ]
+  }, presentationId);
+
+  const box = slides.get(presentationId).slides[0].pageElements.find(el => el.objectId === 'box_1');
+  const elements = box.shape.text.textElements;
+  const runs = elements.filter(te => te.textRun).map(te => [te.textRun.content, !!te.textRun.style.bold]);
+  assert.deepStrictEqual(runs, [['One', true], ['\n', false], ['Two\n', false]]);
+
+  // The leading tab became a nesting level
+  const markers = elements.filter(te => te.paragraphMarker);
+  assert.strictEqual(markers[1].paragraphMarker.bullet.nestingLevel, 1);
+  assert.strictEqual(markers[1].startIndex, 4);
+});
+
+test('createImage fails for URLs the service cannot fetch', () => {
+  const slides = new FakeSlidesService({ unreachableImageUrls: ['https://example.com/private.png'] });
+  const presentation = slides.Presentations.create({});
+  const request = {
+    createImage: {
+      objectId: 'image_1',
+      url: 'https://example.com/private.png',
+      elementProperties: { pageObjectId: presentation.slides[0].objectId }
+    }
+  };
+
+  assert.throws(
+    () => slides.batchUpdate({ requests: [request] }, presentation.presentationId),
+    /Invalid requests\[0\]\.createImage: There was a problem retrieving the image/
+  );
+});
+
+test('createGroup and z-order updates reorder page elements', () => {
+  const { slides, presentationId, slideId } = createDeck();
+  slides.batchUpdate({
+    requests: [
+      { deleteObject: { objectId: slides.get(presentationId).slides[0].pageElements[0].objectId } },
+      { deleteObject: { objectId: slides.get(presentationId).slides[0].pageElements[1].objectId } },
+      shapeRequest('box_1', slideId),
+      shapeRequest('box_2', slideId),
+      shapeRequest('box_3', slideId),
+      { createGroup: { objectId: 'group_1', childrenObjectIds: ['box_1', 'box_2'] } },
+      { updatePageElementsZOrder: { pageElementObjectIds: ['group_1'], operation: 'BRING_TO_FRONT' } }
+    ]
+  }, presentationId);
+
+  const elements = slides.get(presentationId).slides[0].pageElements;
+  assert.deepStrictEqual(elements.map(el => el.objectId), ['box_3', 'group_1']);
+  assert.deepStrictEqual(elements[1].elementGroup.children.map(el => el.objectId), ['box_1', 'box_2']);
+});
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Round-trip fidelity report.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./harness/loadServer');
+
+const SAMPLE_DECK = fs.readFileSync(path.join(__dirname, '..', 'test.json'), 'utf8');
+
+test('a generated deck is reported per slide, with the clamped heights as geometry differences', () => {
+  const server = loadServer();
+  const generated = server.call('generatePresentation', SAMPLE_DECK);
+  const result = server.call('verifyGeneratedPresentation', SAMPLE_DECK, generated.presentationId);
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const slide = result.report.slides[0];
+  assert.strictEqual(slide.found, true);
+  assert.deepStrictEqual(slide.missing, []);
+  assert.deepStrictEqual(slide.extra, []);
+  assert.strictEqual(slide.matched, slide.elements);
+
+  // test.json has four 4pt-high shapes that validation clamps to the 10pt minimum
+  const heights = slide.differences.map(entry => entry.diffs.map(d => d.property + ':' + d.kind).join(','));
+  assert.deepStrictEqual(heights, ['h:geometry', 'h:geometry', 'h:geometry', 'h:geometry']);
+  assert.strictEqual(result.report.summary.exact, slide.elements - 4);
+});
+
+test('elements removed from the generated deck are reported as missing', () => {
+  const server = loadServer();
+  const generated = server.call('generatePresentation', SAMPLE_DECK);
+  const removed = JSON.parse(SAMPLE_DECK).slides[0].elements[0].objectId;
+  server.slides.batchUpdate({ requests: [{ deleteObject: { objectId: removed } }] }, generated.presentationId);
+
+  const report = server.call('verifyGeneratedPresentation', SAMPLE_DECK, generated.presentationId).report;
+  assert.deepStrictEqual(report.slides[0].missing, [removed]);
+  assert.strictEqual(report.summary.missing, 1);
+});
+
+test('containers and native charts are compared as the elements they generate', () => {
+  const server = loadServer();
+  const deck = JSON.stringify({
+    slides: [{
+      elements: [
+        {
+          type: 'row', x: 40, y: 40, w: 400, h: 80, gap: 20,
+          elements: [{ type: 'shape', objectId: 'left_card', fillColor: '#3366ff' }, { type: 'text', objectId: 'right_note', text: 'Note' }]
+        },
+        {
+          type: 'chart', mode: 'native', objectId: 'sales_chart', chartType: 'COLUMN', x: 40, y: 150, w: 400, h: 220,
+          data: [['Quarter', 'Sales'], ['Q1', 20], ['Q2', 40]]
+        }
+      ]
+    }]
+  });
+  const generated = server.call('generatePresentation', deck);
+  const report = server.call('verifyGeneratedPresentation', deck, generated.presentationId).report;
+
+  const slide = report.slides[0];
+  assert.deepStrictEqual([slide.missing, slide.extra, slide.differences], [[], [], []]);
+  assert.ok(slide.elements > 10, 'chart parts are counted');
+  assert.strictEqual(report.fidelity, 1);
+});
+
+test('verifyRoundTrip imports, regenerates and compares a presentation', () => {
+  const server = loadServer();
+  const source = server.call('generatePresentation', SAMPLE_DECK);
+  const result = server.call('verifyRoundTrip', source.presentationId, false);
+
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.strictEqual(result.sourcePresentationId, source.presentationId);
+  assert.notStrictEqual(result.presentationId, source.presentationId);
+  // The import already carries the clamped sizes, so the copy matches it exactly
+  assert.strictEqual(result.report.fidelity, 1);
+});
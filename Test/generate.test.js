@@ -0,0 +1,144 @@
+/**
+ * @fileoverview End-to-end generation against the fake Slides service.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./harness/loadServer');
+
+const DECK = {
+  config: { title: 'Harness deck' },
+  slides: [
+    {
+      background: '#ffffff',
+      notes: 'Intro notes',
+      elements: [
+        { type: 'text', objectId: 'title_text', text: 'Hello harness', x: 40, y: 30, w: 400, h: 60, fontSize: 28, bold: true },
+        { type: 'shape', objectId: 'accent_box', shape: 'RECTANGLE', x: 40, y: 120, w: 200, h: 100, fillColor: '#4285f4', text: 'Box' },
+        { type: 'line', objectId: 'divider_line', x: 40, y: 240, w: 640, h: 0, color: '#999999' }
+      ]
+    },
+    {
+      elements: [
+        { type: 'table', objectId: 'data_table', x: 40, y: 40, w: 400, h: 120, data: [['Quarter', 'Revenue'], ['Q1', '10'], ['Q2', '12']] },
+        { type: 'image', objectId: 'logo_image', url: 'https://example.com/logo.png', x: 500, y: 40, w: 100, h: 100 }
+      ]
+    }
+  ]
+};
+
+function findElement(slide, objectId) {
+  return slide.pageElements.find(el => el.objectId === objectId);
+}
+
+function plainText(shapeOrCell) {
+  return shapeOrCell.text.textElements.filter(te => te.textRun).map(te => te.textRun.content).join('');
+}
+
+test('generatePresentation builds every slide and element', () => {
+  const server = loadServer();
+  const result = server.call('generatePresentation', JSON.stringify(DECK));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const presentation = server.slides.get(result.presentationId);
+  assert.strictEqual(presentation.title, 'Harness deck');
+  assert.strictEqual(presentation.slides.length, 2);
+
+  const [intro, data] = presentation.slides;
+  assert.ok(findElement(intro, 'title_text'), 'title text box');
+  assert.strictEqual(plainText(findElement(intro, 'title_text').shape), 'Hello harness\n');
+  assert.deepStrictEqual(
+    findElement(intro, 'accent_box').shape.shapeProperties.shapeBackgroundFill.solidFill.color.rgbColor,
+    { red: 0x42 / 255, green: 0x85 / 255, blue: 0xf4 / 255 }
+  );
+  assert.ok(findElement(intro, 'divider_line').line, 'divider line');
+
+  const table = findElement(data, 'data_table').table;
+  assert.strictEqual(table.rows, 3);
+  assert.strictEqual(plainText(table.tableRows[1].tableCells[1]), '10\n');
+  assert.strictEqual(findElement(data, 'logo_image').image.contentUrl, 'https://example.com/logo.png');
+});
+
+test('speaker notes are written in Phase 2', () => {
+  const server = loadServer();
+  const result = server.call('generatePresentation', JSON.stringify(DECK));
+
+  const notesPage = server.slides.get(result.presentationId).slides[0].slideProperties.notesPage;
+  const notesShape = findElement(notesPage, notesPage.notesProperties.speakerNotesObjectId);
+  assert.strictEqual(plainText(notesShape.shape), 'Intro notes\n');
+});
+
+test('an image the API cannot fetch is deferred to Phase 2 and inserted with SlidesApp', () => {
+  const server = loadServer({ unreachableImageUrls: ['https://example.com/logo.png'] });
+  const result = server.call('generatePresentation', JSON.stringify(DECK));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const data = server.slides.get(result.presentationId).slides[1];
+  assert.strictEqual(findElement(data, 'logo_image'), undefined);
+  const inserted = data.pageElements.filter(el => el.image && el.image.contentUrl === 'https://example.com/logo.png');
+  assert.strictEqual(inserted.length, 1);
+  assert.strictEqual(inserted[0].transform.translateX, 500 * 12700);
+  assert.strictEqual(inserted[0].size.width.magnitude * inserted[0].transform.scaleX, 100 * 12700);
+  assert.ok(server.logs.some(line => line.indexOf('Deferring to Phase 2') !== -1));
+});
+
+test('executeBatchWithRetryV2 rethrows errors it cannot recover from', () => {
+  const server = loadServer();
+  const presentationId = server.slides.Presentations.create({}).presentationId;
+  const requests = [{ deleteObject: { objectId: 'does_not_exist' } }];
+
+  assert.throws(
+    () => server.context.executeBatchWithRetryV2(presentationId, requests),
+    /Invalid requests\[0\]\.deleteObject: The object \(does_not_exist\) could not be found\./
+  );
+});
+
+test('batchUpdate falls back to the REST endpoint when the advanced service throws', () => {
+  const server = loadServer();
+  const presentationId = server.slides.Presentations.create({}).presentationId;
+  const slideId = server.slides.get(presentationId).slides[0].objectId;
+  server.slides.queueBatchError('Service unavailable');
+
+  server.global('slidesApi').batchUpdate(presentationId, [{
+    updatePageProperties: {
+      objectId: slideId,
+      pageProperties: { pageBackgroundFill: { solidFill: { color: { rgbColor: { red: 1 } } } } },
+      fields: 'pageBackgroundFill.solidFill.color'
+    }
+  }]);
+
+  const slide = server.slides.get(presentationId).slides[0];
+  assert.deepStrictEqual(slide.pageProperties.pageBackgroundFill.solidFill.color, { rgbColor: { red: 1 } });
+  assert.ok(server.logs.some(line => line.indexOf('Fallback REST Call Successful') !== -1));
+});
+
+test('the sample deck (test.json) generates without errors', () => {
+  const server = loadServer();
+  const deck = fs.readFileSync(path.join(__dirname, '..', 'test.json'), 'utf8');
+  const result = server.call('generatePresentation', deck);
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const expected = JSON.parse(deck).slides[0].elements.map(el => el.objectId);
+  const actual = server.slides.get(result.presentationId).slides[0].pageElements.map(el => el.objectId);
+  expected.forEach(objectId => assert.ok(actual.indexOf(objectId) !== -1, objectId));
+});
+
+test('compilePresentation returns the same requests on every run without calling Google', () => {
+  const server = loadServer();
+  ['Slides', 'SlidesApp', 'DriveApp', 'SpreadsheetApp', 'UrlFetchApp'].forEach(name => {
+    server.context[name] = new Proxy({}, { get: () => { throw new Error(name + ' called while compiling'); } });
+  });
+
+  const first = server.call('compilePresentation', JSON.stringify(DECK));
+  const second = server.call('compilePresentation', JSON.stringify(DECK));
+  assert.strictEqual(first.status, 'success', first.message);
+  assert.deepStrictEqual(second, first);
+
+  const slideIds = first.requests.filter(req => req.createSlide).map(req => req.createSlide.objectId);
+  assert.deepStrictEqual(slideIds, ['obj_c000001']);
+  assert.deepStrictEqual(server.slides.batchLog, []);
+  assert.deepStrictEqual(Object.keys(server.slides.presentations), []);
+  assert.deepStrictEqual(Object.keys(server.files), []);
+});
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Gradient fills drawn as bands and background pictures (Gradient.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { loadServer, plain } = require('./harness/loadServer');
+
+const deck = {
+  config: { theme: { colors: { primary: '#0b5fff' } } },
+  slides: [{
+    elements: [
+      { type: 'shape', objectId: 'hero_card', x: 40, y: 40, w: 320, h: 160, text: 'Q3',
+        gradient: { angle: 90, stops: ['primary', 'primary.darken(40)'], steps: 4 } },
+      { type: 'shape', objectId: 'glow_spot', shape: 'ELLIPSE', x: 400, y: 40, w: 200, h: 200,
+        gradient: { type: 'radial', stops: ['#ffffff', '#000000'], steps: 3 } },
+      { type: 'text', objectId: 'tag_banner', text: 'New', x: 40, y: 300, w: 200, h: 40,
+        gradient: { angle: 200, stops: ['#ff000080', '#0000ff'] } },
+      { type: 'shape', objectId: 'pill_badge', shape: 'ROUND_RECTANGLE', x: 300, y: 300, w: 100, h: 40,
+        gradient: { stops: ['#000000', '#ffffff'] } }
+    ]
+  }]
+};
+
+test('shape and text gradients are drawn as bands and extracted back as gradients', () => {
+  const server = loadServer();
+  const result = server.call('generatePresentation', JSON.stringify(deck));
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.deepStrictEqual(result.report.entries.map(entry => entry.code + ':' + entry.path), [
+    'GRADIENT_APPROXIMATED:slides[0].elements[2]',
+    'GRADIENT_APPROXIMATED:slides[0].elements[3]'
+  ]);
+
+  const elements = server.slides.get(result.presentationId).slides[0].pageElements;
+  const ids = elements.map(element => element.objectId);
+  assert.deepStrictEqual(ids.slice(0, 5), ['hero_card_grad_0', 'hero_card_grad_1', 'hero_card_grad_2', 'hero_card_grad_3', 'hero_card']);
+  assert.strictEqual(ids.filter(id => id.startsWith('tag_banner_grad_')).length, 16, 'default step count');
+  assert.ok(!ids.some(id => id.startsWith('pill_badge_grad_')), 'linear strips are not drawn on rounded shapes');
+
+  const byId = id => elements.find(element => element.objectId === id);
+  const fillOf = id => byId(id).shape.shapeProperties.shapeBackgroundFill;
+  assert.strictEqual(fillOf('hero_card').propertyState, 'NOT_RENDERED');
+  // Top to bottom: the first strip covers the whole card, later ones the rest below
+  const firstBand = byId('hero_card_grad_0');
+  const lastBand = byId('hero_card_grad_3');
+  assert.strictEqual(firstBand.size.height.magnitude * firstBand.transform.scaleY / 12700, 160);
+  assert.strictEqual(lastBand.transform.translateY / 12700, 40 + 120);
+  assert.deepStrictEqual(plain(fillOf('hero_card_grad_0').solidFill.color.rgbColor),
+    plain(server.global('themeService').hexToRgbApi('#0b5fff')));
+  assert.strictEqual(fillOf('tag_banner_grad_0').solidFill.alpha, 0.502);
+  // Radial bands: the element's own shape, then shrinking ellipses
+  assert.strictEqual(byId('glow_spot_grad_0').shape.shapeType, 'ELLIPSE');
+  assert.strictEqual(byId('glow_spot_grad_2').size.width.magnitude * byId('glow_spot_grad_2').transform.scaleX / 12700, 100);
+
+  const imported = JSON.parse(server.call('importPresentation', result.presentationId, false).json);
+  const extracted = {};
+  imported.slides[0].elements.forEach(element => { extracted[element.objectId] = element; });
+  assert.deepStrictEqual(Object.keys(extracted), ['hero_card', 'glow_spot', 'tag_banner', 'pill_badge']);
+  assert.deepStrictEqual(extracted.hero_card.gradient, { type: 'linear', stops: ['#0b5fff', '#073999'], angle: 90, steps: 4 });
+  assert.strictEqual(extracted.hero_card.fillColor, undefined);
+  assert.deepStrictEqual(extracted.glow_spot.gradient, { type: 'radial', stops: ['#ffffff', '#000000'], steps: 3 });
+  assert.deepStrictEqual(extracted.tag_banner.gradient, { type: 'linear', stops: ['#ff000080', '#0000ff'], angle: 180 });
+  assert.strictEqual(extracted.pill_badge.fillColor, '#808080');
+
+  // Only the gradient that could not be drawn differs
+  const fidelity = server.call('verifyGeneratedPresentation', JSON.stringify(deck), result.presentationId);
+  assert.strictEqual(fidelity.status, 'success', fidelity.message);
+  assert.deepStrictEqual(fidelity.report.slides[0].differences.map(d => d.objectId + ':' + d.diffs[0].property),
+    ['pill_badge:gradient']);
+});
+
+test('gradient backgrounds are rendered to a PNG picture fill in Phase 2', () => {
+  const server = loadServer();
+  const slide = { backgroundGradient: { angle: 0, stops: ['#000000', '#ffffff'] } };
+
+  const compiled = server.call('compilePresentation', JSON.stringify({ slides: [slide] }));
+  assert.strictEqual(compiled.status, 'success', compiled.message);
+  const background = compiled.requests.find(request => request.updatePageProperties).updatePageProperties;
+  assert.deepStrictEqual(plain(background.pageProperties.pageBackgroundFill.solidFill.color.rgbColor),
+    plain(server.global('themeService').hexToRgbApi('#808080')), 'middle color until Phase 2');
+  assert.strictEqual(compiled.phase2.backgrounds.length, 1);
+
+  const result = server.call('generatePresentation', JSON.stringify({ slides: [slide] }));
+  assert.strictEqual(result.status, 'success', result.message);
+  const fill = server.slides.get(result.presentationId).slides[0].pageProperties.pageBackgroundFill;
+  assert.match(fill.stretchedPictureFill.contentUrl, /\.png$/);
+
+  // A valid PNG: 16:9, dark on the left and light on the right
+  const gradient = server.global('normalizeGradient')(slide.backgroundGradient);
+  const png = Buffer.from(server.global('renderGradientPng')(gradient, 32, 18));
+  assert.strictEqual(png.toString('latin1', 1, 4), 'PNG');
+  assert.strictEqual(png.readUInt32BE(16), 32);
+  assert.strictEqual(png.readUInt32BE(20), 18);
+  const idatLength = png.readUInt32BE(33);
+  const pixels = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+  assert.strictEqual(pixels.length, 18 * (1 + 32 * 3));
+  assert.ok(pixels[1] < 10 && pixels[1 + 31 * 3] > 245);
+});
+
+test('gradients need two valid stops', () => {
+  const server = loadServer();
+  const invalid = server.call('validatePresentation', JSON.stringify({
+    slides: [{
+      backgroundGradient: { stops: ['#ffffff'] },
+      elements: [{ type: 'shape', gradient: { type: 'conic', stops: ['#fff', 'primary.lighten('] } }]
+    }]
+  }));
+  assert.strictEqual(invalid.valid, false);
+  assert.deepStrictEqual(invalid.errors.map(error => error.path), [
+    'slides[0].backgroundGradient.stops',
+    'slides[0].elements[0].gradient.type',
+    'slides[0].elements[0].gradient.stops[1]'
+  ]);
+});
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Minimal fakes of the other Apps Script services used by Server/.
+ *
+ * Logger (captured), Utilities, UrlFetchApp (routes Slides REST calls to the
+ * fake Slides service and serves image fetches), ScriptApp, PropertiesService,
+ * LockService, DriveApp, SpreadsheetApp/Charts (chart data workbooks, kept
+ * in `files`) and the HTML/Content output builders.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Parse CSV like Utilities.parseCsv (quoted fields, "" escapes, CRLF)
+ * @param {string} csv
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(csv) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < csv.length; i++) {
+    const ch = csv[i];
+    if (quoted) {
+      if (ch === '"' && csv[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && csv[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+/**
+ * Google API status name for an HTTP code
+ * @param {number} code
+ * @returns {string}
+ */
+function httpStatus(code) {
+  if (code === 429) return 'RESOURCE_EXHAUSTED';
+  if (code === 404) return 'NOT_FOUND';
+  if (code >= 400 && code < 500) return 'INVALID_ARGUMENT';
+  return code === 503 ? 'UNAVAILABLE' : 'INTERNAL';
+}
+
+/**
+ * HTTPResponse-like object
+ */
+function httpResponse(code, content, sourceUrl) {
+  return {
+    getResponseCode: () => code,
+    getContentText: () => content,
+    getBlob: () => ({
+      getSourceUrl: () => sourceUrl,
+      getContentType: () => 'image/png',
+      getBytes: () => [],
+      getDataAsString: () => content
+    })
+  };
+}
+
+/**
+ * Create the Apps Script globals other than Slides/SlidesApp
+ * @param {FakeSlidesService} slides
+ * @param {Object} [options] - { unreachableFetchUrls: URLs UrlFetchApp gets a 404 for }
+ * @returns {Object} Globals, plus `logs` (Logger output) and `sleeps` (Utilities.sleep durations)
+ */
+function createAppsScriptGlobals(slides, options) {
+  options = options || {};
+  const logs = [];
+  const unreachable = new Set(options.unreachableFetchUrls || []);
+  const properties = {};
+  const files = {};
+  const triggers = [];
+  const sleeps = [];
+  let fileCounter = 0;
+
+  const fetch = (url, params) => {
+    params = params || {};
+    const match = url.match(/^https:\/\/slides\.googleapis\.com\/v1\/presentations\/([^/:]+):batchUpdate$/);
+    let code = 200;
+    let content = '';
+
+    if (match) {
+      try {
+        content = JSON.stringify(slides.batchUpdate(JSON.parse(params.payload), match[1]));
+      } catch (e) {
+        code = (e.details && e.details.code) || 500;
+        content = JSON.stringify({ error: { code: code, message: (e.details && e.details.message) || e.message, status: httpStatus(code) } });
+      }
+    } else if (unreachable.has(url)) {
+      code = 404;
+      content = 'Not Found';
+    }
+
+    if (code !== 200 && !params.muteHttpExceptions) {
+      const host = url.replace(/^(https?:\/\/[^/]+).*$/, '$1');
+      throw new Error('Request failed for ' + host + ' returned code ' + code + '. Truncated server response: ' +
+        content + ' (use muteHttpExceptions option to examine full response)');
+    }
+    return httpResponse(code, content, url);
+  };
+
+  const file = id => ({
+    getId: () => id,
+    getName: () => files[id].name,
+    getBlob: () => ({ getDataAsString: () => files[id].content }),
+    setContent: content => { files[id].content = content; },
+    setTrashed: trashed => { files[id].trashed = trashed; },
+    isTrashed: () => files[id].trashed,
+    moveTo: folder => { files[id].folderId = folder.getId(); }
+  });
+
+  // Presentations live in the fake Slides service
+  const presentationFile = id => ({
+    getId: () => id,
+    getName: () => slides.getModel(id).title,
+    makeCopy: name => presentationFile(slides.copy(id, name))
+  });
+
+  // Spreadsheets are files with `sheets: [{ name, values, charts }]`
+  const sheet = (id, name) => {
+    const model = () => files[id].sheets.find(s => s.name === name);
+    const wrapper = {
+      getName: () => name,
+      setName: newName => { model().name = newName; name = newName; return wrapper; },
+      getRange: (row, column, rows, columns) => ({
+        setValues: values => {
+          if (values.length !== rows || values.some(v => v.length !== columns)) {
+            throw new Error('The number of rows or columns in the data does not match the range.');
+          }
+          model().values = values.map(v => v.slice());
+        },
+        getValues: () => model().values.slice(0, rows).map(v => v.slice(0, columns))
+      }),
+      newChart: () => {
+        const chart = {
+          options: {},
+          ranges: [],
+          getChartId: () => chart.chartId,
+          getOptions: () => ({ get: key => (key in chart.options ? chart.options[key] : null) }),
+          getRanges: () => chart.ranges.slice(),
+          modify: () => ({ getChartType: () => chart.type })
+        };
+        const builder = {
+          setChartType: type => { chart.type = type; return builder; },
+          addRange: range => { chart.ranges.push(range); return builder; },
+          setPosition: () => builder,
+          setOption: (key, value) => { chart.options[key] = value; return builder; },
+          build: () => chart
+        };
+        return builder;
+      },
+      insertChart: chart => {
+        model().charts.push(Object.assign(chart, { chartId: model().charts.length + 1, spreadsheetId: id }));
+      },
+      getCharts: () => model().charts.slice()
+    };
+    return wrapper;
+  };
+
+  const spreadsheet = id => ({
+    getId: () => id,
+    getSheets: () => files[id].sheets.map(s => sheet(id, s.name)),
+    getSheetByName: name => files[id].sheets.some(s => s.name === name) ? sheet(id, name) : null,
+    insertSheet: name => {
+      files[id].sheets.push({ name: name, values: [], charts: [] });
+      return sheet(id, name);
+    }
+  });
+
+  return {
+    logs: logs,
+    files: files,
+    triggers: triggers,
+    sleeps: sleeps,
+    globals: {
+      console: { log: () => {}, info: () => {}, warn: () => {}, error: () => {} },
+      Logger: { log: message => { logs.push(String(message)); } },
+      Utilities: {
+        sleep: ms => { sleeps.push(ms); },
+        getUuid: () => crypto.randomUUID(),
+        parseCsv: parseCsv,
+        newBlob: (data, contentType, name) => ({
+          getBytes: () => data,
+          getContentType: () => contentType,
+          getName: () => name
+        })
+      },
+      UrlFetchApp: { fetch: fetch },
+      ScriptApp: {
+        getOAuthToken: () => 'fake-oauth-token',
+        getProjectTriggers: () => triggers.slice(),
+        newTrigger: handler => ({
+          timeBased: () => ({
+            after: delay => ({
+              create: () => {
+                const trigger = { getHandlerFunction: () => handler, delay: delay };
+                triggers.push(trigger);
+                return trigger;
+              }
+            })
+          })
+        }),
+        deleteTrigger: trigger => {
+          const index = triggers.indexOf(trigger);
+          if (index !== -1) triggers.splice(index, 1);
+        }
+      },
+      PropertiesService: {
+        getScriptProperties: () => ({
+          getProperty: key => (key in properties ? properties[key] : null),
+          setProperty: (key, value) => { properties[key] = String(value); },
+          deleteProperty: key => { delete properties[key]; },
+          getProperties: () => Object.assign({}, properties)
+        })
+      },
+      LockService: {
+        getScriptLock: () => ({ tryLock: () => true, waitLock: () => {}, releaseLock: () => {} })
+      },
+      DriveApp: {
+        createFile: (name, content) => {
+          const id = 'fakefile_' + (++fileCounter);
+          files[id] = { name: name, content: content, trashed: false };
+          return file(id);
+        },
+        getFileById: id => {
+          if (slides.presentations[id]) return presentationFile(id);
+          if (!files[id]) throw new Error('No item with the given ID could be found.');
+          return file(id);
+        },
+        getFolderById: id => ({ getId: () => id })
+      },
+      SpreadsheetApp: {
+        create: name => {
+          const id = 'fakesheet_' + (++fileCounter);
+          files[id] = { name: name, trashed: false, sheets: [{ name: 'Sheet1', values: [], charts: [] }] };
+          return spreadsheet(id);
+        },
+        openById: id => {
+          if (!files[id] || !files[id].sheets) throw new Error('Unexpected error while getting the method or property openById on object SpreadsheetApp.');
+          return spreadsheet(id);
+        }
+      },
+      Charts: {
+        ChartType: { BAR: 'BAR', COLUMN: 'COLUMN', LINE: 'LINE', AREA: 'AREA', PIE: 'PIE', SCATTER: 'SCATTER', COMBO: 'COMBO' }
+      },
+      ContentService: {
+        MimeType: { JSON: 'JSON', TEXT: 'TEXT' },
+        createTextOutput: content => {
+          const output = { getContent: () => content, setMimeType: () => output };
+          return output;
+        }
+      },
+      HtmlService: {
+        XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createAppsScriptGlobals: createAppsScriptGlobals,
+  parseCsv: parseCsv
+};
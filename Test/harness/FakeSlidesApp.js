@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Fake SlidesApp backed by FakeSlidesService.
+ *
+ * Covers the calls made by generation (first slide cleanup, Phase 2 notes,
+ * image inserts, gradient backgrounds, z-order fixes, grouping) and by the extractor's resolved
+ * color cache. Wrappers only keep object IDs and look the model up on every
+ * call, because batchUpdate swaps in a new presentation object on success.
+ * Changes are visible to Slides.Presentations.get() immediately.
+ */
+
+const { EMU_PER_PT, textFromString, normalizeTransform } = require('./FakeSlidesService');
+
+const PAGE_ELEMENT_TYPES = ['SHAPE', 'IMAGE', 'VIDEO', 'TABLE', 'LINE', 'GROUP', 'SHEETS_CHART', 'WORD_ART', 'UNSUPPORTED'];
+const THEME_COLOR_TYPES = ['DARK1', 'LIGHT1', 'DARK2', 'LIGHT2', 'ACCENT1', 'ACCENT2', 'ACCENT3', 'ACCENT4',
+  'ACCENT5', 'ACCENT6', 'HYPERLINK', 'FOLLOWED_HYPERLINK'];
+
+function toEnum(names) {
+  const values = {};
+  names.forEach(name => { values[name] = name; });
+  return values;
+}
+
+function rgbToHex(rgb) {
+  const channel = value => Math.round((value || 0) * 255).toString(16).padStart(2, '0');
+  return '#' + channel(rgb.red) + channel(rgb.green) + channel(rgb.blue);
+}
+
+/**
+ * Create the SlidesApp global
+ * @param {FakeSlidesService} service
+ * @returns {Object}
+ */
+function createSlidesApp(service) {
+  const locate = (presentationId, objectId) => {
+    const entry = service.findObject(service.getModel(presentationId), objectId);
+    if (!entry) throw new Error('The object (' + objectId + ') has been deleted.');
+    return entry;
+  };
+
+  const colorFor = fill => {
+    const color = fill && fill.solidFill && fill.solidFill.color;
+    if (!color) return null;
+    return {
+      getColorType: () => color.themeColor ? 'THEME' : 'RGB',
+      asRgbColor: () => ({ asHexString: () => rgbToHex(color.rgbColor || {}) }),
+      asThemeColor: () => ({ getThemeColorType: () => color.themeColor })
+    };
+  };
+
+  const wrapText = (presentationId, objectId) => ({
+    asString: () => {
+      const text = locate(presentationId, objectId).object.shape._text;
+      return text.content;
+    },
+    setText: value => {
+      const shape = locate(presentationId, objectId).object.shape;
+      shape._text = textFromString(String(value));
+    },
+    isEmpty: () => !locate(presentationId, objectId).object.shape._text.content
+  });
+
+  const wrapElement = (presentationId, objectId) => {
+    const model = () => locate(presentationId, objectId);
+    const element = () => model().object;
+
+    const wrapper = {
+      getObjectId: () => objectId,
+      getPageElementType: () => {
+        const el = element();
+        if (el.shape) return 'SHAPE';
+        if (el.image) return 'IMAGE';
+        if (el.video) return 'VIDEO';
+        if (el.table) return 'TABLE';
+        if (el.line) return 'LINE';
+        if (el.elementGroup) return 'GROUP';
+        if (el.sheetsChart) return 'SHEETS_CHART';
+        return 'UNSUPPORTED';
+      },
+      remove: () => {
+        const entry = model();
+        entry.list.splice(entry.list.indexOf(entry.object), 1);
+      },
+      bringToFront: () => {
+        const entry = model();
+        entry.list.splice(entry.list.indexOf(entry.object), 1);
+        entry.list.push(entry.object);
+        return wrapper;
+      },
+      sendBackward: () => {
+        const entry = model();
+        const index = entry.list.indexOf(entry.object);
+        if (index > 0) {
+          entry.list.splice(index, 1);
+          entry.list.splice(index - 1, 0, entry.object);
+        }
+        return wrapper;
+      },
+      getLeft: () => (element().transform.translateX || 0) / EMU_PER_PT,
+      getTop: () => (element().transform.translateY || 0) / EMU_PER_PT,
+      getWidth: () => element().size.width.magnitude * element().transform.scaleX / EMU_PER_PT,
+      getHeight: () => element().size.height.magnitude * element().transform.scaleY / EMU_PER_PT,
+      setLeft: pt => { element().transform.translateX = pt * EMU_PER_PT; return wrapper; },
+      setTop: pt => { element().transform.translateY = pt * EMU_PER_PT; return wrapper; },
+      setWidth: pt => { element().transform.scaleX = pt * EMU_PER_PT / element().size.width.magnitude; return wrapper; },
+      setHeight: pt => { element().transform.scaleY = pt * EMU_PER_PT / element().size.height.magnitude; return wrapper; },
+      asShape: () => ({
+        getFill: () => {
+          const fill = element().shape.shapeProperties.shapeBackgroundFill;
+          const color = colorFor(fill);
+          return {
+            getType: () => (color && fill.propertyState !== 'NOT_RENDERED') ? 'SOLID' : 'NONE',
+            getSolidFill: () => color ? { getColor: () => color } : null
+          };
+        },
+        getText: () => wrapText(presentationId, objectId)
+      }),
+      asGroup: () => ({
+        getChildren: () => element().elementGroup.children.map(child => wrapElement(presentationId, child.objectId))
+      }),
+      asImage: () => wrapper
+    };
+    return wrapper;
+  };
+
+  const wrapSlide = (presentationId, slideId) => {
+    const slide = () => locate(presentationId, slideId).object;
+
+    return {
+      getObjectId: () => slideId,
+      getPageElements: () => slide().pageElements.map(el => wrapElement(presentationId, el.objectId)),
+      getNotesPage: () => ({
+        getSpeakerNotesShape: () => {
+          const notes = slide().slideProperties.notesPage;
+          return wrapElement(presentationId, notes.notesProperties.speakerNotesObjectId).asShape();
+        }
+      }),
+      getBackground: () => ({
+        setPictureFill: blob => {
+          if (blob.getContentType() !== 'image/png') throw new Error('Unsupported picture type ' + blob.getContentType());
+          slide().pageProperties.pageBackgroundFill = {
+            stretchedPictureFill: { contentUrl: 'https://slides.example/picture/' + service.nextId('picture') + '.png' }
+          };
+        }
+      }),
+      getColorScheme: () => {
+        const presentation = service.getModel(presentationId);
+        const master = presentation.masters.find(m => m.objectId === slide().slideProperties.masterObjectId);
+        const colors = (master && master.pageProperties.colorScheme && master.pageProperties.colorScheme.colors) || [];
+        return {
+          getConcreteColor: type => {
+            const pair = colors.find(c => c.type === String(type));
+            return pair ? { asRgbColor: () => ({ asHexString: () => rgbToHex(pair.color) }) } : null;
+          }
+        };
+      },
+      insertImage: blob => {
+        const source = blob.getSourceUrl ? blob.getSourceUrl() : null;
+        const objectId = service.nextId('image');
+        slide().pageElements.push({
+          objectId: objectId,
+          size: { width: { magnitude: 100 * EMU_PER_PT, unit: 'EMU' }, height: { magnitude: 100 * EMU_PER_PT, unit: 'EMU' } },
+          transform: normalizeTransform({}),
+          image: { contentUrl: source, sourceUrl: source, imageProperties: {} }
+        });
+        return wrapElement(presentationId, objectId);
+      },
+      group: elements => {
+        const groupId = service.nextId('group');
+        const list = slide().pageElements;
+        const children = list.filter(el => elements.some(w => w.getObjectId() === el.objectId));
+        if (children.length < 2) throw new Error('A group needs at least two page elements.');
+        const position = Math.max(...children.map(child => list.indexOf(child)));
+        list.splice(position + 1, 0, { objectId: groupId, transform: normalizeTransform({}), elementGroup: { children: children } });
+        children.forEach(child => list.splice(list.indexOf(child), 1));
+        return wrapElement(presentationId, groupId);
+      },
+      insertSheetsChart: chart => {
+        const objectId = service.nextId('chart');
+        slide().pageElements.push({
+          objectId: objectId,
+          size: { width: { magnitude: 100 * EMU_PER_PT, unit: 'EMU' }, height: { magnitude: 100 * EMU_PER_PT, unit: 'EMU' } },
+          transform: normalizeTransform({}),
+          sheetsChart: { spreadsheetId: chart.spreadsheetId, chartId: chart.chartId, sheetsChartProperties: {} }
+        });
+        return wrapElement(presentationId, objectId);
+      },
+      insertSheetsChartAsImage: chart => {
+        const objectId = service.nextId('image');
+        slide().pageElements.push({
+          objectId: objectId,
+          size: { width: { magnitude: 100 * EMU_PER_PT, unit: 'EMU' }, height: { magnitude: 100 * EMU_PER_PT, unit: 'EMU' } },
+          transform: normalizeTransform({}),
+          image: { contentUrl: 'https://sheets.example/' + chart.spreadsheetId + '/' + chart.chartId + '.png', imageProperties: {} }
+        });
+        return wrapElement(presentationId, objectId);
+      }
+    };
+  };
+
+  return {
+    openById: presentationId => {
+      service.getModel(presentationId);
+      return {
+        getId: () => presentationId,
+        getSlides: () => service.getModel(presentationId).slides.map(slide => wrapSlide(presentationId, slide.objectId)),
+        getSlideById: slideId => {
+          const slide = service.getModel(presentationId).slides.find(s => s.objectId === slideId);
+          return slide ? wrapSlide(presentationId, slideId) : null;
+        },
+        saveAndClose: () => {}
+      };
+    },
+    PageElementType: toEnum(PAGE_ELEMENT_TYPES),
+    ThemeColorType: toEnum(THEME_COLOR_TYPES),
+    FillType: toEnum(['SOLID', 'NONE']),
+    ColorType: toEnum(['RGB', 'THEME'])
+  };
+}
+
+module.exports = {
+  createSlidesApp: createSlidesApp
+};
@@ -0,0 +1,1050 @@
+/**
+ * @fileoverview In-memory fake of the Slides Advanced Service (Slides.Presentations).
+ *
+ * Presentations are kept as plain objects shaped like the REST resources
+ * (sizes and translations in EMU). batchUpdate applies requests to a copy of
+ * the presentation and only commits it when every request succeeds, so a
+ * failing batch leaves the deck untouched - like the real service. Errors use
+ * the real wording, including the "Invalid requests[N].<kind>: ..." prefix
+ * that executeBatchWithRetryV2 parses. Unknown request types and unknown
+ * fields of a request are rejected as a bad JSON payload.
+ *
+ * Text is stored per character (content, character styles, paragraph data on
+ * each "\n") and rendered as textElements by Presentations.get().
+ */
+
+const EMU_PER_PT = 12700;
+const PAGE_WIDTH_EMU = 720 * EMU_PER_PT;
+const PAGE_HEIGHT_EMU = 405 * EMU_PER_PT;
+const OBJECT_ID_PATTERN = /^[a-zA-Z0-9_][a-zA-Z0-9_\-:]{4,49}$/;
+
+const DEFAULT_COLOR_SCHEME = [
+  ['DARK1', '#000000'], ['LIGHT1', '#ffffff'], ['DARK2', '#595959'], ['LIGHT2', '#eeeeee'],
+  ['ACCENT1', '#4285f4'], ['ACCENT2', '#34a853'], ['ACCENT3', '#fbbc05'], ['ACCENT4', '#ea4335'],
+  ['ACCENT5', '#46bdc6'], ['ACCENT6', '#7baaf7'], ['HYPERLINK', '#1a73e8'], ['FOLLOWED_HYPERLINK', '#681da8']
+];
+
+// Placeholders of the predefined layouts, in points: [type, x, y, w, h]
+const LAYOUT_PLACEHOLDERS = {
+  BLANK: [],
+  TITLE: [['CENTERED_TITLE', 25, 59, 670, 163], ['SUBTITLE', 25, 225, 670, 63]],
+  TITLE_AND_BODY: [['TITLE', 25, 35, 670, 45], ['BODY', 25, 91, 670, 269]],
+  TITLE_ONLY: [['TITLE', 25, 35, 670, 45]],
+  SECTION_HEADER: [['TITLE', 25, 172, 670, 62]]
+};
+
+// Placeholders of the master
+const MASTER_PLACEHOLDERS = [['TITLE', 25, 35, 670, 45], ['BODY', 25, 91, 670, 269]];
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Error raised by a single request; batchUpdate adds the requests[N] prefix
+ */
+class RequestError extends Error {}
+
+/**
+ * Error thrown by the fake service, shaped like Apps Script's GoogleJsonResponseException
+ * @param {string} method - e.g. 'batchUpdate'
+ * @param {string} message
+ * @param {number} [code]
+ * @returns {Error}
+ */
+function apiError(method, message, code) {
+  const error = new Error('API call to slides.presentations.' + method + ' failed with error: ' + message);
+  error.name = 'GoogleJsonResponseException';
+  error.details = { code: code || 400, message: message };
+  return error;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return { red: ((value >> 16) & 255) / 255, green: ((value >> 8) & 255) / 255, blue: (value & 255) / 255 };
+}
+
+/**
+ * Convert a Dimension ({ magnitude, unit }) to EMU
+ */
+function toEmu(dimension) {
+  if (!dimension) return 0;
+  const magnitude = dimension.magnitude || 0;
+  return dimension.unit === 'PT' ? magnitude * EMU_PER_PT : magnitude;
+}
+
+function emuDimension(magnitude) {
+  return { magnitude: magnitude, unit: 'EMU' };
+}
+
+function normalizeTransform(transform) {
+  const t = transform || {};
+  const factor = t.unit === 'PT' ? EMU_PER_PT : 1;
+  return {
+    scaleX: t.scaleX !== undefined ? t.scaleX : 1,
+    scaleY: t.scaleY !== undefined ? t.scaleY : 1,
+    shearX: t.shearX || 0,
+    shearY: t.shearY || 0,
+    translateX: (t.translateX || 0) * factor,
+    translateY: (t.translateY || 0) * factor,
+    unit: 'EMU'
+  };
+}
+
+function multiplyTransforms(a, b) {
+  return {
+    scaleX: a.scaleX * b.scaleX + a.shearX * b.shearY,
+    shearX: a.scaleX * b.shearX + a.shearX * b.scaleY,
+    shearY: a.shearY * b.scaleX + a.scaleY * b.shearY,
+    scaleY: a.shearY * b.shearX + a.scaleY * b.scaleY,
+    translateX: a.scaleX * b.translateX + a.shearX * b.translateY + a.translateX,
+    translateY: a.shearY * b.translateX + a.scaleY * b.translateY + a.translateY,
+    unit: 'EMU'
+  };
+}
+
+/**
+ * Apply the `fields` mask of an update request
+ * @param {Object} target - Properties being updated (mutated)
+ * @param {Object} source - Values from the request
+ * @param {string} fields - Comma separated paths, or '*'
+ */
+function applyFields(target, source, fields) {
+  requireFields(fields);
+  if (fields.trim() === '*') {
+    Object.keys(target).forEach(key => delete target[key]);
+    Object.assign(target, clone(source || {}));
+    return;
+  }
+  fields.split(',').map(path => path.trim()).filter(Boolean).forEach(path => {
+    const parts = path.split('.');
+    let value = source;
+    for (let i = 0; i < parts.length && value !== undefined; i++) {
+      value = value === null ? undefined : value[parts[i]];
+    }
+    let node = target;
+    for (let i = 0; i < parts.length - 1; i++) {
+      if (!node[parts[i]] || typeof node[parts[i]] !== 'object') node[parts[i]] = {};
+      node = node[parts[i]];
+    }
+    const last = parts[parts.length - 1];
+    if (value === undefined) {
+      delete node[last];
+    } else {
+      node[last] = clone(value);
+    }
+  });
+}
+
+function requireFields(fields) {
+  if (!fields) {
+    throw new RequestError("At least one field must be listed in 'fields'. (Use '*' to indicate all fields.)");
+  }
+}
+
+/**
+ * Whether a createSlide placeholderIdMappings entry refers to a layout placeholder
+ * @param {Object} mapping - { layoutPlaceholderObjectId } or { layoutPlaceholder: { type, index } }
+ * @param {Object} parent - Layout page element
+ * @returns {boolean}
+ */
+function placeholderMappingMatches(mapping, parent) {
+  const placeholder = parent.shape && parent.shape.placeholder;
+  if (!placeholder) return false;
+  if (mapping.layoutPlaceholderObjectId) return mapping.layoutPlaceholderObjectId === parent.objectId;
+  return !!mapping.layoutPlaceholder && mapping.layoutPlaceholder.type === placeholder.type &&
+    (mapping.layoutPlaceholder.index || 0) === (placeholder.index || 0);
+}
+
+// ============================================================================
+// TEXT MODEL
+// ============================================================================
+
+function createText() {
+  return { content: '', styles: [], paragraphs: [] };
+}
+
+/**
+ * Text of a master or layout placeholder: one empty paragraph that holds its style
+ */
+function createPlaceholderText() {
+  const text = createText();
+  insertText(text, 0, '');
+  return text;
+}
+
+/**
+ * Build a text model from a plain string (SlidesApp setText)
+ */
+function textFromString(str) {
+  const text = createText();
+  if (str) insertText(text, 0, str);
+  return text;
+}
+
+function insertText(text, index, str) {
+  if (text.content === '') {
+    text.content = '\n';
+    text.styles = [{}];
+    text.paragraphs = [{ style: {} }];
+  }
+  if (index < 0 || index > text.content.length - 1) {
+    throw new RequestError('The insertion index (' + index + ') should not be greater than the end of the text (' + (text.content.length - 1) + ').');
+  }
+  const inheritStyle = text.styles[index > 0 ? index - 1 : index] || {};
+  const paragraphEnd = text.content.indexOf('\n', index);
+  const inheritParagraph = text.paragraphs[paragraphEnd] || { style: {} };
+
+  const chars = str.split('');
+  text.content = text.content.slice(0, index) + str + text.content.slice(index);
+  text.styles.splice(index, 0, ...chars.map(() => clone(inheritStyle)));
+  text.paragraphs.splice(index, 0, ...chars.map(ch => ch === '\n' ? clone(inheritParagraph) : null));
+}
+
+function deleteText(text, start, end) {
+  end = Math.min(end, text.content.length - 1);
+  if (end <= start) return;
+  text.content = text.content.slice(0, start) + text.content.slice(end);
+  text.styles.splice(start, end - start);
+  text.paragraphs.splice(start, end - start);
+}
+
+/**
+ * Resolve a TextRange against a text model
+ * @returns {Array<number>} [start, end)
+ */
+function resolveRange(text, range) {
+  const length = text.content.length;
+  const type = (range && range.type) || 'ALL';
+  let start = 0;
+  let end = length;
+  if (type === 'FIXED_RANGE') {
+    if (typeof range.startIndex !== 'number' || typeof range.endIndex !== 'number') {
+      throw new RequestError('The range type is FIXED_RANGE, but startIndex and endIndex are not both set.');
+    }
+    start = range.startIndex;
+    end = range.endIndex;
+  } else if (type === 'FROM_START_INDEX') {
+    start = range.startIndex || 0;
+  } else if (type !== 'ALL') {
+    throw new RequestError('Invalid range type: ' + type);
+  }
+  if (end > length) {
+    throw new RequestError('The end index (' + end + ') should not be greater than the existing text length (' + length + ').');
+  }
+  if (start < 0 || start > end) {
+    throw new RequestError('The start index (' + start + ') must be less than or equal to the end index (' + end + ').');
+  }
+  return [start, end];
+}
+
+/**
+ * Indexes of the "\n" ending each paragraph that touches [start, end)
+ */
+function paragraphEndsInRange(text, start, end) {
+  const ends = [];
+  let paragraphStart = 0;
+  for (let i = 0; i < text.content.length; i++) {
+    if (text.content[i] !== '\n') continue;
+    const touches = start === end
+      ? (start >= paragraphStart && start <= i)
+      : (paragraphStart < end && i >= start);
+    if (touches) ends.push(i);
+    paragraphStart = i + 1;
+  }
+  return ends;
+}
+
+/**
+ * Render a text model as a REST TextContent
+ */
+function renderText(text) {
+  const textElements = [];
+  const lists = {};
+  let paragraphStart = 0;
+
+  for (let i = 0; i < text.content.length; i++) {
+    if (text.content[i] !== '\n') continue;
+    const paragraph = text.paragraphs[i] || { style: {} };
+    const marker = { style: clone(paragraph.style) || {} };
+    if (paragraph.bullet) {
+      marker.bullet = clone(paragraph.bullet);
+      lists[paragraph.bullet.listId] = { listId: paragraph.bullet.listId, nestingLevel: {} };
+    }
+    textElements.push(withStart({ endIndex: i + 1, paragraphMarker: marker }, paragraphStart));
+
+    let runStart = paragraphStart;
+    for (let j = paragraphStart; j <= i; j++) {
+      const last = j === i;
+      if (last || JSON.stringify(text.styles[j]) !== JSON.stringify(text.styles[j + 1])) {
+        textElements.push(withStart({
+          endIndex: j + 1,
+          textRun: { content: text.content.slice(runStart, j + 1), style: clone(text.styles[j]) || {} }
+        }, runStart));
+        runStart = j + 1;
+      }
+    }
+    paragraphStart = i + 1;
+  }
+
+  const rendered = { textElements: textElements };
+  if (Object.keys(lists).length > 0) rendered.lists = lists;
+  return rendered;
+}
+
+// The REST API omits zero-valued fields, like startIndex of the first element
+function withStart(textElement, startIndex) {
+  return startIndex > 0 ? Object.assign({ startIndex: startIndex }, textElement) : textElement;
+}
+
+// ============================================================================
+// FAKE SERVICE
+// ============================================================================
+
+/**
+ * In-memory Slides service
+ */
+class FakeSlidesService {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.unreachableImageUrls] - URLs createImage cannot fetch
+   */
+  constructor(options) {
+    options = options || {};
+    this.presentations = {};
+    this.unreachableImageUrls = new Set(options.unreachableImageUrls || []);
+    this.batchLog = [];
+    this.queuedErrors = [];
+    this.idCounter = 0;
+
+    const service = this;
+    this.Presentations = {
+      create: resource => service.create(resource),
+      get: presentationId => service.get(presentationId),
+      batchUpdate: (resource, presentationId) => service.batchUpdate(resource, presentationId),
+      Pages: {
+        getThumbnail: () => {
+          throw apiError('pages.getThumbnail', 'Thumbnails are not supported by the fake Slides service.', 501);
+        }
+      }
+    };
+  }
+
+  // --------------------------------------------------------------------------
+  // Test controls
+  // --------------------------------------------------------------------------
+
+  /**
+   * Make the next batchUpdate call fail with this error before applying anything
+   * @param {Error|string} error
+   * @param {number} [code=500] - HTTP status for string errors (seen by the REST fallback)
+   */
+  queueBatchError(error, code) {
+    this.queuedErrors.push(typeof error === 'string' ? apiError('batchUpdate', error, code || 500) : error);
+  }
+
+  /**
+   * Live (internal) presentation model - mutations skip validation
+   * @param {string} presentationId
+   * @returns {Object}
+   */
+  getModel(presentationId) {
+    const presentation = this.presentations[presentationId];
+    if (!presentation) {
+      throw apiError('get', 'Requested entity was not found.', 404);
+    }
+    return presentation;
+  }
+
+  nextId(prefix) {
+    this.idCounter++;
+    return (prefix || 'gfake') + '_' + this.idCounter;
+  }
+
+  // --------------------------------------------------------------------------
+  // Presentations resource
+  // --------------------------------------------------------------------------
+
+  create(resource) {
+    const presentationId = this.nextId('fakepres');
+    const presentation = {
+      presentationId: presentationId,
+      title: (resource && resource.title) || 'Untitled presentation',
+      locale: 'en',
+      revisionId: '1',
+      pageSize: { width: emuDimension(PAGE_WIDTH_EMU), height: emuDimension(PAGE_HEIGHT_EMU) },
+      masters: [{
+        objectId: 'fake_master',
+        pageType: 'MASTER',
+        pageElements: MASTER_PLACEHOLDERS.map((spec, i) =>
+          this.placeholderShape('fake_master_' + i, spec, null, createPlaceholderText())),
+        pageProperties: {
+          pageBackgroundFill: { solidFill: { color: { themeColor: 'LIGHT1' }, alpha: 1 } },
+          colorScheme: {
+            colors: DEFAULT_COLOR_SCHEME.map(entry => ({ type: entry[0], color: hexToRgb(entry[1]) }))
+          }
+        },
+        masterProperties: { displayName: 'Simple Light' }
+      }],
+      layouts: Object.keys(LAYOUT_PLACEHOLDERS).map(name => ({
+        objectId: 'fake_layout_' + name.toLowerCase(),
+        pageType: 'LAYOUT',
+        pageElements: LAYOUT_PLACEHOLDERS[name].map((spec, i) =>
+          this.placeholderShape('fake_layout_' + name.toLowerCase() + '_' + i, spec, null, createPlaceholderText())),
+        pageProperties: {},
+        layoutProperties: { masterObjectId: 'fake_master', name: name, displayName: name }
+      })),
+      slides: []
+    };
+
+    this.presentations[presentationId] = presentation;
+    // A new presentation starts with one title slide, like the real service
+    this.addSlide(presentation, this.nextId('p'), 0, presentation.layouts[1], null);
+    return this.get(presentationId);
+  }
+
+  get(presentationId) {
+    return this.render(this.getModel(presentationId));
+  }
+
+  /**
+   * Copy a presentation, as DriveApp File.makeCopy does (object IDs are kept)
+   * @param {string} presentationId
+   * @param {string} [title]
+   * @returns {string} ID of the copy
+   */
+  copy(presentationId, title) {
+    const copy = clone(this.getModel(presentationId));
+    copy.presentationId = this.nextId('fakepres');
+    copy.title = title || 'Copy of ' + copy.title;
+    copy.revisionId = '1';
+    this.presentations[copy.presentationId] = copy;
+    return copy.presentationId;
+  }
+
+  batchUpdate(resource, presentationId) {
+    const current = this.getModel(presentationId);
+    const requests = (resource && resource.requests) || [];
+    this.batchLog.push({ presentationId: presentationId, requests: clone(requests) });
+
+    if (this.queuedErrors.length > 0) {
+      throw this.queuedErrors.shift();
+    }
+
+    const draft = clone(current);
+    const replies = requests.map((request, index) => {
+      const kinds = Object.keys(request || {});
+      if (kinds.length !== 1) {
+        throw apiError('batchUpdate', 'Invalid requests[' + index + ']: Exactly one request type must be set.');
+      }
+      const kind = kinds[0];
+      const handler = REQUEST_HANDLERS[kind];
+      if (!handler) {
+        throw apiError('batchUpdate', 'Invalid JSON payload received. Unknown name "' + kind + '" at \'requests[' + index + ']\': Cannot find field.');
+      }
+      const unknown = Object.keys(request[kind] || {}).find(field => REQUEST_FIELDS[kind].indexOf(field) === -1);
+      if (unknown) {
+        const at = 'requests[' + index + '].' + kind.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+        throw apiError('batchUpdate', 'Invalid JSON payload received. Unknown name "' + unknown + '" at \'' + at + '\': Cannot find field.');
+      }
+      try {
+        return handler.call(this, draft, request[kind] || {});
+      } catch (e) {
+        if (e instanceof RequestError) {
+          throw apiError('batchUpdate', 'Invalid requests[' + index + '].' + kind + ': ' + e.message);
+        }
+        throw e;
+      }
+    });
+
+    draft.revisionId = String(parseInt(current.revisionId, 10) + 1);
+    this.presentations[presentationId] = draft;
+    return { presentationId: presentationId, replies: replies, writeControl: { requiredRevisionId: draft.revisionId } };
+  }
+
+  // --------------------------------------------------------------------------
+  // Model helpers
+  // --------------------------------------------------------------------------
+
+  placeholderShape(objectId, spec, parentObjectId, text) {
+    const shape = {
+      objectId: objectId,
+      size: { width: emuDimension(spec[3] * EMU_PER_PT), height: emuDimension(spec[4] * EMU_PER_PT) },
+      transform: normalizeTransform({ translateX: spec[1], translateY: spec[2], unit: 'PT' }),
+      shape: { shapeType: 'TEXT_BOX', shapeProperties: {}, placeholder: { type: spec[0], index: 0 } }
+    };
+    if (parentObjectId) shape.shape.placeholder.parentObjectId = parentObjectId;
+    if (text) shape.shape._text = text;
+    return shape;
+  }
+
+  addSlide(presentation, objectId, insertionIndex, layout, placeholderIdMappings) {
+    const mappings = placeholderIdMappings || [];
+    const pageElements = layout.pageElements.map(parent => {
+      const mapping = mappings.find(m => placeholderMappingMatches(m, parent));
+      const spec = [parent.shape.placeholder.type, parent.transform.translateX / EMU_PER_PT, parent.transform.translateY / EMU_PER_PT,
+        parent.size.width.magnitude / EMU_PER_PT, parent.size.height.magnitude / EMU_PER_PT];
+      const shape = this.placeholderShape(mapping ? mapping.objectId : this.nextId(objectId), spec, parent.objectId);
+      shape.shape._text = createText();
+      return shape;
+    });
+
+    const notesId = objectId + ':notes';
+    const slide = {
+      objectId: objectId,
+      pageType: 'SLIDE',
+      pageElements: pageElements,
+      pageProperties: {},
+      slideProperties: {
+        layoutObjectId: layout.objectId,
+        masterObjectId: 'fake_master',
+        notesPage: {
+          objectId: notesId,
+          pageType: 'NOTES',
+          pageElements: [{
+            objectId: notesId + '_body',
+            size: { width: emuDimension(PAGE_WIDTH_EMU), height: emuDimension(PAGE_HEIGHT_EMU) },
+            transform: normalizeTransform({}),
+            shape: { shapeType: 'TEXT_BOX', shapeProperties: {}, placeholder: { type: 'BODY', index: 1 }, _text: createText() }
+          }],
+          notesProperties: { speakerNotesObjectId: notesId + '_body' }
+        }
+      }
+    };
+
+    const index = insertionIndex === undefined ? presentation.slides.length : insertionIndex;
+    presentation.slides.splice(index, 0, slide);
+    return slide;
+  }
+
+  /**
+   * Every object in a presentation
+   * @returns {Array<Object>} [{ object, kind: 'page'|'element', list, page }]
+   */
+  allObjects(presentation) {
+    const found = [];
+    const visit = (elements, page) => {
+      (elements || []).forEach(element => {
+        found.push({ object: element, kind: 'element', list: elements, page: page });
+        if (element.elementGroup) visit(element.elementGroup.children, page);
+      });
+    };
+    [].concat(presentation.masters, presentation.layouts, presentation.slides).forEach(page => {
+      found.push({ object: page, kind: 'page', list: null, page: page });
+      visit(page.pageElements, page);
+      const notes = page.slideProperties && page.slideProperties.notesPage;
+      if (notes) {
+        found.push({ object: notes, kind: 'page', list: null, page: notes });
+        visit(notes.pageElements, notes);
+      }
+    });
+    return found;
+  }
+
+  findObject(presentation, objectId) {
+    return this.allObjects(presentation).find(entry => entry.object.objectId === objectId) || null;
+  }
+
+  requireObject(presentation, objectId) {
+    const entry = objectId ? this.findObject(presentation, objectId) : null;
+    if (!entry) throw new RequestError('The object (' + objectId + ') could not be found.');
+    return entry;
+  }
+
+  requireElement(presentation, objectId, property) {
+    const entry = this.requireObject(presentation, objectId);
+    if (entry.kind !== 'element' || (property && !entry.object[property])) {
+      const what = property === 'elementGroup' ? 'group' : (property || 'page element');
+      throw new RequestError('The object (' + objectId + ') is not a ' + what + '.');
+    }
+    return entry;
+  }
+
+  requireSlide(presentation, objectId) {
+    const slide = presentation.slides.find(s => s.objectId === objectId);
+    if (!slide) throw new RequestError('The object (' + objectId + ') could not be found.');
+    return slide;
+  }
+
+  /**
+   * Validate a caller-supplied object ID, or generate one
+   */
+  claimObjectId(presentation, objectId, prefix) {
+    if (objectId === undefined || objectId === null || objectId === '') return this.nextId(prefix);
+    if (!OBJECT_ID_PATTERN.test(objectId)) {
+      throw new RequestError('Invalid object ID (' + objectId + '). Object IDs must be 5 to 50 characters long, ' +
+        'start with an alphanumeric character or an underscore, and contain only alphanumerics, "_", "-" or ":".');
+    }
+    if (this.findObject(presentation, objectId)) {
+      throw new RequestError('The object ID (' + objectId + ') should be unique among all pages and page elements.');
+    }
+    return objectId;
+  }
+
+  /**
+   * Text model of a shape or table cell
+   */
+  requireText(presentation, objectId, cellLocation) {
+    const entry = this.requireObject(presentation, objectId);
+    const element = entry.object;
+    if (cellLocation) {
+      if (!element.table) throw new RequestError('The object (' + objectId + ') is not a table.');
+      const row = element.table.tableRows[cellLocation.rowIndex || 0];
+      const cell = row && row.tableCells[cellLocation.columnIndex || 0];
+      if (!cell) {
+        throw new RequestError('Invalid cell location: (' + (cellLocation.rowIndex || 0) + ', ' + (cellLocation.columnIndex || 0) + ').');
+      }
+      return cell._text;
+    }
+    if (element.table) throw new RequestError('The cellLocation must be specified for a table.');
+    if (!element.shape) throw new RequestError('The object (' + objectId + ') does not allow text editing.');
+    if (!element.shape._text) element.shape._text = createText();
+    return element.shape._text;
+  }
+
+  /**
+   * Create a page element from elementProperties
+   */
+  createElement(presentation, objectId, elementProperties, body, prefix) {
+    const props = elementProperties || {};
+    const page = this.requireSlide(presentation, props.pageObjectId);
+    const id = this.claimObjectId(presentation, objectId, prefix);
+    const element = { objectId: id };
+    if (props.size) {
+      element.size = { width: emuDimension(toEmu(props.size.width)), height: emuDimension(toEmu(props.size.height)) };
+    }
+    element.transform = normalizeTransform(props.transform);
+    Object.assign(element, body);
+    page.pageElements.push(element);
+    return element;
+  }
+
+  // --------------------------------------------------------------------------
+  // Rendering
+  // --------------------------------------------------------------------------
+
+  render(model) {
+    const walk = value => {
+      if (Array.isArray(value)) return value.map(walk);
+      if (!value || typeof value !== 'object') return value;
+      const out = {};
+      Object.keys(value).forEach(key => {
+        if (key === '_text') {
+          if (value._text.content) out.text = renderText(value._text);
+        } else {
+          out[key] = walk(value[key]);
+        }
+      });
+      return out;
+    };
+    return walk(model);
+  }
+}
+
+// ============================================================================
+// REQUEST HANDLERS
+// ============================================================================
+
+// Fields each request type accepts; any other field fails the whole batch, as in the real API
+const REQUEST_FIELDS = {
+  createSlide: ['objectId', 'insertionIndex', 'slideLayoutReference', 'placeholderIdMappings'],
+  deleteObject: ['objectId'],
+  updateSlidesPosition: ['slideObjectIds', 'insertionIndex'],
+  updatePageProperties: ['objectId', 'pageProperties', 'fields'],
+  createShape: ['objectId', 'elementProperties', 'shapeType'],
+  createImage: ['objectId', 'elementProperties', 'url'],
+  createVideo: ['objectId', 'elementProperties', 'source', 'id'],
+  createLine: ['objectId', 'elementProperties', 'lineCategory', 'category'],
+  createTable: ['objectId', 'elementProperties', 'rows', 'columns'],
+  createSheetsChart: ['objectId', 'elementProperties', 'spreadsheetId', 'chartId', 'linkingMode'],
+  createGroup: ['objectId', 'childrenObjectIds'],
+  insertText: ['objectId', 'cellLocation', 'text', 'insertionIndex'],
+  deleteText: ['objectId', 'cellLocation', 'textRange'],
+  updateTextStyle: ['objectId', 'cellLocation', 'style', 'textRange', 'fields'],
+  updateParagraphStyle: ['objectId', 'cellLocation', 'style', 'textRange', 'fields'],
+  createParagraphBullets: ['objectId', 'cellLocation', 'textRange', 'bulletPreset'],
+  deleteParagraphBullets: ['objectId', 'cellLocation', 'textRange'],
+  updateShapeProperties: ['objectId', 'shapeProperties', 'fields'],
+  updateImageProperties: ['objectId', 'imageProperties', 'fields'],
+  updateLineProperties: ['objectId', 'lineProperties', 'fields'],
+  updateVideoProperties: ['objectId', 'videoProperties', 'fields'],
+  updatePageElementTransform: ['objectId', 'transform', 'applyMode'],
+  updatePageElementsZOrder: ['pageElementObjectIds', 'operation'],
+  updateTableCellProperties: ['objectId', 'tableRange', 'tableCellProperties', 'fields'],
+  mergeTableCells: ['objectId', 'tableRange'],
+  updateTableBorderProperties: ['objectId', 'tableRange', 'borderPosition', 'tableBorderProperties', 'fields'],
+  updateTableColumnProperties: ['objectId', 'columnIndices', 'tableColumnProperties', 'fields'],
+  updateTableRowProperties: ['objectId', 'rowIndices', 'tableRowProperties', 'fields']
+};
+
+// Each handler runs with `this` bound to the service and returns the reply
+const REQUEST_HANDLERS = {
+  createSlide(presentation, req) {
+    const objectId = this.claimObjectId(presentation, req.objectId, 'p');
+    const reference = req.slideLayoutReference || {};
+    let layout;
+    if (reference.layoutId) {
+      layout = presentation.layouts.find(l => l.objectId === reference.layoutId);
+      if (!layout) throw new RequestError('The layout (' + reference.layoutId + ') could not be found.');
+    } else {
+      const name = reference.predefinedLayout || 'BLANK';
+      layout = presentation.layouts.find(l => l.layoutProperties.name === name);
+      if (!layout) throw new RequestError('The predefined layout (' + name + ') is not present in the current master.');
+    }
+    (req.placeholderIdMappings || []).forEach(mapping => {
+      if (!layout.pageElements.some(parent => placeholderMappingMatches(mapping, parent))) {
+        throw new RequestError('The placeholder ' + JSON.stringify(mapping.layoutPlaceholder || mapping.layoutPlaceholderObjectId) +
+          ' could not be found on the layout (' + layout.objectId + ').');
+      }
+      if (mapping.objectId) this.claimObjectId(presentation, mapping.objectId);
+    });
+    if (req.insertionIndex !== undefined && (req.insertionIndex < 0 || req.insertionIndex > presentation.slides.length)) {
+      throw new RequestError('The insertion index (' + req.insertionIndex + ') is out of range.');
+    }
+    this.addSlide(presentation, objectId, req.insertionIndex, layout, req.placeholderIdMappings);
+    return { createSlide: { objectId: objectId } };
+  },
+
+  deleteObject(presentation, req) {
+    const entry = this.requireObject(presentation, req.objectId);
+    if (entry.kind === 'page') {
+      const index = presentation.slides.indexOf(entry.object);
+      if (index === -1) throw new RequestError('The page (' + req.objectId + ') cannot be deleted.');
+      presentation.slides.splice(index, 1);
+    } else {
+      entry.list.splice(entry.list.indexOf(entry.object), 1);
+    }
+    return {};
+  },
+
+  updateSlidesPosition(presentation, req) {
+    const ids = req.slideObjectIds || [];
+    const moving = ids.map(id => this.requireSlide(presentation, id));
+    const rest = presentation.slides.filter(slide => moving.indexOf(slide) === -1);
+    if (req.insertionIndex === undefined || req.insertionIndex < 0 || req.insertionIndex > presentation.slides.length) {
+      throw new RequestError('The insertion index (' + req.insertionIndex + ') is out of range.');
+    }
+    // The insertion index refers to positions before the move
+    const before = presentation.slides.slice(0, req.insertionIndex).filter(slide => moving.indexOf(slide) === -1).length;
+    rest.splice(before, 0, ...moving);
+    presentation.slides = rest;
+    return {};
+  },
+
+  updatePageProperties(presentation, req) {
+    const entry = this.requireObject(presentation, req.objectId);
+    if (entry.kind !== 'page') throw new RequestError('The object (' + req.objectId + ') is not a page.');
+    entry.object.pageProperties = entry.object.pageProperties || {};
+    applyFields(entry.object.pageProperties, req.pageProperties, req.fields);
+    return {};
+  },
+
+  createShape(presentation, req) {
+    if (!req.shapeType) throw new RequestError('The shape type must be specified.');
+    const element = this.createElement(presentation, req.objectId, req.elementProperties, {
+      shape: { shapeType: req.shapeType, shapeProperties: {}, _text: createText() }
+    });
+    return { createShape: { objectId: element.objectId } };
+  },
+
+  createImage(presentation, req) {
+    const url = req.url || '';
+    if (!/^https?:\/\//.test(url) || this.unreachableImageUrls.has(url)) {
+      throw new RequestError('There was a problem retrieving the image. The provided image should be publicly ' +
+        'accessible, within size limit, and in supported formats.');
+    }
+    const element = this.createElement(presentation, req.objectId, req.elementProperties, {
+      image: { contentUrl: url, sourceUrl: url, imageProperties: {} }
+    });
+    return { createImage: { objectId: element.objectId } };
+  },
+
+  createVideo(presentation, req) {
+    if (req.source !== 'YOUTUBE' && req.source !== 'DRIVE') {
+      throw new RequestError('The video source must be YOUTUBE or DRIVE.');
+    }
+    const element = this.createElement(presentation, req.objectId, req.elementProperties, {
+      video: { source: req.source, id: req.id, videoProperties: {} }
+    });
+    return { createVideo: { objectId: element.objectId } };
+  },
+
+  createLine(presentation, req) {
+    const category = req.category || req.lineCategory || 'STRAIGHT';
+    const lineType = { STRAIGHT: 'STRAIGHT_CONNECTOR_1', BENT: 'BENT_CONNECTOR_3', CURVED: 'CURVED_CONNECTOR_3' }[category];
+    if (!lineType) throw new RequestError('Invalid line category: ' + category);
+    const element = this.createElement(presentation, req.objectId, req.elementProperties, {
+      line: { lineType: lineType, lineCategory: category, lineProperties: {} }
+    });
+    return { createLine: { objectId: element.objectId } };
+  },
+
+  createTable(presentation, req) {
+    const rows = req.rows;
+    const columns = req.columns;
+    if (!(rows > 0) || !(columns > 0)) throw new RequestError('The table must have at least one row and one column.');
+    const element = this.createElement(presentation, req.objectId, req.elementProperties, {});
+    const width = element.size ? element.size.width.magnitude : columns * 100 * EMU_PER_PT;
+    const height = element.size ? element.size.height.magnitude : rows * 30 * EMU_PER_PT;
+    element.table = {
+      rows: rows,
+      columns: columns,
+      tableColumns: Array.from({ length: columns }, () => ({ columnWidth: emuDimension(width / columns) })),
+      tableRows: Array.from({ length: rows }, (_, r) => ({
+        rowHeight: emuDimension(height / rows),
+        tableRowProperties: { minRowHeight: emuDimension(height / rows) },
+        tableCells: Array.from({ length: columns }, (__, c) => ({
+          location: { rowIndex: r, columnIndex: c },
+          rowSpan: 1,
+          columnSpan: 1,
+          tableCellProperties: {},
+          _text: createText()
+        }))
+      }))
+    };
+    return { createTable: { objectId: element.objectId } };
+  },
+
+  createSheetsChart(presentation, req) {
+    if (!req.spreadsheetId || req.chartId === undefined) {
+      throw new RequestError('The spreadsheetId and chartId must be specified.');
+    }
+    const element = this.createElement(presentation, req.objectId, req.elementProperties, {
+      sheetsChart: { spreadsheetId: req.spreadsheetId, chartId: req.chartId, sheetsChartProperties: {} }
+    });
+    return { createSheetsChart: { objectId: element.objectId } };
+  },
+
+  createGroup(presentation, req) {
+    const ids = req.childrenObjectIds || [];
+    if (ids.length < 2) throw new RequestError('A group must contain at least two page elements.');
+    const entries = ids.map(id => this.requireElement(presentation, id));
+    const list = entries[0].list;
+    if (entries.some(entry => entry.list !== list)) {
+      throw new RequestError('All children of a group must be on the same page and share the same parent.');
+    }
+    const groupId = this.claimObjectId(presentation, req.objectId);
+    const position = Math.max(...entries.map(entry => list.indexOf(entry.object)));
+    const group = {
+      objectId: groupId,
+      transform: normalizeTransform({}),
+      elementGroup: { children: list.filter(element => entries.some(entry => entry.object === element)) }
+    };
+    list.splice(position + 1, 0, group);
+    group.elementGroup.children.forEach(child => list.splice(list.indexOf(child), 1));
+    return { createGroup: { objectId: groupId } };
+  },
+
+  insertText(presentation, req) {
+    const text = this.requireText(presentation, req.objectId, req.cellLocation);
+    insertText(text, req.insertionIndex || 0, String(req.text === undefined ? '' : req.text));
+    return {};
+  },
+
+  deleteText(presentation, req) {
+    const text = this.requireText(presentation, req.objectId, req.cellLocation);
+    const range = resolveRange(text, req.textRange);
+    deleteText(text, range[0], range[1]);
+    return {};
+  },
+
+  updateTextStyle(presentation, req) {
+    const text = this.requireText(presentation, req.objectId, req.cellLocation);
+    const range = resolveRange(text, req.textRange);
+    requireFields(req.fields);
+    for (let i = range[0]; i < range[1]; i++) {
+      applyFields(text.styles[i], req.style || {}, req.fields);
+    }
+    return {};
+  },
+
+  updateParagraphStyle(presentation, req) {
+    const text = this.requireText(presentation, req.objectId, req.cellLocation);
+    const range = resolveRange(text, req.textRange);
+    paragraphEndsInRange(text, range[0], range[1]).forEach(end => {
+      applyFields(text.paragraphs[end].style, req.style || {}, req.fields);
+    });
+    return {};
+  },
+
+  createParagraphBullets(presentation, req) {
+    const text = this.requireText(presentation, req.objectId, req.cellLocation);
+    const range = resolveRange(text, req.textRange);
+    const listId = this.nextId('kix.list');
+    const glyph = /^NUMBERED/.test(req.bulletPreset || '') ? '1.' : '●';
+    const ends = paragraphEndsInRange(text, range[0], range[1]);
+
+    // Leading tabs set the nesting level and are removed, like the real service
+    ends.slice().reverse().forEach(end => {
+      const start = text.content.lastIndexOf('\n', end - 1) + 1;
+      let tabs = 0;
+      while (text.content[start + tabs] === '\t') tabs++;
+      if (tabs > 0) deleteText(text, start, start + tabs);
+      const newEnd = end - tabs;
+      text.paragraphs[newEnd].bullet = { listId: listId, glyph: glyph, bulletStyle: {} };
+      if (tabs > 0) text.paragraphs[newEnd].bullet.nestingLevel = tabs;
+    });
+    return {};
+  },
+
+  deleteParagraphBullets(presentation, req) {
+    const text = this.requireText(presentation, req.objectId, req.cellLocation);
+    const range = resolveRange(text, req.textRange);
+    paragraphEndsInRange(text, range[0], range[1]).forEach(end => {
+      delete text.paragraphs[end].bullet;
+    });
+    return {};
+  },
+
+  updateShapeProperties(presentation, req) {
+    const element = this.requireElement(presentation, req.objectId, 'shape').object;
+    applyFields(element.shape.shapeProperties, req.shapeProperties, req.fields);
+    return {};
+  },
+
+  updateImageProperties(presentation, req) {
+    const element = this.requireElement(presentation, req.objectId, 'image').object;
+    applyFields(element.image.imageProperties, req.imageProperties, req.fields);
+    return {};
+  },
+
+  updateLineProperties(presentation, req) {
+    const element = this.requireElement(presentation, req.objectId, 'line').object;
+    applyFields(element.line.lineProperties, req.lineProperties, req.fields);
+    return {};
+  },
+
+  updateVideoProperties(presentation, req) {
+    const element = this.requireElement(presentation, req.objectId, 'video').object;
+    applyFields(element.video.videoProperties, req.videoProperties, req.fields);
+    return {};
+  },
+
+  updatePageElementTransform(presentation, req) {
+    const element = this.requireElement(presentation, req.objectId).object;
+    const transform = normalizeTransform(req.transform);
+    if (req.applyMode === 'ABSOLUTE') {
+      element.transform = transform;
+    } else if (req.applyMode === 'RELATIVE') {
+      element.transform = multiplyTransforms(transform, element.transform || normalizeTransform({}));
+    } else {
+      throw new RequestError('The apply mode must be ABSOLUTE or RELATIVE.');
+    }
+    return {};
+  },
+
+  updatePageElementsZOrder(presentation, req) {
+    const ids = req.pageElementObjectIds || [];
+    if (ids.length === 0) throw new RequestError('At least one page element must be specified.');
+    const entries = ids.map(id => this.requireElement(presentation, id));
+    const list = entries[0].list;
+    if (entries.some(entry => entry.list !== list)) {
+      throw new RequestError('All page elements must be on the same page and share the same parent.');
+    }
+    const moving = list.filter(element => entries.some(entry => entry.object === element));
+    const rest = list.filter(element => moving.indexOf(element) === -1);
+    const firstIndex = list.indexOf(moving[0]);
+    const lastIndex = list.indexOf(moving[moving.length - 1]);
+    let insertAt;
+    switch (req.operation) {
+      case 'BRING_TO_FRONT': insertAt = rest.length; break;
+      case 'SEND_TO_BACK': insertAt = 0; break;
+      case 'BRING_FORWARD': insertAt = Math.min(rest.length, lastIndex - moving.length + 2); break;
+      case 'SEND_BACKWARD': insertAt = Math.max(0, firstIndex - 1); break;
+      default: throw new RequestError('Invalid z-order operation: ' + req.operation);
+    }
+    rest.splice(insertAt, 0, ...moving);
+    list.splice(0, list.length, ...rest);
+    return {};
+  },
+
+  updateTableCellProperties(presentation, req) {
+    const table = this.requireElement(presentation, req.objectId, 'table').object.table;
+    const range = req.tableRange || { location: { rowIndex: 0, columnIndex: 0 }, rowSpan: table.rows, columnSpan: table.columns };
+    const location = range.location || {};
+    const rowStart = location.rowIndex || 0;
+    const columnStart = location.columnIndex || 0;
+    const rowEnd = rowStart + (range.rowSpan || 1);
+    const columnEnd = columnStart + (range.columnSpan || 1);
+    if (rowEnd > table.rows || columnEnd > table.columns) {
+      throw new RequestError('The table range is out of bounds of the table.');
+    }
+    for (let r = rowStart; r < rowEnd; r++) {
+      for (let c = columnStart; c < columnEnd; c++) {
+        applyFields(table.tableRows[r].tableCells[c].tableCellProperties, req.tableCellProperties, req.fields);
+      }
+    }
+    return {};
+  },
+
+  mergeTableCells(presentation, req) {
+    const table = this.requireElement(presentation, req.objectId, 'table').object.table;
+    const range = req.tableRange || {};
+    const location = range.location || {};
+    const rowStart = location.rowIndex || 0;
+    const columnStart = location.columnIndex || 0;
+    const rowEnd = rowStart + (range.rowSpan || 1);
+    const columnEnd = columnStart + (range.columnSpan || 1);
+    if (rowEnd > table.rows || columnEnd > table.columns) {
+      throw new RequestError('The table range is out of bounds of the table.');
+    }
+    // A range must not cut through an earlier merge
+    table.tableRows.forEach((row, r) => row.tableCells.forEach((cell, c) => {
+      if (cell.rowSpan * cell.columnSpan < 2) return;
+      const overlaps = r < rowEnd && r + cell.rowSpan > rowStart && c < columnEnd && c + cell.columnSpan > columnStart;
+      if (overlaps) throw new RequestError('The table range overlaps merged cells.');
+    }));
+    // The first cell spans the range; covered cells stay in tableCells, as in the API
+    const head = table.tableRows[rowStart].tableCells[columnStart];
+    head.rowSpan = rowEnd - rowStart;
+    head.columnSpan = columnEnd - columnStart;
+    return {};
+  },
+
+  updateTableBorderProperties(presentation, req) {
+    this.requireElement(presentation, req.objectId, 'table');
+    requireFields(req.fields);
+    return {};
+  },
+
+  updateTableColumnProperties(presentation, req) {
+    const table = this.requireElement(presentation, req.objectId, 'table').object.table;
+    const indices = req.columnIndices || table.tableColumns.map((_, i) => i);
+    indices.forEach(index => {
+      const column = table.tableColumns[index];
+      if (!column) throw new RequestError('The column index (' + index + ') is out of bounds.');
+      applyFields(column, req.tableColumnProperties, req.fields);
+      if (column.columnWidth && toEmu(column.columnWidth) < 32 * EMU_PER_PT) {
+        throw new RequestError('The minimum column width is 32 points.');
+      }
+    });
+    return {};
+  },
+
+  updateTableRowProperties(presentation, req) {
+    const table = this.requireElement(presentation, req.objectId, 'table').object.table;
+    const indices = req.rowIndices || table.tableRows.map((_, i) => i);
+    indices.forEach(index => {
+      const row = table.tableRows[index];
+      if (!row) throw new RequestError('The row index (' + index + ') is out of bounds.');
+      applyFields(row.tableRowProperties, req.tableRowProperties, req.fields);
+    });
+    return {};
+  }
+};
+
+module.exports = {
+  FakeSlidesService: FakeSlidesService,
+  EMU_PER_PT: EMU_PER_PT,
+  textFromString: textFromString,
+  renderText: renderText,
+  normalizeTransform: normalizeTransform
+};
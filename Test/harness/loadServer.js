@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Loads the Apps Script sources into a Node sandbox.
+ *
+ * Server/*.js share one global scope in Apps Script, so they are concatenated
+ * (in file name order, like clasp with an empty filePushOrder) and run in a
+ * single vm context whose globals are the fakes from this directory.
+ *
+ *   const server = loadServer();
+ *   const result = server.call('generatePresentation', JSON.stringify(deck));
+ *   const deck = server.slides.get(result.presentationId);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { FakeSlidesService } = require('./FakeSlidesService');
+const { createSlidesApp } = require('./FakeSlidesApp');
+const { createAppsScriptGlobals } = require('./FakeAppsScript');
+
+const SERVER_DIR = path.join(__dirname, '..', '..', 'Server');
+
+/**
+ * Copy a value out of the sandbox realm, so node:assert deep equality works
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create a sandbox with fresh fakes and all server files loaded
+ * @param {Object} [options]
+ * @param {Array<string>} [options.unreachableImageUrls] - URLs the Slides API cannot fetch for createImage
+ * @param {Array<string>} [options.unreachableFetchUrls] - URLs UrlFetchApp answers with 404
+ * @returns {Object} { context, slides, logs, files, sleeps, call, global }
+ */
+function loadServer(options) {
+  options = options || {};
+  const slides = new FakeSlidesService({ unreachableImageUrls: options.unreachableImageUrls });
+  const appsScript = createAppsScriptGlobals(slides, { unreachableFetchUrls: options.unreachableFetchUrls });
+
+  const context = vm.createContext(Object.assign({}, appsScript.globals, {
+    Slides: slides,
+    SlidesApp: createSlidesApp(slides)
+  }));
+
+  const source = fs.readdirSync(SERVER_DIR)
+    .filter(name => name.endsWith('.js'))
+    .sort()
+    .map(name => '// ' + name + '\n' + fs.readFileSync(path.join(SERVER_DIR, name), 'utf8'))
+    .join('\n;\n');
+  vm.runInContext(source, context, { filename: 'Server.js' });
+
+  // const/let/class declarations are not properties of the context object
+  const lookup = vm.runInContext('(function (name) { return eval(name); })', context);
+
+  return {
+    context: context,
+    slides: slides,
+    logs: appsScript.logs,
+    files: appsScript.files,
+    // Utilities.sleep durations (ms), in call order
+    sleeps: appsScript.sleeps,
+    /**
+     * Call a global server function and return a plain copy of its result
+     */
+    call: (name, ...args) => plain(context[name](...args)),
+    /**
+     * Read any global (including const singletons like phase2Service)
+     */
+    global: name => lookup(name)
+  };
+}
+
+module.exports = {
+  loadServer: loadServer,
+  plain: plain
+};
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Resumable generation jobs (JobService.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./harness/loadServer');
+
+const DECK = {
+  slides: [
+    { elements: [{ type: 'text', objectId: 'intro_text', text: 'Intro', x: 40, y: 40, w: 400, h: 60 }] },
+    {
+      notes: 'Logo slide',
+      elements: [
+        { type: 'shape', objectId: 'logo_box', x: 40, y: 40, w: 200, h: 100, fillColor: '#4285f4' },
+        { type: 'image', objectId: 'logo_image', url: 'https://example.com/logo.png', x: 300, y: 40, w: 100, h: 100 }
+      ]
+    }
+  ]
+};
+
+function startJob(server, deck) {
+  const result = server.call('generatePresentation', JSON.stringify(deck), { async: true });
+  assert.strictEqual(result.status, 'success', result.message);
+  return result;
+}
+
+function jobStatus(server, jobId) {
+  const result = server.call('getGenerationJobStatus', jobId);
+  assert.strictEqual(result.status, 'success', result.message);
+  return result.job;
+}
+
+function resumeTriggers(server) {
+  return server.context.ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'resumeGenerationJobs');
+}
+
+/** Run the resume trigger until the job finishes */
+function runJob(server, jobId) {
+  for (let run = 0; run < 10; run++) {
+    server.call('resumeGenerationJobs');
+    const job = jobStatus(server, jobId);
+    if (job.status === 'success' || job.status === 'error') return job;
+  }
+  assert.fail('job did not finish');
+}
+
+test('a job inserts images deferred to Phase 2 on their own slide', () => {
+  const server = loadServer({ unreachableImageUrls: ['https://example.com/logo.png'] });
+  const started = startJob(server, DECK);
+  assert.strictEqual(resumeTriggers(server).length, 1);
+
+  const job = runJob(server, started.jobId);
+  assert.strictEqual(job.status, 'success', job.message);
+  assert.strictEqual(job.progress.phase2SlidesDone, job.progress.phase2SlidesTotal);
+  assert.deepStrictEqual(job.report.entries.map(entry => entry.code + ':' + entry.path),
+    ['IMAGE_DEFERRED:slides[1].elements[1]']);
+  assert.strictEqual(resumeTriggers(server).length, 0);
+
+  const slide = server.slides.get(started.presentationId).slides[1];
+  const inserted = slide.pageElements.filter(el => el.image && el.image.contentUrl === 'https://example.com/logo.png');
+  assert.strictEqual(inserted.length, 1);
+  assert.strictEqual(inserted[0].transform.translateX, 300 * 12700);
+});
+
+test('a run killed during Phase 1 leaves a trigger and resumes after the last chunk sent', () => {
+  const server = loadServer();
+  server.global('CONFIG').CHUNKING.MAX_REQUESTS = 3;
+  const started = startJob(server, DECK);
+  const chunks = server.context.chunkRequests(
+    server.context.buildAllRequests(DECK, 'first_slide', 'presentation', { offline: true }).requests);
+  assert.ok(chunks.length > 2);
+
+  // The execution ends while the second chunk is sent: nothing runs after that
+  const jobService = server.global('jobService');
+  const batchUpdate = server.slides.batchUpdate;
+  let calls = 0;
+  let killed = false;
+  server.slides.batchUpdate = function () {
+    if (++calls === 2) killed = true;
+    if (killed) throw new Error('Exceeded maximum execution time');
+    return batchUpdate.apply(this, arguments);
+  };
+  jobService.save = function (state) {
+    if (killed) throw new Error('Exceeded maximum execution time');
+    return Object.getPrototypeOf(this).save.call(this, state);
+  };
+  assert.throws(() => server.call('resumeGenerationJobs'), /Exceeded maximum execution time/);
+  assert.strictEqual(resumeTriggers(server).length, 1);
+  const cutOff = jobStatus(server, started.jobId);
+  assert.deepStrictEqual([cutOff.status, cutOff.stage], ['running', 'phase1']);
+  assert.strictEqual(cutOff.progress.requestsDone, chunks[0].requests.length);
+
+  server.slides.batchUpdate = batchUpdate;
+  delete jobService.save;
+  const job = runJob(server, started.jobId);
+  assert.strictEqual(job.status, 'success', job.message);
+  assert.strictEqual(job.progress.requestsDone, job.progress.requests);
+  const ids = server.slides.get(started.presentationId).slides
+    .map(slide => slide.pageElements.map(el => el.objectId));
+  assert.deepStrictEqual(ids, [['intro_text'], ['logo_box', 'logo_image']]);
+});
+
+test('out of time, a run pauses and keeps one resume trigger', () => {
+  const server = loadServer();
+  const started = startJob(server, DECK);
+  server.global('CONFIG').JOBS.TIME_BUDGET_MS = -1;
+
+  server.call('resumeGenerationJobs');
+  server.call('resumeGenerationJobs');
+  const job = jobStatus(server, started.jobId);
+  assert.deepStrictEqual([job.status, job.stage, job.progress.requestsDone], ['running', 'phase1', 0]);
+  assert.strictEqual(resumeTriggers(server).length, 1);
+});
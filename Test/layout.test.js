@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Auto-layout containers (stack, row, grid).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+const EMU_PER_PT = 12700;
+
+function boxes(elements) {
+  return plain(elements).map(el => [el.objectId, el.x, el.y, el.w, el.h].join(' '));
+}
+
+test('a row shares the space left by fixed children by flex weight', () => {
+  const server = loadServer();
+  const elements = server.context.resolveSlideLayout([{
+    type: 'row', x: 40, y: 100, w: 640, h: 100, gap: 20, padding: { left: 10, right: 10 },
+    elements: [
+      { type: 'shape', objectId: 'fixed_box', width: 100 },
+      { type: 'shape', objectId: 'wide_box', flex: 2 },
+      { type: 'shape', objectId: 'narrow_box', h: 40 }
+    ]
+  }], 0);
+
+  // 620 wide inside the padding, minus two gaps and the fixed 100 leaves 480 for flex 2 + 1
+  assert.deepStrictEqual(boxes(elements), [
+    'fixed_box 50 100 100 100',
+    'wide_box 170 100 320 100',
+    'narrow_box 510 100 160 100'
+  ]);
+});
+
+test('justify and align place fixed-size children in a stack', () => {
+  const server = loadServer();
+  const stack = (justify, align) => boxes(server.context.resolveSlideLayout([{
+    type: 'stack', x: 0, y: 0, w: 200, h: 300, justify: justify, align: align,
+    elements: [
+      { type: 'shape', objectId: 'top_box', w: 100, h: 50 },
+      { type: 'shape', objectId: 'bottom_box', w: 50, h: 50 }
+    ]
+  }], 0));
+
+  assert.deepStrictEqual(stack('center', 'center'), ['top_box 50 100 100 50', 'bottom_box 75 150 50 50']);
+  assert.deepStrictEqual(stack('space-between', 'end'), ['top_box 100 0 100 50', 'bottom_box 150 250 50 50']);
+  assert.deepStrictEqual(stack('end', 'stretch'), ['top_box 0 200 200 50', 'bottom_box 0 250 200 50']);
+});
+
+test('an explicit padding of 0 overrides the configured default', () => {
+  const server = loadServer();
+  server.global('CONFIG').LAYOUT.PADDING = 10;
+  const stack = padding => boxes(server.context.resolveSlideLayout([{
+    type: 'stack', x: 0, y: 0, w: 200, h: 100, padding: padding,
+    elements: [{ type: 'shape', objectId: 'only_box' }]
+  }], 0));
+
+  assert.deepStrictEqual(stack(undefined), ['only_box 10 10 180 80']);
+  assert.deepStrictEqual(stack(0), ['only_box 0 0 200 100']);
+});
+
+test('a grid with nested containers is generated as one group', () => {
+  const server = loadServer();
+  const deck = {
+    slides: [{
+      elements: [{
+        type: 'grid', objectId: 'kpi_grid', x: 40, y: 80, w: 640, h: 280,
+        columns: 3, gap: 20, padding: 10, group: true,
+        elements: [
+          { type: 'shape', objectId: 'kpi_one', shape: 'RECTANGLE', text: 'One' },
+          { type: 'shape', objectId: 'kpi_two', shape: 'RECTANGLE', span: 2 },
+          {
+            type: 'stack', gap: 10,
+            elements: [
+              { type: 'text', objectId: 'kpi_value', text: '42', h: 40 },
+              { type: 'text', objectId: 'kpi_label', text: 'Deals' }
+            ]
+          }
+        ]
+      }]
+    }]
+  };
+  const result = server.call('generatePresentation', JSON.stringify(deck));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const group = server.slides.get(result.presentationId).slides[0].pageElements[0];
+  assert.strictEqual(group.objectId, 'kpi_grid');
+  const children = group.elementGroup.children.map(el => [
+    el.objectId,
+    Math.round(el.transform.translateX / EMU_PER_PT),
+    Math.round(el.transform.translateY / EMU_PER_PT),
+    Math.round(el.size.width.magnitude / EMU_PER_PT),
+    Math.round(el.size.height.magnitude / EMU_PER_PT)
+  ].join(' '));
+  assert.deepStrictEqual(children, [
+    'kpi_one 50 90 193 120',
+    'kpi_two 263 90 407 120',
+    'kpi_value 50 230 193 40',
+    'kpi_label 50 280 193 70'
+  ]);
+});
+
+test('containers are validated and report paths point inside them', () => {
+  const server = loadServer();
+  const invalid = server.call('validatePresentation', JSON.stringify({
+    slides: [{ elements: [{ type: 'row', justify: 'middle', elements: [] }] }]
+  }));
+  assert.strictEqual(invalid.valid, false);
+  assert.ok(invalid.errors.some(error => error.path === 'slides[0].elements[0].justify'), JSON.stringify(invalid.errors));
+
+  const deck = {
+    slides: [{
+      elements: [
+        { type: 'text', objectId: 'intro_text', text: 'Intro', x: 40, y: 20, w: 400, h: 40 },
+        {
+          type: 'stack', y: 80,
+          elements: [
+            { type: 'text', objectId: 'chart_label', text: 'Sales' },
+            // Ragged rows: the chart sheet rejects the data
+            { type: 'chart', objectId: 'sales_chart', chartType: 'COLUMN', data: [['Q', 'Sales'], ['Q1']] }
+          ]
+        }
+      ]
+    }]
+  };
+  const result = server.call('generatePresentation', JSON.stringify(deck));
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.deepStrictEqual(result.report.entries.map(entry => entry.code + ':' + entry.path),
+    ['CHART_FAILED:slides[0].elements[1].elements[1]']);
+});
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Markdown-to-deck compiler (fromMarkdown).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./harness/loadServer');
+
+const MARKDOWN = [
+  '# Quarterly Review',
+  '## Q3 2024',
+  '',
+  '---',
+  '',
+  '## Highlights',
+  '',
+  '- Revenue **up** 12%',
+  '  - EMEA led growth',
+  '    - Germany first',
+  '- Churn down to `2%`',
+  '',
+  '> notes: Mention the churn numbers.',
+  '> Keep it short.',
+  '',
+  '---',
+  '',
+  '## By region',
+  '',
+  '| Region | Q3 |',
+  '|--------|---:|',
+  '| EMEA   | 4.2 |',
+  '| [APAC](https://example.com) | 3.1 |',
+  '',
+  '```',
+  'total = emea + apac',
+  '---',
+  '```',
+  '',
+  '1. Hire',
+  '2. Ship'
+].join('\n');
+
+test('markdown compiles to slides with titles, bullets, tables and notes', () => {
+  const server = loadServer();
+  const result = server.call('fromMarkdown', MARKDOWN, { jsonOnly: true });
+
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.deepStrictEqual(result.warnings, []);
+  const deck = result.json;
+  assert.strictEqual(deck.config.title, 'Quarterly Review');
+  // The --- inside the code fence does not start a slide
+  assert.strictEqual(deck.slides.length, 3);
+
+  const [cover, highlights, regions] = deck.slides;
+  assert.deepStrictEqual(cover.elements.map(el => el.objectId + ':' + el.text), ['md1_title:Quarterly Review', 'md1_heading2:Q3 2024']);
+  assert.ok(cover.elements.every(el => el.align === 'center'));
+
+  assert.strictEqual(highlights.elements[0].text, 'Highlights');
+  assert.deepStrictEqual(highlights.elements[1].items, [
+    { text: 'Revenue up 12%', indent: 0 },
+    { text: 'EMEA led growth', indent: 1 },
+    { text: 'Germany first', indent: 2 },
+    { text: 'Churn down to 2%', indent: 0 }
+  ]);
+  assert.strictEqual(highlights.elements[1].listType, undefined);
+  assert.strictEqual(highlights.speakerNotes, 'Mention the churn numbers.\nKeep it short.');
+  assert.ok(highlights.elements[1].y >= highlights.elements[0].y + highlights.elements[0].h);
+
+  const table = regions.elements[1];
+  assert.strictEqual(table.type, 'table');
+  assert.strictEqual(table.header, true);
+  assert.deepStrictEqual(table.data.map(row => row.map(cell => cell.text)), [['Region', 'Q3'], ['EMEA', '4.2'], ['APAC', '3.1']]);
+  assert.strictEqual(regions.elements[2].text, 'total = emea + apac\n---');
+  assert.strictEqual(regions.elements[2].fontFamily, 'Roboto Mono');
+  assert.strictEqual(regions.elements[3].listType, 'numbered');
+});
+
+test('layout uses the theme fonts and warns when a slide overflows', () => {
+  const server = loadServer();
+  const long = ['## Too much'].concat(Array.from({ length: 30 }, (_, i) => '- Point ' + i)).join('\n');
+  const result = server.call('fromMarkdown', long, {
+    jsonOnly: true,
+    title: 'Fonts',
+    theme: { fonts: { heading: 'Lato', body: 'Open Sans' } }
+  });
+
+  assert.strictEqual(result.json.config.title, 'Fonts');
+  assert.strictEqual(result.json.slides[0].elements[0].fontFamily, 'Lato');
+  assert.strictEqual(result.json.slides[0].elements[1].fontFamily, 'Open Sans');
+  assert.strictEqual(result.warnings.length, 1);
+  assert.strictEqual(result.warnings[0].path, 'slides[0]');
+  assert.match(result.warnings[0].message, /taller than the slide/);
+});
+
+test('fromMarkdown generates the deck with nested and numbered bullets', () => {
+  const server = loadServer();
+  const result = server.call('fromMarkdown', MARKDOWN);
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const presentation = server.slides.get(result.presentationId);
+  assert.strictEqual(presentation.slides.length, 3);
+
+  const markers = objectId => presentation.slides.flatMap(slide => slide.pageElements)
+    .find(el => el.objectId === objectId).shape.text.textElements
+    .filter(te => te.paragraphMarker).map(te => te.paragraphMarker);
+  const runs = presentation.slides[1].pageElements.find(el => el.objectId === 'md2_list1').shape.text.textElements
+    .filter(te => te.textRun).map(te => te.textRun.content).join('');
+  // Nesting tabs are consumed by createParagraphBullets
+  assert.strictEqual(runs, 'Revenue up 12%\nEMEA led growth\nGermany first\nChurn down to 2%\n');
+  assert.deepStrictEqual(markers('md2_list1').map(marker => marker.bullet.nestingLevel || 0), [0, 1, 2, 0]);
+  assert.ok(markers('md3_list1').every(marker => marker.bullet.glyph === '1.'));
+  assert.ok(presentation.slides[2].pageElements.some(el => el.objectId === 'md3_table1' && el.table));
+});
+
+test('items with bullets: false are plain paragraphs indented by nesting level', () => {
+  const server = loadServer();
+  const result = server.call('generatePresentation', JSON.stringify({
+    slides: [{
+      elements: [{
+        type: 'text', objectId: 'plain_list', x: 40, y: 40, w: 400, h: 120, bullets: false,
+        items: ['Revenue up 12%', { text: 'EMEA led growth', indent: 1 }, 'Churn down to 2%']
+      }]
+    }]
+  }));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  const text = server.slides.get(result.presentationId).slides[0].pageElements
+    .find(el => el.objectId === 'plain_list').shape.text.textElements;
+  const runs = text.filter(te => te.textRun).map(te => te.textRun.content).join('');
+  const markers = text.filter(te => te.paragraphMarker).map(te => te.paragraphMarker);
+  assert.strictEqual(runs, 'Revenue up 12%\nEMEA led growth\nChurn down to 2%\n');
+  assert.ok(markers.every(marker => !marker.bullet));
+  assert.deepStrictEqual(markers.map(marker => marker.style.indentStart ? marker.style.indentStart.magnitude : 0), [0, 18, 0]);
+});
+
+test('doPost fromMarkdown returns the intermediate JSON', () => {
+  const server = loadServer();
+  const body = JSON.stringify({ action: 'fromMarkdown', markdown: '# Hello\n\nWorld', jsonOnly: true });
+  const response = JSON.parse(server.context.doPost({ postData: { contents: body } }).getContent());
+
+  assert.strictEqual(response.status, 'success', response.message);
+  assert.deepStrictEqual(response.json.slides[0].elements.map(el => el.text), ['Hello', 'World']);
+});
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Markdown export of extracted presentations (importPresentation format 'markdown').
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./harness/loadServer');
+
+const DECK = {
+  slides: [
+    {
+      notes: 'Say hi\nThen demo',
+      elements: [
+        {
+          type: 'text',
+          objectId: 'body_text',
+          text: 'Plain bold and docs\nFirst\n\tNested',
+          x: 40, y: 120, w: 300, h: 120, fontSize: 16,
+          textRuns: [
+            { text: 'Plain ', fontSize: 16 },
+            { text: 'bold', bold: true, fontSize: 16 },
+            { text: ' and ', fontSize: 16 },
+            { text: 'docs', italic: true, link: { url: 'https://example.com/docs' }, fontSize: 16 },
+            { text: '\n', fontSize: 16 },
+            { text: 'First\n', bullet: { glyph: '●' }, fontSize: 16 },
+            { text: '\tNested', bullet: { glyph: '●' }, fontSize: 16 }
+          ]
+        },
+        // Listed after the body, but read first because it is higher up
+        { type: 'text', objectId: 'deck_title', text: 'Roadmap *2025*', x: 40, y: 30, w: 600, h: 50, fontSize: 32, bold: true },
+        { type: 'image', objectId: 'logo_image', url: 'https://example.com/logo.png', x: 400, y: 125, w: 100, h: 100 },
+        { type: 'table', objectId: 'plan_table', x: 40, y: 260, w: 400, h: 80, data: [['Phase', 'When'], ['Beta | GA', 'Q1']] }
+      ]
+    },
+    {
+      elements: [
+        { type: 'shape', objectId: 'divider_box', shape: 'RECTANGLE', x: 0, y: 0, w: 720, h: 10 },
+        { type: 'text', objectId: 'steps_text', text: 'Plan', x: 40, y: 40, w: 300, h: 40, fontSize: 14 }
+      ]
+    }
+  ]
+};
+
+test('an extracted deck is exported as a Markdown outline in reading order', () => {
+  const server = loadServer();
+  const generated = server.call('generatePresentation', JSON.stringify(DECK));
+  const result = server.call('importPresentation', generated.presentationId, false, 'markdown');
+
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.strictEqual(result.markdown, [
+    '# Roadmap \\*2025\\*',
+    '',
+    'Plain **bold** and *[docs](https://example.com/docs)*',
+    '',
+    '- First',
+    '  - Nested',
+    '',
+    '![Image](https://example.com/logo.png)',
+    '',
+    '| Phase | When |',
+    '| --- | --- |',
+    '| Beta \\| GA | Q1 |',
+    '',
+    '> notes: Say hi',
+    '> Then demo',
+    '',
+    '---',
+    '',
+    // Small text is not a heading, and empty shapes are left out
+    'Plan',
+    ''
+  ].join('\n'));
+});
+
+test('exported Markdown compiles back to the same content', () => {
+  const server = loadServer();
+  const generated = server.call('generatePresentation', JSON.stringify(DECK));
+  const markdown = server.call('importPresentation', generated.presentationId, false, 'markdown').markdown;
+  const slide = server.call('fromMarkdown', markdown, { jsonOnly: true }).json.slides[0];
+
+  assert.strictEqual(slide.elements[0].text, 'Roadmap *2025*');
+  assert.deepStrictEqual(slide.elements[2].items, [{ text: 'First', indent: 0 }, { text: 'Nested', indent: 1 }]);
+  assert.deepStrictEqual(slide.elements[4].data[1].map(cell => cell.text), ['Beta | GA', 'Q1']);
+  assert.strictEqual(slide.speakerNotes, 'Say hi\nThen demo');
+});
+
+test('doPost exportMarkdown returns the outline', () => {
+  const server = loadServer();
+  const generated = server.call('generatePresentation', JSON.stringify(DECK));
+  const body = JSON.stringify({ action: 'exportMarkdown', presentationId: generated.presentationId });
+  const response = JSON.parse(server.context.doPost({ postData: { contents: body } }).getContent());
+
+  assert.strictEqual(response.status, 'success', response.message);
+  assert.match(response.markdown, /^# Roadmap/);
+  assert.strictEqual(response.json, undefined);
+});
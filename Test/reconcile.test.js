@@ -0,0 +1,223 @@
+/**
+ * @fileoverview In-place updates of existing presentations (Reconciler.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./harness/loadServer');
+
+function generate(server, deck) {
+  const result = server.call('generatePresentation', JSON.stringify(deck));
+  assert.strictEqual(result.status, 'success', result.message);
+  return result.presentationId;
+}
+
+function update(server, deck, presentationId) {
+  const result = server.call('generatePresentation', typeof deck === 'string' ? deck : JSON.stringify(deck),
+    { targetPresentationId: presentationId });
+  assert.strictEqual(result.status, 'success', result.message);
+  return result.summary;
+}
+
+function importDeck(server, presentationId) {
+  return JSON.parse(server.call('importPresentation', presentationId, false).json);
+}
+
+test('updating with an unchanged imported deck keeps every element, fake shadows included', () => {
+  const server = loadServer();
+  const presentationId = generate(server, {
+    slides: [{
+      elements: [
+        { type: 'shape', objectId: 'card_one', x: 40, y: 40, w: 200, h: 100, fillColor: '#3366ff', shadow: true },
+        { type: 'text', objectId: 'label_one', text: 'Hi', x: 40, y: 200, w: 200, h: 40 }
+      ]
+    }]
+  });
+  const imported = importDeck(server, presentationId);
+  assert.ok(imported.slides[0].elements.some(element => element.objectId === 'card_one_shadow'));
+
+  const batches = server.slides.batchLog.length;
+  const summary = update(server, imported, presentationId);
+  assert.strictEqual(summary.elementsUnchanged, 3);
+  assert.strictEqual(summary.elementsRecreated, 0);
+  assert.strictEqual(summary.elementsDeleted, 0);
+  // Only the imported config.theme is written again
+  const sent = server.slides.batchLog.slice(batches).reduce((all, batch) => all.concat(batch.requests), []);
+  assert.deepStrictEqual(sent.map(request => Object.keys(request)[0]), ['updatePageProperties']);
+});
+
+test('style-only changes are applied: fill alpha, border dash, alignment, links and table cells', () => {
+  const server = loadServer();
+  const presentationId = generate(server, {
+    slides: [{
+      elements: [
+        { type: 'shape', objectId: 'card_one', x: 40, y: 40, w: 200, h: 100, fillColor: '#3366ff',
+          borderColor: '#000000', borderDash: 'solid', link: 'https://a.example' },
+        { type: 'text', objectId: 'label_one', text: 'Hi', x: 40, y: 200, w: 200, h: 40, align: 'left' },
+        { type: 'table', objectId: 'table_one', x: 300, y: 200, w: 300, h: 100, header: true, data: [['a', 'b'], ['c', { text: 'd' }]] }
+      ]
+    }]
+  });
+  const deck = importDeck(server, presentationId);
+  const byId = {};
+  deck.slides[0].elements.forEach(element => { byId[element.objectId] = element; });
+  const unchanged = update(server, deck, presentationId);
+  assert.strictEqual(unchanged.elementsUnchanged, 3);
+
+  byId.card_one.fillAlpha = 0.5;
+  byId.card_one.borderDash = 'dash';
+  byId.card_one.link = 'https://b.example';
+  byId.label_one.align = 'center';
+  byId.table_one.data[0][0].fillColor = '#ff0000';
+  byId.table_one.data[1][1].bold = true;
+  const summary = update(server, deck, presentationId);
+  assert.strictEqual(summary.elementsRecreated, 3);
+
+  const live = {};
+  server.slides.get(presentationId).slides[0].pageElements.forEach(element => { live[element.objectId] = element; });
+  const card = live.card_one.shape.shapeProperties;
+  assert.strictEqual(card.shapeBackgroundFill.solidFill.alpha, 0.5);
+  assert.strictEqual(card.outline.dashStyle, 'DASH');
+  assert.strictEqual(card.link.url, 'https://b.example');
+
+  const reimported = importDeck(server, presentationId);
+  const label = reimported.slides[0].elements.find(element => element.objectId === 'label_one');
+  assert.strictEqual(label.align, 'center');
+  const table = reimported.slides[0].elements.find(element => element.objectId === 'table_one');
+  assert.strictEqual(table.data[0][0].fillColor, '#ff0000');
+  assert.strictEqual(table.data[1][1].bold, true);
+  assert.strictEqual(update(server, reimported, presentationId).elementsUnchanged, 3);
+});
+
+test('speaker notes removed from the deck are cleared', () => {
+  const server = loadServer();
+  const presentationId = generate(server, {
+    slides: [{ notes: 'Say hi', elements: [{ type: 'text', objectId: 'label_one', text: 'Hi', x: 40, y: 40, w: 200, h: 40 }] }]
+  });
+  const deck = importDeck(server, presentationId);
+  assert.strictEqual(deck.slides[0].speakerNotes, 'Say hi');
+
+  delete deck.slides[0].speakerNotes;
+  update(server, deck, presentationId);
+  assert.strictEqual(importDeck(server, presentationId).slides[0].speakerNotes || '', '');
+});
+
+test('data-driven tables are compared as the table they expand to', () => {
+  const server = loadServer();
+  // No size: the fake extracts tables as 0x0
+  const sales = {
+    type: 'table', objectId: 'sales_table', x: 40, y: 40,
+    columns: [{ key: 'region', header: 'Region' }, { key: 'revenue', header: 'Revenue', format: 'currency', align: 'right' }],
+    rows: [{ region: 'North', revenue: 1200 }, { region: 'South', revenue: 800 }],
+    rules: [{ column: 'revenue', if: 'value < 1000', color: 'error' }],
+    zebra: true,
+    totalRow: true
+  };
+  const presentationId = generate(server, { slides: [{ elements: [sales] }] });
+  const deck = { slides: [{ objectId: importDeck(server, presentationId).slides[0].objectId, elements: [sales] }] };
+  assert.strictEqual(update(server, deck, presentationId).elementsUnchanged, 1);
+
+  sales.rows[1].revenue = 900;
+  assert.strictEqual(update(server, deck, presentationId).elementsRecreated, 1);
+  const table = importDeck(server, presentationId).slides[0].elements[0];
+  const text = cell => typeof cell === 'object' ? cell.text : cell;
+  assert.deepStrictEqual(table.data.slice(2).map(row => row.map(text)), [['South', '$900.00'], ['Total', '$2,100.00']]);
+});
+
+test('slides with a layout are created from it and keep the placeholders they fill', () => {
+  const server = loadServer();
+  const agenda = { layout: 'TITLE_AND_BODY', placeholders: { title: 'Agenda', body: ['One', 'Two'] } };
+  const presentationId = generate(server, {
+    slides: [agenda, { elements: [{ type: 'text', objectId: 'label_one', text: 'Hi', x: 40, y: 40, w: 200, h: 40 }] }]
+  });
+  const [agendaId, textId] = importDeck(server, presentationId).slides.map(slide => slide.objectId);
+  const slides = () => server.slides.get(presentationId).slides;
+  const placeholderTexts = slide => slide.pageElements.filter(element => element.shape && element.shape.placeholder)
+    .map(element => element.shape.placeholder.type + ':' + element.shape.text.textElements
+      .filter(te => te.textRun).map(te => te.textRun.content).join('').trim());
+  const deck = {
+    slides: [
+      Object.assign({ objectId: agendaId }, agenda),
+      { objectId: textId, elements: [{ type: 'text', objectId: 'label_one', text: 'Hi', x: 40, y: 40, w: 200, h: 40 }] }
+    ]
+  };
+
+  const unchanged = update(server, deck, presentationId);
+  assert.deepStrictEqual([unchanged.elementsUnchanged, unchanged.elementsDeleted, unchanged.slidesCreated], [3, 0, 0]);
+  assert.deepStrictEqual(placeholderTexts(slides()[0]), ['TITLE:Agenda', 'BODY:One\nTwo']);
+
+  deck.slides[0].placeholders.title = 'Agenda v2';
+  deck.slides.splice(1, 0, { layout: 'TITLE', placeholders: { title: 'Thanks' } });
+  const edited = update(server, deck, presentationId);
+  assert.deepStrictEqual([edited.elementsUpdated, edited.slidesCreated], [1, 1]);
+  assert.strictEqual(slides()[0].objectId, agendaId);
+  assert.deepStrictEqual(placeholderTexts(slides()[0]), ['TITLE:Agenda v2', 'BODY:One\nTwo']);
+  assert.strictEqual(slides()[1].slideProperties.layoutObjectId, 'fake_layout_title');
+  assert.deepStrictEqual(placeholderTexts(slides()[1]), ['CENTERED_TITLE:Thanks']);
+  assert.strictEqual(slides()[2].objectId, textId);
+
+  // Another layout replaces the slide
+  deck.slides[1].objectId = slides()[1].objectId;
+  deck.slides[0].layout = 'TITLE_ONLY';
+  const relaid = update(server, deck, presentationId);
+  assert.deepStrictEqual([relaid.slidesCreated, relaid.slidesDeleted], [1, 1]);
+  assert.strictEqual(slides().length, 3);
+  assert.strictEqual(slides()[0].slideProperties.layoutObjectId, 'fake_layout_title_only');
+  assert.deepStrictEqual(placeholderTexts(slides()[0]), ['TITLE:Agenda v2']);
+});
+
+function box(objectId, x) {
+  return { type: 'shape', objectId: objectId, x: x, y: 40, w: 100, h: 60, fillColor: '#3366ff' };
+}
+
+function slideLayout(server, presentationId) {
+  return server.slides.get(presentationId).slides.map(slide => [slide.objectId,
+    slide.pageElements.map(el => el.objectId + '@' + el.transform.translateX / 12700)]);
+}
+
+test('the authored deck names its slides, so sending it again changes nothing', () => {
+  const server = loadServer();
+  const deck = {
+    slides: [
+      { objectId: 'slide_intro', elements: [box('intro_box', 40)] },
+      { objectId: 'slide_body', elements: [box('body_box', 40)] }
+    ]
+  };
+  const presentationId = generate(server, deck);
+  assert.deepStrictEqual(slideLayout(server, presentationId).map(slide => slide[0]), ['slide_intro', 'slide_body']);
+
+  const summary = update(server, deck, presentationId);
+  assert.deepStrictEqual(summary, {
+    slidesCreated: 0, slidesDeleted: 0, slidesMoved: 0,
+    elementsCreated: 0, elementsUpdated: 0, elementsRecreated: 0, elementsDeleted: 0, elementsUnchanged: 2
+  });
+});
+
+test('slides are reordered, added and deleted; elements are moved, created and deleted', () => {
+  const server = loadServer();
+  const presentationId = generate(server, {
+    slides: [
+      { objectId: 'slide_intro', elements: [box('intro_box', 40), box('intro_extra', 200)] },
+      { objectId: 'slide_body', elements: [box('body_box', 40)] },
+      { objectId: 'slide_outro', elements: [box('outro_box', 40)] }
+    ]
+  });
+
+  const summary = update(server, {
+    slides: [
+      { objectId: 'slide_body', elements: [box('body_box', 40)] },
+      { objectId: 'slide_intro', elements: [box('intro_box', 300), box('intro_new', 40)] },
+      { objectId: 'slide_new', elements: [box('new_box', 40)] }
+    ]
+  }, presentationId);
+
+  assert.deepStrictEqual(summary, {
+    slidesCreated: 1, slidesDeleted: 1, slidesMoved: 1,
+    elementsCreated: 2, elementsUpdated: 1, elementsRecreated: 0, elementsDeleted: 1, elementsUnchanged: 1
+  });
+  assert.deepStrictEqual(slideLayout(server, presentationId), [
+    ['slide_body', ['body_box@40']],
+    ['slide_intro', ['intro_box@300', 'intro_new@40']],
+    ['slide_new', ['new_box@40']]
+  ]);
+});
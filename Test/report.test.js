@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Generation report (skipped, deferred and degraded elements).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./harness/loadServer');
+
+const DECK = {
+  config: { title: 'Report deck' },
+  slides: [
+    {
+      notes: 'Notes still work',
+      elements: [
+        { type: 'text', objectId: 'intro_text', text: 'Intro', x: 40, y: 30, w: 400, h: 60 },
+        {
+          type: 'group',
+          objectId: 'card_group',
+          elements: [
+            { type: 'shape', objectId: 'card_box', shape: 'RECTANGLE', x: 150, y: 120, w: 200, h: 100 },
+            { type: 'image', objectId: 'card_image', url: 'https://example.com/card.png', x: 40, y: 120, w: 100, h: 100 },
+            { type: 'shape', objectId: 'card_badge', shape: 'ELLIPSE', x: 300, y: 100, w: 40, h: 40 }
+          ]
+        }
+      ]
+    },
+    {
+      elements: [
+        { type: 'copyGroup', sourceObjectId: 'curvy_group', sourceSlideIndex: 0, x: 40, y: 40, w: 100, h: 100 },
+        // Ragged rows: the chart sheet rejects the data
+        { type: 'chart', objectId: 'sales_chart', chartType: 'COLUMN', data: [['Q', 'Sales'], ['Q1']], x: 200, y: 40, w: 300, h: 200 }
+      ]
+    }
+  ]
+};
+
+function codes(report) {
+  return report.entries.map(entry => entry.severity + ':' + entry.code + ':' + entry.path);
+}
+
+test('a clean deck has an empty, complete report', () => {
+  const server = loadServer();
+  const deck = { slides: [{ elements: [DECK.slides[0].elements[0]] }] };
+  const result = server.call('generatePresentation', JSON.stringify(deck));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.deepStrictEqual(result.report, { complete: true, errors: 0, warnings: 0, entries: [] });
+});
+
+test('skipped and degraded elements are reported with their paths', () => {
+  const server = loadServer({ unreachableImageUrls: ['https://example.com/card.png'] });
+  const result = server.call('generatePresentation', JSON.stringify(DECK));
+
+  // The deck exists, but the report says what is missing from it
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.deepStrictEqual(codes(result.report), [
+    'error:COPYGROUP_NO_SOURCE:slides[1].elements[0]',
+    'warning:IMAGE_DEFERRED:slides[0].elements[1]',
+    'error:CHART_FAILED:slides[1].elements[1]'
+  ]);
+  assert.strictEqual(result.report.complete, false);
+  assert.strictEqual(result.report.errors, 2);
+  assert.strictEqual(result.report.warnings, 1);
+  assert.strictEqual(result.report.entries[1].objectId, 'card_image');
+  assert.strictEqual(result.report.entries[2].slideIndex, 1);
+});
+
+test('requests that use a deferred image are reported as dropped', () => {
+  const server = loadServer({ unreachableImageUrls: ['https://example.com/card.png'] });
+  const deck = {
+    slides: [{
+      elements: [{
+        type: 'group',
+        objectId: 'pair_group',
+        elements: [
+          { type: 'image', objectId: 'pair_image', url: 'https://example.com/card.png', x: 40, y: 40, w: 100, h: 100 },
+          { type: 'shape', objectId: 'pair_box', shape: 'RECTANGLE', x: 150, y: 40, w: 100, h: 100 }
+        ]
+      }]
+    }]
+  };
+  const result = server.call('generatePresentation', JSON.stringify(deck));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  // A group needs two children, so it cannot be created without the image
+  assert.deepStrictEqual(codes(result.report), [
+    'warning:IMAGE_DEFERRED:slides[0].elements[0]',
+    'warning:REQUEST_DROPPED:slides[0].elements[0]'
+  ]);
+  assert.match(result.report.entries[1].message, /^createGroup skipped: uses pair_image/);
+});
+
+test('doPost returns the report with the generate response', () => {
+  const server = loadServer();
+  const body = JSON.stringify({ action: 'generate', json: { slides: [{ elements: [DECK.slides[1].elements[0]] }] } });
+  const response = JSON.parse(server.context.doPost({ postData: { contents: body } }).getContent());
+
+  assert.strictEqual(response.status, 'success', response.message);
+  assert.deepStrictEqual(codes(response.report), ['error:COPYGROUP_NO_SOURCE:slides[0].elements[0]']);
+});
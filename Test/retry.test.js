@@ -0,0 +1,91 @@
+/**
+ * @fileoverview batchUpdate retry policy (CONFIG.RETRY) and error classification.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+const DECK = {
+  config: { title: 'Retry deck' },
+  slides: [{ elements: [{ type: 'shape', objectId: 'retry_box', shape: 'RECTANGLE', x: 40, y: 40, w: 200, h: 100 }] }]
+};
+
+function backgroundRequest(server, presentationId) {
+  return [{
+    updatePageProperties: {
+      objectId: server.slides.get(presentationId).slides[0].objectId,
+      pageProperties: { pageBackgroundFill: { solidFill: { color: { rgbColor: { red: 1 } } } } },
+      fields: 'pageBackgroundFill.solidFill.color'
+    }
+  }];
+}
+
+test('errors are classified as quota, invalid or transient', () => {
+  const classify = loadServer().context.classifyApiError;
+
+  assert.strictEqual(classify(new Error('API call to slides.presentations.batchUpdate failed with error: Quota exceeded for quota metric \'Write requests\'')), 'quota');
+  assert.strictEqual(classify(new Error('Request failed for https://slides.googleapis.com returned code 429. Truncated server response: {}')), 'quota');
+  assert.strictEqual(classify(new Error('API call to slides.presentations.batchUpdate failed with error: Invalid requests[3].createShape: bad')), 'invalid');
+  assert.strictEqual(classify(new Error('Request failed for https://slides.googleapis.com returned code 400. Truncated server response: {}')), 'invalid');
+  assert.strictEqual(classify(new Error('API call to slides.presentations.batchUpdate failed with error: Internal error encountered.')), 'transient');
+  assert.strictEqual(classify(new Error('Request failed for https://slides.googleapis.com returned code 503. Truncated server response: {}')), 'transient');
+});
+
+test('quota errors back off exponentially without trying the REST fallback', () => {
+  const server = loadServer();
+  const presentationId = server.slides.Presentations.create({}).presentationId;
+  server.slides.queueBatchError('Rate limit exceeded', 429);
+  server.slides.queueBatchError('Rate limit exceeded', 429);
+
+  const slidesApi = server.global('slidesApi');
+  slidesApi.batchUpdate(presentationId, backgroundRequest(server, presentationId));
+
+  assert.deepStrictEqual(plain(slidesApi.getRetryStats()), { retries: 2, quota: 2, transient: 0 });
+  assert.strictEqual(server.sleeps.length, 2);
+  // 1s then 2s, each within the +/-20% jitter
+  assert.ok(server.sleeps[0] >= 800 && server.sleeps[0] <= 1200, String(server.sleeps[0]));
+  assert.ok(server.sleeps[1] >= 1600 && server.sleeps[1] <= 2400, String(server.sleeps[1]));
+  assert.ok(!server.logs.some(line => line.indexOf('Attempting REST API fallback') !== -1));
+  assert.strictEqual(server.slides.batchLog.length, 3);
+});
+
+test('invalid requests fail immediately', () => {
+  const server = loadServer();
+  const presentationId = server.slides.Presentations.create({}).presentationId;
+  const slidesApi = server.global('slidesApi');
+
+  assert.throws(
+    () => slidesApi.batchUpdate(presentationId, [{ deleteObject: { objectId: 'does_not_exist' } }]),
+    /Invalid requests\[0\]\.deleteObject/
+  );
+  assert.strictEqual(server.slides.batchLog.length, 1);
+  assert.deepStrictEqual(server.sleeps, []);
+});
+
+test('transient errors give up after CONFIG.RETRY.MAX_ATTEMPTS', () => {
+  const server = loadServer();
+  const presentationId = server.slides.Presentations.create({}).presentationId;
+  server.global('CONFIG').RETRY.MAX_ATTEMPTS = 2;
+  // Each attempt calls the advanced service and then the REST fallback
+  for (let i = 0; i < 4; i++) server.slides.queueBatchError('Internal error encountered.');
+
+  const slidesApi = server.global('slidesApi');
+  assert.throws(
+    () => slidesApi.batchUpdate(presentationId, backgroundRequest(server, presentationId)),
+    /Internal error encountered/
+  );
+  assert.deepStrictEqual(plain(slidesApi.getRetryStats()), { retries: 1, quota: 0, transient: 1 });
+  assert.strictEqual(server.slides.batchLog.length, 4);
+});
+
+test('generatePresentation reports the retries it needed', () => {
+  const server = loadServer();
+  server.slides.queueBatchError('Quota exceeded', 429);
+
+  const result = server.call('generatePresentation', JSON.stringify(DECK));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.deepStrictEqual(result.retries, { retries: 1, quota: 1, transient: 0 });
+  assert.ok(server.slides.get(result.presentationId).slides[0].pageElements.some(el => el.objectId === 'retry_box'));
+});
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Deck schema validation (Schema.js): error paths, messages and clamp warnings.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+function validate(server, deck) {
+  const result = server.call('validatePresentation', JSON.stringify(deck));
+  assert.strictEqual(result.status, 'success', result.message);
+  return plain(result);
+}
+
+test('a bad enum value is reported at its path with the allowed values', () => {
+  const server = loadServer();
+  const result = validate(server, { slides: [{ elements: [{ type: 'text', text: 'x', align: 'middle' }] }] });
+
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, [{
+    path: 'slides[0].elements[0].align',
+    keyword: 'enum',
+    message: 'Invalid value "middle". Allowed: "left", "center", "right", "justify"'
+  }]);
+});
+
+test('an unknown property is reported with the closest known name', () => {
+  const server = loadServer();
+  const result = validate(server, { slides: [{ elements: [{ type: 'text', text: 'x', fontSzie: 12 }] }] });
+
+  assert.deepStrictEqual(result.errors, [{
+    path: 'slides[0].elements[0].fontSzie',
+    keyword: 'additionalProperties',
+    message: 'Unknown property "fontSzie" (did you mean "fontSize"?)'
+  }]);
+});
+
+test('too many slides is an error; out-of-range sizes are warnings', () => {
+  const server = loadServer();
+  const tooMany = validate(server, { slides: Array.from({ length: 101 }, () => ({ elements: [] })) });
+  assert.deepStrictEqual(tooMany.errors, [{
+    path: 'slides',
+    keyword: 'maxItems',
+    message: 'Must have at most 100 items (got 101)'
+  }]);
+
+  const clamped = validate(server, {
+    slides: [{ elements: [{ type: 'shape', x: 0, y: 0, w: 5000, h: 0.5, fontSize: 900 }] }]
+  });
+  assert.strictEqual(clamped.valid, true);
+  assert.deepStrictEqual(clamped.warnings, [
+    { path: 'slides[0].elements[0].w', keyword: 'clamp', message: '5000 is outside 10-1000 and will be clamped to 1000' },
+    { path: 'slides[0].elements[0].h', keyword: 'clamp', message: '0.5 is outside 10-1000 and will be clamped to 10' },
+    { path: 'slides[0].elements[0].fontSize', keyword: 'clamp', message: '900 is outside 1-400 and will be clamped to 400' }
+  ]);
+});
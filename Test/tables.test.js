@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Merged cells and data-driven tables (buildTableRequests, extractTableAdvanced, DataTable.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+// A financial table with grouped headers: "2024" and "2025" each span two columns,
+// "Region" spans both header rows
+const financials = {
+  type: 'table', objectId: 'pnl_table', x: 40, y: 40, w: 500, h: 200, header: true,
+  merges: [{ row: 0, col: 0, rowSpan: 2 }],
+  data: [
+    ['Region', { text: '2024', colSpan: 2, align: 'center' }, '', { text: '2025', colSpan: 2, align: 'center' }, ''],
+    ['', 'H1', 'H2', 'H1', 'H2'],
+    ['North', 10, 12, 14, 15],
+    ['South', 8, 9, 11, 13]
+  ]
+};
+
+test('merged cells are created with mergeTableCells and round-trip through extraction', () => {
+  const server = loadServer();
+  const generated = server.call('generatePresentation', JSON.stringify({ slides: [{ elements: [financials] }] }));
+  assert.strictEqual(generated.status, 'success', generated.message);
+  assert.deepStrictEqual(plain(generated.report.entries), []);
+
+  const table = server.slides.get(generated.presentationId).slides[0].pageElements[0].table;
+  const spans = [];
+  table.tableRows.forEach((row, r) => row.tableCells.forEach((cell, c) => {
+    if (cell.rowSpan > 1 || cell.columnSpan > 1) spans.push([r, c, cell.rowSpan, cell.columnSpan]);
+  }));
+  assert.deepStrictEqual(spans, [[0, 0, 2, 1], [0, 1, 1, 2], [0, 3, 1, 2]]);
+
+  const imported = server.call('importPresentation', generated.presentationId, false);
+  assert.strictEqual(imported.status, 'success', imported.message);
+  const extracted = JSON.parse(imported.json).slides[0].elements[0];
+  assert.deepStrictEqual(extracted.merges, [
+    { row: 0, col: 0, rowSpan: 2, colSpan: 1 },
+    { row: 0, col: 1, rowSpan: 1, colSpan: 2 },
+    { row: 0, col: 3, rowSpan: 1, colSpan: 2 }
+  ]);
+  assert.deepStrictEqual(extracted.data[0].map(cell => cell.text), ['Region', '2024', '', '2025', '']);
+  assert.strictEqual(extracted.data[1][0].text, '');
+
+  // The extracted table generates the same merges again
+  const regenerated = server.call('generatePresentation', JSON.stringify({ slides: [{ elements: [extracted] }] }));
+  assert.strictEqual(regenerated.status, 'success', regenerated.message);
+  const again = server.slides.get(regenerated.presentationId).slides[0].pageElements[0].table;
+  assert.strictEqual(again.tableRows[0].tableCells[1].columnSpan, 2);
+  assert.strictEqual(again.tableRows[0].tableCells[0].rowSpan, 2);
+});
+
+test('merges outside the table or overlapping another merge are reported and skipped', () => {
+  const server = loadServer();
+  const table = {
+    type: 'table', objectId: 'bad_merges', data: [['a', 'b'], ['c', 'd']],
+    merges: [{ row: 0, col: 0, colSpan: 2 }, { row: 0, col: 1, rowSpan: 2 }, { row: 1, col: 1, colSpan: 3 }]
+  };
+  const result = server.call('generatePresentation', JSON.stringify({ slides: [{ elements: [table] }] }));
+
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.deepStrictEqual(result.report.entries.map(entry => entry.code + ':' + entry.path), [
+    'TABLE_MERGE_SKIPPED:slides[0].elements[0]',
+    'TABLE_MERGE_SKIPPED:slides[0].elements[0]'
+  ]);
+  const cells = server.slides.get(result.presentationId).slides[0].pageElements[0].table.tableRows[0].tableCells;
+  assert.strictEqual(cells[0].columnSpan, 2);
+
+  const invalid = server.call('validatePresentation', JSON.stringify({
+    slides: [{ elements: [{ type: 'table', data: [['a']], merges: [{ row: 0, colSpan: 2 }] }] }]
+  }));
+  assert.strictEqual(invalid.valid, false);
+});
+
+const sales = {
+  type: 'table', objectId: 'sales_table', x: 40, y: 40, w: 500, h: 200,
+  columns: [
+    { key: 'region', header: 'Region', width: 140 },
+    { key: 'revenue', header: 'Revenue', format: 'currency', align: 'right' },
+    { key: 'growth', header: 'Growth', format: 'percent', align: 'right' },
+    { key: 'closed', header: 'Closed', format: 'date' }
+  ],
+  rows: [
+    { region: 'North', revenue: 125000, growth: 0.12, closed: '2026-01-05' },
+    { region: 'South', revenue: 98000.5, growth: -0.034, closed: '2026-02-14' },
+    { region: 'West', revenue: 20000, growth: 0, closed: null }
+  ],
+  rules: [
+    { column: 'growth', if: 'value < 0', color: 'error', bold: true },
+    { column: 'revenue', heatMap: ['#ffffff', '#000000'] }
+  ],
+  zebra: true,
+  totalRow: { label: 'All regions' }
+};
+
+test('data tables format values and apply rules, zebra stripes and totals', () => {
+  const server = loadServer();
+  const table = plain(server.global('expandDataTable')(sales));
+
+  assert.strictEqual(table.columns, undefined);
+  assert.deepStrictEqual(table.columnWidths, [140, null, null, null]);
+  assert.deepStrictEqual(table.data.map(row => row.map(cell => cell.text)), [
+    ['Region', 'Revenue', 'Growth', 'Closed'],
+    ['North', '$125,000.00', '12%', 'Jan 5, 2026'],
+    ['South', '$98,000.50', '-3.4%', 'Feb 14, 2026'],
+    ['West', '$20,000.00', '0%', ''],
+    ['All regions', '$243,000.50', '', '']
+  ]);
+
+  const [header, north, south, west, total] = table.data;
+  assert.ok(header.every(cell => cell.bold && cell.fillColor));
+  assert.strictEqual(south[2].color, 'error');
+  assert.strictEqual(south[2].bold, true);
+  assert.strictEqual(north[2].color, undefined);
+  // Heat map from white (lowest revenue) to black (highest)
+  assert.strictEqual(north[1].fillColor, '#000000');
+  assert.strictEqual(west[1].fillColor, '#ffffff');
+  // Zebra stripes tint every second body row
+  const themeService = server.global('themeService');
+  assert.strictEqual(north[0].fillColor, undefined);
+  assert.strictEqual(south[0].fillColor, themeService.mixColors('background', 'primary', 0.08));
+  assert.ok(total.every(cell => cell.bold && cell.borders.top));
+});
+
+test('data tables generate like plain tables and are validated', () => {
+  const server = loadServer();
+  const result = server.call('generatePresentation', JSON.stringify({ slides: [{ elements: [sales] }] }));
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.deepStrictEqual(plain(result.report.entries), []);
+
+  const table = server.slides.get(result.presentationId).slides[0].pageElements[0].table;
+  assert.strictEqual(table.tableRows.length, 5);
+  const text = cell => cell.text.textElements.filter(te => te.textRun).map(te => te.textRun.content).join('').trim();
+  assert.strictEqual(text(table.tableRows[4].tableCells[1]), '$243,000.50');
+
+  assert.strictEqual(server.global('themeService').mixColors('#000000', '#ffffff', 0.5), '#808080');
+  const invalid = server.call('validatePresentation', JSON.stringify({
+    slides: [{ elements: [{ type: 'table', columns: [{ key: 'a', format: 'currency' }] }] }]
+  }));
+  assert.strictEqual(invalid.valid, false);
+});
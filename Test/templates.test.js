@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Brand template decks, layouts and placeholders (BrandTemplate.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+/**
+ * A template deck with friendly layout names and one sample slide
+ */
+function createTemplate(server) {
+  const templateId = server.slides.create({ title: 'Brand template' }).presentationId;
+  const model = server.slides.getModel(templateId);
+  model.layouts.forEach(layout => {
+    const name = layout.layoutProperties.name.toLowerCase().replace(/_/g, ' ');
+    layout.layoutProperties.displayName = name.charAt(0).toUpperCase() + name.slice(1);
+  });
+  return { templateId: templateId, sampleSlideId: model.slides[0].objectId };
+}
+
+function placeholderTexts(slide) {
+  return slide.pageElements.filter(element => element.shape && element.shape.placeholder).map(element =>
+    element.shape.placeholder.type + ':' + (element.shape.text ? element.shape.text.textElements
+      .filter(te => te.textRun).map(te => te.textRun.content).join('').trim() : ''));
+}
+
+test('template decks are copied and slides fill layout placeholders by role', () => {
+  const server = loadServer();
+  const { templateId, sampleSlideId } = createTemplate(server);
+  const deck = {
+    config: { title: 'Q3 review', templatePresentationId: templateId },
+    slides: [
+      { layout: 'Title and body', placeholders: { title: 'Q3 results', body: ['Revenue up 12%', 'Churn down'] } },
+      { elements: [{ type: 'text', text: 'Free text', x: 40, y: 40, w: 200, h: 40 }] },
+      { layout: 'Closing', placeholders: { title: 'Thanks' } }
+    ]
+  };
+  const result = server.call('generatePresentation', JSON.stringify(deck));
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.notStrictEqual(result.presentationId, templateId);
+  assert.deepStrictEqual(result.report.entries.map(entry => entry.code + ':' + entry.path),
+    ['LAYOUT_NOT_FOUND:slides[2].layout', 'PLACEHOLDER_NOT_FOUND:slides[2].placeholders.title']);
+
+  const presentation = server.slides.get(result.presentationId);
+  assert.strictEqual(presentation.title, 'Q3 review');
+  assert.strictEqual(presentation.slides.length, 3, 'the sample slide is removed');
+  assert.ok(!presentation.slides.some(slide => slide.objectId === sampleSlideId));
+
+  const [titled, free, fallback] = presentation.slides;
+  assert.strictEqual(titled.slideProperties.layoutObjectId, 'fake_layout_title_and_body');
+  assert.deepStrictEqual(placeholderTexts(titled), ['TITLE:Q3 results', 'BODY:Revenue up 12%\nChurn down']);
+  assert.strictEqual(free.slideProperties.layoutObjectId, 'fake_layout_blank');
+  assert.strictEqual(free.pageElements.length, 1);
+  // Unknown layouts fall back to the blank layout, so the title has nowhere to go
+  assert.strictEqual(fallback.slideProperties.layoutObjectId, 'fake_layout_blank');
+  assert.deepStrictEqual(placeholderTexts(fallback), []);
+
+  const kept = server.call('generatePresentation', JSON.stringify(Object.assign({}, deck, {
+    config: { templatePresentationId: templateId, keepTemplateSlides: true }
+  })));
+  assert.strictEqual(kept.status, 'success', kept.message);
+  const keptSlides = server.slides.get(kept.presentationId).slides;
+  assert.strictEqual(keptSlides.length, 4);
+  assert.strictEqual(keptSlides[3].objectId, sampleSlideId, 'sample slides stay after the generated ones');
+
+  const missing = server.call('generatePresentation', JSON.stringify({
+    config: { templatePresentationId: 'no_such_template' }, slides: [{}]
+  }));
+  assert.strictEqual(missing.status, 'error');
+  assert.match(missing.message, /Template presentation no_such_template could not be copied/);
+});
+
+test('a theme on a template deck only changes the scheme colors it sets', () => {
+  const server = loadServer();
+  const { templateId } = createTemplate(server);
+  const scheme = server.slides.getModel(templateId).masters[0].pageProperties.colorScheme.colors;
+  scheme.find(entry => entry.type === 'ACCENT2').color = { red: 0.5, green: 0, blue: 0.5 };
+  scheme.find(entry => entry.type === 'DARK1').color = { red: 0.1, green: 0.1, blue: 0.2 };
+
+  const result = server.call('generatePresentation', JSON.stringify({
+    config: { templatePresentationId: templateId, theme: { colors: { primary: '#0b5fff' } } },
+    slides: [{ layout: 'Title only', placeholders: { title: 'Brand' } }]
+  }));
+  assert.strictEqual(result.status, 'success', result.message);
+
+  const colors = {};
+  server.slides.get(result.presentationId).masters[0].pageProperties.colorScheme.colors.forEach(entry => {
+    colors[entry.type] = entry.color;
+  });
+  assert.strictEqual(Object.keys(colors).length, 12);
+  assert.deepStrictEqual(plain(colors.ACCENT1), plain(server.global('themeService').hexToRgbApi('#0b5fff')));
+  assert.deepStrictEqual(plain(colors.ACCENT2), { red: 0.5, green: 0, blue: 0.5 });
+  assert.deepStrictEqual(plain(colors.DARK1), { red: 0.1, green: 0.1, blue: 0.2 });
+});
+
+test('slides of a new deck can use predefined layouts, also offline', () => {
+  const server = loadServer();
+  const deck = {
+    slides: [
+      { layout: 'titleSlide', placeholders: { title: 'Hello', subtitle: { text: 'World', bold: true }, body2: 'Lost' } },
+      { layout: 'TITLE_AND_BODY', placeholders: { title: 'Agenda' } }
+    ]
+  };
+  const result = server.call('generatePresentation', JSON.stringify(deck));
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.deepStrictEqual(result.report.entries.map(entry => entry.code + ':' + entry.path),
+    ['PLACEHOLDER_NOT_FOUND:slides[0].placeholders.body2']);
+
+  const slides = server.slides.get(result.presentationId).slides;
+  assert.strictEqual(slides.length, 2, 'the initial slide is replaced');
+  assert.deepStrictEqual(placeholderTexts(slides[0]), ['CENTERED_TITLE:Hello', 'SUBTITLE:World']);
+  const subtitle = slides[0].pageElements[1].shape.text.textElements.find(te => te.textRun);
+  assert.strictEqual(subtitle.textRun.style.bold, true);
+  // The unfilled body placeholder is deleted
+  assert.deepStrictEqual(placeholderTexts(slides[1]), ['TITLE:Agenda']);
+
+  const compiled = server.call('compilePresentation', JSON.stringify(deck));
+  assert.strictEqual(compiled.status, 'success', compiled.message);
+  const createSlide = compiled.requests.find(request => request.createSlide).createSlide;
+  assert.deepStrictEqual(plain(createSlide.slideLayoutReference), { predefinedLayout: 'TITLE' });
+  assert.deepStrictEqual(plain(createSlide.placeholderIdMappings.map(mapping => mapping.layoutPlaceholder)),
+    [{ type: 'CENTERED_TITLE', index: 0 }, { type: 'SUBTITLE', index: 0 }]);
+
+  const invalid = server.call('validatePresentation', JSON.stringify({
+    slides: [{ layout: 'title', placeholders: { footer: 'x', title: { text: 'a', size: 3 } } }]
+  }));
+  assert.strictEqual(invalid.valid, false);
+  assert.deepStrictEqual(invalid.errors.map(error => error.path),
+    ['slides[0].placeholders.footer', 'slides[0].placeholders.title.size']);
+});
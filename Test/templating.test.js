@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Template stage: interpolation, repeat and if (Templating.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+const template = {
+  config: { title: 'QBR {{account.name}}' },
+  slides: [
+    {
+      notes: 'Prepared for {{account.owner}}',
+      elements: [
+        { type: 'text', objectId: 'title_box', text: '{{account.name}}', x: '{{layout.left}}', y: 40, w: 400, h: 40 },
+        { type: 'text', text: 'Churn risk', if: 'account.churned', x: 40, y: 100, w: 200, h: 30 },
+        { type: 'text', text: 'Gold partner', if: "account.tier == 'gold'", x: 40, y: 140, w: 200, h: 30 },
+        {
+          type: 'text', objectId: 'region_row', text: '{{$number}}. {{region.name}}: {{region.revenue}}',
+          repeat: { each: 'account.regions', as: 'region', dy: 30 }, if: 'region.revenue >= 1000',
+          x: 40, y: 200, w: 300, h: 30
+        }
+      ]
+    },
+    { repeat: 'account.regions', elements: [{ type: 'text', text: '{{item.name}} ({{$index}})', x: 40, y: 40, w: 300, h: 40 }] },
+    { if: '!account.regions', elements: [] }
+  ]
+};
+
+const data = {
+  layout: { left: 60 },
+  account: {
+    name: 'Acme', owner: 'Sam', churned: false, tier: 'gold',
+    regions: [{ name: 'North', revenue: 1200 }, { name: 'South', revenue: 800 }, { name: 'West', revenue: 5000 }]
+  }
+};
+
+test('placeholders are filled and repeat and if expand slides and elements', () => {
+  const server = loadServer();
+  const deck = plain(server.global('applyTemplate')(template, data));
+
+  assert.strictEqual(deck.config.title, 'QBR Acme');
+  assert.strictEqual(deck.slides.length, 4, 'one slide per region, the empty-regions slide is dropped');
+  const [first, ...regionSlides] = deck.slides;
+  assert.strictEqual(first.notes, 'Prepared for Sam');
+  assert.deepStrictEqual(first.elements.map(element => element.text), [
+    'Acme', 'Gold partner', '1. North: 1200', '3. West: 5000'
+  ]);
+  assert.strictEqual(first.elements[0].x, 60, 'a lone placeholder keeps the value type');
+  // Copies get indexed IDs and are offset by dy per index, before `if` drops some
+  assert.deepStrictEqual(first.elements.slice(2).map(element => [element.objectId, element.y]),
+    [['region_row_0', 200], ['region_row_2', 260]]);
+  assert.deepStrictEqual(regionSlides.map(slide => slide.elements[0].text), ['North (0)', 'South (1)', 'West (2)']);
+  assert.strictEqual(template.slides[0].elements[0].text, '{{account.name}}', 'the template is not changed');
+
+  const result = server.call('generatePresentation', JSON.stringify(template), { data: data });
+  assert.strictEqual(result.status, 'success', result.message);
+  assert.strictEqual(server.slides.get(result.presentationId).slides.length, 4);
+});
+
+test('template errors name the missing variable and where it is used', () => {
+  const server = loadServer();
+  const missing = server.call('generatePresentation', JSON.stringify(template), { data: { account: { name: 'Acme' } } });
+  assert.strictEqual(missing.status, 'error');
+  assert.match(missing.message, /Template variable "account.owner" is not defined \(slides\[0\]\.notes\)/);
+
+  const notArray = server.call('compilePresentation', JSON.stringify({ slides: [{ repeat: 'account' }] }), { account: {} });
+  assert.strictEqual(notArray.status, 'error');
+  assert.match(notArray.message, /repeat "account" must refer to an array \(slides\[0\]\)/);
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Font-metric text measurement and auto-fit (TextMetrics.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./harness/loadServer');
+
+const EMU_PER_PT = 12700;
+const LONG_TEXT = 'Quarterly revenue grew in every region while churn stayed flat, ' +
+  'and the new onboarding flow cut time to first value by almost half for enterprise accounts.';
+
+function generate(server, deck) {
+  const result = server.call('generatePresentation', JSON.stringify(deck));
+  assert.strictEqual(result.status, 'success', result.message);
+  return result;
+}
+
+function findElement(server, result, objectId) {
+  return server.slides.get(result.presentationId).slides[0].pageElements
+    .find(el => el.objectId === objectId);
+}
+
+function fontSizeOf(pageElement) {
+  const run = pageElement.shape.text.textElements.find(te => te.textRun);
+  return run.textRun.style.fontSize.magnitude;
+}
+
+test('wider fonts measure wider and wrap onto more lines', () => {
+  const server = loadServer();
+  const textMetrics = server.global('textMetrics');
+  const style = { fontSize: 20 };
+
+  const roboto = textMetrics.measureWidth('Revenue', Object.assign({ fontFamily: 'Roboto' }, style));
+  const montserrat = textMetrics.measureWidth('Revenue', Object.assign({ fontFamily: 'Montserrat' }, style));
+  assert.ok(montserrat > roboto, montserrat + ' <= ' + roboto);
+
+  const element = { type: 'text', text: LONG_TEXT, w: 300, h: 200, fontSize: 18 };
+  const narrow = textMetrics.measureElement(Object.assign({ fontFamily: 'Roboto' }, element));
+  const wide = textMetrics.measureElement(Object.assign({ fontFamily: 'Montserrat' }, element));
+  assert.ok(narrow.lines > 1);
+  assert.ok(wide.lines >= narrow.lines);
+  // The padding from CONFIG.DEFAULTS is taken off the box
+  assert.strictEqual(narrow.boxWidth, 300 - 7.2 * 2);
+});
+
+test('shrink lowers the font size until the text fits', () => {
+  const server = loadServer();
+  const result = generate(server, {
+    slides: [{
+      elements: [
+        { type: 'text', objectId: 'fit_text', text: LONG_TEXT, x: 40, y: 40, w: 300, h: 60, fontSize: 24, autoFit: 'shrink' },
+        { type: 'text', objectId: 'plain_text', text: LONG_TEXT, x: 40, y: 200, w: 300, h: 60, fontSize: 24 }
+      ]
+    }]
+  });
+
+  const fitted = fontSizeOf(findElement(server, result, 'fit_text'));
+  assert.ok(fitted < 24 && fitted >= 1, String(fitted));
+  const textMetrics = server.global('textMetrics');
+  assert.ok(textMetrics.measureElement({ text: LONG_TEXT, w: 300, h: 60, fontSize: fitted }).fits);
+
+  // Elements without autoFit are left alone
+  assert.strictEqual(fontSizeOf(findElement(server, result, 'plain_text')), 24);
+  assert.deepStrictEqual(result.report.entries, []);
+});
+
+test('grow makes the box taller for config.autoFit', () => {
+  const server = loadServer();
+  const result = generate(server, {
+    config: { autoFit: 'grow' },
+    slides: [{
+      elements: [{ type: 'shape', objectId: 'grow_box', shape: 'RECTANGLE', text: LONG_TEXT, x: 40, y: 40, w: 300, h: 40 }]
+    }]
+  });
+
+  const box = findElement(server, result, 'grow_box');
+  const height = box.size.height.magnitude * (box.transform.scaleY || 1) / EMU_PER_PT;
+  assert.ok(height > 40, String(height));
+  assert.strictEqual(fontSizeOf(box), 16);
+});
+
+test('warn reports the overflow with the element path and changes nothing', () => {
+  const server = loadServer();
+  const result = generate(server, {
+    slides: [{
+      elements: [
+        { type: 'text', objectId: 'short_text', text: 'Fits', x: 40, y: 20, w: 300, h: 40, autoFit: 'warn' },
+        { type: 'text', objectId: 'long_text', text: LONG_TEXT, x: 40, y: 80, w: 200, h: 30, autoFit: 'warn' }
+      ]
+    }]
+  });
+
+  assert.deepStrictEqual(result.report.entries.map(entry => entry.code + ':' + entry.path + ':' + entry.objectId),
+    ['TEXT_OVERFLOW:slides[0].elements[1]:long_text']);
+  const box = findElement(server, result, 'long_text');
+  assert.strictEqual(Math.round(box.size.height.magnitude * (box.transform.scaleY || 1) / EMU_PER_PT), 30);
+
+  const invalid = server.call('validatePresentation', JSON.stringify({
+    slides: [{ elements: [{ type: 'text', text: 'x', autoFit: 'squeeze' }] }]
+  }));
+  assert.strictEqual(invalid.valid, false);
+});
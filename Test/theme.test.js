@@ -0,0 +1,110 @@
+/**
+ * @fileoverview config.theme written into masters and layouts (ThemeService.buildMasterThemeRequests)
+ * and read back from any deck (extractTheme).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadServer, plain } = require('./harness/loadServer');
+
+function generate(server, theme) {
+  const config = theme === undefined ? {} : { theme: theme };
+  const result = server.call('generatePresentation', JSON.stringify({
+    config: config,
+    slides: [{ elements: [{ type: 'text', text: 'Hello', x: 40, y: 40, w: 200, h: 40, color: 'primary' }] }]
+  }));
+  assert.strictEqual(result.status, 'success', result.message);
+  return result;
+}
+
+function schemeHex(master) {
+  const hex = value => ('0' + Math.round(value * 255).toString(16)).slice(-2);
+  const scheme = {};
+  master.pageProperties.colorScheme.colors.forEach(entry => {
+    scheme[entry.type] = '#' + hex(entry.color.red || 0) + hex(entry.color.green || 0) + hex(entry.color.blue || 0);
+  });
+  return scheme;
+}
+
+function placeholderFonts(page) {
+  return page.pageElements.map(element => element.shape.placeholder.type + ':' +
+    element.shape.text.textElements.find(te => te.textRun).textRun.style.fontFamily);
+}
+
+test('theme colors become the master color scheme and theme fonts the placeholder fonts', () => {
+  const server = loadServer();
+  const result = generate(server, {
+    colors: { primary: '#0b5fff', text: '#111111', hyperlink: '#0044cc' },
+    fonts: { heading: 'Montserrat', body: 'Inter' }
+  });
+
+  const presentation = server.slides.get(result.presentationId);
+  const scheme = schemeHex(presentation.masters[0]);
+  assert.strictEqual(Object.keys(scheme).length, 12);
+  assert.strictEqual(scheme.ACCENT1, '#0b5fff');
+  assert.strictEqual(scheme.DARK1, '#111111');
+  assert.strictEqual(scheme.HYPERLINK, '#0044cc');
+  // Colors the theme does not set keep the master's own
+  assert.strictEqual(scheme.ACCENT2, '#34a853');
+  assert.strictEqual(scheme.FOLLOWED_HYPERLINK, '#681da8');
+
+  assert.deepStrictEqual(placeholderFonts(presentation.masters[0]), ['TITLE:Montserrat', 'BODY:Inter']);
+  const titleLayout = presentation.layouts.find(layout => layout.layoutProperties.name === 'TITLE');
+  assert.deepStrictEqual(placeholderFonts(titleLayout), ['CENTERED_TITLE:Montserrat', 'SUBTITLE:Inter']);
+});
+
+test('decks without a theme keep the default master; unusable themes are reported', () => {
+  const server = loadServer();
+  const plainResult = generate(server);
+  const master = server.slides.get(plainResult.presentationId).masters[0];
+  assert.strictEqual(schemeHex(master).ACCENT1, '#4285f4');
+  assert.ok(!server.slides.batchLog.some(batch => batch.requests.some(request => request.updatePageProperties)));
+
+  // Well-formed, but the names refer to each other
+  const result = generate(server, { colors: { primary: 'secondary', secondary: 'primary' } });
+  assert.deepStrictEqual(result.report.entries.map(entry => entry.code + ':' + entry.path), ['THEME_NOT_APPLIED:config.theme']);
+  assert.strictEqual(schemeHex(server.slides.get(result.presentationId).masters[0]).ACCENT1, '#4285f4');
+});
+
+test('extractTheme returns the deck theme as a reusable config.theme', () => {
+  const server = loadServer();
+  const source = generate(server, {
+    colors: { primary: '#0b5fff', text: '#111111' },
+    fonts: { heading: 'Montserrat', body: 'Inter' }
+  });
+
+  const result = server.call('extractTheme', 'https://docs.google.com/presentation/d/' + source.presentationId + '/edit');
+  assert.strictEqual(result.status, 'success', result.message);
+  const theme = plain(result.theme);
+  assert.strictEqual(theme.name, 'Simple Light');
+  assert.strictEqual(theme.colors.primary, '#0b5fff');
+  assert.strictEqual(theme.colors.text, '#111111');
+  assert.strictEqual(theme.colors.secondary, '#34a853', 'kept from the master');
+  assert.deepStrictEqual(theme.fonts, { heading: 'Montserrat', body: 'Inter' });
+  assert.strictEqual(theme.textStyles.TITLE.fontFamily, 'Montserrat');
+  assert.strictEqual(theme.textStyles.SUBTITLE.fontFamily, 'Inter', 'layout-only placeholder types are included');
+  const titleAndBody = theme.layouts.find(layout => layout.name === 'TITLE_AND_BODY');
+  assert.deepStrictEqual(titleAndBody.placeholders, [
+    { type: 'TITLE', index: 0, x: 25, y: 35, w: 670, h: 45 },
+    { type: 'BODY', index: 0, x: 25, y: 91, w: 670, h: 269 }
+  ]);
+
+  // Import uses the same fonts instead of fixed ones
+  const imported = JSON.parse(server.call('importPresentation', source.presentationId, false).json);
+  assert.deepStrictEqual(imported.config.theme.fonts, theme.fonts);
+  assert.strictEqual(imported.config.theme.colors.primary, '#0b5fff');
+
+  // The file is a valid config.theme; its text styles are written to the placeholders
+  theme.textStyles.TITLE = { fontFamily: 'heading', fontSize: 40, color: 'primary', bold: true };
+  const reused = generate(server, theme);
+  assert.deepStrictEqual(plain(reused.report.entries), []);
+  const master = server.slides.get(reused.presentationId).masters[0];
+  assert.strictEqual(schemeHex(master).ACCENT1, '#0b5fff');
+  const title = master.pageElements[0].shape.text.textElements.find(te => te.textRun).textRun.style;
+  assert.strictEqual(title.fontFamily, 'Montserrat');
+  assert.strictEqual(title.fontSize.magnitude, 40);
+  assert.strictEqual(title.bold, true);
+  assert.deepStrictEqual(plain(title.foregroundColor), { opaqueColor: { themeColor: 'ACCENT1' } });
+
+  assert.strictEqual(server.call('extractTheme', '').status, 'error');
+});